@@ -19,8 +19,11 @@ run() {
   aws --endpoint-url "$ENDPOINT" "$@"
 }
 
-# Create S3 bucket
-run s3 mb ${S3_BUCKET}
+# Create S3 bucket, with Object Lock so agreement PDFs are kept for their retention period
+run s3api create-bucket \
+  --bucket "${S3_BUCKET#s3://}" \
+  --create-bucket-configuration LocationConstraint="${AWS_DEFAULT_REGION}" \
+  --object-lock-enabled-for-bucket
 echo "✅ Created S3 bucket: ${S3_BUCKET} for endpoint ${ENDPOINT}"
 
 echo "✅ SNS and SQS setup complete."
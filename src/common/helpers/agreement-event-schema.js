@@ -0,0 +1,104 @@
+import Boom from '@hapi/boom'
+import Joi from 'joi'
+import { isValid, parseISO } from 'date-fns'
+
+export const agreementNumberSchema = Joi.string().pattern(/^[A-Z]+\d+$/)
+
+// Names a bundled template in src/templates/agreements, e.g. farm-payments-agreement-v1
+const templateIdSchema = Joi.string().pattern(/^[a-z\d]+(-[a-z\d]+)*$/)
+
+/**
+ * An agreement is rendered either from its page on the agreements frontend or from a bundled
+ * template and the data to fill it with
+ * @param {Joi.Schema} agreementUrlSchema What the agreement URL must be when there is no template
+ */
+export const agreementSourceSchemas = (agreementUrlSchema) => ({
+  agreementUrl: Joi.string()
+    .uri({ scheme: ['http', 'https'] })
+    .when('templateId', {
+      is: Joi.exist(),
+      then: Joi.forbidden(),
+      otherwise: agreementUrlSchema
+    }),
+  templateId: templateIdSchema,
+  templateData: Joi.object().unknown().when('templateId', {
+    is: Joi.exist(),
+    then: Joi.required(),
+    otherwise: Joi.forbidden()
+  })
+})
+
+// Joi.date().iso() rolls impossible days like 2025-09-31 over into the next month
+export const isoDateSchema = Joi.string().custom((value, helpers) =>
+  isValid(parseISO(value))
+    ? value
+    : helpers.message('{{#label}} must be a valid ISO 8601 date')
+)
+
+const accountIdentifierSchema = Joi.alternatives(
+  Joi.string().pattern(/^\d+$/),
+  Joi.number().integer().positive()
+)
+
+const requiredWhenAccepted = (schema) =>
+  schema.when('status', {
+    is: 'accepted',
+    then: Joi.required(),
+    otherwise: Joi.optional()
+  })
+
+/**
+ * CloudEvents 1.0 envelope and data for agreement.status.updated events.
+ *
+ * Unknown fields are allowed so the Farming Grants Agreement API can add to the event
+ * without breaking this service; keep in step with the Pact contract in src/contracts/consumer.
+ */
+export const agreementStatusUpdatedSchema = Joi.object({
+  id: Joi.string(),
+  source: Joi.string(),
+  specversion: Joi.string().valid('1.0').required(),
+  type: Joi.string()
+    .pattern(/agreement\.status\.updated$/)
+    .required(),
+  time: Joi.date().iso().raw().required(),
+  data: Joi.object({
+    agreementNumber: agreementNumberSchema.required(),
+    status: Joi.string().required(),
+    version: requiredWhenAccepted(Joi.number().integer().min(1)),
+    ...agreementSourceSchemas(requiredWhenAccepted(Joi.string())),
+    startDate: isoDateSchema,
+    endDate: requiredWhenAccepted(isoDateSchema),
+    retentionUntil: isoDateSchema,
+    correlationId: Joi.string(),
+    sbi: accountIdentifierSchema,
+    frn: accountIdentifierSchema,
+    crn: accountIdentifierSchema,
+    legalHold: Joi.boolean()
+  })
+    .unknown()
+    .required()
+}).unknown()
+
+/**
+ * Validate an agreement.status.updated event
+ * @param {object} payload - The event, unwrapped from any SNS notification
+ * @returns {object} The validated event
+ * @throws {Boom.Boom} 422 with every validation failure in `data.details`, so the message is dead-lettered
+ */
+export const validateAgreementStatusUpdatedEvent = (payload) => {
+  const { value, error } = agreementStatusUpdatedSchema.validate(payload, {
+    abortEarly: false
+  })
+
+  if (error) {
+    throw Boom.badData('Invalid agreement.status.updated event', {
+      details: error.details.map(({ message, path, type }) => ({
+        message,
+        path: path.join('.'),
+        type
+      }))
+    })
+  }
+
+  return value
+}
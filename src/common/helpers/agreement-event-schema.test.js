@@ -0,0 +1,140 @@
+import { describe, expect, test } from 'vitest'
+import {
+  agreementStatusUpdatedSchema,
+  validateAgreementStatusUpdatedEvent
+} from '#~/common/helpers/agreement-event-schema.js'
+
+const validEvent = () => ({
+  id: 'event-id-1',
+  source: 'urn:service:agreement',
+  specversion: '1.0',
+  type: 'io.onsite.agreement.status.updated',
+  time: '2025-10-06T16:41:59.497Z',
+  data: {
+    agreementNumber: 'FPTT123456789',
+    correlationId: 'test-correlation-id',
+    version: 1,
+    status: 'accepted',
+    agreementUrl: 'https://example.com/agreement/FPTT123456789',
+    endDate: '2027-12-31',
+    sbi: '106284736',
+    frn: '1102658375',
+    crn: '1100014934'
+  }
+})
+
+const validationErrorPaths = (event) =>
+  agreementStatusUpdatedSchema
+    .validate(event, { abortEarly: false })
+    .error?.details.map(({ path }) => path.join('.'))
+
+describe('agreement event schema', () => {
+  test('should accept a valid accepted agreement event', () => {
+    expect(validateAgreementStatusUpdatedEvent(validEvent())).toEqual(
+      validEvent()
+    )
+  })
+
+  test('should allow fields added by the producer', () => {
+    const event = validEvent()
+    event.topicArn = 'arn:aws:sns:eu-west-2:000000000000:topic.fifo'
+    event.data.clientRef = 'client-ref'
+
+    expect(validationErrorPaths(event)).toBeUndefined()
+  })
+
+  test('should accept numeric account identifiers and a numeric string version', () => {
+    const event = validEvent()
+    event.data.sbi = 106284736
+    event.data.version = '2'
+
+    expect(validateAgreementStatusUpdatedEvent(event).data.version).toBe(2)
+  })
+
+  test('should accept an accepted agreement rendered from a template instead of a URL', () => {
+    const event = validEvent()
+    delete event.data.agreementUrl
+    event.data.templateId = 'farm-payments-agreement-v1'
+    event.data.templateData = { agreementName: 'Farm payments agreement' }
+
+    expect(validationErrorPaths(event)).toBeUndefined()
+  })
+
+  test('should only require the agreement details needed to render accepted agreements', () => {
+    const event = validEvent()
+    event.data = { agreementNumber: 'FPTT123456789', status: 'offered' }
+
+    expect(validationErrorPaths(event)).toBeUndefined()
+  })
+
+  test.each([
+    ['specversion', (event) => delete event.specversion],
+    ['specversion', (event) => (event.specversion = '0.3')],
+    ['type', (event) => (event.type = 'io.onsite.agreement.created')],
+    ['time', (event) => (event.time = 'yesterday')],
+    ['data', (event) => delete event.data],
+    ['data.agreementNumber', (event) => delete event.data.agreementNumber],
+    ['data.agreementNumber', (event) => (event.data.agreementNumber = '../x')],
+    ['data.status', (event) => delete event.data.status],
+    ['data.version', (event) => delete event.data.version],
+    ['data.version', (event) => (event.data.version = 1.5)],
+    ['data.version', (event) => (event.data.version = 0)],
+    ['data.agreementUrl', (event) => delete event.data.agreementUrl],
+    ['data.agreementUrl', (event) => (event.data.agreementUrl = 'file:///etc')],
+    [
+      'data.agreementUrl',
+      (event) => {
+        event.data.templateId = 'farm-payments-agreement-v1'
+        event.data.templateData = {}
+      }
+    ],
+    ['data.templateId', (event) => (event.data.templateId = '../x')],
+    [
+      'data.templateData',
+      (event) => {
+        delete event.data.agreementUrl
+        event.data.templateId = 'farm-payments-agreement-v1'
+      }
+    ],
+    ['data.templateData', (event) => (event.data.templateData = {})],
+    ['data.endDate', (event) => delete event.data.endDate],
+    ['data.endDate', (event) => (event.data.endDate = '2025-09-31')],
+    ['data.endDate', (event) => (event.data.endDate = '31/12/2027')],
+    ['data.sbi', (event) => (event.data.sbi = 'not-an-sbi')],
+    ['data.legalHold', (event) => (event.data.legalHold = 'maybe')],
+    ['data.startDate', (event) => (event.data.startDate = '2026-02-30')],
+    ['data.retentionUntil', (event) => (event.data.retentionUntil = 'forever')]
+  ])('should reject an invalid %s', (path, breakEvent) => {
+    const event = validEvent()
+    breakEvent(event)
+
+    expect(validationErrorPaths(event)).toContain(path)
+  })
+
+  test('should throw a 422 listing every validation failure', () => {
+    const event = validEvent()
+    delete event.data.version
+    event.data.endDate = 'not-a-date'
+
+    expect(() => validateAgreementStatusUpdatedEvent(event)).toThrow(
+      expect.objectContaining({
+        message: 'Invalid agreement.status.updated event',
+        output: expect.objectContaining({ statusCode: 422 }),
+        data: {
+          details: [
+            {
+              message: '"data.version" is required',
+              path: 'data.version',
+              type: 'any.required'
+            },
+            {
+              message: '"data.endDate" must be a valid ISO 8601 date',
+              path: 'data.endDate',
+              type: 'custom'
+            }
+          ]
+        }
+      })
+    )
+  })
+})
@@ -1,45 +1,108 @@
-import { SNSClient, PublishCommand } from '@aws-sdk/client-sns'
-import { networkInterfaces } from 'node:os'
+import { PublishCommand } from '@aws-sdk/client-sns'
+import os, { networkInterfaces } from 'node:os'
+import path from 'node:path'
 import { config } from '#~/config.js'
+import { snsClient } from '#~/common/helpers/sns-client.js'
+import { createLogger } from '#~/common/helpers/logging/logger.js'
+import { createAuditOutbox } from '#~/common/helpers/audit-outbox.js'
+import {
+  AUDIT_PAYLOAD_VERSION,
+  validateAuditPayload
+} from '#~/common/helpers/audit-payload-schema.js'
+
+const logger = createLogger()
+let auditOutbox
+
+const publishAuditMessage = (message) =>
+  snsClient.send(
+    new PublishCommand({
+      TopicArn: config.get('aws.sns.topic.audit.arn'),
+      Message: message
+    })
+  )
+
+/**
+ * Whether SNS rejected an audit message itself, so would reject it again. Throttling, and a
+ * topic, permission or KMS key that is missing, fail every message until they are put right, so
+ * are retried.
+ * @param {Error & { $metadata?: { httpStatusCode?: number } }} err
+ * @returns {boolean}
+ */
+const isRejectedBySns = (err) => {
+  const status = err.$metadata?.httpStatusCode
+  return (
+    status >= 400 &&
+    status < 500 &&
+    ![403, 404, 429].includes(status) &&
+    !/^(KMS|Throttl)/.test(err.name)
+  )
+}
+
+/**
+ * The outbox audit events are journalled in until SNS accepts them, created the first time it is needed
+ * @returns {import('#~/common/helpers/audit-outbox.js').AuditOutbox}
+ */
+export const getAuditOutbox = () => {
+  auditOutbox ??= createAuditOutbox({
+    folder: config.get('auditOutbox.folder'),
+    publish: publishAuditMessage,
+    isRejected: isRejectedBySns,
+    maxAttempts: config.get('aws.sns.maxAttempts'),
+    retryBaseDelay: config.get('auditOutbox.retryBaseDelay'),
+    logger
+  })
+  return auditOutbox
+}
 
 export const AuditEvent = Object.freeze({
-  PDF_UPLOADED_TO_S3: 'PDF_UPLOADED_TO_S3'
+  PDF_GENERATION_STARTED: 'PDF_GENERATION_STARTED',
+  PDF_GENERATION_FAILED: 'PDF_GENERATION_FAILED',
+  PDF_UPLOADED_TO_S3: 'PDF_UPLOADED_TO_S3',
+  PDF_UPLOAD_FAILED: 'PDF_UPLOAD_FAILED',
+  PDF_REGENERATED: 'PDF_REGENERATED',
+  MESSAGE_REJECTED: 'MESSAGE_REJECTED'
 })
 
 // Human-readable description for each audit event, used in security.details.message
 const eventMessages = {
-  [AuditEvent.PDF_UPLOADED_TO_S3]: 'PDF document uploaded to S3'
+  [AuditEvent.PDF_GENERATION_STARTED]: 'PDF document generation started',
+  [AuditEvent.PDF_GENERATION_FAILED]: 'PDF document generation failed',
+  [AuditEvent.PDF_UPLOADED_TO_S3]: 'PDF document uploaded to S3',
+  [AuditEvent.PDF_UPLOAD_FAILED]: 'PDF document upload to S3 failed',
+  [AuditEvent.PDF_REGENERATED]:
+    'PDF document regenerated, replacing the stored document',
+  [AuditEvent.MESSAGE_REJECTED]:
+    'Agreement event rejected without generating a PDF document'
 }
 
 // Transaction code for each audit event, used in security.details.transactioncode
 const eventTransactionCodes = {
-  [AuditEvent.PDF_UPLOADED_TO_S3]: '2307'
+  [AuditEvent.PDF_GENERATION_STARTED]: '2308',
+  [AuditEvent.PDF_GENERATION_FAILED]: '2309',
+  [AuditEvent.PDF_UPLOADED_TO_S3]: '2307',
+  [AuditEvent.PDF_UPLOAD_FAILED]: '2310',
+  [AuditEvent.PDF_REGENERATED]: '2311',
+  [AuditEvent.MESSAGE_REJECTED]: '2313'
 }
 
+const agreementEntity = (action) => (context) => [
+  {
+    entity: 'agreement',
+    action,
+    entityId: context.agreementNumber
+  }
+]
+
 // Entities affected by each event — each entry is a function of context returning an array of { entity, action, entityId? }
 const eventEntities = {
-  [AuditEvent.PDF_UPLOADED_TO_S3]: (context) => [
-    {
-      entity: 'agreement',
-      action: 'created',
-      entityId: context.agreementNumber
-    }
-  ]
+  [AuditEvent.PDF_GENERATION_STARTED]: agreementEntity('created'),
+  [AuditEvent.PDF_GENERATION_FAILED]: agreementEntity('created'),
+  [AuditEvent.PDF_UPLOADED_TO_S3]: agreementEntity('created'),
+  [AuditEvent.PDF_UPLOAD_FAILED]: agreementEntity('created'),
+  [AuditEvent.PDF_REGENERATED]: agreementEntity('updated'),
+  [AuditEvent.MESSAGE_REJECTED]: agreementEntity('rejected')
 }
 
-const snsClient = new SNSClient(
-  process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test'
-    ? {
-        region: config.get('aws.region'),
-        endpoint: config.get('aws.sns.endpoint'),
-        credentials: {
-          accessKeyId: config.get('aws.accessKeyId'),
-          secretAccessKey: config.get('aws.secretAccessKey')
-        }
-      }
-    : {}
-)
-
 const getLocalIp = (request) => {
   const hapiHost = request?.server?.info?.host
   if (hapiHost && hapiHost !== '0.0.0.0') {
@@ -56,10 +119,10 @@ const getLocalIp = (request) => {
 }
 
 /**
- * Builds the full audit payload for a PDF S3 operation.
+ * Builds the full audit payload for a PDF operation.
  *
  * @param {AuditEvent[keyof AuditEvent]} event
- * @param {{ agreementNumber: string, version: string|number, key: string, bucket: string, location?: string, correlationId?: string }} context
+ * @param {{ agreementNumber?: string, version?: string|number, key?: string, bucket?: string, location?: string, checksumAlgorithm?: string, checksum?: string, correlationId?: string, stage?: string, reason?: string }} context
  * @param {'success'|'failure'} status
  * @param {import('@hapi/hapi').Request|null} request
  */
@@ -72,7 +135,7 @@ const buildAuditPayload = (
   correlationid: context.correlationId,
   datetime: new Date().toISOString(),
   environment: `cdp-${config.get('cdpEnvironment')}`,
-  version: '0.1.0',
+  version: AUDIT_PAYLOAD_VERSION,
   application: 'Grants',
   component: config.get('serviceName'),
   ip: getLocalIp(request),
@@ -100,9 +163,17 @@ const buildAuditPayload = (
 })
 
 /**
- * Records a PDF S3 operation audit event by publishing to SNS.
+ * Records a PDF operation audit event by publishing to SNS. The `*_FAILED` and `MESSAGE_REJECTED`
+ * events are recorded with status `failure`.
+ *
+ * The payload is validated against the audit payload schema, which strips anything from
+ * `context` it does not allow, and an event that does not match is logged rather than published.
+ * The event is journalled in the audit outbox before it is published, and stays there until SNS
+ * accepts it, so an event that cannot be published after `aws.sns.maxAttempts` attempts is
+ * replayed later rather than lost. Audit events are recorded alongside the work they describe
+ * rather than awaited by it, so this never rejects.
  * @param {AuditEvent[keyof AuditEvent]} event
- * @param {{ agreementNumber: string, version: string|number, key: string, bucket: string, location?: string, correlationId?: string }} context
+ * @param {{ agreementNumber?: string, version?: string|number, key?: string, bucket?: string, location?: string, checksumAlgorithm?: string, checksum?: string, correlationId?: string, stage?: string, reason?: string }} context
  * @param {'success'|'failure'} [status]
  */
 export const auditEvent = async (
@@ -111,12 +182,65 @@ export const auditEvent = async (
   status = 'success',
   request = null
 ) => {
-  await snsClient.send(
-    new PublishCommand({
-      TopicArn: config.get('aws.sns.topic.audit.arn'),
-      Message: JSON.stringify(
-        buildAuditPayload(event, context, status, request)
-      )
-    })
-  )
+  let message
+  try {
+    message = JSON.stringify(
+      validateAuditPayload(buildAuditPayload(event, context, status, request))
+    )
+  } catch (err) {
+    logger.error(
+      err,
+      `Failed to build ${event} audit event for agreement ${context.agreementNumber}, it has not been published`
+    )
+    return
+  }
+  await getAuditOutbox().send(message)
+}
+
+/**
+ * Whether a folder is in the system temporary folder, which is lost with the container
+ * @param {string} folder
+ * @returns {boolean}
+ */
+const isTemporaryFolder = (folder) =>
+  !path.relative(os.tmpdir(), path.resolve(folder)).startsWith('..')
+
+export const auditOutboxPlugin = {
+  plugin: {
+    name: 'audit-outbox',
+    version: '1.0.0',
+    /**
+     * Replays audit events left in the outbox by an earlier run once the server has started, then
+     * keeps retrying any that SNS has not accepted, logging the backlog while there is one
+     * @param { import('@hapi/hapi').Server } server
+     * @returns {void}
+     */
+    register: function (server) {
+      let flushTimer
+
+      const folder = config.get('auditOutbox.folder')
+      if (
+        config.get('cdpEnvironment') !== 'local' &&
+        isTemporaryFolder(folder)
+      ) {
+        server.logger.warn(
+          `Audit outbox folder ${folder} is in the system temporary folder, so audit events SNS has not accepted are lost when the container is replaced. Set AUDIT_OUTBOX_FOLDER to storage that outlives it`
+        )
+      }
+
+      server.ext('onPostStart', () => {
+        // Not awaited, SNS being unavailable must not hold up startup
+        getAuditOutbox().flush()
+        flushTimer = setInterval(
+          () => getAuditOutbox().flush(),
+          config.get('auditOutbox.flushInterval')
+        )
+        flushTimer.unref()
+      })
+
+      server.ext('onPreStop', () => {
+        clearInterval(flushTimer)
+      })
+    }
+  }
 }
@@ -1,7 +1,21 @@
-import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import {
+  afterAll,
+  afterEach,
+  beforeAll,
+  beforeEach,
+  describe,
+  expect,
+  test,
+  vi
+} from 'vitest'
+import fs from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
 
 const mockSnsClientSend = vi.hoisted(() => vi.fn())
 
+const outbox = vi.hoisted(() => ({ folder: undefined }))
+
 const mockConfigGet = vi.hoisted(() =>
   vi.fn((key) => {
     const configMap = {
@@ -12,7 +26,11 @@ const mockConfigGet = vi.hoisted(() =>
       'aws.accessKeyId': 'test',
       'aws.secretAccessKey': 'test',
       'aws.sns.topic.audit.arn':
-        'arn:aws:sns:eu-west-2:000000000000:fcp_audit_farming_grants_agreements_pdf'
+        'arn:aws:sns:eu-west-2:000000000000:fcp_audit_farming_grants_agreements_pdf',
+      'aws.sns.maxAttempts': 2,
+      'auditOutbox.folder': outbox.folder,
+      'auditOutbox.flushInterval': 30000,
+      'auditOutbox.retryBaseDelay': 0
     }
     return configMap[key]
   })
@@ -20,6 +38,16 @@ const mockConfigGet = vi.hoisted(() =>
 
 const mockNetworkInterfaces = vi.hoisted(() => vi.fn())
 
+const mockLogger = vi.hoisted(() => ({
+  info: vi.fn(),
+  warn: vi.fn(),
+  error: vi.fn()
+}))
+
+vi.mock('#~/common/helpers/logging/logger.js', () => ({
+  createLogger: () => mockLogger
+}))
+
 vi.mock('#~/config.js', () => ({ config: { get: mockConfigGet } }))
 
 vi.mock('@aws-sdk/client-sns', () => ({
@@ -35,10 +63,19 @@ vi.mock('@aws-sdk/client-sns', () => ({
   }
 }))
 
-vi.mock('node:os', () => ({
+vi.mock('node:os', async (importOriginal) => ({
+  ...(await importOriginal()),
   networkInterfaces: mockNetworkInterfaces
 }))
 
+beforeAll(async () => {
+  outbox.folder = await fs.mkdtemp(path.join(tmpdir(), 'audit-outbox-'))
+})
+
+afterAll(async () => {
+  await fs.rm(outbox.folder, { recursive: true, force: true })
+})
+
 describe('AuditEvent', () => {
   let AuditEvent
 
@@ -57,7 +94,14 @@ describe('AuditEvent', () => {
   })
 
   test('contains expected event keys', () => {
-    expect(AuditEvent.PDF_UPLOADED_TO_S3).toBe('PDF_UPLOADED_TO_S3')
+    expect(Object.values(AuditEvent)).toEqual([
+      'PDF_GENERATION_STARTED',
+      'PDF_GENERATION_FAILED',
+      'PDF_UPLOADED_TO_S3',
+      'PDF_UPLOAD_FAILED',
+      'PDF_REGENERATED',
+      'MESSAGE_REJECTED'
+    ])
   })
 
   test('cannot be mutated', () => {
@@ -165,6 +209,48 @@ describe('auditEvent', () => {
     })
   })
 
+  test('strips personal data and unknown fields from the published details', async () => {
+    await auditEvent(AuditEvent.PDF_GENERATION_STARTED, {
+      agreementNumber: 'FPTT123456789',
+      version: 1,
+      templateId: 'farm-payments-agreement-v1',
+      templateData: { agreementHolder: { name: 'Jane Farmer' } },
+      identifiers: { sbi: '106284736' }
+    })
+
+    const [command] = mockSnsClientSend.mock.calls[0]
+    const payload = JSON.parse(command.Message)
+    expect(payload.audit.details).toEqual({
+      agreementNumber: 'FPTT123456789',
+      version: 1,
+      templateId: 'farm-payments-agreement-v1'
+    })
+    expect(payload.audit.accounts).toEqual({ sbi: '106284736' })
+  })
+
+  test('logs rather than publishes an event that does not match the schema', async () => {
+    await auditEvent(AuditEvent.PDF_REGENERATED, {
+      agreementNumber: 'FPTT123456789',
+      checksumAlgorithm: 'MD5'
+    })
+
+    expect(mockSnsClientSend).not.toHaveBeenCalled()
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      expect.objectContaining({
+        message: 'Audit payload does not match schema 0.2.0',
+        data: {
+          errors: [
+            {
+              path: '/audit/details/checksumAlgorithm',
+              message: 'must be equal to one of the allowed values'
+            }
+          ]
+        }
+      }),
+      'Failed to build PDF_REGENERATED audit event for agreement FPTT123456789, it has not been published'
+    )
+  })
+
   test('audit.entities contains valid action values', async () => {
     const validActions = [
       'created',
@@ -275,6 +361,154 @@ describe('auditEvent', () => {
     expect(payload.audit.status).toBe('failure')
   })
 
+  test.each([
+    [
+      'PDF_GENERATION_STARTED',
+      '2308',
+      'PDF document generation started',
+      'created'
+    ],
+    [
+      'PDF_GENERATION_FAILED',
+      '2309',
+      'PDF document generation failed',
+      'created'
+    ],
+    ['PDF_UPLOADED_TO_S3', '2307', 'PDF document uploaded to S3', 'created'],
+    [
+      'PDF_UPLOAD_FAILED',
+      '2310',
+      'PDF document upload to S3 failed',
+      'created'
+    ],
+    [
+      'PDF_REGENERATED',
+      '2311',
+      'PDF document regenerated, replacing the stored document',
+      'updated'
+    ],
+    [
+      'MESSAGE_REJECTED',
+      '2313',
+      'Agreement event rejected without generating a PDF document',
+      'rejected'
+    ]
+  ])(
+    'publishes %s with transaction code %s',
+    async (event, transactioncode, message, action) => {
+      await auditEvent(AuditEvent[event], { agreementNumber: 'FPTT123456789' })
+
+      const [command] = mockSnsClientSend.mock.calls[0]
+      const payload = JSON.parse(command.Message)
+      expect(payload.security.details).toMatchObject({
+        transactioncode,
+        message
+      })
+      expect(payload.audit.entities).toEqual([
+        { entity: 'agreement', action, entityId: 'FPTT123456789' }
+      ])
+    }
+  )
+
+  test('every event has a distinct transaction code', async () => {
+    const transactionCodes = []
+    for (const event of Object.values(AuditEvent)) {
+      await auditEvent(event)
+      const [command] = mockSnsClientSend.mock.lastCall
+      transactionCodes.push(
+        JSON.parse(command.Message).security.details.transactioncode
+      )
+    }
+
+    expect(new Set(transactionCodes).size).toBe(
+      Object.values(AuditEvent).length
+    )
+  })
+
+  test('retries publishing before it gives up', async () => {
+    mockSnsClientSend.mockRejectedValueOnce(new Error('SNS unavailable'))
+
+    await auditEvent(AuditEvent.PDF_UPLOADED_TO_S3, {
+      agreementNumber: 'FPTT123456789'
+    })
+
+    expect(mockSnsClientSend).toHaveBeenCalledTimes(2)
+    expect(mockLogger.error).not.toHaveBeenCalled()
+    await expect(fs.readdir(outbox.folder)).resolves.toEqual([])
+  })
+
+  test('keeps the event in the outbox rather than rejecting when it cannot be published', async () => {
+    mockSnsClientSend.mockRejectedValue(new Error('SNS unavailable'))
+
+    await expect(
+      auditEvent(AuditEvent.PDF_UPLOADED_TO_S3, {
+        agreementNumber: 'FPTT123456789'
+      })
+    ).resolves.toBeUndefined()
+    expect(mockSnsClientSend).toHaveBeenCalledTimes(2)
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      expect.stringMatching(
+        /^Failed to publish audit event .+ after 2 attempts, kept in the outbox to retry: SNS unavailable$/
+      )
+    )
+
+    const [command] = mockSnsClientSend.mock.calls[0]
+    mockSnsClientSend.mockReset().mockResolvedValue({})
+    const { getAuditOutbox } = await import('./audit-event.js')
+    await getAuditOutbox().flush()
+
+    expect(mockSnsClientSend).toHaveBeenCalledExactlyOnceWith(command)
+    await expect(fs.readdir(outbox.folder)).resolves.toEqual([])
+  })
+
+  test('moves an event SNS rejects aside rather than retrying it', async () => {
+    mockSnsClientSend.mockRejectedValueOnce(
+      Object.assign(new Error('Invalid parameter: Message too long'), {
+        name: 'InvalidParameterException',
+        $metadata: { httpStatusCode: 400 }
+      })
+    )
+
+    await auditEvent(AuditEvent.PDF_UPLOADED_TO_S3, {
+      agreementNumber: 'FPTT123456789'
+    })
+
+    expect(mockSnsClientSend).toHaveBeenCalledTimes(1)
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      expect.objectContaining({ name: 'InvalidParameterException' }),
+      expect.stringMatching(/was rejected and will not be retried/)
+    )
+    await expect(fs.readdir(outbox.folder)).resolves.toEqual(['failed'])
+    await fs.rm(path.join(outbox.folder, 'failed'), { recursive: true })
+  })
+
+  test.each([
+    ['Throttled', 429],
+    ['KMSThrottlingException', 400],
+    ['AuthorizationError', 403],
+    ['NotFound', 404],
+    ['InternalError', 500]
+  ])(
+    'retries an event SNS fails with %s (%i)',
+    async (name, httpStatusCode) => {
+      mockSnsClientSend
+        .mockRejectedValueOnce(
+          Object.assign(new Error(name), {
+            name,
+            $metadata: { httpStatusCode }
+          })
+        )
+        .mockResolvedValueOnce({})
+
+      await auditEvent(AuditEvent.PDF_UPLOADED_TO_S3, {
+        agreementNumber: 'FPTT123456789'
+      })
+
+      expect(mockSnsClientSend).toHaveBeenCalledTimes(2)
+      await expect(fs.readdir(outbox.folder)).resolves.toEqual([])
+    }
+  )
+
   test('handles empty context gracefully', async () => {
     await auditEvent(AuditEvent.PDF_UPLOADED_TO_S3)
 
@@ -284,3 +518,55 @@ describe('auditEvent', () => {
     expect(payload.audit.entities[0].entityId).toBeUndefined()
   })
 })
+
+describe('auditOutboxPlugin', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.resetModules()
+    vi.clearAllMocks()
+  })
+
+  test('replays the outbox on start and every flush interval until stopped', async () => {
+    vi.useFakeTimers()
+    const { auditOutboxPlugin, getAuditOutbox } =
+      await import('./audit-event.js')
+    const flush = vi.spyOn(getAuditOutbox(), 'flush')
+    const server = { ext: vi.fn(), logger: { warn: vi.fn() } }
+
+    auditOutboxPlugin.plugin.register(server)
+    const extensions = Object.fromEntries(server.ext.mock.calls)
+
+    extensions.onPostStart()
+    expect(flush).toHaveBeenCalledTimes(1)
+
+    await vi.advanceTimersByTimeAsync(30000)
+    expect(flush).toHaveBeenCalledTimes(2)
+
+    extensions.onPreStop()
+    await vi.advanceTimersByTimeAsync(60000)
+    expect(flush).toHaveBeenCalledTimes(2)
+  })
+
+  test('warns when the outbox is in the system temporary folder of a deployed service', async () => {
+    const { auditOutboxPlugin } = await import('./audit-event.js')
+    const server = { ext: vi.fn(), logger: { warn: vi.fn() } }
+
+    auditOutboxPlugin.plugin.register(server)
+
+    expect(server.logger.warn).toHaveBeenCalledWith(
+      `Audit outbox folder ${outbox.folder} is in the system temporary folder, so audit events SNS has not accepted are lost when the container is replaced. Set AUDIT_OUTBOX_FOLDER to storage that outlives it`
+    )
+  })
+
+  test('does not warn when the outbox is on other storage', async () => {
+    const { auditOutboxPlugin } = await import('./audit-event.js')
+    const server = { ext: vi.fn(), logger: { warn: vi.fn() } }
+    const tmpFolder = outbox.folder
+    outbox.folder = '/mnt/audit-outbox'
+
+    auditOutboxPlugin.plugin.register(server)
+    outbox.folder = tmpFolder
+
+    expect(server.logger.warn).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,239 @@
+import { randomUUID } from 'node:crypto'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { setTimeout as sleep } from 'node:timers/promises'
+
+/**
+ * @typedef {object} AuditOutboxEntry
+ * @property {string} id Sorts in the order the entries were queued
+ * @property {string} createdAt ISO timestamp the entry was queued
+ * @property {number} attempts Publish attempts that have failed
+ * @property {string} [lastError] Why the last attempt failed
+ * @property {string} message The audit payload, as it is published
+ */
+
+/**
+ * @typedef {object} AuditOutboxBacklog
+ * @property {number} size Number of audit events waiting to be published
+ * @property {string|null} oldestCreatedAt When the oldest of them was queued
+ */
+
+/**
+ * @typedef {object} AuditOutbox
+ * @property {(message: string) => Promise<void>} send Journal an audit message and publish it. Never rejects.
+ * @property {() => Promise<{ published: number, rejected: number, backlog: AuditOutboxBacklog }>} flush
+ *   Publish the entries left in the journal, oldest first. Never rejects.
+ * @property {() => Promise<AuditOutboxBacklog>} backlog The entries still waiting to be published
+ */
+
+const isNotFound = (err) => err.code === 'ENOENT'
+
+/**
+ * Outbox that keeps every audit message in a local journal, one file per message, until it has
+ * been published. Messages are published as they are sent, retried up to `maxAttempts` times, and
+ * any that still fail are left for `flush` to replay, so none are dropped. A message rejected
+ * outright would fail on every retry and hold up those queued after it, so it is moved to a
+ * `failed` folder beside the journal, and logged, to be looked into instead.
+ * @param {object} options
+ * @param {string} options.folder Folder the journal is kept in
+ * @param {(message: string) => Promise<void>} options.publish Publishes one message
+ * @param {(err: Error) => boolean} options.isRejected Whether a publish error means the message
+ *   itself will never be accepted, rather than that publishing can succeed later
+ * @param {number} options.maxAttempts Attempts to publish a message as it is sent
+ * @param {number} options.retryBaseDelay Milliseconds before the first retry, doubled for each one after
+ * @param {import('pino').Logger} options.logger
+ * @returns {AuditOutbox}
+ */
+export const createAuditOutbox = ({
+  folder,
+  publish,
+  isRejected,
+  maxAttempts,
+  retryBaseDelay,
+  logger
+}) => {
+  // Entries being published by `send`, which a flush at the same time must not publish again
+  const sending = new Set()
+  let flushing = null
+
+  const entryPath = (id) => path.join(folder, `${id}.json`)
+  const failedFolder = path.join(folder, 'failed')
+
+  const writeEntry = async (entry) => {
+    await fs.mkdir(folder, { recursive: true, mode: 0o700 })
+    const tmpPath = `${entryPath(entry.id)}.tmp`
+    await fs.writeFile(tmpPath, JSON.stringify(entry), { mode: 0o600 })
+    await fs.rename(tmpPath, entryPath(entry.id))
+  }
+
+  const readEntries = async () => {
+    let files
+    try {
+      files = await fs.readdir(folder)
+    } catch (err) {
+      if (isNotFound(err)) {
+        return []
+      }
+      throw err
+    }
+
+    const entries = []
+    for (const file of files.filter((name) => name.endsWith('.json')).sort()) {
+      try {
+        entries.push(
+          JSON.parse(await fs.readFile(path.join(folder, file), 'utf8'))
+        )
+      } catch (err) {
+        // Published since the folder was read
+        if (!isNotFound(err)) {
+          logger.error(
+            err,
+            `Cannot read audit outbox entry ${file}, keeping it`
+          )
+        }
+      }
+    }
+    return entries
+  }
+
+  /**
+   * Move a rejected entry out of the journal, so it is not published again
+   * @param {AuditOutboxEntry} entry
+   * @param {Error} err Why it was rejected
+   */
+  const setAside = async (entry, err) => {
+    const failedPath = path.join(failedFolder, `${entry.id}.json`)
+    await fs.mkdir(failedFolder, { recursive: true, mode: 0o700 })
+    await fs.writeFile(failedPath, JSON.stringify(entry), { mode: 0o600 })
+    await fs.rm(entryPath(entry.id), { force: true })
+    logger.error(
+      err,
+      `Audit event ${entry.id} was rejected and will not be retried, moved to ${failedPath}`
+    )
+  }
+
+  /**
+   * Publish an entry, removing it from the journal once published or rejected and recording the
+   * failed attempts if it is neither
+   * @param {AuditOutboxEntry} entry
+   * @param {number} attempts
+   * @returns {Promise<'published'|'rejected'|'kept'>} What became of the entry
+   */
+  const publishEntry = async (entry, attempts) => {
+    for (let attempt = 1; attempt <= attempts; attempt++) {
+      try {
+        await publish(entry.message)
+      } catch (err) {
+        entry.attempts += 1
+        entry.lastError = err.message
+        if (isRejected(err)) {
+          await setAside(entry, err)
+          return 'rejected'
+        }
+        if (attempt < attempts) {
+          await sleep(retryBaseDelay * 2 ** (attempt - 1))
+        }
+        continue
+      }
+
+      await fs.rm(entryPath(entry.id), { force: true }).catch((err) => {
+        logger.error(
+          err,
+          `Failed to remove published audit event ${entry.id} from the outbox, it may be published again`
+        )
+      })
+      return 'published'
+    }
+
+    await writeEntry(entry)
+    return 'kept'
+  }
+
+  const backlog = async () => {
+    const entries = await readEntries()
+    return {
+      size: entries.length,
+      oldestCreatedAt: entries[0]?.createdAt ?? null
+    }
+  }
+
+  const send = async (message) => {
+    const entry = {
+      id: `${Date.now()}-${randomUUID()}`,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      message
+    }
+    sending.add(entry.id)
+
+    try {
+      await writeEntry(entry)
+    } catch (err) {
+      logger.error(
+        err,
+        'Failed to write audit event to the outbox, publishing it without'
+      )
+    }
+
+    try {
+      if ((await publishEntry(entry, maxAttempts)) === 'kept') {
+        logger.error(
+          `Failed to publish audit event ${entry.id} after ${entry.attempts} attempts, kept in the outbox to retry: ${entry.lastError}`
+        )
+      }
+    } catch (err) {
+      // Neither published nor journalled, so the log is the only record left of it
+      logger.error(
+        { err, auditMessage: message },
+        `Audit event ${entry.id} could not be published or kept in the outbox`
+      )
+    } finally {
+      sending.delete(entry.id)
+    }
+  }
+
+  const flush = () => {
+    flushing ??= (async () => {
+      let published = 0
+      let rejected = 0
+      try {
+        const entries = (await readEntries()).filter(
+          ({ id }) => !sending.has(id)
+        )
+        for (const entry of entries) {
+          const outcome = await publishEntry(entry, 1)
+          // SNS is still unavailable, so leave the rest in order for the next flush
+          if (outcome === 'kept') {
+            break
+          }
+          if (outcome === 'published') {
+            published += 1
+          } else {
+            rejected += 1
+          }
+        }
+      } catch (err) {
+        logger.error(err, 'Failed to flush the audit outbox')
+      }
+
+      const waiting = await backlog().catch(() => ({
+        size: NaN,
+        oldestCreatedAt: null
+      }))
+      if (published > 0) {
+        logger.info(`Published ${published} audit events from the outbox`)
+      }
+      if (waiting.size !== 0) {
+        logger.warn(
+          `Audit outbox backlog: ${waiting.size} events waiting to be published, oldest queued at ${waiting.oldestCreatedAt}`
+        )
+      }
+      return { published, rejected, backlog: waiting }
+    })().finally(() => {
+      flushing = null
+    })
+    return flushing
+  }
+
+  return { send, flush, backlog }
+}
@@ -0,0 +1,305 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { createAuditOutbox } from '#~/common/helpers/audit-outbox.js'
+
+describe('audit outbox', () => {
+  let folder
+  let publish
+  let logger
+
+  // Stands in for the publisher's own test of whether a message was rejected outright
+  class RejectedError extends Error {}
+  const isRejected = (err) => err instanceof RejectedError
+  let outbox
+
+  const readJournal = async () =>
+    Promise.all(
+      (await fs.readdir(folder))
+        .filter((file) => file.endsWith('.json'))
+        .sort()
+        .map(async (file) =>
+          JSON.parse(await fs.readFile(path.join(folder, file), 'utf8'))
+        )
+    )
+
+  beforeEach(async () => {
+    const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-outbox-'))
+    folder = path.join(tmpDir, 'outbox')
+    publish = vi.fn().mockResolvedValue({})
+    logger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+    outbox = createAuditOutbox({
+      folder,
+      publish,
+      isRejected,
+      maxAttempts: 3,
+      retryBaseDelay: 0,
+      logger
+    })
+  })
+
+  afterEach(async () => {
+    await fs.rm(path.dirname(folder), { recursive: true, force: true })
+  })
+
+  describe('send', () => {
+    test('should journal the message before publishing it, then remove it', async () => {
+      publish.mockImplementationOnce(async () => {
+        const [entry] = await readJournal()
+        expect(entry).toEqual({
+          id: expect.any(String),
+          createdAt: expect.any(String),
+          attempts: 0,
+          message: 'first'
+        })
+      })
+
+      await outbox.send('first')
+
+      expect(publish).toHaveBeenCalledExactlyOnceWith('first')
+      await expect(fs.readdir(folder)).resolves.toEqual([])
+    })
+
+    test('should retry up to the maximum attempts, waiting longer each time', async () => {
+      outbox = createAuditOutbox({
+        folder,
+        publish,
+        isRejected,
+        maxAttempts: 3,
+        retryBaseDelay: 20,
+        logger
+      })
+      publish
+        .mockRejectedValueOnce(new Error('throttled'))
+        .mockRejectedValueOnce(new Error('throttled'))
+
+      const startedAt = performance.now()
+      await outbox.send('first')
+
+      // 20ms before the second attempt and 40ms before the third
+      expect(performance.now() - startedAt).toBeGreaterThanOrEqual(55)
+      expect(publish).toHaveBeenCalledTimes(3)
+      expect(logger.error).not.toHaveBeenCalled()
+      await expect(fs.readdir(folder)).resolves.toEqual([])
+    })
+
+    test('should keep a message that cannot be published, recording why', async () => {
+      publish.mockRejectedValue(new Error('SNS unavailable'))
+
+      await expect(outbox.send('first')).resolves.toBeUndefined()
+
+      expect(publish).toHaveBeenCalledTimes(3)
+      await expect(readJournal()).resolves.toEqual([
+        expect.objectContaining({
+          attempts: 3,
+          lastError: 'SNS unavailable',
+          message: 'first'
+        })
+      ])
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.stringMatching(
+          /^Failed to publish audit event \d+-[\da-f-]+ after 3 attempts, kept in the outbox to retry: SNS unavailable$/
+        )
+      )
+    })
+
+    test('should move a rejected message aside without retrying it', async () => {
+      publish.mockRejectedValueOnce(new RejectedError('Invalid parameter'))
+
+      await outbox.send('first')
+
+      expect(publish).toHaveBeenCalledTimes(1)
+      await expect(readJournal()).resolves.toEqual([])
+      const [file] = await fs.readdir(path.join(folder, 'failed'))
+      await expect(
+        fs.readFile(path.join(folder, 'failed', file), 'utf8').then(JSON.parse)
+      ).resolves.toMatchObject({
+        attempts: 1,
+        lastError: 'Invalid parameter',
+        message: 'first'
+      })
+      expect(logger.error).toHaveBeenCalledExactlyOnceWith(
+        expect.any(RejectedError),
+        `Audit event ${path.basename(file, '.json')} was rejected and will not be retried, moved to ${path.join(folder, 'failed', file)}`
+      )
+    })
+
+    test('should still publish a message the journal cannot be written for', async () => {
+      await fs.mkdir(path.dirname(folder), { recursive: true })
+      await fs.writeFile(folder, 'not a folder')
+
+      await outbox.send('first')
+
+      expect(publish).toHaveBeenCalledExactlyOnceWith('first')
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.objectContaining({ code: 'EEXIST' }),
+        'Failed to write audit event to the outbox, publishing it without'
+      )
+    })
+
+    test('should log the message when it can be neither published nor journalled', async () => {
+      await fs.mkdir(path.dirname(folder), { recursive: true })
+      await fs.writeFile(folder, 'not a folder')
+      publish.mockRejectedValue(new Error('SNS unavailable'))
+
+      await expect(outbox.send('first')).resolves.toBeUndefined()
+
+      expect(logger.error).toHaveBeenLastCalledWith(
+        { err: expect.any(Error), auditMessage: 'first' },
+        expect.stringMatching(
+          /^Audit event .+ could not be published or kept in the outbox$/
+        )
+      )
+    })
+  })
+
+  describe('flush', () => {
+    const leaveInOutbox = async (...messages) => {
+      publish.mockRejectedValue(new Error('SNS unavailable'))
+      for (const message of messages) {
+        await outbox.send(message)
+      }
+      publish.mockReset().mockResolvedValue({})
+      logger.error.mockClear()
+    }
+
+    test('should publish what is left in the outbox, oldest first', async () => {
+      await leaveInOutbox('first', 'second')
+
+      const result = await outbox.flush()
+
+      expect(result).toEqual({
+        published: 2,
+        rejected: 0,
+        backlog: { size: 0, oldestCreatedAt: null }
+      })
+      expect(publish.mock.calls).toEqual([['first'], ['second']])
+      expect(logger.info).toHaveBeenCalledWith(
+        'Published 2 audit events from the outbox'
+      )
+      expect(logger.warn).not.toHaveBeenCalled()
+      await expect(fs.readdir(folder)).resolves.toEqual([])
+    })
+
+    test('should replay what an earlier outbox on the same folder left', async () => {
+      await leaveInOutbox('first')
+      const restarted = createAuditOutbox({
+        folder,
+        publish,
+        isRejected,
+        maxAttempts: 3,
+        retryBaseDelay: 0,
+        logger
+      })
+
+      await expect(restarted.flush()).resolves.toMatchObject({ published: 1 })
+      expect(publish).toHaveBeenCalledExactlyOnceWith('first')
+    })
+
+    test('should stop at the first failure and log the backlog', async () => {
+      await leaveInOutbox('first', 'second')
+      const [oldest] = await readJournal()
+      publish.mockRejectedValueOnce(new Error('still unavailable'))
+
+      const result = await outbox.flush()
+
+      expect(result).toEqual({
+        published: 0,
+        rejected: 0,
+        backlog: { size: 2, oldestCreatedAt: oldest.createdAt }
+      })
+      expect(publish).toHaveBeenCalledTimes(1)
+      expect(logger.warn).toHaveBeenCalledWith(
+        `Audit outbox backlog: 2 events waiting to be published, oldest queued at ${oldest.createdAt}`
+      )
+      await expect(readJournal()).resolves.toEqual([
+        expect.objectContaining({
+          message: 'first',
+          attempts: 4,
+          lastError: 'still unavailable'
+        }),
+        expect.objectContaining({ message: 'second', attempts: 3 })
+      ])
+    })
+
+    test('should move a rejected entry aside and carry on with the rest', async () => {
+      await leaveInOutbox('first', 'second')
+      publish.mockRejectedValueOnce(new RejectedError('Invalid parameter'))
+
+      const result = await outbox.flush()
+
+      expect(result).toEqual({
+        published: 1,
+        rejected: 1,
+        backlog: { size: 0, oldestCreatedAt: null }
+      })
+      expect(publish.mock.calls).toEqual([['first'], ['second']])
+      await expect(fs.readdir(folder)).resolves.toEqual(['failed'])
+      await expect(fs.readdir(path.join(folder, 'failed'))).resolves.toEqual([
+        expect.stringMatching(/\.json$/)
+      ])
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.any(RejectedError),
+        expect.stringMatching(/was rejected and will not be retried/)
+      )
+
+      publish.mockClear()
+      await outbox.flush()
+      expect(publish).not.toHaveBeenCalled()
+    })
+
+    test('should not publish a message that is still being sent', async () => {
+      let publishSent
+      publish.mockImplementationOnce(
+        () =>
+          new Promise((resolve) => {
+            publishSent = resolve
+          })
+      )
+      const sent = outbox.send('first')
+      await vi.waitFor(() => expect(publish).toHaveBeenCalled())
+
+      await expect(outbox.flush()).resolves.toMatchObject({ published: 0 })
+
+      publishSent({})
+      await sent
+      expect(publish).toHaveBeenCalledTimes(1)
+    })
+
+    test('should share a flush that is already running', async () => {
+      await leaveInOutbox('first')
+
+      const [first, second] = await Promise.all([
+        outbox.flush(),
+        outbox.flush()
+      ])
+
+      expect(first).toBe(second)
+      expect(publish).toHaveBeenCalledTimes(1)
+    })
+
+    test('should keep an entry it cannot read and log it', async () => {
+      await fs.mkdir(folder, { recursive: true })
+      await fs.writeFile(path.join(folder, '1-corrupt.json'), '{')
+
+      await expect(outbox.flush()).resolves.toEqual({
+        published: 0,
+        rejected: 0,
+        backlog: { size: 0, oldestCreatedAt: null }
+      })
+      expect(logger.error).toHaveBeenCalledWith(
+        expect.any(SyntaxError),
+        'Cannot read audit outbox entry 1-corrupt.json, keeping it'
+      )
+      await expect(fs.readdir(folder)).resolves.toEqual(['1-corrupt.json'])
+    })
+  })
+
+  test('should report an empty backlog before anything is journalled', async () => {
+    await expect(outbox.backlog()).resolves.toEqual({
+      size: 0,
+      oldestCreatedAt: null
+    })
+  })
+})
@@ -0,0 +1,176 @@
+import Boom from '@hapi/boom'
+import Ajv from 'ajv'
+
+/**
+ * Version of the FCP audit message format the schema describes, published in every payload.
+ * Bump it with any change to the schema, so the central audit service can tell the formats apart.
+ * 0.2.0 strips `audit.details` to the fields the schema lists, and adds the generation, failure,
+ * regeneration and rejection events.
+ */
+export const AUDIT_PAYLOAD_VERSION = '0.2.0'
+
+const digits = (length) => ({ type: 'string', pattern: `^\\d{${length}}$` })
+
+const accountIdentifier = { type: ['string', 'number'] }
+
+/**
+ * What may be recorded in `audit.details`. Anything else the caller passed is stripped rather
+ * than published, so personal data such as the agreement's template data or the holder's account
+ * identifiers (recorded once in `audit.accounts`) never reaches the central audit store.
+ */
+const auditDetailsSchema = {
+  type: 'object',
+  properties: {
+    agreementNumber: { type: 'string' },
+    version: { type: ['string', 'integer'] },
+    correlationId: { type: 'string' },
+    eventId: { type: 'string' },
+    eventType: { type: 'string' },
+    messageId: { type: 'string' },
+    templateId: { type: 'string' },
+    force: { type: 'boolean' },
+    key: { type: 'string' },
+    bucket: { type: 'string' },
+    location: { type: 'string' },
+    checksumAlgorithm: { enum: ['SHA256'] },
+    checksum: { type: 'string' },
+    retainUntil: { type: 'string' },
+    objectLockMode: { enum: ['GOVERNANCE', 'COMPLIANCE'] },
+    legalHold: { type: 'boolean' },
+    stage: { type: 'string' },
+    reason: { type: 'string' },
+    // Validation failures of a rejected message, without the messages that can quote its values
+    details: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          path: { type: 'string' },
+          type: { type: 'string' }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * JSON Schema for the audit message published to the FCP audit SNS topic: the envelope, the
+ * `security` block the protective monitoring service reads and the `audit` block with the
+ * entities and accounts an event is about. Fields not in the schema are stripped.
+ */
+export const auditPayloadSchema = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  $id: `urn:defra:fcp:audit-payload:${AUDIT_PAYLOAD_VERSION}`,
+  title: 'FCP audit message',
+  type: 'object',
+  required: [
+    'datetime',
+    'environment',
+    'version',
+    'application',
+    'component',
+    'ip',
+    'security',
+    'audit'
+  ],
+  properties: {
+    correlationid: { type: 'string' },
+    datetime: {
+      type: 'string',
+      pattern: String.raw`^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$`
+    },
+    environment: { type: 'string', pattern: '^cdp-' },
+    version: { const: AUDIT_PAYLOAD_VERSION },
+    application: { type: 'string', minLength: 1 },
+    component: { type: 'string', minLength: 1 },
+    ip: { type: 'string' },
+    security: {
+      type: 'object',
+      required: ['pmccode', 'priority', 'details'],
+      properties: {
+        pmccode: digits(4),
+        priority: digits(1),
+        details: {
+          type: 'object',
+          required: ['transactioncode', 'message'],
+          properties: {
+            transactioncode: digits(4),
+            message: { type: 'string', minLength: 1 },
+            additionalinfo: { type: 'string' }
+          }
+        }
+      }
+    },
+    audit: {
+      type: 'object',
+      required: ['eventtype', 'entities', 'accounts', 'status', 'details'],
+      properties: {
+        eventtype: { type: 'string', minLength: 1 },
+        entities: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['entity', 'action'],
+            properties: {
+              entity: { type: 'string', minLength: 1 },
+              action: {
+                enum: [
+                  'created',
+                  'read',
+                  'updated',
+                  'deleted',
+                  'submitted',
+                  'accepted',
+                  'rejected',
+                  'withdrawn'
+                ]
+              },
+              entityId: { type: 'string' }
+            }
+          }
+        },
+        accounts: {
+          type: 'object',
+          properties: {
+            sbi: accountIdentifier,
+            frn: accountIdentifier,
+            crn: accountIdentifier
+          }
+        },
+        status: { enum: ['success', 'failure'] },
+        details: auditDetailsSchema
+      }
+    }
+  }
+}
+
+const validateSchema = new Ajv({
+  allErrors: true,
+  allowUnionTypes: true,
+  removeAdditional: 'all'
+}).compile(auditPayloadSchema)
+
+/**
+ * Validate an audit payload against the schema
+ * @param {object} payload - The audit payload, which is left as it is
+ * @returns {object} A copy of the payload, without the fields the schema does not allow
+ * @throws {Boom.Boom} 500 with every schema failure in `data.errors` when the payload does not match
+ */
+export const validateAuditPayload = (payload) => {
+  const sanitised = structuredClone(payload)
+
+  if (!validateSchema(sanitised)) {
+    throw Boom.badImplementation(
+      `Audit payload does not match schema ${AUDIT_PAYLOAD_VERSION}`,
+      {
+        errors: validateSchema.errors.map(({ instancePath, message }) => ({
+          path: instancePath,
+          message
+        }))
+      }
+    )
+  }
+
+  return sanitised
+}
@@ -0,0 +1,83 @@
+import { describe, expect, test } from 'vitest'
+import fs from 'node:fs'
+import path from 'node:path'
+import {
+  AUDIT_PAYLOAD_VERSION,
+  auditPayloadSchema,
+  validateAuditPayload
+} from '#~/common/helpers/audit-payload-schema.js'
+
+const fixturesFolder = path.join(import.meta.dirname, 'audit-payload-fixtures')
+
+// Each fixture is { description, payload } with what is `published` or the schema `errors`
+const readFixtures = (kind) =>
+  fs
+    .readdirSync(path.join(fixturesFolder, kind))
+    .map((file) => [
+      file,
+      JSON.parse(fs.readFileSync(path.join(fixturesFolder, kind, file), 'utf8'))
+    ])
+
+describe('audit payload schema', () => {
+  test('should be identified by the version it describes', () => {
+    expect(auditPayloadSchema.$id).toBe(
+      `urn:defra:fcp:audit-payload:${AUDIT_PAYLOAD_VERSION}`
+    )
+    expect(auditPayloadSchema.properties.version).toEqual({
+      const: AUDIT_PAYLOAD_VERSION
+    })
+  })
+
+  describe('conformance', () => {
+    test.each(readFixtures('valid'))(
+      'should publish %s',
+      (_file, { payload, published }) => {
+        expect(validateAuditPayload(payload)).toEqual(published)
+      }
+    )
+
+    test.each(readFixtures('invalid'))(
+      'should reject %s',
+      (_file, { payload, errors }) => {
+        expect(() => validateAuditPayload(payload)).toThrow(
+          expect.objectContaining({
+            message: `Audit payload does not match schema ${AUDIT_PAYLOAD_VERSION}`,
+            data: { errors }
+          })
+        )
+      }
+    )
+  })
+
+  test('should leave the payload it was given as it is', () => {
+    const [[, { payload }]] = readFixtures('valid').filter(
+      ([file]) => file === 'pdf-generation-started.json'
+    )
+    const original = structuredClone(payload)
+
+    validateAuditPayload(payload)
+
+    expect(payload).toEqual(original)
+  })
+
+  test('should report every failure as a server error', () => {
+    const [[, { payload }]] = readFixtures('valid')
+    payload.version = '0.0.1'
+    payload.audit.status = 'partial'
+
+    expect(() => validateAuditPayload(payload)).toThrow(
+      expect.objectContaining({
+        isServer: true,
+        data: {
+          errors: [
+            { path: '/version', message: 'must be equal to constant' },
+            {
+              path: '/audit/status',
+              message: 'must be equal to one of the allowed values'
+            }
+          ]
+        }
+      })
+    )
+  })
+})
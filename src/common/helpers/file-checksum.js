@@ -0,0 +1,23 @@
+import { createHash } from 'node:crypto'
+import { createReadStream } from 'node:fs'
+import { pipeline } from 'node:stream/promises'
+
+/**
+ * SHA-256 of a stream, read to the end so large PDFs are never held in memory
+ * @param {import('node:stream').Readable} stream
+ * @returns {Promise<string>} Base64 digest, the same encoding S3 uses for ChecksumSHA256
+ */
+export async function sha256Stream(stream) {
+  const hash = createHash('sha256')
+  await pipeline(stream, hash)
+  return hash.digest('base64')
+}
+
+/**
+ * SHA-256 of a file, read as a stream
+ * @param {string} filePath
+ * @returns {Promise<string>} Base64 digest, the same encoding S3 uses for ChecksumSHA256
+ */
+export function sha256File(filePath) {
+  return sha256Stream(createReadStream(filePath))
+}
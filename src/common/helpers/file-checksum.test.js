@@ -0,0 +1,39 @@
+import { afterAll, beforeAll, describe, expect, test } from 'vitest'
+import { createHash } from 'node:crypto'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { Readable } from 'node:stream'
+import { sha256File, sha256Stream } from '#~/common/helpers/file-checksum.js'
+
+describe('file checksum', () => {
+  const expected = createHash('sha256').update('pdf-content').digest('base64')
+  let tmpDir
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-checksum-'))
+  })
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  test('should hash a file as base64', async () => {
+    const filePath = path.join(tmpDir, 'test.pdf')
+    await fs.writeFile(filePath, 'pdf-content')
+
+    await expect(sha256File(filePath)).resolves.toBe(expected)
+  })
+
+  test('should hash a stream read in chunks', async () => {
+    await expect(
+      sha256Stream(Readable.from(['pdf-', 'content']))
+    ).resolves.toBe(expected)
+  })
+
+  test('should reject when the file cannot be read', async () => {
+    await expect(
+      sha256File(path.join(tmpDir, 'missing.pdf'))
+    ).rejects.toMatchObject({ code: 'ENOENT' })
+  })
+})
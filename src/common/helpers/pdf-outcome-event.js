@@ -0,0 +1,57 @@
+import { PublishCommand } from '@aws-sdk/client-sns'
+import { randomUUID } from 'node:crypto'
+import { config } from '#~/config.js'
+import { snsClient } from '#~/common/helpers/sns-client.js'
+
+export const PdfOutcome = Object.freeze({
+  GENERATED: 'generated',
+  FAILED: 'failed'
+})
+
+// Cloud event type config key for each outcome
+const outcomeTypeKeys = {
+  [PdfOutcome.GENERATED]: 'aws.sns.topic.pdfOutcome.generatedType',
+  [PdfOutcome.FAILED]: 'aws.sns.topic.pdfOutcome.failedType'
+}
+
+/**
+ * Builds a CloudEvents 1.0 envelope for a PDF outcome.
+ *
+ * @param {PdfOutcome[keyof PdfOutcome]} outcome
+ * @param {object} data
+ */
+const buildOutcomeEvent = (outcome, data) => ({
+  id: randomUUID(),
+  source: config.get('aws.sns.eventSource'),
+  specversion: '1.0',
+  type: config.get(outcomeTypeKeys[outcome]),
+  datacontenttype: 'application/json',
+  time: new Date().toISOString(),
+  data
+})
+
+/**
+ * Publishes a PDF outcome event so the Farming Grants Agreement API knows where the document is stored.
+ *
+ * `generated` data carries the agreement number, version, bucket, key, retention prefix, size and checksum.
+ * `failed` data carries the agreement number, version, the stage that failed and the reason.
+ * @param {PdfOutcome[keyof PdfOutcome]} outcome
+ * @param {{ agreementNumber: string, version: string|number, correlationId?: string } & object} data
+ * @returns {Promise<void>}
+ */
+export const publishPdfOutcomeEvent = async (outcome, data) => {
+  const topicArn = config.get('aws.sns.topic.pdfOutcome.arn')
+  const event = buildOutcomeEvent(outcome, data)
+
+  await snsClient.send(
+    new PublishCommand({
+      TopicArn: topicArn,
+      Message: JSON.stringify(event),
+      // FIFO topics keep every outcome for an agreement in order
+      ...(topicArn.endsWith('.fifo') && {
+        MessageGroupId: String(data.agreementNumber),
+        MessageDeduplicationId: event.id
+      })
+    })
+  )
+}
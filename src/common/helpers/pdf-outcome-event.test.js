@@ -0,0 +1,137 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+
+const mockSnsClientSend = vi.hoisted(() => vi.fn())
+
+const { mockConfigGet, configMap } = vi.hoisted(() => {
+  const configMap = {
+    'aws.region': 'eu-west-2',
+    'aws.sns.endpoint': 'http://localhost:4566',
+    'aws.accessKeyId': 'test',
+    'aws.secretAccessKey': 'test',
+    'aws.sns.eventSource': 'urn:service:agreement',
+    'aws.sns.topic.pdfOutcome.arn':
+      'arn:aws:sns:eu-west-2:000000000000:agreement_pdf_outcome_fifo.fifo',
+    'aws.sns.topic.pdfOutcome.generatedType':
+      'io.onsite.agreement.pdf.generated',
+    'aws.sns.topic.pdfOutcome.failedType': 'io.onsite.agreement.pdf.failed'
+  }
+  return {
+    configMap,
+    mockConfigGet: vi.fn((key) => configMap[key])
+  }
+})
+
+vi.mock('#~/config.js', () => ({ config: { get: mockConfigGet } }))
+
+vi.mock('@aws-sdk/client-sns', () => ({
+  SNSClient: class MockSNSClient {
+    send(command) {
+      return mockSnsClientSend(command)
+    }
+  },
+  PublishCommand: class MockPublishCommand {
+    constructor(params) {
+      Object.assign(this, params)
+    }
+  }
+}))
+
+describe('publishPdfOutcomeEvent', () => {
+  let publishPdfOutcomeEvent
+  let PdfOutcome
+
+  const generatedData = {
+    agreementNumber: 'FPTT123456789',
+    version: 1,
+    correlationId: 'corr-xyz',
+    bucket: 'test-bucket',
+    key: 'base/FPTT123456789/1/FPTT123456789-1.pdf',
+    location: 's3://test-bucket/base/FPTT123456789/1/FPTT123456789-1.pdf',
+    retentionPrefix: 'base',
+    size: 1024,
+    checksumAlgorithm: 'SHA256',
+    checksum: 'abc123='
+  }
+
+  beforeEach(async () => {
+    vi.resetModules()
+    mockSnsClientSend.mockResolvedValue({})
+    ;({ publishPdfOutcomeEvent, PdfOutcome } =
+      await import('./pdf-outcome-event.js'))
+  })
+
+  afterEach(() => {
+    vi.clearAllMocks()
+  })
+
+  test('PdfOutcome is frozen', () => {
+    expect(Object.isFrozen(PdfOutcome)).toBe(true)
+  })
+
+  test('publishes a CloudEvents envelope for a generated PDF', async () => {
+    await publishPdfOutcomeEvent(PdfOutcome.GENERATED, generatedData)
+
+    expect(mockSnsClientSend).toHaveBeenCalledOnce()
+    const [command] = mockSnsClientSend.mock.calls[0]
+    expect(command.TopicArn).toBe(
+      'arn:aws:sns:eu-west-2:000000000000:agreement_pdf_outcome_fifo.fifo'
+    )
+
+    const event = JSON.parse(command.Message)
+    expect(event).toEqual({
+      id: expect.stringMatching(/^[0-9a-f-]{36}$/),
+      source: 'urn:service:agreement',
+      specversion: '1.0',
+      type: 'io.onsite.agreement.pdf.generated',
+      datacontenttype: 'application/json',
+      time: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+      data: generatedData
+    })
+  })
+
+  test('publishes a failed event with the failed event type', async () => {
+    const failedData = {
+      agreementNumber: 'FPTT123456789',
+      version: 1,
+      stage: 'upload',
+      reason: 'S3 upload failed'
+    }
+
+    await publishPdfOutcomeEvent(PdfOutcome.FAILED, failedData)
+
+    const event = JSON.parse(mockSnsClientSend.mock.calls[0][0].Message)
+    expect(event.type).toBe('io.onsite.agreement.pdf.failed')
+    expect(event.data).toEqual(failedData)
+  })
+
+  test('groups FIFO messages by agreement number and deduplicates by event id', async () => {
+    await publishPdfOutcomeEvent(PdfOutcome.GENERATED, generatedData)
+
+    const [command] = mockSnsClientSend.mock.calls[0]
+    const event = JSON.parse(command.Message)
+    expect(command.MessageGroupId).toBe('FPTT123456789')
+    expect(command.MessageDeduplicationId).toBe(event.id)
+  })
+
+  test('omits FIFO attributes for a standard topic', async () => {
+    const fifoArn = configMap['aws.sns.topic.pdfOutcome.arn']
+    configMap['aws.sns.topic.pdfOutcome.arn'] =
+      'arn:aws:sns:eu-west-2:000000000000:agreement_pdf_outcome'
+
+    await publishPdfOutcomeEvent(PdfOutcome.GENERATED, generatedData)
+
+    const [command] = mockSnsClientSend.mock.calls[0]
+    expect(command.MessageGroupId).toBeUndefined()
+    expect(command.MessageDeduplicationId).toBeUndefined()
+
+    configMap['aws.sns.topic.pdfOutcome.arn'] = fifoArn
+  })
+
+  test('propagates SNS publish errors', async () => {
+    mockSnsClientSend.mockRejectedValueOnce(new Error('SNS unavailable'))
+
+    await expect(
+      publishPdfOutcomeEvent(PdfOutcome.GENERATED, generatedData)
+    ).rejects.toThrow('SNS unavailable')
+  })
+})
@@ -0,0 +1,16 @@
+import { SNSClient } from '@aws-sdk/client-sns'
+import { config } from '#~/config.js'
+
+// Shared by audit and outcome events
+export const snsClient = new SNSClient(
+  process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test'
+    ? {
+        region: config.get('aws.region'),
+        endpoint: config.get('aws.sns.endpoint'),
+        credentials: {
+          accessKeyId: config.get('aws.accessKeyId'),
+          secretAccessKey: config.get('aws.secretAccessKey')
+        }
+      }
+    : {}
+)
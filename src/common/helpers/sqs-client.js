@@ -2,6 +2,41 @@ import { SQSClient } from '@aws-sdk/client-sqs'
 import { Consumer } from 'sqs-consumer'
 import { config } from '#~/config.js'
 import { processMessage } from '#~/common/helpers/sqs-message-processor.js'
+import {
+  getRetryDelay,
+  handleFailedMessage
+} from '#~/common/helpers/sqs-failure-handler.js'
+
+/**
+ * Every timeout a message can wait out while its PDF is rendered, with how many times it can wait
+ * that long: loading an agreement page navigates to it and then submits its form, readiness waits
+ * for the page and then its fonts, and diagnostics of a failed render capture a screenshot and
+ * then the HTML
+ */
+const renderWaits = [
+  ['browserPool.acquireTimeout', 1],
+  ['pdfRendering.navigationTimeout', 2],
+  ['pdfRendering.readinessTimeout', 2],
+  ['pdfRendering.printTimeout', 1],
+  ['renderDiagnostics.captureTimeout', 2]
+]
+
+/**
+ * Time in milliseconds a message has to be processed: every wait of rendering its PDF at its
+ * timeout, with the timestamp authority's when signatures are timestamped, plus the margin for
+ * storing the PDF and publishing its outcome. A render still within its timeouts is never cut
+ * short, so it cannot carry on holding a browser while the message is redelivered.
+ * @returns {number}
+ */
+const getHandleMessageTimeout = () =>
+  renderWaits.reduce(
+    (total, [key, times]) => total + config.get(key) * times,
+    config.get('aws.sqs.processingMargin') +
+      (config.get('pdfSigning.enabled') &&
+      config.get('pdfSigning.level') === 'B-T'
+        ? config.get('pdfSigning.timestampTimeout')
+        : 0)
+  )
 
 /**
  * Hapi plugin for SQS message processing
@@ -31,23 +66,31 @@ export const sqsClientPlugin = {
 
       const app = Consumer.create({
         queueUrl: options.queueUrl,
+        // Returning the message deletes it from the queue, throwing leaves it to be retried
         handleMessage: async (message) => {
           try {
             await processMessage(message, server.logger)
             server.logger.info(
               `Successfully processed message: ${message.MessageId}`
             )
+            return message
           } catch (err) {
             server.logger.error(err, 'Failed to process message')
+            return handleFailedMessage(err, message, {
+              sqsClient,
+              logger: server.logger
+            })
           }
-
-          return message
         },
+        // Back off transiently failed messages by extending their visibility timeout
+        terminateVisibilityTimeout: getRetryDelay,
         sqs: sqsClient,
         batchSize: config.get('aws.sqs.maxMessages'),
         waitTimeSeconds: config.get('aws.sqs.waitTime'),
+        // Messages stay hidden while they are processed, however long rendering takes
         visibilityTimeout: config.get('aws.sqs.visibilityTimeout'),
-        handleMessageTimeout: 30000, // 30 seconds timeout for message processing
+        heartbeatInterval: config.get('aws.sqs.heartbeatInterval'),
+        handleMessageTimeout: getHandleMessageTimeout(),
         attributeNames: ['All'],
         messageAttributeNames: ['All']
       })
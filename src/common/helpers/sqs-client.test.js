@@ -1,6 +1,7 @@
 import { vi } from 'vitest'
 import { Consumer } from 'sqs-consumer'
 import { sqsClientPlugin } from '#~/common/helpers/sqs-client.js'
+import { config } from '#~/config.js'
 
 // Mock AWS SDK credential provider
 vi.mock('@aws-sdk/credential-provider-node', () => ({
@@ -23,10 +24,19 @@ vi.mock('@aws-sdk/client-sqs', () => {
       constructor() {
         return mockSqsClientInstance
       }
+    },
+    SendMessageCommand: class MockSendMessageCommand {
+      constructor(input) {
+        this.input = input
+      }
     }
   }
 })
 vi.mock('sqs-consumer')
+vi.mock('#~/common/helpers/audit-event.js', () => ({
+  auditEvent: vi.fn(),
+  AuditEvent: {}
+}))
 vi.mock('#~/config.js', () => ({
   config: {
     get: vi.fn((key) => {
@@ -37,12 +47,34 @@ vi.mock('#~/config.js', () => ({
           return 5
         case 'aws.sqs.visibilityTimeout':
           return 30
+        case 'aws.sqs.heartbeatInterval':
+          return 10
+        case 'aws.sqs.processingMargin':
+          return 30000
+        case 'browserPool.acquireTimeout':
+          return 20000
+        case 'pdfRendering.navigationTimeout':
+          return 10000
+        case 'pdfRendering.readinessTimeout':
+          return 4000
+        case 'pdfRendering.printTimeout':
+          return 3000
+        case 'renderDiagnostics.captureTimeout':
+          return 500
+        case 'pdfSigning.timestampTimeout':
+          return 10000
         case 'aws.region':
           return 'eu-west-2'
         case 'aws.sqs.endpoint':
           return 'http://localhost:4566'
         case 'aws.sqs.queueUrl':
           return 'test-queue-url'
+        case 'aws.sqs.retryBaseDelay':
+          return 10
+        case 'aws.sqs.retryMaxDelay':
+          return 300
+        case 'aws.sqs.maxReceiveCount':
+          return 5
         case 'featureFlags.seedDb':
           return true
         default:
@@ -113,7 +145,9 @@ describe('SQS Client', () => {
         batchSize: 10,
         waitTimeSeconds: 5,
         visibilityTimeout: 30,
-        handleMessageTimeout: 30000,
+        heartbeatInterval: 10,
+        terminateVisibilityTimeout: expect.any(Function),
+        handleMessageTimeout: 82000,
         attributeNames: ['All'],
         messageAttributeNames: ['All']
       })
@@ -138,6 +172,30 @@ describe('SQS Client', () => {
       )
     })
 
+    it('should give messages time for every wait of a render at its timeout', () => {
+      sqsClientPlugin.plugin.register(server, options)
+
+      const { handleMessageTimeout } = Consumer.create.mock.calls[0][0]
+      expect(handleMessageTimeout).toBe(
+        // Acquiring a browser, two navigations, the page and its fonts being ready, printing,
+        // a screenshot and the HTML of a failed render, and the processing margin
+        20000 + 2 * 10000 + 2 * 4000 + 3000 + 2 * 500 + 30000
+      )
+    })
+
+    it('should give messages time for every rendering stage and the timestamp authority', () => {
+      const signing = { 'pdfSigning.enabled': true, 'pdfSigning.level': 'B-T' }
+      const get = config.get.getMockImplementation()
+      config.get.mockImplementation((key) => signing[key] ?? get(key))
+
+      sqsClientPlugin.plugin.register(server, options)
+
+      expect(Consumer.create).toHaveBeenCalledWith(
+        expect.objectContaining({ handleMessageTimeout: 92000 })
+      )
+      config.get.mockImplementation(get)
+    })
+
     it('should handle plugin cleanup on server stop', async () => {
       sqsClientPlugin.plugin.register(server, options)
 
@@ -170,7 +228,10 @@ describe('SQS Client', () => {
         MessageId: 'msg-1'
       }
 
-      await messageHandler(invalidMessage)
+      // Without a dead-letter queue the message is left on the queue for its redrive policy
+      await expect(messageHandler(invalidMessage)).rejects.toThrow(
+        'Invalid message format'
+      )
 
       expect(mockLogger.error).toHaveBeenCalledWith(
         expect.any(Error),
@@ -178,6 +239,52 @@ describe('SQS Client', () => {
       )
     })
 
+    it('should move permanently failed messages to the dead-letter queue', async () => {
+      const { config } = await import('#~/config.js')
+      const defaultConfigGet = config.get.getMockImplementation()
+      config.get.mockImplementation((key) =>
+        key === 'aws.sqs.deadLetterQueueUrl'
+          ? 'test-dead-letter-queue-url'
+          : defaultConfigGet(key)
+      )
+      mockSqsClient.send.mockResolvedValueOnce({})
+
+      sqsClientPlugin.plugin.register(server, options)
+
+      const messageHandler = Consumer.create.mock.calls[0][0].handleMessage
+      const invalidMessage = {
+        Body: 'invalid json',
+        MessageId: 'msg-1'
+      }
+
+      const result = await messageHandler(invalidMessage)
+
+      // Returning the message deletes it from the source queue
+      expect(result).toBe(invalidMessage)
+      expect(mockSqsClient.send).toHaveBeenCalledWith(
+        expect.objectContaining({
+          input: expect.objectContaining({
+            QueueUrl: 'test-dead-letter-queue-url',
+            MessageBody: 'invalid json'
+          })
+        })
+      )
+
+      config.get.mockImplementation(defaultConfigGet)
+    })
+
+    it('should back off retries using the message receive count', () => {
+      sqsClientPlugin.plugin.register(server, options)
+
+      const { terminateVisibilityTimeout } = Consumer.create.mock.calls[0][0]
+
+      expect(
+        terminateVisibilityTimeout([
+          { Attributes: { ApproximateReceiveCount: '1' } }
+        ])
+      ).toEqual(expect.any(Number))
+    })
+
     it('should handle consumer errors', () => {
       sqsClientPlugin.plugin.register(server, options)
 
@@ -226,7 +333,9 @@ describe('SQS Client', () => {
       const validMessage = {
         Body: JSON.stringify({
           type: 'agreement.status.updated',
-          data: { test: 'data' }
+          specversion: '1.0',
+          time: '2025-10-06T16:41:59.497Z',
+          data: { agreementNumber: 'FPTT123456789', status: 'offered' }
         }),
         MessageId: 'msg-12345'
       }
@@ -0,0 +1,148 @@
+import { SendMessageCommand } from '@aws-sdk/client-sqs'
+import Boom from '@hapi/boom'
+import { config } from '#~/config.js'
+
+/**
+ * @import { Message, SQSClient } from '@aws-sdk/client-sqs'
+ */
+
+/**
+ * A failure is permanent when retrying the message can never succeed, e.g. invalid JSON,
+ * an unknown event type or a disallowed domain. These are raised as Boom 4xx errors.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export const isPermanentFailure = (err) =>
+  Boom.isBoom(err) && err.output.statusCode < 500
+
+/**
+ * Number of times SQS has delivered the message, including this delivery
+ * @param {Message} message
+ * @returns {number}
+ */
+const getReceiveCount = (message) =>
+  Number(message.Attributes?.ApproximateReceiveCount ?? 1)
+
+/**
+ * Whether this is the last delivery of the message, so a transient failure dead-letters it rather
+ * than leaving it to be retried
+ * @param {Message} message
+ * @returns {boolean}
+ */
+export const isLastDelivery = (message) =>
+  getReceiveCount(message) >= config.get('aws.sqs.maxReceiveCount')
+
+/**
+ * Exponential backoff for a transiently failed message, used as its new visibility timeout
+ * @param {Message[]} messages The failed message(s)
+ * @returns {number} Seconds before the message becomes visible again
+ */
+export const getRetryDelay = ([message]) => {
+  const baseDelay = config.get('aws.sqs.retryBaseDelay')
+  const maxDelay = config.get('aws.sqs.retryMaxDelay')
+
+  return Math.min(baseDelay * 2 ** (getReceiveCount(message) - 1), maxDelay)
+}
+
+/**
+ * Send the failed message to the dead-letter queue with the failure reason attached
+ * @param {SQSClient} sqsClient
+ * @param {string} deadLetterQueueUrl
+ * @param {Message} message
+ * @param {Error} err
+ * @param {'permanent'|'retries-exhausted'} failureType
+ */
+const sendToDeadLetterQueue = async (
+  sqsClient,
+  deadLetterQueueUrl,
+  message,
+  err,
+  failureType
+) => {
+  const stringAttribute = (value) => ({
+    DataType: 'String',
+    StringValue: String(value)
+  })
+
+  const statusCode = Boom.isBoom(err) ? err.output.statusCode : 500
+  const failureDetails = Boom.isBoom(err) ? err.data : undefined
+
+  await sqsClient.send(
+    new SendMessageCommand({
+      QueueUrl: deadLetterQueueUrl,
+      MessageBody: message.Body,
+      MessageAttributes: {
+        failureType: stringAttribute(failureType),
+        failureReason: stringAttribute(err.message),
+        failureStatusCode: stringAttribute(statusCode),
+        ...(failureDetails?.details && {
+          failureDetails: stringAttribute(
+            JSON.stringify(failureDetails.details)
+          )
+        }),
+        originalMessageId: stringAttribute(message.MessageId),
+        receiveCount: stringAttribute(getReceiveCount(message))
+      },
+      ...(deadLetterQueueUrl.endsWith('.fifo') && {
+        MessageGroupId: message.Attributes?.MessageGroupId ?? message.MessageId,
+        MessageDeduplicationId: message.MessageId
+      })
+    })
+  )
+}
+
+/**
+ * Decide what happens to a message that failed processing.
+ *
+ * Permanent failures, and transient failures that have used up `aws.sqs.maxReceiveCount`
+ * deliveries, are moved to the dead-letter queue and the message is returned so the
+ * consumer deletes it from the source queue. Anything else is rethrown so the consumer
+ * leaves the message on the queue, to be redelivered after the backoff from {@link getRetryDelay}.
+ * @param {Error} err The processing error
+ * @param {Message} message The SQS message that failed
+ * @param {{ sqsClient: SQSClient, logger: import('pino').Logger }} options
+ * @returns {Promise<Message>} The message, once it has been dead-lettered
+ * @throws {Error} The original error when the message should be retried
+ */
+export const handleFailedMessage = async (
+  err,
+  message,
+  { sqsClient, logger }
+) => {
+  const receiveCount = getReceiveCount(message)
+  const permanent = isPermanentFailure(err)
+  const retriesExhausted = isLastDelivery(message)
+
+  if (!permanent && !retriesExhausted) {
+    logger.warn(
+      `Transient failure processing message ${message.MessageId} (attempt ${receiveCount}), retrying in ${getRetryDelay([message])}s: ${err.message}`
+    )
+    throw err
+  }
+
+  const failureType = permanent ? 'permanent' : 'retries-exhausted'
+  const deadLetterQueueUrl = config.get('aws.sqs.deadLetterQueueUrl')
+
+  if (!deadLetterQueueUrl) {
+    logger.error(
+      err,
+      `Message ${message.MessageId} failed (${failureType}) and no dead-letter queue is configured, leaving it on the queue`
+    )
+    throw err
+  }
+
+  await sendToDeadLetterQueue(
+    sqsClient,
+    deadLetterQueueUrl,
+    message,
+    err,
+    failureType
+  )
+
+  logger.error(
+    err,
+    `Message ${message.MessageId} failed (${failureType}) and was moved to the dead-letter queue`
+  )
+
+  return message
+}
@@ -0,0 +1,240 @@
+import { vi } from 'vitest'
+import Boom from '@hapi/boom'
+import {
+  getRetryDelay,
+  handleFailedMessage,
+  isLastDelivery,
+  isPermanentFailure
+} from '#~/common/helpers/sqs-failure-handler.js'
+
+const { mockConfigGetFn } = vi.hoisted(() => ({
+  mockConfigGetFn: vi.fn()
+}))
+
+vi.mock('#~/config.js', () => ({
+  config: {
+    get: mockConfigGetFn
+  }
+}))
+
+vi.mock('@aws-sdk/client-sqs', () => ({
+  SendMessageCommand: class MockSendMessageCommand {
+    constructor(input) {
+      this.input = input
+    }
+  }
+}))
+
+describe('SQS failure handler', () => {
+  let mockLogger
+  let mockSqsClient
+  let configMap
+
+  const message = {
+    MessageId: 'msg-1',
+    Body: '{"type":"agreement.status.updated"}',
+    Attributes: {
+      ApproximateReceiveCount: '1',
+      MessageGroupId: 'FPTT123456789'
+    }
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn()
+    }
+    mockSqsClient = {
+      send: vi.fn().mockResolvedValue({})
+    }
+
+    configMap = {
+      'aws.sqs.deadLetterQueueUrl':
+        'http://localhost:4566/000000000000/create_agreement_pdf_dlq.fifo',
+      'aws.sqs.maxReceiveCount': 3,
+      'aws.sqs.retryBaseDelay': 10,
+      'aws.sqs.retryMaxDelay': 60
+    }
+    mockConfigGetFn.mockImplementation((key) => configMap[key])
+  })
+
+  describe('isPermanentFailure', () => {
+    test.each([
+      ['bad data', Boom.badData('Invalid message format'), true],
+      ['bad request', Boom.badRequest('Unrecognized event type'), true],
+      ['forbidden', Boom.forbidden('Domain not allowed'), true],
+      ['internal error', Boom.internal('S3 unavailable'), false],
+      ['gateway timeout', Boom.gatewayTimeout('Navigation timeout'), false],
+      ['plain error', new Error('Browser crashed'), false]
+    ])('should classify %s', (_name, err, expected) => {
+      expect(isPermanentFailure(err)).toBe(expected)
+    })
+  })
+
+  describe('isLastDelivery', () => {
+    test.each([
+      ['1', false],
+      ['2', false],
+      ['3', true],
+      ['4', true]
+    ])(
+      'should report whether delivery %s of 3 is the last: %s',
+      (receiveCount, expected) => {
+        expect(
+          isLastDelivery({
+            ...message,
+            Attributes: { ApproximateReceiveCount: receiveCount }
+          })
+        ).toBe(expected)
+      }
+    )
+  })
+
+  describe('getRetryDelay', () => {
+    test.each([
+      ['1', 10],
+      ['2', 20],
+      ['3', 40],
+      ['4', 60],
+      ['10', 60]
+    ])(
+      'should back off exponentially on receive %s',
+      (receiveCount, expected) => {
+        expect(
+          getRetryDelay([
+            { Attributes: { ApproximateReceiveCount: receiveCount } }
+          ])
+        ).toBe(expected)
+      }
+    )
+
+    test('should treat a message without a receive count as the first attempt', () => {
+      expect(getRetryDelay([{}])).toBe(10)
+    })
+  })
+
+  describe('handleFailedMessage', () => {
+    test('should rethrow transient failures so the message is retried', async () => {
+      const err = new Error('Browser crashed')
+
+      await expect(
+        handleFailedMessage(err, message, {
+          sqsClient: mockSqsClient,
+          logger: mockLogger
+        })
+      ).rejects.toBe(err)
+
+      expect(mockSqsClient.send).not.toHaveBeenCalled()
+      expect(mockLogger.warn).toHaveBeenCalledWith(
+        'Transient failure processing message msg-1 (attempt 1), retrying in 10s: Browser crashed'
+      )
+    })
+
+    test('should move permanent failures to the dead-letter queue with the reason attached', async () => {
+      const err = Boom.badData('Invalid message format', {
+        details: [{ message: '"data.version" is required' }]
+      })
+
+      const result = await handleFailedMessage(err, message, {
+        sqsClient: mockSqsClient,
+        logger: mockLogger
+      })
+
+      expect(result).toBe(message)
+      expect(mockSqsClient.send).toHaveBeenCalledTimes(1)
+      expect(mockSqsClient.send.mock.calls[0][0].input).toEqual({
+        QueueUrl:
+          'http://localhost:4566/000000000000/create_agreement_pdf_dlq.fifo',
+        MessageBody: message.Body,
+        MessageAttributes: {
+          failureType: { DataType: 'String', StringValue: 'permanent' },
+          failureReason: {
+            DataType: 'String',
+            StringValue: 'Invalid message format'
+          },
+          failureStatusCode: { DataType: 'String', StringValue: '422' },
+          failureDetails: {
+            DataType: 'String',
+            StringValue: '[{"message":"\\"data.version\\" is required"}]'
+          },
+          originalMessageId: { DataType: 'String', StringValue: 'msg-1' },
+          receiveCount: { DataType: 'String', StringValue: '1' }
+        },
+        MessageGroupId: 'FPTT123456789',
+        MessageDeduplicationId: 'msg-1'
+      })
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        err,
+        'Message msg-1 failed (permanent) and was moved to the dead-letter queue'
+      )
+    })
+
+    test('should dead-letter transient failures once retries are exhausted', async () => {
+      const err = new Error('S3 service unavailable')
+      const exhaustedMessage = {
+        ...message,
+        Attributes: { ...message.Attributes, ApproximateReceiveCount: '3' }
+      }
+
+      const result = await handleFailedMessage(err, exhaustedMessage, {
+        sqsClient: mockSqsClient,
+        logger: mockLogger
+      })
+
+      expect(result).toBe(exhaustedMessage)
+      const { MessageAttributes } = mockSqsClient.send.mock.calls[0][0].input
+      expect(MessageAttributes.failureType.StringValue).toBe(
+        'retries-exhausted'
+      )
+      expect(MessageAttributes.failureStatusCode.StringValue).toBe('500')
+      expect(MessageAttributes.failureDetails).toBeUndefined()
+    })
+
+    test('should not set FIFO attributes for a standard dead-letter queue', async () => {
+      configMap['aws.sqs.deadLetterQueueUrl'] =
+        'http://localhost:4566/000000000000/create_agreement_pdf_dlq'
+
+      await handleFailedMessage(Boom.badRequest('Bad'), message, {
+        sqsClient: mockSqsClient,
+        logger: mockLogger
+      })
+
+      const { input } = mockSqsClient.send.mock.calls[0][0]
+      expect(input.MessageGroupId).toBeUndefined()
+      expect(input.MessageDeduplicationId).toBeUndefined()
+    })
+
+    test('should leave permanent failures on the queue when no dead-letter queue is configured', async () => {
+      configMap['aws.sqs.deadLetterQueueUrl'] = null
+      const err = Boom.badRequest('Unrecognized event type')
+
+      await expect(
+        handleFailedMessage(err, message, {
+          sqsClient: mockSqsClient,
+          logger: mockLogger
+        })
+      ).rejects.toBe(err)
+
+      expect(mockSqsClient.send).not.toHaveBeenCalled()
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        err,
+        'Message msg-1 failed (permanent) and no dead-letter queue is configured, leaving it on the queue'
+      )
+    })
+
+    test('should rethrow when the dead-letter queue cannot be reached', async () => {
+      const sendError = new Error('SQS unavailable')
+      mockSqsClient.send.mockRejectedValueOnce(sendError)
+
+      await expect(
+        handleFailedMessage(Boom.badRequest('Bad'), message, {
+          sqsClient: mockSqsClient,
+          logger: mockLogger
+        })
+      ).rejects.toBe(sendError)
+    })
+  })
+})
@@ -1,106 +1,40 @@
 import Boom from '@hapi/boom'
-import { generatePdf } from '#~/services/pdf-generator.js'
-import { uploadPdf } from '#~/services/file-upload.js'
-import { config } from '#~/config.js'
+import { generateAndUploadPdf } from '#~/services/agreement-pdf.js'
+import { isUrlDomainAllowed } from '#~/common/helpers/url-allow-list.js'
+import { validateAgreementStatusUpdatedEvent } from '#~/common/helpers/agreement-event-schema.js'
+import { auditEvent, AuditEvent } from '#~/common/helpers/audit-event.js'
+import { isLastDelivery } from '#~/common/helpers/sqs-failure-handler.js'
 
-/**
- * Generate and upload PDF from agreement URL
- * @param {object} data - The payload data containing agreement data
- * @param {import('@hapi/hapi').Server} logger - The logger instance
- * @returns {Promise<string>} The path to the generated PDF
- */
-const generateAndUploadPdf = async (data, logger) => {
-  const agreementNumber = data.agreementNumber
-  const version = data.version
-  const endDate = data.endDate
-  const correlationId = data.correlationId
-  const accounts = {
-    sbi: data.sbi,
-    frn: data.frn,
-    crn: data.crn
-  }
-
-  // version is currently hardcoded until the version is passed from the API service
-  const filename = `${agreementNumber}-${version}.pdf`
-
-  logger.info(
-    `Generating Agreement ${agreementNumber}-${version} PDF from agreement URL ${data.agreementUrl}`
-  )
-
-  let pdfPath = ''
-
-  try {
-    pdfPath = await generatePdf(data, filename, logger)
-    logger.info(`PDF ${filename} generated successfully and save to ${pdfPath}`)
-  } catch (err) {
-    logger.error(
-      err,
-      `Failed to generate agreement ${agreementNumber}-${version} PDF from URL ${data.agreementUrl}`
-    )
-    return pdfPath
-  }
-
-  await uploadPdfToS3(
-    pdfPath,
-    filename,
-    agreementNumber,
-    version,
-    endDate,
-    { correlationId, accounts },
-    logger
-  )
-  return pdfPath
-}
-
-/**
- * Upload PDF to S3
- * @param {string} pdfPath - The path to the PDF file
- * @param {string} filename - The filename for the PDF
- * @param {string} agreementNumber - The agreement number
- * @param {number} version - The agreement version
- * @param {Date|string} endDate - The agreement end date
- * @param {{ correlationId: string, accounts: object }} options - Correlation ID and known account identifiers
- * @param {import('@hapi/hapi').Server} logger - The logger instance
- * @returns {Promise<void>}
- */
-const uploadPdfToS3 = async (
-  pdfPath,
-  filename,
-  agreementNumber,
-  version,
-  endDate,
-  { correlationId, accounts },
-  logger
-) => {
-  try {
-    const uploadResult = await uploadPdf(
-      pdfPath,
-      filename,
-      agreementNumber,
-      version,
-      endDate,
-      logger,
-      { correlationId, accounts }
-    )
-    logger.info(
-      `Agreement ${agreementNumber} PDF uploaded successfully (${uploadResult.success}) to S3`
-    )
-  } catch (err) {
-    logger.error(
-      err,
-      `Failed to upload agreement ${agreementNumber} PDF ${pdfPath} to S3`
-    )
-  }
-}
+// A rejected message can have anything in any field, so it is audited as the text it was sent as
+const asText = (value) => (value === undefined ? undefined : String(value))
 
 /**
- * Check if the URL domain is allowed
- * @param {string} url
- * @returns {boolean}
+ * Audit a message rejected before any PDF is generated for it, because it can never succeed
+ * @param {string} notificationMessageId - The AWS notification message ID
+ * @param {object} [payload] - The message payload, if it could be parsed
+ * @param {Error} err - Why the message was rejected
  */
-const isUrlDomainAllowed = (url) => {
-  const domain = new URL(url).hostname
-  return config.get('allowedDomains').includes(domain)
+const auditRejectedMessage = (notificationMessageId, payload, err) => {
+  const data = payload?.data ?? {}
+  auditEvent(
+    AuditEvent.MESSAGE_REJECTED,
+    {
+      agreementNumber: asText(data.agreementNumber),
+      version: asText(data.version),
+      messageId: notificationMessageId,
+      eventId: asText(payload?.id),
+      eventType: asText(payload?.type),
+      reason: err.message,
+      ...(err.data?.details && { details: err.data.details }),
+      correlationId: asText(data.correlationId),
+      identifiers: {
+        sbi: asText(data.sbi),
+        frn: asText(data.frn),
+        crn: asText(data.crn)
+      }
+    },
+    'failure'
+  )
 }
 
 /**
@@ -108,32 +42,42 @@ const isUrlDomainAllowed = (url) => {
  * @param {string} notificationMessageId - The AWS notification message ID
  * @param {object} payload - The message payload
  * @param {import('@hapi/hapi').Server} logger - The logger instance
- * @returns {Promise<string>} The path to the generated PDF
+ * @param {{ lastAttempt: boolean }} options - Whether the message will not be retried if it fails
+ * @returns {Promise<object|string>} Where the PDF is stored, or an empty string when no PDF is needed
  */
 const processOfferAcceptedEvent = async (
   notificationMessageId,
   payload,
-  logger
+  logger,
+  { lastAttempt }
 ) => {
   logger.info(`Processing agreement offer from event: ${notificationMessageId}`)
 
-  if (!payload?.data?.agreementUrl) {
-    return ''
-  }
-
   if (payload.data.status !== 'accepted') {
     logger.info(`Skipping PDF generation for status: ${payload.data.status}`)
     return ''
   }
 
-  if (!isUrlDomainAllowed(payload.data.agreementUrl)) {
+  if (
+    payload.data.agreementUrl &&
+    !isUrlDomainAllowed(payload.data.agreementUrl)
+  ) {
     logger.warn(
       `Skipping PDF generation for URL: ${payload.data.agreementUrl} domain is not on allow list`
     )
-    return ''
+    const err = Boom.forbidden('Agreement URL domain is not on allow list', {
+      agreementUrl: payload.data.agreementUrl
+    })
+    auditRejectedMessage(notificationMessageId, payload, err)
+    throw err
   }
 
-  return generateAndUploadPdf(payload.data, logger)
+  return generateAndUploadPdf(payload.data, logger, {
+    eventId: payload.id,
+    eventType: payload.type,
+    requestedAt: payload.time,
+    lastAttempt
+  })
 }
 
 /**
@@ -141,18 +85,35 @@ const processOfferAcceptedEvent = async (
  * @param {string} notificationMessageId - The AWS notification message ID
  * @param {object} payload - The message payload
  * @param {import('@hapi/hapi').Server} logger - The logger instance
+ * @param {{ lastAttempt: boolean }} options - Whether the message will not be retried if it fails
  * @returns {Promise<String>}
  */
-const handleEvent = async (notificationMessageId, payload, logger) => {
-  if (!payload.type.includes('agreement.status.updated')) {
-    throw new Error('Unrecognized event type')
+const handleEvent = async (notificationMessageId, payload, logger, options) => {
+  let event
+  try {
+    if (!payload?.type?.includes('agreement.status.updated')) {
+      throw Boom.badRequest('Unrecognized event type', { type: payload?.type })
+    }
+    event = validateAgreementStatusUpdatedEvent(payload)
+  } catch (err) {
+    auditRejectedMessage(notificationMessageId, payload, err)
+    throw err
   }
 
-  return processOfferAcceptedEvent(notificationMessageId, payload, logger)
+  return processOfferAcceptedEvent(
+    notificationMessageId,
+    event,
+    logger,
+    options
+  )
 }
 
 /**
  * Handle message processing errors
+ *
+ * Errors are rethrown as Boom errors so the SQS consumer can classify them:
+ * 4xx errors are permanent (the message can never succeed) and 5xx errors are
+ * transient (browser crash, S3 outage, navigation timeout) and worth retrying.
  * @param {Error} err - The error that occurred
  * @param {object} message - The SQS message that caused the error
  * @param {import('@hapi/hapi').Server} logger - The logger instance
@@ -161,7 +122,12 @@ const handleEvent = async (notificationMessageId, payload, logger) => {
 const handleProcessingError = (err, message, logger) => {
   logger.error(err, 'Error processing message')
 
+  if (Boom.isBoom(err)) {
+    throw err
+  }
+
   if (err.name === 'SyntaxError') {
+    auditRejectedMessage(message.MessageId, undefined, err)
     throw Boom.badData('Invalid message format', {
       message,
       error: err.message
@@ -195,7 +161,9 @@ export const processMessage = async (message, logger) => {
     }
 
     logger.info('Processing payload:', JSON.stringify(payload))
-    await handleEvent(message.MessageId, payload, logger)
+    await handleEvent(message.MessageId, payload, logger, {
+      lastAttempt: isLastDelivery(message)
+    })
   } catch (err) {
     handleProcessingError(err, message, logger)
   }
@@ -1,33 +1,86 @@
+import Boom from '@hapi/boom'
 import { vi } from 'vitest'
 
 // Import after mocks are set up
 import { processMessage } from '#~/common/helpers/sqs-message-processor.js'
 
 // Use vi.hoisted() to ensure mock functions are available before mock factories run
-const { mockGeneratePdfFn, mockUploadPdfFn, mockConfigGetFn } = vi.hoisted(
-  () => {
-    const configFn = vi.fn((key) => {
-      switch (key) {
-        case 'allowedDomains':
-          return ['example.com']
-        default:
-          return undefined
-      }
-    })
-    return {
-      mockGeneratePdfFn: vi.fn(),
-      mockUploadPdfFn: vi.fn(),
-      mockConfigGetFn: configFn
+const {
+  mockGeneratePdfFn,
+  mockUploadPdfFn,
+  mockFindUploadedPdfFn,
+  mockSetPdfLegalHoldFn,
+  mockIdempotencyStore,
+  mockConfigGetFn,
+  mockPublishPdfOutcomeEventFn,
+  mockVerifyPdfSignatureFileFn,
+  mockRemoveTemporaryFileFn,
+  mockAuditEventFn
+} = vi.hoisted(() => {
+  const configFn = vi.fn((key) => {
+    switch (key) {
+      case 'allowedDomains':
+        return ['example.com']
+      default:
+        return undefined
     }
+  })
+  return {
+    mockGeneratePdfFn: vi.fn(),
+    mockUploadPdfFn: vi.fn(),
+    mockFindUploadedPdfFn: vi.fn(),
+    mockSetPdfLegalHoldFn: vi.fn(),
+    mockIdempotencyStore: { get: vi.fn(), set: vi.fn() },
+    mockConfigGetFn: configFn,
+    mockPublishPdfOutcomeEventFn: vi.fn(),
+    mockVerifyPdfSignatureFileFn: vi.fn(),
+    mockRemoveTemporaryFileFn: vi.fn(),
+    mockAuditEventFn: vi.fn()
   }
-)
+})
 
 vi.mock('#~/services/pdf-generator.js', () => ({
   generatePdf: mockGeneratePdfFn
 }))
 
 vi.mock('#~/services/file-upload.js', () => ({
-  uploadPdf: mockUploadPdfFn
+  uploadPdf: mockUploadPdfFn,
+  findUploadedPdf: mockFindUploadedPdfFn,
+  setPdfLegalHold: mockSetPdfLegalHoldFn
+}))
+
+vi.mock('#~/services/pdf-signing.js', () => ({
+  verifyPdfSignatureFile: mockVerifyPdfSignatureFileFn
+}))
+
+vi.mock('#~/common/helpers/file-cleanup.js', () => ({
+  removeTemporaryFile: mockRemoveTemporaryFileFn
+}))
+
+vi.mock('#~/services/idempotency-store.js', () => ({
+  buildIdempotencyKey: ({ agreementNumber, version, eventId }) =>
+    [
+      agreementNumber,
+      version,
+      mockConfigGetFn('idempotency.includeEventId') && eventId
+    ]
+      .filter(Boolean)
+      .join(':'),
+  getIdempotencyStore: () => mockIdempotencyStore
+}))
+
+vi.mock('#~/common/helpers/audit-event.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  auditEvent: mockAuditEventFn
+}))
+
+vi.mock('#~/common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({ error: vi.fn() })
+}))
+
+vi.mock('#~/common/helpers/pdf-outcome-event.js', () => ({
+  PdfOutcome: { GENERATED: 'generated', FAILED: 'failed' },
+  publishPdfOutcomeEvent: mockPublishPdfOutcomeEventFn
 }))
 
 vi.mock('#~/config.js', () => ({
@@ -56,30 +109,50 @@ describe('SQS message processor', () => {
       switch (key) {
         case 'allowedDomains':
           return ['example.com', 'test.example.com']
+        // Every delivery is the last, so failures are published as they happen
+        case 'aws.sqs.maxReceiveCount':
+          return 1
         default:
           return undefined
       }
     })
-    mockGeneratePdfFn.mockResolvedValue('/path/to/generated.pdf')
+    mockGeneratePdfFn.mockResolvedValue({
+      outputPath: '/path/to/generated.pdf',
+      checksum: 'test-checksum'
+    })
     mockUploadPdfFn.mockResolvedValue({
       success: true,
       bucket: 'test-bucket',
       key: 'test-key',
       etag: 'test-etag',
-      location: 's3://test-bucket/test-key'
+      location: 's3://test-bucket/test-key',
+      retentionPrefix: 'base',
+      size: 1024,
+      checksum: 'test-checksum'
+    })
+    mockPublishPdfOutcomeEventFn.mockResolvedValue(undefined)
+    mockFindUploadedPdfFn.mockResolvedValue(null)
+    mockVerifyPdfSignatureFileFn.mockResolvedValue({
+      level: 'B-B',
+      signedBy: 'DEFRA'
     })
+    mockIdempotencyStore.get.mockResolvedValue(null)
+    mockIdempotencyStore.set.mockResolvedValue(undefined)
   })
 
   describe('processMessage', () => {
     it('should process valid SNS message', async () => {
       const mockPayload = {
         type: 'agreement.status.updated',
+        specversion: '1.0',
+        time: '2025-10-06T16:41:59.497Z',
         data: {
           agreementNumber: 'FPTT123456789',
           correlationId: 'test-correlation-id',
           clientRef: 'test-client-ref',
-          frn: 'test-frn',
-          sbi: 'test-sbi',
+          frn: '1102658375',
+          sbi: '106284736',
+          status: 'offered',
           agreementUrl: 'https://example.com/agreement/FPTT123456789'
         }
       }
@@ -117,16 +190,17 @@ describe('SQS message processor', () => {
       )
     })
 
-    it('should handle non-SyntaxError with Boom.boomify', async () => {
+    it('should reject messages without a recognised event type as a bad request', async () => {
       const message = {
         Body: JSON.stringify({
           Message: JSON.stringify({ type: 'invalid.type' })
         })
       }
 
-      await expect(processMessage(message, mockLogger)).rejects.toThrow(
-        'Error processing SQS message'
-      )
+      await expect(processMessage(message, mockLogger)).rejects.toMatchObject({
+        message: 'Unrecognized event type',
+        output: { statusCode: 400 }
+      })
       expect(mockLogger.error).toHaveBeenCalledWith(
         expect.any(Error),
         'Error processing message'
@@ -136,12 +210,14 @@ describe('SQS message processor', () => {
     it('should unwrap and process SNS-wrapped message correctly', async () => {
       const mockPayload = {
         type: 'agreement.status.updated',
+        specversion: '1.0',
+        time: '2025-10-06T16:41:59.497Z',
         data: {
           agreementNumber: 'FPTT123456789',
           correlationId: 'test-correlation-id',
           clientRef: 'test-client-ref',
-          frn: 'test-frn',
-          sbi: 'test-sbi',
+          frn: '1102658375',
+          sbi: '106284736',
           version: 1,
           status: 'accepted',
           agreementUrl: 'https://example.com/agreement/FPTT123456789',
@@ -171,19 +247,22 @@ describe('SQS message processor', () => {
       expect(mockGeneratePdfFn).toHaveBeenCalledWith(
         mockPayload.data,
         'FPTT123456789-1.pdf',
-        mockLogger
+        mockLogger,
+        { eventType: mockPayload.type }
       )
     })
 
     it('should process raw message (non-SNS) without unwrapping', async () => {
       const mockPayload = {
         type: 'agreement.status.updated',
+        specversion: '1.0',
+        time: '2025-10-06T16:41:59.497Z',
         data: {
           agreementNumber: 'FPTT123456789',
           correlationId: 'test-correlation-id',
           clientRef: 'test-client-ref',
-          frn: 'test-frn',
-          sbi: 'test-sbi',
+          frn: '1102658375',
+          sbi: '106284736',
           version: 1,
           status: 'accepted',
           agreementUrl: 'https://example.com/agreement/FPTT123456789',
@@ -205,7 +284,8 @@ describe('SQS message processor', () => {
       expect(mockGeneratePdfFn).toHaveBeenCalledWith(
         mockPayload.data,
         'FPTT123456789-1.pdf',
-        mockLogger
+        mockLogger,
+        { eventType: mockPayload.type }
       )
     })
 
@@ -223,7 +303,7 @@ describe('SQS message processor', () => {
       }
 
       await expect(processMessage(message, mockLogger)).rejects.toThrow(
-        'Error processing SQS message'
+        'Unrecognized event type'
       )
       expect(mockLogger.error).toHaveBeenCalledWith(
         expect.any(Error),
@@ -259,12 +339,14 @@ describe('SQS message processor', () => {
     it('should successfully generate and upload PDF for an accepted agreement', async () => {
       const mockPayload = {
         type: 'agreement.status.updated',
+        specversion: '1.0',
+        time: '2025-10-06T16:41:59.497Z',
         data: {
           agreementNumber: 'FPTT123456789',
           correlationId: 'test-correlation-id',
           clientRef: 'test-client-ref',
-          frn: 'test-frn',
-          sbi: 'test-sbi',
+          frn: '1102658375',
+          sbi: '106284736',
           version: 1,
           status: 'accepted',
           agreementUrl: 'https://example.com/agreement/FPTT123456789',
@@ -286,7 +368,8 @@ describe('SQS message processor', () => {
       expect(mockGeneratePdfFn).toHaveBeenCalledWith(
         mockPayload.data,
         'FPTT123456789-1.pdf',
-        mockLogger
+        mockLogger,
+        { eventType: mockPayload.type }
       )
       expect(mockLogger.info).toHaveBeenCalledWith(
         expect.stringContaining(
@@ -309,30 +392,77 @@ describe('SQS message processor', () => {
         'FPTT123456789-1.pdf',
         'FPTT123456789',
         1,
-        '2027-12-31',
+        { endDate: '2027-12-31', requestedAt: mockPayload.time },
         mockLogger,
         {
           correlationId: 'test-correlation-id',
-          accounts: { sbi: 'test-sbi', frn: 'test-frn', crn: undefined }
+          accounts: { sbi: '106284736', frn: '1102658375', crn: undefined },
+          checksum: 'test-checksum'
         }
       )
+
+      expect(mockPublishPdfOutcomeEventFn).toHaveBeenCalledWith('generated', {
+        agreementNumber: 'FPTT123456789',
+        version: 1,
+        correlationId: 'test-correlation-id',
+        bucket: 'test-bucket',
+        key: 'test-key',
+        location: 's3://test-bucket/test-key',
+        retentionPrefix: 'base',
+        size: 1024,
+        checksumAlgorithm: 'SHA256',
+        checksum: 'test-checksum'
+      })
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        'Published PDF generated event for agreement FPTT123456789-1'
+      )
+    })
+
+    it('should rethrow when the PDF generated event cannot be published', async () => {
+      mockPublishPdfOutcomeEventFn.mockRejectedValueOnce(
+        new Error('SNS unavailable')
+      )
+
+      const message = {
+        MessageId: 'aws-message-id',
+        Body: JSON.stringify({
+          type: 'agreement.status.updated',
+          specversion: '1.0',
+          time: '2025-10-06T16:41:59.497Z',
+          data: {
+            agreementNumber: 'FPTT123456789',
+            version: 1,
+            status: 'accepted',
+            agreementUrl: 'https://example.com/agreement/FPTT123456789',
+            endDate: '2027-12-31'
+          }
+        })
+      }
+
+      await expect(processMessage(message, mockLogger)).rejects.toMatchObject({
+        message: 'Error processing SQS message: SNS unavailable',
+        output: { statusCode: 500 }
+      })
     })
 
-    it('should handle PDF generation errors gracefully', async () => {
+    it('should rethrow PDF generation errors as transient failures', async () => {
       const pdfError = new Error('PDF generation failed')
       mockGeneratePdfFn.mockRejectedValueOnce(pdfError)
 
       const mockPayload = {
         type: 'agreement.status.updated',
+        specversion: '1.0',
+        time: '2025-10-06T16:41:59.497Z',
         data: {
           agreementNumber: 'FPTT123456789',
           correlationId: 'test-correlation-id',
           clientRef: 'test-client-ref',
-          frn: 'test-frn',
-          sbi: 'test-sbi',
+          frn: '1102658375',
+          sbi: '106284736',
           version: 1,
           status: 'accepted',
-          agreementUrl: 'https://example.com/agreement/FPTT123456789'
+          agreementUrl: 'https://example.com/agreement/FPTT123456789',
+          endDate: '2027-12-31'
         }
       }
 
@@ -340,28 +470,147 @@ describe('SQS message processor', () => {
         MessageId: 'aws-message-id',
         Body: JSON.stringify(mockPayload)
       }
-      await processMessage(message, mockLogger)
+      await expect(processMessage(message, mockLogger)).rejects.toMatchObject({
+        message: 'Error processing SQS message: PDF generation failed',
+        output: { statusCode: 500 }
+      })
 
       expect(mockGeneratePdfFn).toHaveBeenCalledWith(
         mockPayload.data,
         'FPTT123456789-1.pdf',
-        mockLogger
+        mockLogger,
+        { eventType: mockPayload.type }
       )
+      expect(mockUploadPdfFn).not.toHaveBeenCalled()
+      expect(mockPublishPdfOutcomeEventFn).toHaveBeenCalledWith('failed', {
+        agreementNumber: 'FPTT123456789',
+        version: 1,
+        correlationId: 'test-correlation-id',
+        stage: 'generation',
+        reason: 'PDF generation failed'
+      })
       expect(mockLogger.error).toHaveBeenCalledWith(
         pdfError,
-        'Failed to generate agreement FPTT123456789-1 PDF from URL https://example.com/agreement/FPTT123456789'
+        'Failed to generate agreement FPTT123456789-1 PDF from agreement URL https://example.com/agreement/FPTT123456789'
+      )
+    })
+
+    describe('when the message will be retried', () => {
+      const delivery = (receiveCount) => ({
+        MessageId: 'aws-message-id',
+        Attributes: { ApproximateReceiveCount: String(receiveCount) },
+        Body: JSON.stringify({
+          type: 'agreement.status.updated',
+          specversion: '1.0',
+          time: '2025-10-06T16:41:59.497Z',
+          data: {
+            agreementNumber: 'FPTT123456789',
+            version: 1,
+            status: 'accepted',
+            agreementUrl: 'https://example.com/agreement/FPTT123456789',
+            endDate: '2027-12-31'
+          }
+        })
+      })
+
+      beforeEach(() => {
+        mockConfigGetFn.mockImplementation((key) => {
+          switch (key) {
+            case 'allowedDomains':
+              return ['example.com']
+            case 'aws.sqs.maxReceiveCount':
+              return 3
+            default:
+              return undefined
+          }
+        })
+      })
+
+      it('should publish a transient failure only on the last delivery', async () => {
+        mockGeneratePdfFn.mockImplementation(async () => {
+          throw new Error('Navigation timeout')
+        })
+
+        for (const receiveCount of [1, 2]) {
+          await expect(
+            processMessage(delivery(receiveCount), mockLogger)
+          ).rejects.toThrow('Navigation timeout')
+        }
+        expect(mockPublishPdfOutcomeEventFn).not.toHaveBeenCalled()
+
+        await expect(processMessage(delivery(3), mockLogger)).rejects.toThrow(
+          'Navigation timeout'
+        )
+        expect(mockPublishPdfOutcomeEventFn).toHaveBeenCalledTimes(1)
+        expect(mockPublishPdfOutcomeEventFn).toHaveBeenCalledWith(
+          'failed',
+          expect.objectContaining({
+            stage: 'generation',
+            reason: 'Navigation timeout'
+          })
+        )
+      })
+
+      it('should publish a permanent failure on the first delivery', async () => {
+        mockGeneratePdfFn.mockRejectedValueOnce(
+          Boom.forbidden('Blocked navigation to https://evil.example.net')
+        )
+
+        await expect(processMessage(delivery(1), mockLogger)).rejects.toThrow(
+          'Blocked navigation'
+        )
+        expect(mockPublishPdfOutcomeEventFn).toHaveBeenCalledWith(
+          'failed',
+          expect.objectContaining({
+            stage: 'generation',
+            reason: 'Blocked navigation to https://evil.example.net'
+          })
+        )
+      })
+    })
+
+    it('should log and keep the original error when the PDF failed event cannot be published', async () => {
+      const pdfError = new Error('PDF generation failed')
+      const publishError = new Error('SNS unavailable')
+      mockGeneratePdfFn.mockRejectedValueOnce(pdfError)
+      mockPublishPdfOutcomeEventFn.mockRejectedValueOnce(publishError)
+
+      const message = {
+        MessageId: 'aws-message-id',
+        Body: JSON.stringify({
+          type: 'agreement.status.updated',
+          specversion: '1.0',
+          time: '2025-10-06T16:41:59.497Z',
+          data: {
+            agreementNumber: 'FPTT123456789',
+            version: 1,
+            status: 'accepted',
+            agreementUrl: 'https://example.com/agreement/FPTT123456789',
+            endDate: '2027-12-31'
+          }
+        })
+      }
+
+      await expect(processMessage(message, mockLogger)).rejects.toThrow(
+        'PDF generation failed'
+      )
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        publishError,
+        'Failed to publish PDF failed event for agreement FPTT123456789-1'
       )
     })
 
     it('should skip PDF generation when status is not accepted', async () => {
       const mockPayload = {
         type: 'agreement.status.updated',
+        specversion: '1.0',
+        time: '2025-10-06T16:41:59.497Z',
         data: {
           agreementNumber: 'FPTT123456789',
           correlationId: 'test-correlation-id',
           clientRef: 'test-client-ref',
-          frn: 'test-frn',
-          sbi: 'test-sbi',
+          frn: '1102658375',
+          sbi: '106284736',
           version: 1,
           status: 'offered',
           agreementUrl: 'https://example.com/agreement/FPTT123456789'
@@ -388,8 +637,8 @@ describe('SQS message processor', () => {
           agreementNumber: 'FPTT123456789',
           correlationId: 'test-correlation-id',
           clientRef: 'test-client-ref',
-          frn: 'test-frn',
-          sbi: 'test-sbi',
+          frn: '1102658375',
+          sbi: '106284736',
           agreementUrl: 'https://example.com/agreement/FPTT123456789'
         }
       }
@@ -407,28 +656,27 @@ describe('SQS message processor', () => {
       }
 
       expect(error).toBeInstanceOf(Error)
-      expect(error.message).toBe(
-        'Error processing SQS message: Unrecognized event type'
-      )
-      expect(error.output.payload.message).toBe(
-        'An internal server error occurred'
-      )
+      expect(error.message).toBe('Unrecognized event type')
+      expect(error.output.statusCode).toBe(400)
       expect(mockGeneratePdfFn).not.toHaveBeenCalled()
       expect(mockUploadPdfFn).not.toHaveBeenCalled()
     })
 
-    it('should skip PDF generation when URL domain is not allowed', async () => {
+    it('should reject the message when URL domain is not allowed', async () => {
       const mockPayload = {
         type: 'agreement.status.updated',
+        specversion: '1.0',
+        time: '2025-10-06T16:41:59.497Z',
         data: {
           agreementNumber: 'FPTT123456789',
           correlationId: 'test-correlation-id',
           clientRef: 'test-client-ref',
-          frn: 'test-frn',
-          sbi: 'test-sbi',
+          frn: '1102658375',
+          sbi: '106284736',
           version: 1,
           status: 'accepted',
-          agreementUrl: 'https://bad-domain.com/agreement/FPTT123456789'
+          agreementUrl: 'https://bad-domain.com/agreement/FPTT123456789',
+          endDate: '2027-12-31'
         }
       }
 
@@ -436,7 +684,10 @@ describe('SQS message processor', () => {
         MessageId: 'aws-message-id',
         Body: JSON.stringify(mockPayload)
       }
-      await processMessage(message, mockLogger)
+      await expect(processMessage(message, mockLogger)).rejects.toMatchObject({
+        message: 'Agreement URL domain is not on allow list',
+        output: { statusCode: 403 }
+      })
 
       expect(mockLogger.warn).toHaveBeenCalledWith(
         'Skipping PDF generation for URL: https://bad-domain.com/agreement/FPTT123456789 domain is not on allow list'
@@ -445,15 +696,53 @@ describe('SQS message processor', () => {
       expect(mockUploadPdfFn).not.toHaveBeenCalled()
     })
 
-    it('should skip PDF generation when agreementUrl is missing', async () => {
+    it('should render agreements from a template without checking the allow list', async () => {
+      const mockPayload = {
+        type: 'agreement.status.updated',
+        specversion: '1.0',
+        time: '2025-10-06T16:41:59.497Z',
+        data: {
+          agreementNumber: 'FPTT123456789',
+          correlationId: 'test-correlation-id',
+          version: 1,
+          status: 'accepted',
+          templateId: 'farm-payments-agreement-v1',
+          templateData: { agreementName: 'Farm payments agreement' },
+          endDate: '2027-12-31'
+        }
+      }
+
+      const message = {
+        MessageId: 'aws-message-id',
+        Body: JSON.stringify(mockPayload)
+      }
+      await processMessage(message, mockLogger)
+
+      expect(mockGeneratePdfFn).toHaveBeenCalledWith(
+        expect.objectContaining({
+          templateId: 'farm-payments-agreement-v1',
+          templateData: { agreementName: 'Farm payments agreement' }
+        }),
+        'FPTT123456789-1.pdf',
+        mockLogger,
+        expect.anything()
+      )
+      expect(mockLogger.warn).not.toHaveBeenCalledWith(
+        expect.stringContaining('domain is not on allow list')
+      )
+    })
+
+    it('should reject accepted agreements without an agreementUrl as invalid data', async () => {
       const mockPayload = {
         type: 'agreement.status.updated',
+        specversion: '1.0',
+        time: '2025-10-06T16:41:59.497Z',
         data: {
           agreementNumber: 'FPTT123456789',
           correlationId: 'test-correlation-id',
           clientRef: 'test-client-ref',
-          frn: 'test-frn',
-          sbi: 'test-sbi',
+          frn: '1102658375',
+          sbi: '106284736',
           version: 1,
           status: 'accepted'
           // agreementUrl is missing
@@ -464,24 +753,37 @@ describe('SQS message processor', () => {
         MessageId: 'aws-message-id',
         Body: JSON.stringify(mockPayload)
       }
-      await processMessage(message, mockLogger)
+      await expect(processMessage(message, mockLogger)).rejects.toMatchObject({
+        message: 'Invalid agreement.status.updated event',
+        output: { statusCode: 422 },
+        data: {
+          details: expect.arrayContaining([
+            expect.objectContaining({
+              path: 'data.agreementUrl',
+              type: 'any.required'
+            })
+          ])
+        }
+      })
 
       expect(mockGeneratePdfFn).not.toHaveBeenCalled()
       expect(mockUploadPdfFn).not.toHaveBeenCalled()
     })
 
-    it('should handle upload errors gracefully', async () => {
+    it('should rethrow upload errors as transient failures', async () => {
       const uploadError = new Error('S3 upload failed')
       mockUploadPdfFn.mockRejectedValueOnce(uploadError)
 
       const mockPayload = {
         type: 'agreement.status.updated',
+        specversion: '1.0',
+        time: '2025-10-06T16:41:59.497Z',
         data: {
           agreementNumber: 'FPTT123456789',
           correlationId: 'test-correlation-id',
           clientRef: 'test-client-ref',
-          frn: 'test-frn',
-          sbi: 'test-sbi',
+          frn: '1102658375',
+          sbi: '106284736',
           version: 1,
           status: 'accepted',
           agreementUrl: 'https://example.com/agreement/FPTT123456789',
@@ -493,12 +795,26 @@ describe('SQS message processor', () => {
         MessageId: 'aws-message-id',
         Body: JSON.stringify(mockPayload)
       }
-      await processMessage(message, mockLogger)
+      await expect(processMessage(message, mockLogger)).rejects.toMatchObject({
+        message: 'Error processing SQS message: S3 upload failed',
+        output: { statusCode: 500 }
+      })
 
       expect(mockLogger.error).toHaveBeenCalledWith(
         uploadError,
         'Failed to upload agreement FPTT123456789 PDF /path/to/generated.pdf to S3'
       )
+      expect(mockPublishPdfOutcomeEventFn).toHaveBeenCalledWith('failed', {
+        agreementNumber: 'FPTT123456789',
+        version: 1,
+        correlationId: 'test-correlation-id',
+        stage: 'upload',
+        reason: 'S3 upload failed'
+      })
+      expect(mockPublishPdfOutcomeEventFn).not.toHaveBeenCalledWith(
+        'generated',
+        expect.anything()
+      )
       // Should not log success message when upload fails
       const successCalls = mockLogger.info.mock.calls.filter(
         (call) =>
@@ -509,4 +825,491 @@ describe('SQS message processor', () => {
       expect(successCalls.length).toBe(0)
     })
   })
+  describe('signature verification', () => {
+    const acceptedEvent = {
+      MessageId: 'aws-message-id',
+      Body: JSON.stringify({
+        type: 'agreement.status.updated',
+        specversion: '1.0',
+        time: '2025-10-06T16:41:59.497Z',
+        data: {
+          agreementNumber: 'FPTT123456789',
+          correlationId: 'test-correlation-id',
+          version: 1,
+          status: 'accepted',
+          agreementUrl: 'https://example.com/agreement/FPTT123456789',
+          endDate: '2027-12-31'
+        }
+      })
+    }
+
+    beforeEach(() => {
+      mockConfigGetFn.mockImplementation((key) => {
+        switch (key) {
+          case 'allowedDomains':
+            return ['example.com']
+          case 'pdfSigning.enabled':
+            return true
+          case 'aws.sqs.maxReceiveCount':
+            return 1
+          default:
+            return undefined
+        }
+      })
+    })
+
+    it('should not verify signatures when signing is disabled', async () => {
+      mockConfigGetFn.mockImplementation((key) =>
+        key === 'allowedDomains' ? ['example.com'] : undefined
+      )
+
+      await processMessage(acceptedEvent, mockLogger)
+
+      expect(mockVerifyPdfSignatureFileFn).not.toHaveBeenCalled()
+      expect(mockUploadPdfFn).toHaveBeenCalled()
+    })
+
+    it('should verify the signature before uploading', async () => {
+      await processMessage(acceptedEvent, mockLogger)
+
+      expect(mockVerifyPdfSignatureFileFn).toHaveBeenCalledWith(
+        '/path/to/generated.pdf'
+      )
+      expect(
+        mockVerifyPdfSignatureFileFn.mock.invocationCallOrder[0]
+      ).toBeLessThan(mockUploadPdfFn.mock.invocationCallOrder[0])
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        'Verified PAdES-B-B signature by DEFRA on agreement FPTT123456789-1 PDF'
+      )
+    })
+
+    it('should not upload a PDF whose signature does not verify', async () => {
+      const reason =
+        'PDF signature verification failed: the PDF has been changed since it was signed'
+      const verificationError = new Error(reason)
+      mockVerifyPdfSignatureFileFn.mockRejectedValueOnce(verificationError)
+
+      await expect(
+        processMessage(acceptedEvent, mockLogger)
+      ).rejects.toMatchObject({
+        message: `Error processing SQS message: ${reason}`,
+        output: { statusCode: 500 }
+      })
+
+      expect(mockUploadPdfFn).not.toHaveBeenCalled()
+      expect(mockRemoveTemporaryFileFn).toHaveBeenCalledWith(
+        '/path/to/generated.pdf',
+        mockLogger
+      )
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        verificationError,
+        'Signature verification failed for agreement FPTT123456789-1 PDF /path/to/generated.pdf'
+      )
+      expect(mockPublishPdfOutcomeEventFn).toHaveBeenCalledWith('failed', {
+        agreementNumber: 'FPTT123456789',
+        version: 1,
+        correlationId: 'test-correlation-id',
+        stage: 'signing',
+        reason
+      })
+    })
+  })
+
+  describe('idempotency', () => {
+    const acceptedEvent = (data = {}) => ({
+      MessageId: 'aws-message-id',
+      Body: JSON.stringify({
+        id: 'event-id-1',
+        type: 'agreement.status.updated',
+        specversion: '1.0',
+        time: '2025-10-06T16:41:59.497Z',
+        data: {
+          agreementNumber: 'FPTT123456789',
+          correlationId: 'test-correlation-id',
+          version: 1,
+          status: 'accepted',
+          agreementUrl: 'https://example.com/agreement/FPTT123456789',
+          endDate: '2027-12-31',
+          ...data
+        }
+      })
+    })
+
+    const existingPdf = {
+      bucket: 'test-bucket',
+      key: 'base/FPTT123456789/1/FPTT123456789-1.pdf',
+      location: 's3://test-bucket/base/FPTT123456789/1/FPTT123456789-1.pdf',
+      retentionPrefix: 'base',
+      size: 2048,
+      checksum: 'existing-checksum'
+    }
+
+    const useObjectLock = (values) => {
+      const defaultConfig = mockConfigGetFn.getMockImplementation()
+      mockConfigGetFn.mockImplementation((key) =>
+        key in values ? values[key] : defaultConfig(key)
+      )
+    }
+
+    it('should record the generated PDF against the agreement version', async () => {
+      await processMessage(acceptedEvent(), mockLogger)
+
+      expect(mockIdempotencyStore.get).toHaveBeenCalledWith('FPTT123456789:1')
+      expect(mockIdempotencyStore.set).toHaveBeenCalledWith('FPTT123456789:1', {
+        bucket: 'test-bucket',
+        key: 'test-key',
+        location: 's3://test-bucket/test-key',
+        retentionPrefix: 'base',
+        size: 1024,
+        checksum: 'test-checksum'
+      })
+    })
+
+    it('should skip rendering when the store already has a record', async () => {
+      mockIdempotencyStore.get.mockResolvedValueOnce(existingPdf)
+
+      await processMessage(acceptedEvent(), mockLogger)
+
+      expect(mockFindUploadedPdfFn).not.toHaveBeenCalled()
+      expect(mockGeneratePdfFn).not.toHaveBeenCalled()
+      expect(mockUploadPdfFn).not.toHaveBeenCalled()
+      expect(mockPublishPdfOutcomeEventFn).not.toHaveBeenCalled()
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        `Agreement FPTT123456789-1 PDF already generated at ${existingPdf.location}, skipping`
+      )
+    })
+
+    it('should skip rendering and republish the outcome when the PDF is already in S3', async () => {
+      mockFindUploadedPdfFn.mockResolvedValueOnce(existingPdf)
+
+      await processMessage(acceptedEvent(), mockLogger)
+
+      expect(mockFindUploadedPdfFn).toHaveBeenCalledWith(
+        'FPTT123456789-1.pdf',
+        'FPTT123456789',
+        1,
+        { endDate: '2027-12-31', requestedAt: '2025-10-06T16:41:59.497Z' }
+      )
+      expect(mockGeneratePdfFn).not.toHaveBeenCalled()
+      expect(mockPublishPdfOutcomeEventFn).toHaveBeenCalledWith('generated', {
+        agreementNumber: 'FPTT123456789',
+        version: 1,
+        correlationId: 'test-correlation-id',
+        ...existingPdf,
+        checksumAlgorithm: 'SHA256'
+      })
+      expect(mockIdempotencyStore.set).toHaveBeenCalledWith(
+        'FPTT123456789:1',
+        existingPdf
+      )
+    })
+
+    it('should regenerate when force is set', async () => {
+      mockIdempotencyStore.get.mockResolvedValue(existingPdf)
+
+      await processMessage(acceptedEvent({ force: true }), mockLogger)
+
+      expect(mockIdempotencyStore.get).not.toHaveBeenCalled()
+      expect(mockGeneratePdfFn).toHaveBeenCalled()
+      expect(mockUploadPdfFn).toHaveBeenCalled()
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        'Forcing regeneration of agreement FPTT123456789-1 PDF'
+      )
+    })
+
+    it('should key on the event id and skip the S3 check when configured to', async () => {
+      mockConfigGetFn.mockImplementation((key) =>
+        key === 'idempotency.includeEventId' ? true : ['example.com']
+      )
+
+      await processMessage(acceptedEvent(), mockLogger)
+
+      expect(mockIdempotencyStore.get).toHaveBeenCalledWith(
+        'FPTT123456789:1:event-id-1'
+      )
+      expect(mockFindUploadedPdfFn).not.toHaveBeenCalled()
+      expect(mockGeneratePdfFn).toHaveBeenCalled()
+    })
+
+    it('should upload the PDF on legal hold when the event asks for one', async () => {
+      await processMessage(acceptedEvent({ legalHold: true }), mockLogger)
+
+      expect(mockUploadPdfFn).toHaveBeenCalledWith(
+        '/path/to/generated.pdf',
+        'FPTT123456789-1.pdf',
+        'FPTT123456789',
+        1,
+        { endDate: '2027-12-31', requestedAt: '2025-10-06T16:41:59.497Z' },
+        mockLogger,
+        expect.objectContaining({ legalHold: true })
+      )
+    })
+
+    it.each([true, false])(
+      'should set the legal hold of an already generated PDF to %s when the event asks to',
+      async (legalHold) => {
+        useObjectLock({
+          'aws.s3.objectLock.enabled': true,
+          'aws.s3.objectLock.legalHold': false
+        })
+        mockIdempotencyStore.get.mockResolvedValueOnce(existingPdf)
+
+        await processMessage(acceptedEvent({ legalHold }), mockLogger)
+
+        expect(mockGeneratePdfFn).not.toHaveBeenCalled()
+        expect(mockSetPdfLegalHoldFn).toHaveBeenCalledWith(
+          existingPdf,
+          legalHold,
+          mockLogger
+        )
+      }
+    )
+
+    it('should not lift legal holds configured for every PDF', async () => {
+      useObjectLock({
+        'aws.s3.objectLock.enabled': true,
+        'aws.s3.objectLock.legalHold': true
+      })
+      mockIdempotencyStore.get.mockResolvedValueOnce(existingPdf)
+
+      await processMessage(acceptedEvent({ legalHold: false }), mockLogger)
+
+      expect(mockSetPdfLegalHoldFn).toHaveBeenCalledWith(
+        existingPdf,
+        true,
+        mockLogger
+      )
+    })
+
+    it('should leave the legal hold of an already generated PDF alone when the event does not mention it', async () => {
+      useObjectLock({ 'aws.s3.objectLock.enabled': true })
+      mockIdempotencyStore.get.mockResolvedValueOnce(existingPdf)
+
+      await processMessage(acceptedEvent(), mockLogger)
+
+      expect(mockSetPdfLegalHoldFn).not.toHaveBeenCalled()
+    })
+
+    it('should retry when the S3 existence check fails', async () => {
+      mockFindUploadedPdfFn.mockRejectedValueOnce(new Error('S3 unavailable'))
+
+      await expect(
+        processMessage(acceptedEvent(), mockLogger)
+      ).rejects.toMatchObject({ output: { statusCode: 500 } })
+      expect(mockGeneratePdfFn).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('audit events', () => {
+    const acceptedEvent = (data = {}) => ({
+      MessageId: 'aws-message-id',
+      Body: JSON.stringify({
+        id: 'event-id-1',
+        type: 'agreement.status.updated',
+        specversion: '1.0',
+        time: '2025-10-06T16:41:59.497Z',
+        data: {
+          agreementNumber: 'FPTT123456789',
+          correlationId: 'test-correlation-id',
+          sbi: '106284736',
+          version: 1,
+          status: 'accepted',
+          agreementUrl: 'https://example.com/agreement/FPTT123456789',
+          endDate: '2027-12-31',
+          ...data
+        }
+      })
+    })
+
+    const auditedEvents = () =>
+      mockAuditEventFn.mock.calls.map(([event]) => event)
+
+    it('should audit the start of PDF generation', async () => {
+      await processMessage(acceptedEvent(), mockLogger)
+
+      expect(mockAuditEventFn).toHaveBeenCalledWith('PDF_GENERATION_STARTED', {
+        agreementNumber: 'FPTT123456789',
+        version: 1,
+        templateId: undefined,
+        force: false,
+        eventId: 'event-id-1',
+        correlationId: 'test-correlation-id',
+        identifiers: { sbi: '106284736', frn: undefined, crn: undefined }
+      })
+      expect(auditedEvents()).toEqual(['PDF_GENERATION_STARTED'])
+    })
+
+    it('should audit a PDF that could not be generated as a failure', async () => {
+      mockGeneratePdfFn.mockRejectedValueOnce(new Error('Navigation timeout'))
+
+      await expect(processMessage(acceptedEvent(), mockLogger)).rejects.toThrow(
+        'Navigation timeout'
+      )
+
+      expect(mockAuditEventFn).toHaveBeenCalledWith(
+        'PDF_GENERATION_FAILED',
+        {
+          agreementNumber: 'FPTT123456789',
+          version: 1,
+          stage: 'generation',
+          reason: 'Navigation timeout',
+          correlationId: 'test-correlation-id',
+          identifiers: { sbi: '106284736', frn: undefined, crn: undefined }
+        },
+        'failure'
+      )
+    })
+
+    it('should audit a PDF whose signature does not verify as a failed generation', async () => {
+      const defaultConfig = mockConfigGetFn.getMockImplementation()
+      mockConfigGetFn.mockImplementation((key) =>
+        key === 'pdfSigning.enabled' ? true : defaultConfig(key)
+      )
+      mockVerifyPdfSignatureFileFn.mockRejectedValueOnce(
+        new Error('Signature invalid')
+      )
+
+      await expect(processMessage(acceptedEvent(), mockLogger)).rejects.toThrow(
+        'Signature invalid'
+      )
+
+      expect(mockAuditEventFn).toHaveBeenCalledWith(
+        'PDF_GENERATION_FAILED',
+        expect.objectContaining({
+          stage: 'signing',
+          reason: 'Signature invalid'
+        }),
+        'failure'
+      )
+    })
+
+    it('should audit a forced regeneration', async () => {
+      await processMessage(acceptedEvent({ force: true }), mockLogger)
+
+      expect(mockAuditEventFn).toHaveBeenCalledWith('PDF_REGENERATED', {
+        agreementNumber: 'FPTT123456789',
+        version: 1,
+        key: 'test-key',
+        bucket: 'test-bucket',
+        location: 's3://test-bucket/test-key',
+        checksumAlgorithm: 'SHA256',
+        checksum: 'test-checksum',
+        correlationId: 'test-correlation-id',
+        identifiers: { sbi: '106284736', frn: undefined, crn: undefined }
+      })
+    })
+
+    it('should not audit anything for a PDF that has already been generated', async () => {
+      mockFindUploadedPdfFn.mockResolvedValueOnce({
+        bucket: 'test-bucket',
+        key: 'test-key',
+        location: 's3://test-bucket/test-key'
+      })
+
+      await processMessage(acceptedEvent(), mockLogger)
+
+      expect(mockAuditEventFn).not.toHaveBeenCalled()
+    })
+
+    it('should audit a message rejected for its agreement URL domain', async () => {
+      await expect(
+        processMessage(
+          acceptedEvent({ agreementUrl: 'https://bad-domain.com/agreement' }),
+          mockLogger
+        )
+      ).rejects.toThrow('Agreement URL domain is not on allow list')
+
+      expect(mockAuditEventFn).toHaveBeenCalledWith(
+        'MESSAGE_REJECTED',
+        {
+          agreementNumber: 'FPTT123456789',
+          version: '1',
+          messageId: 'aws-message-id',
+          eventId: 'event-id-1',
+          eventType: 'agreement.status.updated',
+          reason: 'Agreement URL domain is not on allow list',
+          correlationId: 'test-correlation-id',
+          identifiers: { sbi: '106284736', frn: undefined, crn: undefined }
+        },
+        'failure'
+      )
+      expect(auditedEvents()).toEqual(['MESSAGE_REJECTED'])
+    })
+
+    it('should audit a message rejected as an invalid event with why it is invalid', async () => {
+      await expect(
+        processMessage(acceptedEvent({ endDate: undefined }), mockLogger)
+      ).rejects.toThrow('Invalid agreement.status.updated event')
+
+      expect(mockAuditEventFn).toHaveBeenCalledWith(
+        'MESSAGE_REJECTED',
+        expect.objectContaining({
+          agreementNumber: 'FPTT123456789',
+          reason: 'Invalid agreement.status.updated event',
+          details: [expect.objectContaining({ path: 'data.endDate' })]
+        }),
+        'failure'
+      )
+    })
+
+    it('should audit what a message rejected as an invalid event was sent with as text', async () => {
+      await expect(
+        processMessage(
+          acceptedEvent({ agreementNumber: 123456789, sbi: 106284736 }),
+          mockLogger
+        )
+      ).rejects.toThrow('Invalid agreement.status.updated event')
+
+      expect(mockAuditEventFn).toHaveBeenCalledWith(
+        'MESSAGE_REJECTED',
+        expect.objectContaining({
+          agreementNumber: '123456789',
+          version: '1',
+          identifiers: { sbi: '106284736', frn: undefined, crn: undefined }
+        }),
+        'failure'
+      )
+    })
+
+    it('should audit a message rejected for its event type', async () => {
+      await expect(
+        processMessage(
+          {
+            MessageId: 'aws-message-id',
+            Body: JSON.stringify({ id: 'event-id-1', type: 'invalid.type' })
+          },
+          mockLogger
+        )
+      ).rejects.toThrow('Unrecognized event type')
+
+      expect(mockAuditEventFn).toHaveBeenCalledWith(
+        'MESSAGE_REJECTED',
+        expect.objectContaining({
+          messageId: 'aws-message-id',
+          eventId: 'event-id-1',
+          eventType: 'invalid.type',
+          reason: 'Unrecognized event type'
+        }),
+        'failure'
+      )
+    })
+
+    it('should audit a message rejected as invalid JSON', async () => {
+      await expect(
+        processMessage(
+          { MessageId: 'aws-message-id', Body: 'invalid json' },
+          mockLogger
+        )
+      ).rejects.toThrow('Invalid message format')
+
+      expect(mockAuditEventFn).toHaveBeenCalledWith(
+        'MESSAGE_REJECTED',
+        expect.objectContaining({
+          messageId: 'aws-message-id',
+          reason: expect.stringContaining('JSON')
+        }),
+        'failure'
+      )
+    })
+  })
 })
@@ -0,0 +1,24 @@
+import { config } from '#~/config.js'
+
+const ALLOWED_PROTOCOLS = new Set(['http:', 'https:'])
+
+/**
+ * Check if a host is on the allow list. Hosts must match exactly, so `example.com.evil.test`
+ * is not allowed by `example.com`
+ * @param {string} hostname
+ * @returns {boolean}
+ */
+export const isHostAllowed = (hostname) =>
+  config
+    .get('allowedDomains')
+    .some((domain) => domain.trim().toLowerCase() === hostname.toLowerCase())
+
+/**
+ * Check if the URL domain is allowed
+ * @param {string} url
+ * @returns {boolean}
+ */
+export const isUrlDomainAllowed = (url) => {
+  const { protocol, hostname } = new URL(url)
+  return ALLOWED_PROTOCOLS.has(protocol) && isHostAllowed(hostname)
+}
@@ -0,0 +1,43 @@
+import { describe, expect, test, vi } from 'vitest'
+import {
+  isHostAllowed,
+  isUrlDomainAllowed
+} from '#~/common/helpers/url-allow-list.js'
+
+vi.mock('#~/config.js', () => ({
+  config: {
+    get: (key) =>
+      key === 'allowedDomains'
+        ? ['example.com', ' Agreements.Test ']
+        : undefined
+  }
+}))
+
+describe('url allow list', () => {
+  test('should allow hosts on the allow list', () => {
+    expect(isHostAllowed('example.com')).toBe(true)
+    expect(isHostAllowed('agreements.test')).toBe(true)
+  })
+
+  test.each([
+    'ample.com',
+    'example.co',
+    'example.com.evil.test',
+    'sub.example.com'
+  ])('should not allow %s, which only partly matches', (hostname) => {
+    expect(isHostAllowed(hostname)).toBe(false)
+  })
+
+  test('should allow HTTP(S) URLs to allowed hosts', () => {
+    expect(isUrlDomainAllowed('https://example.com/agreement/123')).toBe(true)
+    expect(isUrlDomainAllowed('http://example.com:3000/')).toBe(true)
+  })
+
+  test('should not allow other schemes', () => {
+    expect(isUrlDomainAllowed('file://example.com/etc/passwd')).toBe(false)
+  })
+
+  test('should not allow URLs to other hosts', () => {
+    expect(isUrlDomainAllowed('https://evil.test/example.com')).toBe(false)
+  })
+})
@@ -14,8 +14,158 @@ try {
 
 convict.addFormats(convictFormatWithValidator)
 
+const PDF_LAYOUT_OPTIONS = ['format', 'landscape', 'scale', 'margin']
+
+// Chrome only prints pages scaled between these
+const PDF_MIN_SCALE = 0.1
+const PDF_MAX_SCALE = 2
+
+const isPdfScale = (scale) =>
+  typeof scale === 'number' && scale >= PDF_MIN_SCALE && scale <= PDF_MAX_SCALE
+
+convict.addFormat({
+  name: 'pdf-scale',
+  validate: (scale) => {
+    if (!isPdfScale(scale)) {
+      throw new Error(
+        `must be a number between ${PDF_MIN_SCALE} and ${PDF_MAX_SCALE}`
+      )
+    }
+  },
+  coerce: (value) => Number(value)
+})
+
+convict.addFormat({
+  name: 'pdf-layout-overrides',
+  validate: (overrides) => {
+    if (!Array.isArray(overrides)) {
+      throw new TypeError('must be an array of layout overrides')
+    }
+    for (const { eventType, ...layout } of overrides) {
+      if (!eventType) {
+        throw new Error('every layout override needs an eventType')
+      }
+      const unknownOptions = Object.keys(layout).filter(
+        (option) => !PDF_LAYOUT_OPTIONS.includes(option)
+      )
+      if (unknownOptions.length > 0) {
+        throw new Error(
+          `unknown layout options for ${eventType}: ${unknownOptions.join(', ')}`
+        )
+      }
+      if ('scale' in layout && !isPdfScale(layout.scale)) {
+        throw new Error(
+          `scale for ${eventType} must be a number between ${PDF_MIN_SCALE} and ${PDF_MAX_SCALE}`
+        )
+      }
+    }
+  },
+  // Event types contain dots, which convict would read as nested keys of an object
+  coerce: (value) => JSON.parse(value)
+})
+
+// S3 rejects multipart upload parts, other than the last, smaller than 5 MiB
+const S3_MIN_PART_SIZE = 5 * 1024 * 1024
+
+convict.addFormat({
+  name: 's3-part-size',
+  validate: (value) => {
+    if (!Number.isInteger(value) || value < S3_MIN_PART_SIZE) {
+      throw new Error(
+        `must be a whole number of bytes, at least ${S3_MIN_PART_SIZE}`
+      )
+    }
+  },
+  coerce: (value) => Number(value)
+})
+
+convict.addFormat({
+  name: 'retention-rules',
+  validate: (rules) => {
+    if (!Array.isArray(rules) || rules.length === 0) {
+      throw new TypeError('must be a non-empty array of retention rules')
+    }
+    rules.forEach(({ prefix, maxYears }, i) => {
+      if (typeof prefix !== 'string' || !prefix) {
+        throw new Error('every retention rule needs a prefix')
+      }
+      const last = i === rules.length - 1
+      if (last && maxYears !== undefined) {
+        throw new Error(
+          `the last retention rule (${prefix}) takes every longer retention period, so has no maxYears`
+        )
+      }
+      if (!last && !(Number.isInteger(maxYears) && maxYears > 0)) {
+        throw new Error(
+          `retention rule ${prefix} needs maxYears, a whole number of years`
+        )
+      }
+      if (i > 0 && !last && maxYears <= rules[i - 1].maxYears) {
+        throw new Error(
+          `retention rules must be in order of maxYears, but ${prefix} comes after ${rules[i - 1].prefix}`
+        )
+      }
+    })
+  },
+  coerce: (value) => JSON.parse(value)
+})
+
+// Retention classes were each configured by these before FILES_S3_RETENTION_RULES, which replaces them
+const LEGACY_RETENTION_ENV = [
+  'FILES_S3_BASE_TERM_PREFIX',
+  'FILES_S3_EXTENDED_TERM_PREFIX',
+  'FILES_S3_MAXIMUM_TERM_PREFIX',
+  'FILES_S3_BASE_TERM_THRESHOLD',
+  'FILES_S3_EXTENDED_TERM_THRESHOLD',
+  'FILES_S3_MAXIMUM_TERM_THRESHOLD'
+]
+
+/**
+ * The default retention rules, from the variables that configured them before
+ * FILES_S3_RETENTION_RULES so deployments that still set them keep storing PDFs under the same
+ * prefixes. FILES_S3_MAXIMUM_TERM_THRESHOLD was never used, as the maximum term takes every
+ * longer period.
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {{ prefix: string, maxYears?: number }[]}
+ */
+const legacyRetentionRules = (env) => {
+  const setLegacyEnv = LEGACY_RETENTION_ENV.filter(
+    (name) => env[name] !== undefined
+  )
+  if (setLegacyEnv.length > 0 && env.FILES_S3_RETENTION_RULES !== undefined) {
+    throw new Error(
+      `FILES_S3_RETENTION_RULES replaces ${setLegacyEnv.join(', ')}, so set only FILES_S3_RETENTION_RULES`
+    )
+  }
+
+  return [
+    {
+      prefix: env.FILES_S3_BASE_TERM_PREFIX ?? 'base',
+      maxYears: Number(env.FILES_S3_BASE_TERM_THRESHOLD ?? 10)
+    },
+    {
+      prefix: env.FILES_S3_EXTENDED_TERM_PREFIX ?? 'extended',
+      maxYears: Number(env.FILES_S3_EXTENDED_TERM_THRESHOLD ?? 15)
+    },
+    { prefix: env.FILES_S3_MAXIMUM_TERM_PREFIX ?? 'maximum' }
+  ]
+}
+
 const isProduction = process.env.NODE_ENV === 'production'
 const isTest = process.env.NODE_ENV === 'test'
+
+convict.addFormat({
+  name: 'production-secret',
+  validate: (value) => {
+    if (typeof value !== 'string') {
+      throw new TypeError('must be a string')
+    }
+    if (isProduction && !value) {
+      throw new Error('must be set in production')
+    }
+  }
+})
+
 const flociEndpoint = 'http://localhost:4566'
 
 // Default temporary directory for PDF generation
@@ -64,9 +214,9 @@ const config = convict({
     env: 'ENVIRONMENT'
   },
   allowedDomains: {
-    doc: 'Allowed domains the PDF service is allowed to make requests to',
-    format: String,
-    default: 'localhost',
+    doc: 'Comma separated host names the PDF service is allowed to make requests to. Each must match a request host exactly',
+    format: Array,
+    default: ['localhost'],
     env: 'ALLOWED_DOMAINS'
   },
   jwtSecret: {
@@ -75,12 +225,399 @@ const config = convict({
     default: 'a-string-secret-at-least-256-bits-long',
     env: 'AGREEMENTS_JWT_SECRET'
   },
+  agreementPageToken: {
+    algorithm: {
+      doc: 'How the token sent to the agreements frontend is signed: HS256 with jwtSecret, or RS256/ES256 with the key in privateKeyPath',
+      format: ['HS256', 'RS256', 'ES256'],
+      default: 'HS256',
+      env: 'AGREEMENT_PAGE_TOKEN_ALGORITHM'
+    },
+    privateKeyPath: {
+      doc: 'PEM private key file for RS256 (RSA) or ES256 (P-256) tokens',
+      format: String,
+      nullable: true,
+      default: null,
+      env: 'AGREEMENT_PAGE_TOKEN_PRIVATE_KEY_PATH'
+    },
+    keyId: {
+      doc: 'kid header naming the key tokens are signed with. Defaults to the JWK thumbprint of the RS256/ES256 key',
+      format: String,
+      nullable: true,
+      default: null,
+      env: 'AGREEMENT_PAGE_TOKEN_KEY_ID'
+    },
+    audience: {
+      doc: 'aud claim of the token, naming the agreements frontend',
+      format: String,
+      default: 'farming-grants-agreements-ui',
+      env: 'AGREEMENT_PAGE_TOKEN_AUDIENCE'
+    },
+    ttl: {
+      doc: 'Time in seconds a token is valid for. It must cover every request made while rendering an agreement',
+      format: 'nat',
+      default: 300,
+      env: 'AGREEMENT_PAGE_TOKEN_TTL'
+    }
+  },
+  api: {
+    jwtSecret: {
+      doc: 'Secret used to verify bearer tokens sent to the on-demand PDF generation endpoint. It has no default in production, where it must be set',
+      format: 'production-secret',
+      sensitive: true,
+      default: isProduction ? '' : 'a-string-secret-at-least-256-bits-long',
+      env: 'API_JWT_SECRET'
+    },
+    jwtAudience: {
+      doc: 'Audience bearer tokens sent to the on-demand PDF generation endpoint must be issued for',
+      format: String,
+      default: 'farming-grants-agreements-pdf',
+      env: 'API_JWT_AUDIENCE'
+    },
+    jwtScope: {
+      doc: 'Scope bearer tokens sent to the on-demand PDF generation endpoint must grant, in their scope claim',
+      format: String,
+      default: 'agreement-pdf:generate',
+      env: 'API_JWT_SCOPE'
+    },
+    jwtMaxAge: {
+      doc: 'Maximum age in seconds of bearer tokens sent to the on-demand PDF generation endpoint',
+      format: Number,
+      default: 3600,
+      env: 'API_JWT_MAX_AGE_SECONDS'
+    }
+  },
   tmpPdfFolder: {
     doc: 'Temporary folder for PDF generation. In production, set TMP_PDF_FOLDER to a secure location with restricted permissions (e.g., /var/tmp/defra-pdf with mode 0700)',
     format: String,
     default: secureTmpDir,
     env: 'TMP_PDF_FOLDER'
   },
+  browserPool: {
+    size: {
+      doc: 'Number of warm Chromium browsers kept in the PDF rendering pool',
+      format: Number,
+      default: 1,
+      env: 'BROWSER_POOL_SIZE'
+    },
+    pagesPerBrowser: {
+      doc: 'Maximum number of pages each pooled browser renders concurrently',
+      format: Number,
+      default: 1,
+      env: 'BROWSER_POOL_PAGES_PER_BROWSER'
+    },
+    maxRendersPerBrowser: {
+      doc: 'Number of renders after which a pooled browser is closed and replaced',
+      format: Number,
+      default: 50,
+      env: 'BROWSER_POOL_MAX_RENDERS_PER_BROWSER'
+    },
+    acquireTimeout: {
+      doc: 'Time in milliseconds to wait for a free page before failing the render',
+      format: Number,
+      default: 20000,
+      env: 'BROWSER_POOL_ACQUIRE_TIMEOUT'
+    },
+    healthCheckInterval: {
+      doc: 'Interval in milliseconds between health checks of idle pooled browsers (0 to disable)',
+      format: Number,
+      default: 30000,
+      env: 'BROWSER_POOL_HEALTH_CHECK_INTERVAL'
+    },
+    healthCheckTimeout: {
+      doc: 'Time in milliseconds a pooled browser has to answer a health check before it is treated as hung and recycled',
+      format: Number,
+      default: 5000,
+      env: 'BROWSER_POOL_HEALTH_CHECK_TIMEOUT'
+    }
+  },
+  pdfRendering: {
+    readiness: {
+      doc: 'How to tell the agreement page has finished rendering: "fonts" waits for web fonts, "selector" for readySelector to appear and "flag" for window.__PDF_READY__ to be true. Fonts are always waited for',
+      format: ['fonts', 'selector', 'flag'],
+      default: 'fonts',
+      env: 'PDF_RENDER_READINESS'
+    },
+    readySelector: {
+      doc: 'Selector the agreement page adds once it is ready to print, used when readiness is "selector"',
+      format: String,
+      default: '[data-pdf-ready]',
+      env: 'PDF_RENDER_READY_SELECTOR'
+    },
+    navigationTimeout: {
+      doc: 'Time in milliseconds to wait for each navigation to the agreement page',
+      format: 'nat',
+      default: 10000,
+      env: 'PDF_RENDER_NAVIGATION_TIMEOUT'
+    },
+    readinessTimeout: {
+      doc: 'Time in milliseconds to wait for the agreement page to be ready to print',
+      format: 'nat',
+      default: 10000,
+      env: 'PDF_RENDER_READINESS_TIMEOUT'
+    },
+    printTimeout: {
+      doc: 'Time in milliseconds to wait for Chromium to print the PDF',
+      format: 'nat',
+      default: 10000,
+      env: 'PDF_RENDER_PRINT_TIMEOUT'
+    },
+    allowPrivateAddresses: {
+      doc: 'Let the renderer request allow-listed hosts that resolve to private, loopback or link-local addresses, for running against services on localhost',
+      format: Boolean,
+      default: !isProduction,
+      env: 'PDF_RENDER_ALLOW_PRIVATE_ADDRESSES'
+    }
+  },
+  renderDiagnostics: {
+    store: {
+      doc: 'Where diagnostics bundles for failed renders are kept: "s3" under s3Prefix in the PDF bucket, through the storage driver, "local" in localFolder, or "none" to not capture them',
+      format: ['none', 'local', 's3'],
+      default: isProduction ? 's3' : 'local',
+      env: 'RENDER_DIAGNOSTICS_STORE'
+    },
+    s3Prefix: {
+      doc: 'S3 key prefix for diagnostics bundles, kept apart from the agreement PDFs',
+      format: String,
+      default: 'diagnostics',
+      env: 'RENDER_DIAGNOSTICS_S3_PREFIX'
+    },
+    localFolder: {
+      doc: 'Folder for diagnostics bundles when the store is "local"',
+      format: String,
+      default: path.join(os.tmpdir(), 'defra-pdf-diagnostics'),
+      env: 'RENDER_DIAGNOSTICS_LOCAL_FOLDER'
+    },
+    captureTimeout: {
+      doc: 'Time in milliseconds to wait for the screenshot and HTML of a failed render',
+      format: 'nat',
+      default: 5000,
+      env: 'RENDER_DIAGNOSTICS_CAPTURE_TIMEOUT'
+    },
+    redactedHeaders: {
+      doc: 'Request and response headers whose values are redacted in diagnostics bundles',
+      format: Array,
+      default: [
+        'authorization',
+        'proxy-authorization',
+        'cookie',
+        'set-cookie',
+        'x-api-key',
+        'x-encrypted-auth'
+      ],
+      env: 'RENDER_DIAGNOSTICS_REDACTED_HEADERS'
+    }
+  },
+  pdfArchival: {
+    retentionClasses: {
+      doc: 'Retention classes (S3 retention prefixes) whose PDFs are converted to PDF/A-2b, so they stay readable for the whole retention period',
+      format: Array,
+      default: ['maximum'],
+      env: 'PDF_ARCHIVAL_RETENTION_CLASSES'
+    }
+  },
+  pdfLayout: {
+    format: {
+      doc: 'Paper format of generated PDFs',
+      format: ['A3', 'A4', 'A5', 'Legal', 'Letter', 'Tabloid'],
+      default: 'A4',
+      env: 'PDF_LAYOUT_FORMAT'
+    },
+    landscape: {
+      doc: 'Print generated PDFs in landscape orientation',
+      format: Boolean,
+      default: false,
+      env: 'PDF_LAYOUT_LANDSCAPE'
+    },
+    scale: {
+      doc: 'Scale of the page rendering, between 0.1 and 2',
+      format: 'pdf-scale',
+      default: 1,
+      env: 'PDF_LAYOUT_SCALE'
+    },
+    margin: {
+      top: {
+        doc: 'Top page margin, which holds the agreement header',
+        format: String,
+        default: '60px',
+        env: 'PDF_LAYOUT_MARGIN_TOP'
+      },
+      right: {
+        doc: 'Right page margin',
+        format: String,
+        default: '20px',
+        env: 'PDF_LAYOUT_MARGIN_RIGHT'
+      },
+      bottom: {
+        doc: 'Bottom page margin, which holds the page number and generation date footer',
+        format: String,
+        default: '60px',
+        env: 'PDF_LAYOUT_MARGIN_BOTTOM'
+      },
+      left: {
+        doc: 'Left page margin',
+        format: String,
+        default: '20px',
+        env: 'PDF_LAYOUT_MARGIN_LEFT'
+      }
+    },
+    eventTypes: {
+      doc: `Layout overrides for event types, as JSON, e.g. [{"eventType":"io.onsite.agreement.status.updated","landscape":true,"margin":{"top":"80px"}}]. Supports ${PDF_LAYOUT_OPTIONS.join(', ')}`,
+      format: 'pdf-layout-overrides',
+      default: [],
+      env: 'PDF_LAYOUT_EVENT_TYPES'
+    }
+  },
+  pdfSigning: {
+    enabled: {
+      doc: 'Sign generated PDFs with a PAdES signature so they are tamper-evident',
+      format: Boolean,
+      default: false,
+      env: 'PDF_SIGNING_ENABLED'
+    },
+    level: {
+      doc: 'PAdES baseline level: B-B signs the PDF, B-T also adds a timestamp from the timestamp authority',
+      format: ['B-B', 'B-T'],
+      default: 'B-B',
+      env: 'PDF_SIGNING_LEVEL'
+    },
+    p12Path: {
+      doc: 'PKCS#12 file holding the signing certificate, its chain and private key',
+      format: String,
+      nullable: true,
+      default: null,
+      env: 'PDF_SIGNING_P12_PATH'
+    },
+    p12Passphrase: {
+      doc: 'Passphrase for the PKCS#12 file',
+      format: String,
+      sensitive: true,
+      default: '',
+      env: 'PDF_SIGNING_P12_PASSPHRASE'
+    },
+    timestampUrl: {
+      doc: 'RFC 3161 timestamp authority URL, required for B-T signatures',
+      format: String,
+      nullable: true,
+      default: null,
+      env: 'PDF_SIGNING_TIMESTAMP_URL'
+    },
+    timestampTimeout: {
+      doc: 'Time in milliseconds to wait for the timestamp authority',
+      format: Number,
+      default: 10000,
+      env: 'PDF_SIGNING_TIMESTAMP_TIMEOUT'
+    },
+    signatureLength: {
+      doc: 'Bytes reserved in the PDF for the signature, including the certificate chain and any timestamp',
+      format: 'nat',
+      default: 16384,
+      env: 'PDF_SIGNING_SIGNATURE_LENGTH'
+    },
+    name: {
+      doc: 'Name of the signer shown in PDF readers',
+      format: String,
+      default: 'DEFRA',
+      env: 'PDF_SIGNING_NAME'
+    },
+    reason: {
+      doc: 'Reason for signing shown in PDF readers',
+      format: String,
+      default: 'Farming grant agreement issued by DEFRA',
+      env: 'PDF_SIGNING_REASON'
+    },
+    location: {
+      doc: 'Location of signing shown in PDF readers',
+      format: String,
+      default: 'United Kingdom',
+      env: 'PDF_SIGNING_LOCATION'
+    },
+    contactInfo: {
+      doc: 'Contact details for the signer shown in PDF readers',
+      format: String,
+      default: '',
+      env: 'PDF_SIGNING_CONTACT_INFO'
+    }
+  },
+  idempotency: {
+    store: {
+      doc: 'Where records of already generated PDFs are kept so redelivered events are not rendered again',
+      format: ['memory', 'file'],
+      default: 'memory',
+      env: 'IDEMPOTENCY_STORE'
+    },
+    filePath: {
+      doc: 'JSON file used when the idempotency store is "file"',
+      format: String,
+      default: path.join(os.tmpdir(), 'defra-pdf-idempotency', 'records.json'),
+      env: 'IDEMPOTENCY_FILE_PATH'
+    },
+    includeEventId: {
+      doc: 'Include the event id in the idempotency key. Only redeliveries of the same event are skipped, and the S3 existence check is not used',
+      format: Boolean,
+      default: false,
+      env: 'IDEMPOTENCY_INCLUDE_EVENT_ID'
+    },
+    ttl: {
+      doc: 'Time in seconds an idempotency record is kept',
+      format: Number,
+      default: 7 * 24 * 60 * 60,
+      env: 'IDEMPOTENCY_TTL_SECONDS'
+    }
+  },
+  readiness: {
+    checkTimeout: {
+      doc: 'Time in milliseconds each /health/ready dependency check has before it is reported down',
+      format: 'nat',
+      default: 3000,
+      env: 'READINESS_CHECK_TIMEOUT'
+    },
+    cacheTtl: {
+      doc: 'Time in milliseconds /health/ready reuses the result of a dependency check for, so probes do not call AWS on every request',
+      format: 'nat',
+      default: 15000,
+      env: 'READINESS_CACHE_TTL'
+    },
+    minFreeDiskSpace: {
+      doc: 'Free space in bytes the temporary PDF folder needs for /health/ready to report the disk up',
+      format: 'nat',
+      default: 256 * 1024 * 1024,
+      env: 'READINESS_MIN_FREE_DISK_SPACE'
+    }
+  },
+  auditOutbox: {
+    folder: {
+      doc: 'Folder audit events are journalled in until SNS has accepted them, so none are lost when SNS is unavailable or the service restarts. Deployed, it should be on storage that outlives the container, and a warning is logged on startup while it is in the system temporary folder',
+      format: String,
+      default: path.join(os.tmpdir(), 'defra-pdf-audit-outbox'),
+      env: 'AUDIT_OUTBOX_FOLDER'
+    },
+    flushInterval: {
+      doc: 'Time in milliseconds between attempts to publish audit events still in the outbox',
+      format: 'nat',
+      default: 30000,
+      env: 'AUDIT_OUTBOX_FLUSH_INTERVAL'
+    },
+    retryBaseDelay: {
+      doc: 'Time in milliseconds before retrying an audit event SNS did not accept, doubled for each further attempt up to aws.sns.maxAttempts',
+      format: 'nat',
+      default: 200,
+      env: 'AUDIT_OUTBOX_RETRY_BASE_DELAY'
+    }
+  },
+  storage: {
+    driver: {
+      doc: 'Where agreement PDFs are stored: "s3" in the aws.s3.bucket bucket, or "local" in a folder named after the bucket in localFolder, to run offline',
+      format: ['s3', 'local'],
+      default: 's3',
+      env: 'STORAGE_DRIVER'
+    },
+    localFolder: {
+      doc: 'Folder agreement PDFs are stored in when the driver is "local", laid out by the same keys as in S3',
+      format: String,
+      default: path.join(os.tmpdir(), 'defra-pdf-storage'),
+      env: 'STORAGE_LOCAL_FOLDER'
+    }
+  },
   aws: {
     region: {
       doc: 'AWS region',
@@ -107,48 +644,58 @@ const config = convict({
         default: 'farming-grants-agreements-pdf-bucket',
         env: 'S3_BUCKET'
       },
-      baseTermPrefix: {
-        doc: 'S3 key prefix for base term retention (10 years)',
-        format: String,
-        default: 'base',
-        env: 'FILES_S3_BASE_TERM_PREFIX'
-      },
-      extendedTermPrefix: {
-        doc: 'S3 key prefix for extended term retention (15 years)',
-        format: String,
-        default: 'extended',
-        env: 'FILES_S3_EXTENDED_TERM_PREFIX'
-      },
-      maximumTermPrefix: {
-        doc: 'S3 key prefix for maximum term retention (20 years)',
-        format: String,
-        default: 'maximum',
-        env: 'FILES_S3_MAXIMUM_TERM_PREFIX'
-      },
-      baseTermThreshold: {
-        doc: 'Threshold in years for base term retention period',
-        format: Number,
-        default: 10,
-        env: 'FILES_S3_BASE_TERM_THRESHOLD'
-      },
-      extendedTermThreshold: {
-        doc: 'Threshold in years for extended term retention period',
-        format: Number,
-        default: 15,
-        env: 'FILES_S3_EXTENDED_TERM_THRESHOLD'
-      },
-      maximumTermThreshold: {
-        doc: 'Threshold in years for maximum term retention period',
-        format: Number,
-        default: 20,
-        env: 'FILES_S3_MAXIMUM_TERM_THRESHOLD'
+      retentionRules: {
+        doc: 'Retention classes, as JSON in order of maxYears, e.g. [{"prefix":"base","maxYears":10},{"prefix":"maximum"}]. A PDF is stored under the prefix of the first rule whose maxYears covers its retention period, from the agreement start date until it can be deleted. The last rule has no maxYears and takes every longer period',
+        format: 'retention-rules',
+        default: legacyRetentionRules(process.env),
+        env: 'FILES_S3_RETENTION_RULES'
       },
       retentionBaseYears: {
-        doc: 'Base number of years added to agreement end date for retention calculation',
+        doc: 'Number of years agreement PDFs are kept after the agreement ends, unless the event gives the date to keep them until',
         format: Number,
         default: 7,
         env: 'FILES_S3_RETENTION_BASE_YEARS'
       },
+      objectLock: {
+        enabled: {
+          doc: 'Lock each agreement PDF in S3 until its retention ends. Only enable it for buckets created with Object Lock enabled, as S3 rejects locked uploads to any other',
+          format: Boolean,
+          default: false,
+          env: 'S3_OBJECT_LOCK_ENABLED'
+        },
+        mode: {
+          doc: 'S3 Object Lock mode. GOVERNANCE locks can be lifted by users with s3:BypassGovernanceRetention, COMPLIANCE locks by no one',
+          format: ['GOVERNANCE', 'COMPLIANCE'],
+          default: 'GOVERNANCE',
+          env: 'S3_OBJECT_LOCK_MODE'
+        },
+        legalHold: {
+          doc: 'Put a legal hold on every agreement PDF, as well as on those whose event asks for one',
+          format: Boolean,
+          default: false,
+          env: 'S3_OBJECT_LOCK_LEGAL_HOLD'
+        }
+      },
+      multipart: {
+        threshold: {
+          doc: 'Size in bytes from which PDFs are uploaded in parts rather than with a single PUT',
+          format: 'nat',
+          default: 16 * 1024 * 1024,
+          env: 'S3_MULTIPART_THRESHOLD'
+        },
+        partSize: {
+          doc: 'Size in bytes of each part of a multipart upload, at least 5 MiB',
+          format: 's3-part-size',
+          default: 8 * 1024 * 1024,
+          env: 'S3_MULTIPART_PART_SIZE'
+        },
+        queueSize: {
+          doc: 'Number of parts of a PDF uploaded at once',
+          format: 'nat',
+          default: 4,
+          env: 'S3_MULTIPART_QUEUE_SIZE'
+        }
+      },
       endpoint: {
         doc: 'The S3 HTTP(S) endpoint, if required (e.g. a local development dev service). Activating this will force path style addressing for compatibility with Floci.',
         format: String,
@@ -164,7 +711,7 @@ const config = convict({
         env: 'SNS_ENDPOINT'
       },
       maxAttempts: {
-        doc: 'AWS SNS max publish attempts before error',
+        doc: 'AWS SNS max publish attempts before error. Audit events that still fail are kept in the audit outbox and retried',
         format: Number,
         default: 3,
         env: 'SNS_MAX_ATTEMPTS'
@@ -191,6 +738,27 @@ const config = convict({
             env: 'SNS_TOPIC_TYPE_AGREEMENT_STATUS_UPDATED'
           }
         },
+        pdfOutcome: {
+          arn: {
+            doc: 'AWS SNS Topic ARN for PDF generated/failed outcome events',
+            format: String,
+            default:
+              'arn:aws:sns:eu-west-2:000000000000:agreement_pdf_outcome_fifo.fifo',
+            env: 'SNS_TOPIC_ARN_AGREEMENT_PDF_OUTCOME'
+          },
+          generatedType: {
+            doc: 'Cloud event type for PDF generated events',
+            format: String,
+            default: 'io.onsite.agreement.pdf.generated',
+            env: 'SNS_TOPIC_TYPE_AGREEMENT_PDF_GENERATED'
+          },
+          failedType: {
+            doc: 'Cloud event type for PDF failed events',
+            format: String,
+            default: 'io.onsite.agreement.pdf.failed',
+            env: 'SNS_TOPIC_TYPE_AGREEMENT_PDF_FAILED'
+          }
+        },
         audit: {
           arn: {
             doc: 'AWS SNS Topic ARN for audit events',
@@ -229,16 +797,53 @@ const config = convict({
         env: 'MAX_NUMBER_OF_MESSAGES'
       },
       visibilityTimeout: {
-        doc: 'Visibility timeout for SQS messages',
+        doc: 'Visibility timeout in seconds for SQS messages, extended every heartbeatInterval while a message is processed',
         format: Number,
-        default: 10,
+        default: 30,
         env: 'VISIBILITY_TIMEOUT'
       },
+      heartbeatInterval: {
+        doc: 'Interval in seconds between extensions of the visibility timeout of a message being processed, less than visibilityTimeout',
+        format: Number,
+        default: 10,
+        env: 'SQS_HEARTBEAT_INTERVAL'
+      },
+      processingMargin: {
+        doc: 'Time in milliseconds a message has to be processed on top of the browser pool and rendering timeouts, to sign and store the PDF and publish its outcome',
+        format: 'nat',
+        default: 30000,
+        env: 'SQS_PROCESSING_MARGIN'
+      },
       waitTime: {
         doc: 'Wait time for SQS messages',
         format: Number,
         default: 5,
         env: 'WAIT_TIME_SECONDS'
+      },
+      deadLetterQueueUrl: {
+        doc: 'Queue URL that permanently failed messages are moved to. When unset, failed messages are left for the queue redrive policy',
+        format: String,
+        nullable: true,
+        default: null,
+        env: 'DEAD_LETTER_QUEUE_URL'
+      },
+      maxReceiveCount: {
+        doc: 'Number of deliveries after which a transiently failing message is moved to the dead-letter queue',
+        format: Number,
+        default: 5,
+        env: 'MAX_RECEIVE_COUNT'
+      },
+      retryBaseDelay: {
+        doc: 'Visibility timeout in seconds before the first retry of a transiently failed message, doubled on each further attempt',
+        format: Number,
+        default: 10,
+        env: 'RETRY_BASE_DELAY_SECONDS'
+      },
+      retryMaxDelay: {
+        doc: 'Maximum visibility timeout in seconds between retries of a transiently failed message',
+        format: Number,
+        default: 300,
+        env: 'RETRY_MAX_DELAY_SECONDS'
       }
     }
   },
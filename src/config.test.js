@@ -42,6 +42,10 @@ describe('config', () => {
       await import('#~/config.js')
     })
 
+    test('should only accept bearer tokens granting the PDF generation scope by default', () => {
+      expect(config.get('api.jwtScope')).toBe('agreement-pdf:generate')
+    })
+
     test('should have correct default service name', () => {
       expect(config.get('serviceName')).toBe('farming-grants-agreements-pdf')
     })
@@ -115,6 +119,119 @@ describe('config', () => {
       expect(tmpFolder).toContain('defra-pdf')
       expect(tmpFolder).toBe(path.join(os.tmpdir(), 'defra-pdf'))
     })
+
+    test('should have correct default browser pool settings', () => {
+      expect(config.get('browserPool')).toEqual({
+        size: 1,
+        pagesPerBrowser: 1,
+        maxRendersPerBrowser: 50,
+        acquireTimeout: 20000,
+        healthCheckInterval: 30000,
+        healthCheckTimeout: 5000
+      })
+    })
+
+    test('should only convert maximum retention PDFs to PDF/A-2b by default', () => {
+      expect(config.get('pdfArchival.retentionClasses')).toEqual(['maximum'])
+    })
+
+    test('should wait for web fonts with a timeout per render stage by default', () => {
+      expect(config.get('pdfRendering.readiness')).toBe('fonts')
+      expect(config.get('pdfRendering.navigationTimeout')).toBe(10000)
+      expect(config.get('pdfRendering.readinessTimeout')).toBe(10000)
+      expect(config.get('pdfRendering.printTimeout')).toBe(10000)
+    })
+
+    test('should sign short-lived agreement page tokens with the shared secret by default', () => {
+      expect(config.get('agreementPageToken')).toEqual({
+        algorithm: 'HS256',
+        privateKeyPath: null,
+        keyId: null,
+        audience: 'farming-grants-agreements-ui',
+        ttl: 300
+      })
+    })
+
+    test('should upload PDFs of 16 MiB and over in 8 MiB parts by default', () => {
+      expect(config.get('aws.s3.multipart')).toEqual({
+        threshold: 16 * 1024 * 1024,
+        partSize: 8 * 1024 * 1024,
+        queueSize: 4
+      })
+    })
+
+    test('should keep PDFs under the base, extended and maximum retention classes by default', () => {
+      expect(config.get('aws.s3.retentionRules')).toEqual([
+        { prefix: 'base', maxYears: 10 },
+        { prefix: 'extended', maxYears: 15 },
+        { prefix: 'maximum' }
+      ])
+    })
+
+    test('should not lock PDFs by default, using governance mode without a legal hold when enabled', () => {
+      expect(config.get('aws.s3.objectLock')).toEqual({
+        enabled: false,
+        mode: 'GOVERNANCE',
+        legalHold: false
+      })
+    })
+
+    test('should only allow localhost, at private addresses, outside production by default', () => {
+      expect(config.get('allowedDomains')).toEqual(['localhost'])
+      expect(config.get('pdfRendering.allowPrivateAddresses')).toBe(true)
+    })
+
+    test('should keep render diagnostics locally outside production by default', () => {
+      expect(config.get('renderDiagnostics.store')).toBe('local')
+      expect(config.get('renderDiagnostics.s3Prefix')).toBe('diagnostics')
+      expect(config.get('renderDiagnostics.redactedHeaders')).toContain(
+        'x-encrypted-auth'
+      )
+    })
+
+    test('should lay PDFs out on A4 with room for the header and footer by default', () => {
+      expect(config.get('pdfLayout.format')).toBe('A4')
+      expect(config.get('pdfLayout.landscape')).toBe(false)
+      expect(config.get('pdfLayout.margin')).toEqual({
+        top: '60px',
+        right: '20px',
+        bottom: '60px',
+        left: '20px'
+      })
+      expect(config.get('pdfLayout.eventTypes')).toEqual([])
+    })
+
+    test('should not sign PDFs by default', () => {
+      expect(config.get('pdfSigning.enabled')).toBe(false)
+      expect(config.get('pdfSigning.level')).toBe('B-B')
+      expect(config.get('pdfSigning.p12Path')).toBeNull()
+      expect(config.get('pdfSigning.timestampUrl')).toBeNull()
+    })
+
+    test('should have correct default idempotency settings', () => {
+      expect(config.get('idempotency.store')).toBe('memory')
+      expect(config.get('idempotency.includeEventId')).toBe(false)
+      expect(config.get('idempotency.ttl')).toBe(604800)
+    })
+
+    test('should store PDFs in S3 by default', () => {
+      expect(config.get('storage.driver')).toBe('s3')
+      expect(config.get('storage.localFolder')).toContain('defra-pdf-storage')
+    })
+
+    test('should time out and cache readiness checks by default', () => {
+      expect(config.get('readiness.checkTimeout')).toBe(3000)
+      expect(config.get('readiness.cacheTtl')).toBe(15000)
+      expect(config.get('readiness.minFreeDiskSpace')).toBe(256 * 1024 * 1024)
+    })
+
+    test('should keep the audit outbox in a temporary folder by default', () => {
+      expect(config.get('auditOutbox.folder')).toContain(
+        'defra-pdf-audit-outbox'
+      )
+      expect(config.get('auditOutbox.flushInterval')).toBe(30000)
+      expect(config.get('auditOutbox.retryBaseDelay')).toBe(200)
+    })
   })
 
   describe('environment variable configuration', () => {
@@ -488,8 +605,9 @@ describe('config', () => {
 
   describe('production config evaluation', () => {
     test('should evaluate main config with production defaults when NODE_ENV is production', async () => {
-      // Set NODE_ENV to production before importing config
+      // Set NODE_ENV to production, with the settings it requires, before importing config
       process.env.NODE_ENV = 'production'
+      process.env.API_JWT_SECRET = 'production-secret'
 
       // Clear the module cache to force re-evaluation
       vi.resetModules()
@@ -506,9 +624,227 @@ describe('config', () => {
       ])
       expect(prodConfig.get('isMetricsEnabled')).toBe(true)
     })
+
+    test('should require the API JWT secret in production', async () => {
+      vi.resetModules()
+      process.env.NODE_ENV = 'production'
+      delete process.env.API_JWT_SECRET
+
+      await expect(import('#~/config.js')).rejects.toThrow(
+        'api.jwtSecret: must be set in production'
+      )
+
+      vi.resetModules()
+      process.env.API_JWT_SECRET = 'production-secret'
+      const { config: testConfig } = await import('#~/config.js')
+      expect(testConfig.get('api.jwtSecret')).toBe('production-secret')
+
+      process.env = { ...originalEnv }
+      vi.resetModules()
+      await import('#~/config.js')
+    })
   })
 
   describe('validation', () => {
+    test.each([
+      ['[]', 'must be a non-empty array of retention rules'],
+      ['[{"maxYears":10},{"prefix":"maximum"}]', 'needs a prefix'],
+      [
+        '[{"prefix":"base"},{"prefix":"maximum"}]',
+        'retention rule base needs maxYears'
+      ],
+      [
+        '[{"prefix":"base","maxYears":10},{"prefix":"maximum","maxYears":20}]',
+        'the last retention rule (maximum) takes every longer retention period'
+      ],
+      [
+        '[{"prefix":"base","maxYears":10},{"prefix":"short","maxYears":5},{"prefix":"maximum"}]',
+        'retention rules must be in order of maxYears'
+      ]
+    ])('should reject the retention rules %s', async (rules, message) => {
+      process.env.FILES_S3_RETENTION_RULES = rules
+
+      vi.resetModules()
+      await expect(import('#~/config.js')).rejects.toThrow(message)
+
+      delete process.env.FILES_S3_RETENTION_RULES
+      vi.resetModules()
+      await import('#~/config.js')
+    })
+
+    test('should read custom retention rules from JSON', async () => {
+      process.env.FILES_S3_RETENTION_RULES =
+        '[{"prefix":"short","maxYears":8},{"prefix":"long"}]'
+
+      vi.resetModules()
+      const { config: customConfig } = await import('#~/config.js')
+      expect(customConfig.get('aws.s3.retentionRules')).toEqual([
+        { prefix: 'short', maxYears: 8 },
+        { prefix: 'long' }
+      ])
+
+      delete process.env.FILES_S3_RETENTION_RULES
+      vi.resetModules()
+      await import('#~/config.js')
+    })
+
+    describe('with the retention variables FILES_S3_RETENTION_RULES replaced', () => {
+      const legacyEnv = {
+        FILES_S3_BASE_TERM_PREFIX: 'short',
+        FILES_S3_BASE_TERM_THRESHOLD: '8',
+        FILES_S3_EXTENDED_TERM_THRESHOLD: '12',
+        FILES_S3_MAXIMUM_TERM_PREFIX: 'longest'
+      }
+
+      afterEach(async () => {
+        for (const name of [
+          ...Object.keys(legacyEnv),
+          'FILES_S3_RETENTION_RULES'
+        ]) {
+          delete process.env[name]
+        }
+        vi.resetModules()
+        await import('#~/config.js')
+      })
+
+      test('should build the default retention rules from them', async () => {
+        Object.assign(process.env, legacyEnv)
+
+        vi.resetModules()
+        const { config: legacyConfig } = await import('#~/config.js')
+
+        expect(legacyConfig.get('aws.s3.retentionRules')).toEqual([
+          { prefix: 'short', maxYears: 8 },
+          { prefix: 'extended', maxYears: 12 },
+          { prefix: 'longest' }
+        ])
+      })
+
+      test('should refuse to start when FILES_S3_RETENTION_RULES is set too', async () => {
+        Object.assign(process.env, legacyEnv, {
+          FILES_S3_RETENTION_RULES: '[{"prefix":"base"}]'
+        })
+
+        vi.resetModules()
+        await expect(import('#~/config.js')).rejects.toThrow(
+          'FILES_S3_RETENTION_RULES replaces FILES_S3_BASE_TERM_PREFIX, FILES_S3_MAXIMUM_TERM_PREFIX, FILES_S3_BASE_TERM_THRESHOLD, FILES_S3_EXTENDED_TERM_THRESHOLD'
+        )
+      })
+
+      test('should reject thresholds that are not whole years', async () => {
+        process.env.FILES_S3_BASE_TERM_THRESHOLD = 'ten'
+
+        vi.resetModules()
+        await expect(import('#~/config.js')).rejects.toThrow(
+          'retention rule base needs maxYears, a whole number of years'
+        )
+      })
+    })
+
+    test('should reject multipart part sizes S3 does not accept', async () => {
+      process.env.S3_MULTIPART_PART_SIZE = String(1024 * 1024)
+
+      vi.resetModules()
+      await expect(import('#~/config.js')).rejects.toThrow(
+        'must be a whole number of bytes, at least 5242880'
+      )
+
+      delete process.env.S3_MULTIPART_PART_SIZE
+      vi.resetModules()
+      await import('#~/config.js')
+    })
+
+    test('should read allowed domains as a comma separated list', async () => {
+      process.env.ALLOWED_DOMAINS = 'example.com,agreements.example.com'
+
+      vi.resetModules()
+      const { config: testConfig } = await import('#~/config.js')
+
+      expect(testConfig.get('allowedDomains')).toEqual([
+        'example.com',
+        'agreements.example.com'
+      ])
+
+      delete process.env.ALLOWED_DOMAINS
+      vi.resetModules()
+      await import('#~/config.js')
+    })
+
+    test.each(['0', '5', 'large'])(
+      'should reject the page scale %s',
+      async (scale) => {
+        process.env.PDF_LAYOUT_SCALE = scale
+
+        vi.resetModules()
+        await expect(import('#~/config.js')).rejects.toThrow(
+          'pdfLayout.scale: must be a number between 0.1 and 2'
+        )
+
+        delete process.env.PDF_LAYOUT_SCALE
+        vi.resetModules()
+        await import('#~/config.js')
+      }
+    )
+
+    test('should read a page scale within range', async () => {
+      process.env.PDF_LAYOUT_SCALE = '0.8'
+
+      vi.resetModules()
+      const { config: testConfig } = await import('#~/config.js')
+      expect(testConfig.get('pdfLayout.scale')).toBe(0.8)
+
+      delete process.env.PDF_LAYOUT_SCALE
+      vi.resetModules()
+      await import('#~/config.js')
+    })
+
+    test('should reject a layout override scaled out of range', async () => {
+      process.env.PDF_LAYOUT_EVENT_TYPES = JSON.stringify([
+        { eventType: 'io.onsite.agreement.status.updated', scale: 3 }
+      ])
+
+      vi.resetModules()
+      await expect(import('#~/config.js')).rejects.toThrow(
+        'scale for io.onsite.agreement.status.updated must be a number between 0.1 and 2'
+      )
+
+      delete process.env.PDF_LAYOUT_EVENT_TYPES
+      vi.resetModules()
+      await import('#~/config.js')
+    })
+
+    test('should read per event type layout overrides from JSON', async () => {
+      process.env.PDF_LAYOUT_EVENT_TYPES = JSON.stringify([
+        { eventType: 'io.onsite.agreement.status.updated', landscape: true }
+      ])
+
+      vi.resetModules()
+      const { config: testConfig } = await import('#~/config.js')
+
+      expect(testConfig.get('pdfLayout.eventTypes')).toEqual([
+        { eventType: 'io.onsite.agreement.status.updated', landscape: true }
+      ])
+
+      delete process.env.PDF_LAYOUT_EVENT_TYPES
+      vi.resetModules()
+      await import('#~/config.js')
+    })
+
+    test('should reject unknown per event type layout options', async () => {
+      process.env.PDF_LAYOUT_EVENT_TYPES = JSON.stringify([
+        { eventType: 'io.onsite.agreement.status.updated', colour: 'red' }
+      ])
+
+      vi.resetModules()
+      await expect(import('#~/config.js')).rejects.toThrow(
+        'unknown layout options for io.onsite.agreement.status.updated: colour'
+      )
+
+      delete process.env.PDF_LAYOUT_EVENT_TYPES
+      vi.resetModules()
+      await import('#~/config.js')
+    })
+
     test('should accept valid CDP environment values', () => {
       const validEnvironments = [
         'local',
@@ -651,7 +987,9 @@ describe('config', () => {
   describe('SQS configuration', () => {
     test('should have correct SQS defaults', () => {
       expect(config.get('aws.sqs.maxMessages')).toBe(1)
-      expect(config.get('aws.sqs.visibilityTimeout')).toBe(10)
+      expect(config.get('aws.sqs.visibilityTimeout')).toBe(30)
+      expect(config.get('aws.sqs.heartbeatInterval')).toBe(10)
+      expect(config.get('aws.sqs.processingMargin')).toBe(30000)
       expect(config.get('aws.sqs.waitTime')).toBe(5)
     })
 
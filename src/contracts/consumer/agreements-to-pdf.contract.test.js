@@ -8,7 +8,7 @@ import {
 import { processMessage } from '#~/common/helpers/sqs-message-processor.js'
 import { buildMessagePactConfig } from '#~/contracts/consumer/test-helpers/pact-test-helpers.js'
 
-const { like, iso8601DateTimeWithMillis } = MatchersV2
+const { like, integer, iso8601Date, iso8601DateTimeWithMillis } = MatchersV2
 
 // Use vi.hoisted() to ensure mock functions are available before mock factories run
 const { mockGeneratePdfFn, mockUploadPdfFn, mockConfigGet } = vi.hoisted(() => {
@@ -31,7 +31,30 @@ vi.mock('#~/services/pdf-generator.js', () => ({
 }))
 
 vi.mock('#~/services/file-upload.js', () => ({
-  uploadPdf: mockUploadPdfFn
+  uploadPdf: mockUploadPdfFn,
+  findUploadedPdf: vi.fn().mockResolvedValue(null)
+}))
+
+vi.mock('#~/services/idempotency-store.js', () => ({
+  buildIdempotencyKey: vi.fn(),
+  getIdempotencyStore: () => ({
+    get: vi.fn().mockResolvedValue(null),
+    set: vi.fn()
+  })
+}))
+
+vi.mock('#~/common/helpers/audit-event.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  auditEvent: vi.fn()
+}))
+
+vi.mock('#~/common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({ error: vi.fn() })
+}))
+
+vi.mock('#~/common/helpers/pdf-outcome-event.js', () => ({
+  PdfOutcome: { GENERATED: 'generated', FAILED: 'failed' },
+  publishPdfOutcomeEvent: vi.fn()
 }))
 
 // Mock config module as it's used by sqs-message-processor
@@ -60,12 +83,12 @@ describe('receive an agreement accepted event', () => {
           agreementNumber: 'FPTT123456789',
           correlationId: 'mockCorrelationId',
           clientRef: 'mockClientRef',
-          version: like(1),
+          version: integer(1),
           agreementUrl: like('http://localhost:3555/FPTT123456789'),
           status: 'accepted',
           date: iso8601DateTimeWithMillis('2025-10-06T16:40:21.951Z'),
           code: 'mockCode',
-          endDate: like('2025-09-31')
+          endDate: iso8601Date('2025-09-30')
         }
       })
 
@@ -89,7 +112,10 @@ describe('receive an agreement accepted event', () => {
             }
             return undefined
           })
-          mockGeneratePdfFn.mockResolvedValue('mockPathToPdf')
+          mockGeneratePdfFn.mockResolvedValue({
+            outputPath: 'mockPathToPdf',
+            checksum: 'mockChecksum'
+          })
           mockUploadPdfFn.mockResolvedValue({ success: true })
 
           const message = {
@@ -108,10 +134,11 @@ describe('receive an agreement accepted event', () => {
               date: '2025-10-06T16:40:21.951Z',
               status: 'accepted',
               version: 1,
-              endDate: '2025-09-31'
+              endDate: '2025-09-30'
             },
             'FPTT123456789-1.pdf',
-            mockLogger
+            mockLogger,
+            { eventType: 'io.onsite.agreement.status.updated' }
           )
           expect(mockLogger.info).toHaveBeenCalledWith(
             expect.stringContaining(
@@ -123,11 +150,12 @@ describe('receive an agreement accepted event', () => {
             'FPTT123456789-1.pdf',
             'FPTT123456789',
             1,
-            '2025-09-31',
+            { endDate: '2025-09-30' },
             mockLogger,
             {
               correlationId: 'mockCorrelationId',
-              accounts: { sbi: undefined, frn: undefined, crn: undefined }
+              accounts: { sbi: undefined, frn: undefined, crn: undefined },
+              checksum: 'mockChecksum'
             }
           )
         })
@@ -14,13 +14,18 @@ import path from 'node:path'
 import {
   DeleteObjectCommand,
   HeadBucketCommand,
+  HeadObjectCommand,
   S3Client
 } from '@aws-sdk/client-s3'
-import { uploadPdf } from '#~/services/file-upload.js'
+import { uploadPdf, verifyUploadedPdf } from '#~/services/file-upload.js'
 
-vi.mock('#~/common/helpers/audit-event.js', () => ({
-  auditEvent: vi.fn(),
-  AuditEvent: { PDF_UPLOADED_TO_S3: 'PDF_UPLOADED_TO_S3' }
+vi.mock('#~/common/helpers/audit-event.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  auditEvent: vi.fn()
+}))
+
+vi.mock('#~/common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({ error: vi.fn() })
 }))
 
 const FIXTURE_SIZE = 32 * 1024 * 1024
@@ -87,13 +92,13 @@ describe('Large PDF upload (>30MB) — functional', () => {
 
   test('S3 key follows the retention-prefix/agreement/version/filename structure', async () => {
     // endDate 2045-01-01 always produces 'maximum' prefix regardless of current date:
-    // differenceInYears(2045, nextMonth) + retentionBaseYears(7) >> extendedTermThreshold(15)
+    // 2045 + retentionBaseYears(7) is more than 15 years after next month, the last rule's maxYears
     const result = await uploadPdf(
       testPdfPath,
       'AGR001-1.pdf',
       'AGR001',
       '1',
-      new Date('2045-01-01'),
+      { endDate: '2045-01-01' },
       mockLogger
     )
 
@@ -103,4 +108,47 @@ describe('Large PDF upload (>30MB) — functional', () => {
       /^(base|extended|maximum)\/AGR001\/1\/AGR001-1\.pdf$/
     )
   })
+
+  test('PDFs above the multipart threshold are uploaded in parts', async () => {
+    const result = await uploadPdf(
+      testPdfPath,
+      'AGR001-2.pdf',
+      'AGR001',
+      '2',
+      { endDate: '2045-01-01' },
+      mockLogger
+    )
+
+    uploadedKey = result?.key
+
+    const stored = await verificationClient.send(
+      new HeadObjectCommand({ Bucket: BUCKET, Key: result.key })
+    )
+    expect(stored.ContentLength).toBe(FIXTURE_SIZE)
+    expect(result.size).toBe(FIXTURE_SIZE)
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      expect.stringContaining(
+        `progress: ${FIXTURE_SIZE} of ${FIXTURE_SIZE} bytes`
+      )
+    )
+  })
+
+  test('PDFs uploaded in parts can be verified against their whole-file checksum', async () => {
+    const result = await uploadPdf(
+      testPdfPath,
+      'AGR001-3.pdf',
+      'AGR001',
+      '3',
+      { endDate: '2045-01-01' },
+      mockLogger
+    )
+
+    uploadedKey = result?.key
+
+    await expect(verifyUploadedPdf(result)).resolves.toEqual({
+      verified: true,
+      expectedChecksum: result.checksum,
+      checksum: result.checksum
+    })
+  })
 })
@@ -0,0 +1,49 @@
+import Jwt from '@hapi/jwt'
+import { config } from '#~/config.js'
+
+/**
+ * Scopes granted by a token's scope claim, either a space separated string as in OAuth 2.0 or an array
+ * @param {unknown} scope
+ * @returns {string[]}
+ */
+const scopesOf = (scope) => {
+  if (Array.isArray(scope)) {
+    return scope
+  }
+  return typeof scope === 'string' ? scope.split(' ') : []
+}
+
+/**
+ * Bearer token authentication for the on-demand PDF endpoints, used by the support team. Tokens
+ * must be issued for this service's audience and grant the `api.jwtScope` scope
+ */
+const auth = {
+  plugin: {
+    name: 'auth',
+    register: async (server) => {
+      await server.register(Jwt)
+
+      server.auth.strategy('api-jwt', 'jwt', {
+        keys: config.get('api.jwtSecret'),
+        verify: {
+          aud: config.get('api.jwtAudience'),
+          iss: false,
+          sub: false,
+          nbf: true,
+          exp: true,
+          maxAgeSec: config.get('api.jwtMaxAge'),
+          timeSkewSec: 15
+        },
+        validate: (artifacts) => {
+          const { sub, scope } = artifacts.decoded.payload
+          return {
+            isValid: scopesOf(scope).includes(config.get('api.jwtScope')),
+            credentials: { user: sub }
+          }
+        }
+      })
+    }
+  }
+}
+
+export { auth }
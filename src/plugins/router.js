@@ -1,10 +1,11 @@
-import { health } from '#~/routes/health.js'
+import { health, ready } from '#~/routes/health.js'
+import { generateAgreementPdf } from '#~/routes/agreement-pdf.js'
 
 const router = {
   plugin: {
     name: 'router',
     register: (server) => {
-      server.route([health])
+      server.route([health, ready, generateAgreementPdf])
     }
   }
 }
@@ -7,6 +7,19 @@ vi.mock('#~/routes/health.js', () => ({
     method: 'GET',
     path: '/health',
     handler: vi.fn()
+  },
+  ready: {
+    method: 'GET',
+    path: '/health/ready',
+    handler: vi.fn()
+  }
+}))
+
+vi.mock('#~/routes/agreement-pdf.js', () => ({
+  generateAgreementPdf: {
+    method: 'POST',
+    path: '/agreements/{agreementNumber}/versions/{version}/pdf',
+    handler: vi.fn()
   }
 }))
 
@@ -24,6 +37,14 @@ describe('router plugin', () => {
         expect.objectContaining({
           method: 'GET',
           path: '/health'
+        }),
+        expect.objectContaining({
+          method: 'GET',
+          path: '/health/ready'
+        }),
+        expect.objectContaining({
+          method: 'POST',
+          path: '/agreements/{agreementNumber}/versions/{version}/pdf'
         })
       ])
     )
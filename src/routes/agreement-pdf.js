@@ -0,0 +1,105 @@
+import Boom from '@hapi/boom'
+import Joi from 'joi'
+import { randomUUID } from 'node:crypto'
+import { generateAndUploadPdf } from '#~/services/agreement-pdf.js'
+import { queueAgreementPdf } from '#~/services/agreement-pdf-queue.js'
+import { getPdfLocation } from '#~/services/file-upload.js'
+import { isUrlDomainAllowed } from '#~/common/helpers/url-allow-list.js'
+import {
+  agreementNumberSchema,
+  agreementSourceSchemas,
+  isoDateSchema
+} from '#~/common/helpers/agreement-event-schema.js'
+
+/**
+ * Generate an agreement PDF on demand, e.g. so the support team can regenerate a missing document.
+ *
+ * `mode=sync` (the default) renders and uploads the PDF before responding. `mode=queued` puts
+ * the request on the SQS queue and responds with where the PDF will be stored.
+ */
+const generateAgreementPdf = {
+  method: 'POST',
+  path: '/agreements/{agreementNumber}/versions/{version}/pdf',
+  options: {
+    auth: 'api-jwt',
+    validate: {
+      params: Joi.object({
+        agreementNumber: agreementNumberSchema.required(),
+        version: Joi.number().integer().min(1).required()
+      }),
+      query: Joi.object({
+        mode: Joi.string().valid('sync', 'queued').default('sync')
+      }),
+      payload: Joi.object({
+        ...agreementSourceSchemas(Joi.string().required()),
+        startDate: isoDateSchema,
+        endDate: isoDateSchema.required(),
+        retentionUntil: isoDateSchema,
+        correlationId: Joi.string(),
+        sbi: Joi.string(),
+        frn: Joi.string(),
+        crn: Joi.string(),
+        force: Joi.boolean().default(false),
+        legalHold: Joi.boolean()
+      })
+    }
+  },
+  handler: async (request, h) => {
+    const { agreementNumber, version } = request.params
+    const data = {
+      ...request.payload,
+      agreementNumber,
+      version,
+      correlationId: request.payload.correlationId ?? randomUUID()
+    }
+
+    if (data.agreementUrl && !isUrlDomainAllowed(data.agreementUrl)) {
+      request.logger.warn(
+        `Rejecting PDF generation for URL: ${data.agreementUrl} domain is not on allow list`
+      )
+      throw Boom.forbidden('Agreement URL domain is not on allow list', {
+        agreementUrl: data.agreementUrl
+      })
+    }
+
+    if (request.query.mode === 'queued') {
+      const { jobId } = await queueAgreementPdf(data)
+      request.logger.info(
+        `Queued agreement ${agreementNumber}-${version} PDF generation job ${jobId}`
+      )
+
+      return h
+        .response({
+          status: 'queued',
+          jobId,
+          correlationId: data.correlationId,
+          ...getPdfLocation(
+            `${agreementNumber}-${version}.pdf`,
+            agreementNumber,
+            version,
+            {
+              startDate: data.startDate,
+              endDate: data.endDate,
+              retentionUntil: data.retentionUntil
+            }
+          )
+        })
+        .code(202)
+    }
+
+    const { generated, ...stored } = await generateAndUploadPdf(
+      data,
+      request.logger
+    )
+
+    return h
+      .response({
+        status: generated ? 'generated' : 'exists',
+        correlationId: data.correlationId,
+        ...stored
+      })
+      .code(generated ? 201 : 200)
+  }
+}
+
+export { generateAgreementPdf }
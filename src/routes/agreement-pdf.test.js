@@ -0,0 +1,278 @@
+import { vi } from 'vitest'
+import Hapi from '@hapi/hapi'
+import Jwt from '@hapi/jwt'
+import { auth } from '#~/plugins/auth.js'
+import { failAction } from '#~/common/helpers/fail-action.js'
+import { generateAgreementPdf } from '#~/routes/agreement-pdf.js'
+import { config } from '#~/config.js'
+
+const { mockGenerateAndUploadPdfFn, mockQueueAgreementPdfFn } = vi.hoisted(
+  () => ({
+    mockGenerateAndUploadPdfFn: vi.fn(),
+    mockQueueAgreementPdfFn: vi.fn()
+  })
+)
+
+vi.mock('#~/services/agreement-pdf.js', () => ({
+  generateAndUploadPdf: mockGenerateAndUploadPdfFn
+}))
+
+vi.mock('#~/services/agreement-pdf-queue.js', () => ({
+  queueAgreementPdf: mockQueueAgreementPdfFn
+}))
+
+vi.mock('#~/services/file-upload.js', () => ({
+  getPdfLocation: (filename, agreementNumber, version) => ({
+    bucket: 'test-bucket',
+    key: `base/${agreementNumber}/${version}/${filename}`,
+    location: `s3://test-bucket/base/${agreementNumber}/${version}/${filename}`,
+    retentionPrefix: 'base'
+  })
+}))
+
+describe('agreement PDF route', () => {
+  let server
+  let mockLogger
+
+  const url = '/agreements/FPTT123456789/versions/2/pdf'
+  const payload = {
+    agreementUrl: 'https://example.com/agreement/FPTT123456789',
+    endDate: '2027-12-31',
+    correlationId: 'test-correlation-id'
+  }
+  const stored = {
+    bucket: 'test-bucket',
+    key: 'base/FPTT123456789/2/FPTT123456789-2.pdf',
+    location: 's3://test-bucket/base/FPTT123456789/2/FPTT123456789-2.pdf',
+    retentionPrefix: 'base',
+    size: 1024,
+    checksum: 'test-checksum'
+  }
+
+  const token = (claims = {}) =>
+    Jwt.token.generate(
+      {
+        aud: config.get('api.jwtAudience'),
+        sub: 'support-user',
+        scope: `openid ${config.get('api.jwtScope')}`,
+        ...claims
+      },
+      config.get('api.jwtSecret')
+    )
+
+  const request = ({ query = '', body = payload, headers } = {}) =>
+    server.inject({
+      method: 'POST',
+      url: `${url}${query}`,
+      payload: body,
+      headers: headers ?? { authorization: `Bearer ${token()}` }
+    })
+
+  beforeAll(() => {
+    config.set('allowedDomains', ['example.com'])
+  })
+
+  beforeEach(async () => {
+    vi.clearAllMocks()
+    mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+    mockGenerateAndUploadPdfFn.mockResolvedValue({ generated: true, ...stored })
+    mockQueueAgreementPdfFn.mockResolvedValue({ jobId: 'job-1' })
+
+    server = Hapi.server({
+      routes: { validate: { options: { abortEarly: false }, failAction } }
+    })
+    server.decorate('request', 'logger', mockLogger)
+    await server.register(auth)
+    server.route(generateAgreementPdf)
+  })
+
+  test('should reject requests without a bearer token', async () => {
+    const response = await request({ headers: {} })
+
+    expect(response.statusCode).toBe(401)
+    expect(mockGenerateAndUploadPdfFn).not.toHaveBeenCalled()
+  })
+
+  test('should reject tokens issued for another audience', async () => {
+    const response = await request({
+      headers: { authorization: `Bearer ${token({ aud: 'another-service' })}` }
+    })
+
+    expect(response.statusCode).toBe(401)
+  })
+
+  test('should reject tokens that do not grant the scope', async () => {
+    for (const scope of [undefined, 'openid', ['openid']]) {
+      const response = await request({
+        headers: { authorization: `Bearer ${token({ scope })}` }
+      })
+
+      expect(response.statusCode).toBe(401)
+    }
+    expect(mockGenerateAndUploadPdfFn).not.toHaveBeenCalled()
+  })
+
+  test('should accept the scope granted in an array', async () => {
+    const response = await request({
+      headers: {
+        authorization: `Bearer ${token({ scope: [config.get('api.jwtScope')] })}`
+      }
+    })
+
+    expect(response.statusCode).toBe(201)
+  })
+
+  test('should generate the PDF synchronously and return its S3 location', async () => {
+    const response = await request()
+
+    expect(response.statusCode).toBe(201)
+    expect(response.result).toEqual({
+      status: 'generated',
+      correlationId: 'test-correlation-id',
+      ...stored
+    })
+    expect(mockGenerateAndUploadPdfFn).toHaveBeenCalledWith(
+      {
+        ...payload,
+        agreementNumber: 'FPTT123456789',
+        version: 2,
+        force: false
+      },
+      mockLogger
+    )
+  })
+
+  test('should return the existing PDF when it has already been generated', async () => {
+    mockGenerateAndUploadPdfFn.mockResolvedValueOnce({
+      generated: false,
+      ...stored
+    })
+
+    const response = await request()
+
+    expect(response.statusCode).toBe(200)
+    expect(response.result.status).toBe('exists')
+    expect(response.result.location).toBe(stored.location)
+  })
+
+  test('should pass force through so a PDF can be regenerated', async () => {
+    await request({ body: { ...payload, force: true } })
+
+    expect(mockGenerateAndUploadPdfFn).toHaveBeenCalledWith(
+      expect.objectContaining({ force: true }),
+      mockLogger
+    )
+  })
+
+  test('should generate a correlation id when none is supplied', async () => {
+    const response = await request({
+      body: { agreementUrl: payload.agreementUrl, endDate: payload.endDate }
+    })
+
+    expect(response.result.correlationId).toMatch(/^[0-9a-f-]{36}$/)
+  })
+
+  test('should queue the PDF and return where it will be stored', async () => {
+    const response = await request({ query: '?mode=queued' })
+
+    expect(response.statusCode).toBe(202)
+    expect(response.result).toEqual({
+      status: 'queued',
+      jobId: 'job-1',
+      correlationId: 'test-correlation-id',
+      bucket: 'test-bucket',
+      key: stored.key,
+      location: stored.location,
+      retentionPrefix: 'base'
+    })
+    expect(mockQueueAgreementPdfFn).toHaveBeenCalledWith(
+      expect.objectContaining({ agreementNumber: 'FPTT123456789', version: 2 })
+    )
+    expect(mockGenerateAndUploadPdfFn).not.toHaveBeenCalled()
+  })
+
+  test('should reject agreement URLs that are not on the allow list', async () => {
+    const response = await request({
+      body: { ...payload, agreementUrl: 'https://evil.example.org/agreement' }
+    })
+
+    expect(response.statusCode).toBe(403)
+    expect(mockGenerateAndUploadPdfFn).not.toHaveBeenCalled()
+    expect(mockLogger.warn).toHaveBeenCalledWith(
+      'Rejecting PDF generation for URL: https://evil.example.org/agreement domain is not on allow list'
+    )
+  })
+
+  test('should render from a template without an agreement URL', async () => {
+    const templatePayload = {
+      templateId: 'farm-payments-agreement-v1',
+      templateData: { agreementName: 'Farm payments agreement' },
+      endDate: '2027-12-31',
+      correlationId: 'test-correlation-id'
+    }
+
+    const response = await request({ body: templatePayload })
+
+    expect(response.statusCode).toBe(201)
+    expect(mockGenerateAndUploadPdfFn).toHaveBeenCalledWith(
+      {
+        ...templatePayload,
+        agreementNumber: 'FPTT123456789',
+        version: 2,
+        force: false
+      },
+      mockLogger
+    )
+    expect(mockLogger.warn).not.toHaveBeenCalled()
+  })
+
+  test.each([
+    ['an invalid agreement number', '/agreements/../versions/2/pdf', payload],
+    [
+      'a non-integer version',
+      '/agreements/FPTT123456789/versions/v2/pdf',
+      payload
+    ],
+    ['a missing agreement URL', url, { endDate: '2027-12-31' }],
+    [
+      'both an agreement URL and a template',
+      url,
+      { ...payload, templateId: 'farm-payments-agreement-v1', templateData: {} }
+    ],
+    [
+      'a template without its data',
+      url,
+      { endDate: '2027-12-31', templateId: 'farm-payments-agreement-v1' }
+    ],
+    [
+      'an invalid template id',
+      url,
+      { endDate: '2027-12-31', templateId: '../secrets', templateData: {} }
+    ],
+    ['an invalid end date', url, { ...payload, endDate: 'next year' }],
+    ['an invalid start date', url, { ...payload, startDate: '2026-02-30' }],
+    [
+      'an invalid retention date',
+      url,
+      { ...payload, retentionUntil: 'forever' }
+    ],
+    ['an unknown field', url, { ...payload, status: 'accepted' }]
+  ])('should reject %s', async (_name, requestUrl, body) => {
+    const response = await server.inject({
+      method: 'POST',
+      url: requestUrl,
+      payload: body,
+      headers: { authorization: `Bearer ${token()}` }
+    })
+
+    expect(response.statusCode).toBeGreaterThanOrEqual(400)
+    expect(response.statusCode).toBeLessThan(500)
+    expect(mockGenerateAndUploadPdfFn).not.toHaveBeenCalled()
+  })
+
+  test('should reject an unknown mode', async () => {
+    const response = await request({ query: '?mode=later' })
+
+    expect(response.statusCode).toBe(400)
+  })
+})
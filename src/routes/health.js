@@ -1,4 +1,5 @@
 import { config } from '#~/config.js'
+import { checkReadiness } from '#~/services/readiness.js'
 
 const health = {
   method: 'GET',
@@ -10,4 +11,23 @@ const health = {
     })
 }
 
-export { health }
+// 503 while any dependency is down, so the platform holds traffic back until it is up again
+const ready = {
+  method: 'GET',
+  path: '/health/ready',
+  handler: async (request, h) => {
+    // The SQS consumer is not registered when the server is created with disableSQS
+    const { ready: isReady, components } = await checkReadiness({
+      disabled: request.server.registrations.sqs ? [] : ['sqs']
+    })
+    return h
+      .response({
+        status: isReady ? 'ready' : 'not ready',
+        version: config.get('serviceVersion') || 'dev',
+        components
+      })
+      .code(isReady ? 200 : 503)
+  }
+}
+
+export { health, ready }
@@ -1,7 +1,13 @@
 import { vi } from 'vitest'
-import { health } from '#~/routes/health.js'
+import { health, ready } from '#~/routes/health.js'
 import { config } from '#~/config.js'
 
+const mockCheckReadiness = vi.hoisted(() => vi.fn())
+
+vi.mock('#~/services/readiness.js', () => ({
+  checkReadiness: mockCheckReadiness
+}))
+
 describe('health route', () => {
   describe('route configuration', () => {
     test('should have correct method', () => {
@@ -139,3 +145,80 @@ describe('health route', () => {
     })
   })
 })
+
+describe('ready route', () => {
+  let mockH
+
+  const request = { server: { registrations: { sqs: {} } } }
+
+  const component = (status, details = {}) => ({
+    status,
+    checkedAt: '2026-10-19T10:00:00.000Z',
+    durationMs: 5,
+    ...details
+  })
+
+  beforeEach(() => {
+    mockCheckReadiness.mockReset()
+    mockH = {
+      response: vi.fn().mockReturnThis(),
+      code: vi.fn().mockReturnThis()
+    }
+    config.set('serviceVersion', 'versionMock')
+  })
+
+  test('should be a GET route for /health/ready', () => {
+    expect(ready).toEqual({
+      method: 'GET',
+      path: '/health/ready',
+      handler: expect.any(Function)
+    })
+  })
+
+  test('should report ready with the status of every component', async () => {
+    const components = {
+      storage: component('up', { driver: 's3', bucket: 'test-bucket' }),
+      browser: component('up', { browsers: 1 })
+    }
+    mockCheckReadiness.mockResolvedValueOnce({ ready: true, components })
+
+    const result = await ready.handler(request, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith({
+      status: 'ready',
+      version: 'versionMock',
+      components
+    })
+    expect(mockH.code).toHaveBeenCalledWith(200)
+    expect(result).toBe(mockH)
+  })
+
+  test('should respond 503 while any component is down', async () => {
+    const components = {
+      storage: component('up'),
+      sqs: component('down', { error: 'Timed out after 3000ms' })
+    }
+    mockCheckReadiness.mockResolvedValueOnce({ ready: false, components })
+
+    await ready.handler(request, mockH)
+
+    expect(mockH.response).toHaveBeenCalledWith({
+      status: 'not ready',
+      version: 'versionMock',
+      components
+    })
+    expect(mockH.code).toHaveBeenCalledWith(503)
+  })
+
+  test('should check SQS only when the consumer is registered', async () => {
+    mockCheckReadiness.mockResolvedValue({ ready: true, components: {} })
+
+    await ready.handler(request, mockH)
+    await ready.handler({ server: { registrations: {} } }, mockH)
+
+    expect(mockCheckReadiness.mock.calls).toEqual([
+      [{ disabled: [] }],
+      [{ disabled: ['sqs'] }]
+    ])
+  })
+})
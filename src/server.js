@@ -2,6 +2,7 @@ import Hapi from '@hapi/hapi'
 import { secureContext } from '@defra/hapi-secure-context'
 
 import { config } from '#~/config.js'
+import { auth } from '#~/plugins/auth.js'
 import { router } from '#~/plugins/router.js'
 import { requestLogger } from '#~/common/helpers/logging/request-logger.js'
 import { failAction } from '#~/common/helpers/fail-action.js'
@@ -9,6 +10,8 @@ import { pulse } from '#~/common/helpers/pulse.js'
 import { requestTracing } from '#~/common/helpers/request-tracing.js'
 import { setupProxy } from '#~/common/helpers/proxy/setup-proxy.js'
 import { sqsClientPlugin } from '#~/common/helpers/sqs-client.js'
+import { browserPoolPlugin } from '#~/services/browser-pool.js'
+import { auditOutboxPlugin } from '#~/common/helpers/audit-event.js'
 
 async function createServer(options = {}) {
   setupProxy()
@@ -43,9 +46,21 @@ async function createServer(options = {}) {
   // requestTracing - trace header logging and propagation
   // secureContext  - loads CA certificates from environment config
   // pulse          - provides shutdown handlers
+  // auth           - bearer token authentication for the on-demand PDF endpoints
   // router         - routes used in the app
+  // browserPoolPlugin - warm Puppeteer browsers used to render agreement PDFs
+  // auditOutboxPlugin - replays audit events that SNS has not accepted yet
   // sqsClientPlugin - SQS consumer for processing agreement.status.updated messages (optional)
-  const plugins = [requestLogger, requestTracing, secureContext, pulse, router]
+  const plugins = [
+    requestLogger,
+    requestTracing,
+    secureContext,
+    pulse,
+    auth,
+    router,
+    browserPoolPlugin,
+    auditOutboxPlugin
+  ]
 
   if (!options.disableSQS) {
     plugins.push(sqsClientPlugin)
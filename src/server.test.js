@@ -93,31 +93,31 @@ describe('createServer', () => {
       const registeredPlugins = mockServerRegister.mock.calls[0][0]
 
       // Should register at least the default plugins
-      expect(registeredPlugins.length).toBeGreaterThanOrEqual(5)
+      expect(registeredPlugins.length).toBeGreaterThanOrEqual(7)
     })
 
     test('Should include SQS plugin by default', async () => {
       await createServer()
 
       const registeredPlugins = mockServerRegister.mock.calls[0][0]
-      // SQS plugin should be included (6 plugins total)
-      expect(registeredPlugins.length).toBe(6)
+      // SQS plugin should be included (8 plugins total)
+      expect(registeredPlugins.length).toBe(8)
     })
 
     test('Should exclude SQS plugin when disableSQS option is true', async () => {
       await createServer({ disableSQS: true })
 
       const registeredPlugins = mockServerRegister.mock.calls[0][0]
-      // Without SQS plugin (5 plugins total)
-      expect(registeredPlugins.length).toBe(5)
+      // Without SQS plugin (7 plugins total)
+      expect(registeredPlugins.length).toBe(7)
     })
 
     test('Should include SQS plugin when disableSQS option is false', async () => {
       await createServer({ disableSQS: false })
 
       const registeredPlugins = mockServerRegister.mock.calls[0][0]
-      // With SQS plugin (6 plugins total)
-      expect(registeredPlugins.length).toBe(6)
+      // With SQS plugin (8 plugins total)
+      expect(registeredPlugins.length).toBe(8)
     })
   })
 
@@ -134,21 +134,21 @@ describe('createServer', () => {
       await createServer({})
 
       const registeredPlugins = mockServerRegister.mock.calls[0][0]
-      expect(registeredPlugins.length).toBe(6)
+      expect(registeredPlugins.length).toBe(8)
     })
 
     test('Should handle no options provided', async () => {
       await createServer()
 
       const registeredPlugins = mockServerRegister.mock.calls[0][0]
-      expect(registeredPlugins.length).toBe(6)
+      expect(registeredPlugins.length).toBe(8)
     })
 
     test('Should handle additional options without affecting behavior', async () => {
       await createServer({ someOtherOption: 'value' })
 
       const registeredPlugins = mockServerRegister.mock.calls[0][0]
-      expect(registeredPlugins.length).toBe(6)
+      expect(registeredPlugins.length).toBe(8)
     })
   })
 })
@@ -0,0 +1,104 @@
+import crypto from 'node:crypto'
+import fs from 'node:fs/promises'
+import * as Jwt from '@hapi/jwt'
+import { config } from '#~/config.js'
+
+// The key each asymmetric algorithm needs, as reported by Node's KeyObject
+const KEY_TYPES = {
+  RS256: { type: 'rsa' },
+  ES256: { type: 'ec', namedCurve: 'prime256v1' }
+}
+
+// RFC 7638 thumbprints hash only the required members of the public JWK, in this order
+const THUMBPRINT_MEMBERS = {
+  rsa: ['e', 'kty', 'n'],
+  ec: ['crv', 'kty', 'x', 'y']
+}
+
+const signingKeys = new Map()
+
+/**
+ * RFC 7638 JWK thumbprint of a key's public half, so a key has a stable id without one being configured
+ * @param {crypto.KeyObject} privateKey
+ * @returns {string}
+ */
+const jwkThumbprint = (privateKey) => {
+  const jwk = crypto.createPublicKey(privateKey).export({ format: 'jwk' })
+  const members = THUMBPRINT_MEMBERS[privateKey.asymmetricKeyType]
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(Object.fromEntries(members.map((m) => [m, jwk[m]]))))
+    .digest('base64url')
+}
+
+/**
+ * Read the private key for an asymmetric algorithm, checking it suits the algorithm
+ * @param {'RS256'|'ES256'} algorithm
+ * @returns {Promise<{ key: string, kid: string }>}
+ */
+const readSigningKey = async (algorithm) => {
+  const privateKeyPath = config.get('agreementPageToken.privateKeyPath')
+  if (!privateKeyPath) {
+    throw new Error(
+      `Agreement page tokens signed with ${algorithm} need a private key file (AGREEMENT_PAGE_TOKEN_PRIVATE_KEY_PATH)`
+    )
+  }
+
+  const cacheKey = `${algorithm}:${privateKeyPath}`
+  if (!signingKeys.has(cacheKey)) {
+    const key = await fs.readFile(privateKeyPath, 'utf8')
+    const privateKey = crypto.createPrivateKey(key)
+    const expected = KEY_TYPES[algorithm]
+    if (
+      privateKey.asymmetricKeyType !== expected.type ||
+      privateKey.asymmetricKeyDetails.namedCurve !== expected.namedCurve
+    ) {
+      throw new Error(
+        `Agreement page token key ${privateKeyPath} cannot sign ${algorithm} tokens`
+      )
+    }
+    signingKeys.set(cacheKey, { key, kid: jwkThumbprint(privateKey) })
+  }
+  return signingKeys.get(cacheKey)
+}
+
+/**
+ * Create the token the agreements frontend checks before showing the renderer an agreement page.
+ * It expires after `agreementPageToken.ttl` and its subject is the agreement version being
+ * rendered, so a leaked token only opens that one page, and only briefly.
+ *
+ * With RS256 or ES256 the frontend verifies it with the public key named by the `kid` header,
+ * so keys can be rotated by publishing the new public key before switching to its private key.
+ * HS256 signs with the shared `jwtSecret`.
+ * @param {{ agreementNumber: string, version: string|number }} agreementData The agreement being rendered
+ * @returns {Promise<string>} The signed token
+ */
+export const createAgreementPageToken = async ({
+  agreementNumber,
+  version
+}) => {
+  const algorithm = config.get('agreementPageToken.algorithm')
+  const keyId = config.get('agreementPageToken.keyId')
+
+  const signingKey =
+    algorithm === 'HS256'
+      ? { key: config.get('jwtSecret'), kid: null }
+      : await readSigningKey(algorithm)
+  const kid = keyId ?? signingKey.kid
+
+  return Jwt.token.generate(
+    {
+      source: 'entra',
+      aud: config.get('agreementPageToken.audience'),
+      sub: `${agreementNumber}-${version}`,
+      agreementNumber,
+      version,
+      jti: crypto.randomUUID()
+    },
+    { key: signingKey.key, algorithm },
+    {
+      ttlSec: config.get('agreementPageToken.ttl'),
+      ...(kid && { header: { kid } })
+    }
+  )
+}
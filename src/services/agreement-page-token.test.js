@@ -0,0 +1,184 @@
+import {
+  afterAll,
+  beforeAll,
+  beforeEach,
+  describe,
+  expect,
+  test,
+  vi
+} from 'vitest'
+import crypto from 'node:crypto'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import * as Jwt from '@hapi/jwt'
+import { createAgreementPageToken } from '#~/services/agreement-page-token.js'
+
+const { configMap } = vi.hoisted(() => ({ configMap: {} }))
+
+vi.mock('#~/config.js', () => ({
+  config: { get: (key) => configMap[key] }
+}))
+
+const writeKey = async (dir, name, type, options) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options)
+  const keyPath = path.join(dir, name)
+  await fs.writeFile(
+    keyPath,
+    privateKey.export({ type: 'pkcs8', format: 'pem' })
+  )
+  return {
+    keyPath,
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' })
+  }
+}
+
+describe('agreement page token', () => {
+  const agreementData = { agreementNumber: 'FPTT123456789', version: 2 }
+  let tmpDir
+  let rsaKey
+  let ecKey
+
+  const verify = (token, key, algorithm) => {
+    const artifacts = Jwt.token.decode(token)
+    Jwt.token.verify(
+      artifacts,
+      { key, algorithm },
+      { aud: 'farming-grants-agreements-ui', sub: 'FPTT123456789-2' }
+    )
+    return artifacts.decoded
+  }
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'agreement-page-token-'))
+    rsaKey = await writeKey(tmpDir, 'rsa.pem', 'rsa', { modulusLength: 2048 })
+    ecKey = await writeKey(tmpDir, 'ec.pem', 'ec', { namedCurve: 'P-256' })
+  })
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  beforeEach(() => {
+    vi.useRealTimers()
+    Object.assign(configMap, {
+      jwtSecret: 'a-string-secret-at-least-256-bits-long',
+      'agreementPageToken.algorithm': 'HS256',
+      'agreementPageToken.privateKeyPath': null,
+      'agreementPageToken.keyId': null,
+      'agreementPageToken.audience': 'farming-grants-agreements-ui',
+      'agreementPageToken.ttl': 300
+    })
+  })
+
+  test('should scope the token to the agreement version and expire it', async () => {
+    vi.useFakeTimers({
+      now: new Date('2026-10-19T10:00:00Z'),
+      toFake: ['Date']
+    })
+
+    const token = await createAgreementPageToken(agreementData)
+    const { header, payload } = verify(
+      token,
+      'a-string-secret-at-least-256-bits-long',
+      'HS256'
+    )
+
+    expect(header).toEqual({ alg: 'HS256', typ: 'JWT' })
+    expect(payload).toEqual({
+      source: 'entra',
+      aud: 'farming-grants-agreements-ui',
+      sub: 'FPTT123456789-2',
+      agreementNumber: 'FPTT123456789',
+      version: 2,
+      jti: expect.stringMatching(/^[0-9a-f-]{36}$/),
+      iat: 1792404000,
+      exp: 1792404300
+    })
+  })
+
+  test('should give every token its own id', async () => {
+    const first = Jwt.token.decode(
+      await createAgreementPageToken(agreementData)
+    )
+    const second = Jwt.token.decode(
+      await createAgreementPageToken(agreementData)
+    )
+
+    expect(first.decoded.payload.jti).not.toBe(second.decoded.payload.jti)
+  })
+
+  test('should not be accepted for another agreement version', async () => {
+    const token = await createAgreementPageToken({
+      agreementNumber: 'FPTT123456789',
+      version: 1
+    })
+
+    expect(() =>
+      verify(token, 'a-string-secret-at-least-256-bits-long', 'HS256')
+    ).toThrow('Token payload sub value not allowed')
+  })
+
+  test.each([
+    ['RS256', () => rsaKey],
+    ['ES256', () => ecKey]
+  ])(
+    'should sign %s tokens the frontend can verify with the public key',
+    async (algorithm, key) => {
+      Object.assign(configMap, {
+        'agreementPageToken.algorithm': algorithm,
+        'agreementPageToken.privateKeyPath': key().keyPath
+      })
+
+      const token = await createAgreementPageToken(agreementData)
+      const { header } = verify(token, key().publicKey, algorithm)
+
+      const jwk = crypto
+        .createPublicKey(key().publicKey)
+        .export({ format: 'jwk' })
+      const members =
+        algorithm === 'RS256'
+          ? { e: jwk.e, kty: jwk.kty, n: jwk.n }
+          : { crv: jwk.crv, kty: jwk.kty, x: jwk.x, y: jwk.y }
+      expect(header).toEqual({
+        alg: algorithm,
+        typ: 'JWT',
+        kid: crypto
+          .createHash('sha256')
+          .update(JSON.stringify(members))
+          .digest('base64url')
+      })
+    }
+  )
+
+  test('should name the key with the configured key id', async () => {
+    Object.assign(configMap, {
+      'agreementPageToken.algorithm': 'ES256',
+      'agreementPageToken.privateKeyPath': ecKey.keyPath,
+      'agreementPageToken.keyId': '2026-10'
+    })
+
+    const token = await createAgreementPageToken(agreementData)
+
+    expect(Jwt.token.decode(token).decoded.header.kid).toBe('2026-10')
+  })
+
+  test('should need a key file for asymmetric algorithms', async () => {
+    configMap['agreementPageToken.algorithm'] = 'RS256'
+
+    await expect(createAgreementPageToken(agreementData)).rejects.toThrow(
+      'Agreement page tokens signed with RS256 need a private key file (AGREEMENT_PAGE_TOKEN_PRIVATE_KEY_PATH)'
+    )
+  })
+
+  test('should refuse a key that cannot sign with the algorithm', async () => {
+    Object.assign(configMap, {
+      'agreementPageToken.algorithm': 'ES256',
+      'agreementPageToken.privateKeyPath': rsaKey.keyPath
+    })
+
+    await expect(createAgreementPageToken(agreementData)).rejects.toThrow(
+      `Agreement page token key ${rsaKey.keyPath} cannot sign ES256 tokens`
+    )
+  })
+})
@@ -0,0 +1,40 @@
+import { SendMessageCommand, SQSClient } from '@aws-sdk/client-sqs'
+import { randomUUID } from 'node:crypto'
+import { config } from '#~/config.js'
+
+const sqsClient = new SQSClient({
+  region: config.get('aws.region'),
+  endpoint: config.get('aws.sqs.endpoint')
+})
+
+/**
+ * Queue an agreement PDF to be generated by the SQS consumer, so it gets the same retries
+ * and dead-lettering as PDFs requested by the Farming Grants Agreement API
+ * @param {object} data - The agreement data, as carried by an agreement.status.updated event
+ * @returns {Promise<{ jobId: string }>} The id of the queued event
+ */
+export const queueAgreementPdf = async (data) => {
+  const queueUrl = config.get('aws.sqs.queueUrl')
+  const event = {
+    id: randomUUID(),
+    source: config.get('aws.sns.eventSource'),
+    specversion: '1.0',
+    type: config.get('aws.sns.topic.offerAccepted.type'),
+    datacontenttype: 'application/json',
+    time: new Date().toISOString(),
+    data: { ...data, status: 'accepted' }
+  }
+
+  await sqsClient.send(
+    new SendMessageCommand({
+      QueueUrl: queueUrl,
+      MessageBody: JSON.stringify(event),
+      ...(queueUrl.endsWith('.fifo') && {
+        MessageGroupId: String(data.agreementNumber),
+        MessageDeduplicationId: event.id
+      })
+    })
+  )
+
+  return { jobId: event.id }
+}
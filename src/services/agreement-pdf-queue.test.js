@@ -0,0 +1,78 @@
+import { vi } from 'vitest'
+import { queueAgreementPdf } from '#~/services/agreement-pdf-queue.js'
+
+const { mockSqsClientSendFn, configMap } = vi.hoisted(() => ({
+  mockSqsClientSendFn: vi.fn(),
+  configMap: {
+    'aws.region': 'eu-west-2',
+    'aws.sqs.endpoint': 'http://localhost:4566',
+    'aws.sqs.queueUrl':
+      'http://localhost:4566/000000000000/create_agreement_pdf_fifo.fifo',
+    'aws.sns.eventSource': 'urn:service:agreement',
+    'aws.sns.topic.offerAccepted.type': 'io.onsite.agreement.status.updated'
+  }
+}))
+
+vi.mock('#~/config.js', () => ({
+  config: { get: (key) => configMap[key] }
+}))
+
+vi.mock('@aws-sdk/client-sqs', () => ({
+  SQSClient: class MockSQSClient {
+    send(command) {
+      return mockSqsClientSendFn(command)
+    }
+  },
+  SendMessageCommand: class MockSendMessageCommand {
+    constructor(input) {
+      this.input = input
+    }
+  }
+}))
+
+describe('queueAgreementPdf', () => {
+  const data = {
+    agreementNumber: 'FPTT123456789',
+    version: 2,
+    agreementUrl: 'https://example.com/agreement/FPTT123456789',
+    endDate: '2027-12-31',
+    correlationId: 'test-correlation-id',
+    force: true
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockSqsClientSendFn.mockResolvedValue({ MessageId: 'sqs-message-id' })
+  })
+
+  test('should queue an accepted agreement event for the SQS consumer', async () => {
+    const { jobId } = await queueAgreementPdf(data)
+
+    const { input } = mockSqsClientSendFn.mock.calls[0][0]
+    const event = JSON.parse(input.MessageBody)
+    expect(input.QueueUrl).toBe(configMap['aws.sqs.queueUrl'])
+    expect(event).toEqual({
+      id: jobId,
+      source: 'urn:service:agreement',
+      specversion: '1.0',
+      type: 'io.onsite.agreement.status.updated',
+      datacontenttype: 'application/json',
+      time: expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+      data: { ...data, status: 'accepted' }
+    })
+  })
+
+  test('should group FIFO messages by agreement number', async () => {
+    const { jobId } = await queueAgreementPdf(data)
+
+    const { input } = mockSqsClientSendFn.mock.calls[0][0]
+    expect(input.MessageGroupId).toBe('FPTT123456789')
+    expect(input.MessageDeduplicationId).toBe(jobId)
+  })
+
+  test('should propagate SQS errors', async () => {
+    mockSqsClientSendFn.mockRejectedValueOnce(new Error('SQS unavailable'))
+
+    await expect(queueAgreementPdf(data)).rejects.toThrow('SQS unavailable')
+  })
+})
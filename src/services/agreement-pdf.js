@@ -0,0 +1,399 @@
+import { generatePdf } from '#~/services/pdf-generator.js'
+import {
+  findUploadedPdf,
+  setPdfLegalHold,
+  uploadPdf
+} from '#~/services/file-upload.js'
+import { verifyPdfSignatureFile } from '#~/services/pdf-signing.js'
+import {
+  buildIdempotencyKey,
+  getIdempotencyStore
+} from '#~/services/idempotency-store.js'
+import { config } from '#~/config.js'
+import {
+  PdfOutcome,
+  publishPdfOutcomeEvent
+} from '#~/common/helpers/pdf-outcome-event.js'
+import { removeTemporaryFile } from '#~/common/helpers/file-cleanup.js'
+import { auditEvent, AuditEvent } from '#~/common/helpers/audit-event.js'
+import { isPermanentFailure } from '#~/common/helpers/sqs-failure-handler.js'
+
+/**
+ * Find a PDF already generated for this agreement version, so redelivered or duplicate
+ * events do not render and upload it again
+ * @param {string} idempotencyKey - The idempotency key for the agreement version
+ * @param {string} filename - The filename for the PDF
+ * @param {object} data - The payload data containing agreement data
+ * @param {import('#~/services/retention-policy.js').RetentionDates} retentionDates - The agreement dates its retention is worked out from
+ * @param {import('@hapi/hapi').Server} logger - The logger instance
+ * @returns {Promise<object|null>} Where the PDF is stored, or null if it has not been generated
+ */
+const findGeneratedPdf = async (
+  idempotencyKey,
+  filename,
+  data,
+  retentionDates,
+  logger
+) => {
+  const { agreementNumber, version } = data
+  const store = getIdempotencyStore()
+
+  const recorded = await store.get(idempotencyKey)
+  if (recorded) {
+    logger.info(
+      `Agreement ${agreementNumber}-${version} PDF already generated at ${recorded.location}, skipping`
+    )
+    return recorded
+  }
+
+  // With event ids in the key only redeliveries of the same event are skipped
+  if (config.get('idempotency.includeEventId')) {
+    return null
+  }
+
+  const uploaded = await findUploadedPdf(
+    filename,
+    agreementNumber,
+    version,
+    retentionDates
+  )
+  if (!uploaded) {
+    return null
+  }
+
+  logger.info(
+    `Agreement ${agreementNumber}-${version} PDF already exists at ${uploaded.location}, skipping`
+  )
+  // The earlier attempt may have stopped before telling the API where the PDF is
+  await publishPdfGeneratedEvent(data, uploaded, logger)
+  await store.set(idempotencyKey, uploaded)
+  return uploaded
+}
+
+/**
+ * Publish a PDF generated event; throwing here retries the message, so the API is always
+ * told where the PDF is
+ * @param {object} data - The payload data containing agreement data
+ * @param {object} uploadResult - Where the PDF is stored
+ * @param {import('@hapi/hapi').Server} logger - The logger instance
+ * @returns {Promise<void>}
+ */
+const publishPdfGeneratedEvent = async (data, uploadResult, logger) => {
+  await publishPdfOutcomeEvent(PdfOutcome.GENERATED, {
+    agreementNumber: data.agreementNumber,
+    version: data.version,
+    correlationId: data.correlationId,
+    bucket: uploadResult.bucket,
+    key: uploadResult.key,
+    location: uploadResult.location,
+    retentionPrefix: uploadResult.retentionPrefix,
+    size: uploadResult.size,
+    checksumAlgorithm: 'SHA256',
+    checksum: uploadResult.checksum
+  })
+  logger.info(
+    `Published PDF generated event for agreement ${data.agreementNumber}-${data.version}`
+  )
+}
+
+/**
+ * Put a PDF that has already been generated on legal hold, or lift its hold, when the event asks to
+ * @param {object} stored - Where the PDF is stored
+ * @param {object} data - The payload data containing agreement data
+ * @param {import('@hapi/hapi').Server} logger - The logger instance
+ * @returns {Promise<void>}
+ */
+const updateLegalHold = async (stored, data, logger) => {
+  if (
+    typeof data.legalHold !== 'boolean' ||
+    !config.get('aws.s3.objectLock.enabled')
+  ) {
+    return
+  }
+
+  // PDFs are all held when legal holds are configured for every agreement
+  await setPdfLegalHold(
+    stored,
+    data.legalHold || config.get('aws.s3.objectLock.legalHold'),
+    logger
+  )
+}
+
+/**
+ * Generate and upload PDF from agreement URL
+ *
+ * Agreement versions that have already been generated are skipped unless `data.force` is set, and
+ * a forced regeneration is audited as PDF_REGENERATED. A `data.legalHold` flag still puts a skipped
+ * PDF on legal hold, or lifts its hold. A PDF failed event is published only once the PDF will not
+ * be generated: when the failure is permanent or `options.lastAttempt` is set.
+ * @param {object} data - The payload data containing agreement data
+ * @param {import('@hapi/hapi').Server} logger - The logger instance
+ * @param {{ eventId?: string, eventType?: string, requestedAt?: string, lastAttempt?: boolean }} [options] - The id, type and time of the event that requested the PDF, and whether a transient failure will not be retried
+ * @returns {Promise<{generated: boolean, bucket: string, key: string, location: string, retentionPrefix: string, size: number, checksum?: string}>} Where the PDF is stored, and whether it was generated by this call
+ */
+export const generateAndUploadPdf = async (
+  data,
+  logger,
+  { eventId, eventType, requestedAt, lastAttempt = true } = {}
+) => {
+  const agreementNumber = data.agreementNumber
+  const version = data.version
+  const retentionDates = {
+    startDate: data.startDate,
+    endDate: data.endDate,
+    retentionUntil: data.retentionUntil,
+    requestedAt
+  }
+  const correlationId = data.correlationId
+  const accounts = {
+    sbi: data.sbi,
+    frn: data.frn,
+    crn: data.crn
+  }
+
+  const filename = `${agreementNumber}-${version}.pdf`
+  const idempotencyKey = buildIdempotencyKey({
+    agreementNumber,
+    version,
+    eventId
+  })
+
+  if (data.force === true) {
+    logger.info(
+      `Forcing regeneration of agreement ${agreementNumber}-${version} PDF`
+    )
+  } else {
+    const existing = await findGeneratedPdf(
+      idempotencyKey,
+      filename,
+      data,
+      retentionDates,
+      logger
+    )
+    if (existing) {
+      await updateLegalHold(existing, data, logger)
+      return { generated: false, ...existing }
+    }
+  }
+
+  const source = data.templateId
+    ? `template ${data.templateId}`
+    : `agreement URL ${data.agreementUrl}`
+  logger.info(
+    `Generating Agreement ${agreementNumber}-${version} PDF from ${source}`
+  )
+  auditEvent(AuditEvent.PDF_GENERATION_STARTED, {
+    agreementNumber,
+    version,
+    templateId: data.templateId,
+    force: data.force === true,
+    eventId,
+    correlationId,
+    identifiers: accounts
+  })
+
+  let pdfPath = ''
+  let checksum
+
+  try {
+    const generated = await generatePdf(data, filename, logger, { eventType })
+    pdfPath = generated.outputPath
+    checksum = generated.checksum
+    logger.info(`PDF ${filename} generated successfully and save to ${pdfPath}`)
+  } catch (err) {
+    logger.error(
+      err,
+      `Failed to generate agreement ${agreementNumber}-${version} PDF from ${source}`
+    )
+    auditGenerationFailed(data, 'generation', err)
+    await publishPdfFailedEvent(data, 'generation', err, lastAttempt, logger)
+    throw err
+  }
+
+  if (config.get('pdfSigning.enabled')) {
+    await verifyPdfSignatureBeforeUpload(pdfPath, data, lastAttempt, logger)
+  }
+
+  const uploadResult = await uploadPdfToS3(
+    pdfPath,
+    filename,
+    agreementNumber,
+    version,
+    retentionDates,
+    {
+      correlationId,
+      accounts,
+      checksum,
+      legalHold: data.legalHold,
+      lastAttempt
+    },
+    logger
+  )
+
+  await publishPdfGeneratedEvent(data, uploadResult, logger)
+
+  if (data.force === true) {
+    auditEvent(AuditEvent.PDF_REGENERATED, {
+      agreementNumber,
+      version,
+      key: uploadResult.key,
+      bucket: uploadResult.bucket,
+      location: uploadResult.location,
+      checksumAlgorithm: 'SHA256',
+      checksum: uploadResult.checksum,
+      correlationId,
+      identifiers: accounts
+    })
+  }
+
+  const stored = {
+    bucket: uploadResult.bucket,
+    key: uploadResult.key,
+    location: uploadResult.location,
+    retentionPrefix: uploadResult.retentionPrefix,
+    size: uploadResult.size,
+    checksum: uploadResult.checksum
+  }
+  await getIdempotencyStore().set(idempotencyKey, stored)
+
+  return { generated: true, ...stored }
+}
+
+/**
+ * Audit a PDF that could not be generated. Upload failures are audited as they happen in
+ * `uploadPdf`.
+ * @param {object} data - The payload data containing agreement data
+ * @param {'generation'|'signing'} stage - The stage that failed
+ * @param {Error} err - The error that occurred
+ */
+const auditGenerationFailed = (data, stage, err) => {
+  auditEvent(
+    AuditEvent.PDF_GENERATION_FAILED,
+    {
+      agreementNumber: data.agreementNumber,
+      version: data.version,
+      stage,
+      reason: err.message,
+      correlationId: data.correlationId,
+      identifiers: { sbi: data.sbi, frn: data.frn, crn: data.crn }
+    },
+    'failure'
+  )
+}
+
+/**
+ * Publish a PDF failed event, logging rather than throwing so the original error is preserved.
+ * Transient failures that will be retried are not published, so the API hears of a failure once.
+ * @param {object} data - The payload data containing agreement data
+ * @param {'generation'|'signing'|'upload'} stage - The stage that failed
+ * @param {Error} err - The error that occurred
+ * @param {boolean} lastAttempt - Whether a transient failure will not be retried
+ * @param {import('@hapi/hapi').Server} logger - The logger instance
+ * @returns {Promise<void>}
+ */
+const publishPdfFailedEvent = async (data, stage, err, lastAttempt, logger) => {
+  if (!lastAttempt && !isPermanentFailure(err)) {
+    return
+  }
+
+  try {
+    await publishPdfOutcomeEvent(PdfOutcome.FAILED, {
+      agreementNumber: data.agreementNumber,
+      version: data.version,
+      correlationId: data.correlationId,
+      stage,
+      reason: err.message
+    })
+  } catch (publishErr) {
+    logger.error(
+      publishErr,
+      `Failed to publish PDF failed event for agreement ${data.agreementNumber}-${data.version}`
+    )
+  }
+}
+
+/**
+ * Confirm the generated PDF is still signed as generated, so a PDF that has been changed is
+ * never stored
+ * @param {string} pdfPath - The path to the PDF file
+ * @param {object} data - The payload data containing agreement data
+ * @param {boolean} lastAttempt - Whether a transient failure will not be retried
+ * @param {import('@hapi/hapi').Server} logger - The logger instance
+ * @returns {Promise<void>}
+ * @throws {Error} When the signature does not verify
+ */
+const verifyPdfSignatureBeforeUpload = async (
+  pdfPath,
+  data,
+  lastAttempt,
+  logger
+) => {
+  const { agreementNumber, version } = data
+
+  try {
+    const signature = await verifyPdfSignatureFile(pdfPath)
+    logger.info(
+      `Verified PAdES-${signature.level} signature by ${signature.signedBy} on agreement ${agreementNumber}-${version} PDF`
+    )
+  } catch (err) {
+    logger.error(
+      err,
+      `Signature verification failed for agreement ${agreementNumber}-${version} PDF ${pdfPath}`
+    )
+    await removeTemporaryFile(pdfPath, logger)
+    auditGenerationFailed(data, 'signing', err)
+    await publishPdfFailedEvent(data, 'signing', err, lastAttempt, logger)
+    throw err
+  }
+}
+
+/**
+ * Upload PDF to S3
+ * @param {string} pdfPath - The path to the PDF file
+ * @param {string} filename - The filename for the PDF
+ * @param {string} agreementNumber - The agreement number
+ * @param {number} version - The agreement version
+ * @param {import('#~/services/retention-policy.js').RetentionDates} retentionDates - The agreement dates its retention is worked out from
+ * @param {{ correlationId: string, accounts: object, checksum: string, legalHold?: boolean, lastAttempt: boolean }} options - Correlation ID, known account identifiers, the SHA-256 of the PDF as generated, whether to put it on legal hold and whether a transient failure will not be retried
+ * @param {import('@hapi/hapi').Server} logger - The logger instance
+ * @returns {Promise<object>} The S3 upload result
+ * @throws {Error} When the upload fails, so the message can be retried
+ */
+const uploadPdfToS3 = async (
+  pdfPath,
+  filename,
+  agreementNumber,
+  version,
+  retentionDates,
+  { correlationId, accounts, checksum, legalHold, lastAttempt },
+  logger
+) => {
+  try {
+    const uploadResult = await uploadPdf(
+      pdfPath,
+      filename,
+      agreementNumber,
+      version,
+      retentionDates,
+      logger,
+      { correlationId, accounts, checksum, legalHold }
+    )
+    logger.info(
+      `Agreement ${agreementNumber} PDF uploaded successfully (${uploadResult.success}) to S3`
+    )
+    return uploadResult
+  } catch (err) {
+    logger.error(
+      err,
+      `Failed to upload agreement ${agreementNumber} PDF ${pdfPath} to S3`
+    )
+    await publishPdfFailedEvent(
+      { agreementNumber, version, correlationId },
+      'upload',
+      err,
+      lastAttempt,
+      logger
+    )
+    throw err
+  }
+}
@@ -0,0 +1,403 @@
+import Boom from '@hapi/boom'
+import { vi } from 'vitest'
+import { generateAndUploadPdf } from '#~/services/agreement-pdf.js'
+import { AuditEvent } from '#~/common/helpers/audit-event.js'
+
+const {
+  configMap,
+  mockGeneratePdfFn,
+  mockUploadPdfFn,
+  mockFindUploadedPdfFn,
+  mockSetPdfLegalHoldFn,
+  mockVerifyPdfSignatureFileFn,
+  mockIdempotencyStore,
+  mockPublishPdfOutcomeEventFn,
+  mockRemoveTemporaryFileFn,
+  mockAuditEventFn
+} = vi.hoisted(() => ({
+  configMap: {},
+  mockGeneratePdfFn: vi.fn(),
+  mockUploadPdfFn: vi.fn(),
+  mockFindUploadedPdfFn: vi.fn(),
+  mockSetPdfLegalHoldFn: vi.fn(),
+  mockVerifyPdfSignatureFileFn: vi.fn(),
+  mockIdempotencyStore: { get: vi.fn(), set: vi.fn() },
+  mockPublishPdfOutcomeEventFn: vi.fn(),
+  mockRemoveTemporaryFileFn: vi.fn(),
+  mockAuditEventFn: vi.fn()
+}))
+
+vi.mock('#~/config.js', () => ({
+  config: { get: (key) => configMap[key] }
+}))
+
+vi.mock('#~/services/pdf-generator.js', () => ({
+  generatePdf: mockGeneratePdfFn
+}))
+
+vi.mock('#~/services/file-upload.js', () => ({
+  uploadPdf: mockUploadPdfFn,
+  findUploadedPdf: mockFindUploadedPdfFn,
+  setPdfLegalHold: mockSetPdfLegalHoldFn
+}))
+
+vi.mock('#~/services/pdf-signing.js', () => ({
+  verifyPdfSignatureFile: mockVerifyPdfSignatureFileFn
+}))
+
+vi.mock('#~/services/idempotency-store.js', () => ({
+  buildIdempotencyKey: ({ agreementNumber, version, eventId }) =>
+    [agreementNumber, version, eventId].filter(Boolean).join(':'),
+  getIdempotencyStore: () => mockIdempotencyStore
+}))
+
+vi.mock('#~/common/helpers/pdf-outcome-event.js', () => ({
+  PdfOutcome: { GENERATED: 'generated', FAILED: 'failed' },
+  publishPdfOutcomeEvent: mockPublishPdfOutcomeEventFn
+}))
+
+vi.mock('#~/common/helpers/file-cleanup.js', () => ({
+  removeTemporaryFile: mockRemoveTemporaryFileFn
+}))
+
+vi.mock('#~/common/helpers/audit-event.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  auditEvent: mockAuditEventFn
+}))
+
+vi.mock('#~/common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({ error: vi.fn() })
+}))
+
+describe('generateAndUploadPdf', () => {
+  let mockLogger
+
+  const data = {
+    agreementNumber: 'FPTT123456789',
+    version: 2,
+    agreementUrl: 'https://example.com/agreement/FPTT123456789',
+    startDate: '2025-01-01',
+    endDate: '2027-12-31',
+    correlationId: 'test-correlation-id',
+    sbi: '106284736',
+    frn: '1102658375',
+    crn: '1102838829'
+  }
+  const stored = {
+    bucket: 'test-bucket',
+    key: 'base/FPTT123456789/2/FPTT123456789-2.pdf',
+    location: 's3://test-bucket/base/FPTT123456789/2/FPTT123456789-2.pdf',
+    retentionPrefix: 'base',
+    size: 1024,
+    checksum: 'test-checksum'
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+    mockLogger = { info: vi.fn(), warn: vi.fn(), error: vi.fn() }
+    Object.assign(configMap, {
+      'idempotency.includeEventId': false,
+      'pdfSigning.enabled': false,
+      'aws.s3.objectLock.enabled': false,
+      'aws.s3.objectLock.legalHold': false
+    })
+    mockIdempotencyStore.get.mockResolvedValue(null)
+    mockFindUploadedPdfFn.mockResolvedValue(null)
+    mockGeneratePdfFn.mockResolvedValue({
+      outputPath: '/tmp/defra-pdf/FPTT123456789-2.pdf',
+      checksum: 'test-checksum'
+    })
+    mockUploadPdfFn.mockResolvedValue({
+      success: true,
+      etag: 'etag',
+      ...stored
+    })
+    mockPublishPdfOutcomeEventFn.mockResolvedValue(undefined)
+  })
+
+  test('should generate, upload and record the PDF, telling the API where it is', async () => {
+    await expect(
+      generateAndUploadPdf(data, mockLogger, { eventId: 'event-1' })
+    ).resolves.toEqual({ generated: true, ...stored })
+
+    expect(mockGeneratePdfFn).toHaveBeenCalledWith(
+      data,
+      'FPTT123456789-2.pdf',
+      mockLogger,
+      { eventType: undefined }
+    )
+    expect(mockUploadPdfFn).toHaveBeenCalledWith(
+      '/tmp/defra-pdf/FPTT123456789-2.pdf',
+      'FPTT123456789-2.pdf',
+      'FPTT123456789',
+      2,
+      {
+        startDate: '2025-01-01',
+        endDate: '2027-12-31',
+        retentionUntil: undefined
+      },
+      mockLogger,
+      {
+        correlationId: 'test-correlation-id',
+        accounts: { sbi: '106284736', frn: '1102658375', crn: '1102838829' },
+        checksum: 'test-checksum',
+        legalHold: undefined
+      }
+    )
+    expect(mockPublishPdfOutcomeEventFn).toHaveBeenCalledWith('generated', {
+      agreementNumber: 'FPTT123456789',
+      version: 2,
+      correlationId: 'test-correlation-id',
+      bucket: stored.bucket,
+      key: stored.key,
+      location: stored.location,
+      retentionPrefix: 'base',
+      size: 1024,
+      checksumAlgorithm: 'SHA256',
+      checksum: 'test-checksum'
+    })
+    expect(mockIdempotencyStore.set).toHaveBeenCalledWith(
+      'FPTT123456789:2:event-1',
+      stored
+    )
+    expect(mockAuditEventFn).toHaveBeenCalledWith(
+      AuditEvent.PDF_GENERATION_STARTED,
+      expect.objectContaining({
+        agreementNumber: 'FPTT123456789',
+        version: 2,
+        force: false,
+        eventId: 'event-1'
+      })
+    )
+  })
+
+  test('should skip a PDF already recorded as generated', async () => {
+    mockIdempotencyStore.get.mockResolvedValueOnce(stored)
+
+    await expect(generateAndUploadPdf(data, mockLogger)).resolves.toEqual({
+      generated: false,
+      ...stored
+    })
+
+    expect(mockGeneratePdfFn).not.toHaveBeenCalled()
+    expect(mockFindUploadedPdfFn).not.toHaveBeenCalled()
+    expect(mockPublishPdfOutcomeEventFn).not.toHaveBeenCalled()
+  })
+
+  test('should skip a PDF already uploaded, recording it and telling the API where it is', async () => {
+    mockFindUploadedPdfFn.mockResolvedValueOnce(stored)
+
+    await expect(generateAndUploadPdf(data, mockLogger)).resolves.toEqual({
+      generated: false,
+      ...stored
+    })
+
+    expect(mockGeneratePdfFn).not.toHaveBeenCalled()
+    expect(mockPublishPdfOutcomeEventFn).toHaveBeenCalledWith(
+      'generated',
+      expect.objectContaining({ location: stored.location })
+    )
+    expect(mockIdempotencyStore.set).toHaveBeenCalledWith(
+      'FPTT123456789:2',
+      stored
+    )
+  })
+
+  test('should look for an uploaded PDF and upload it with the retention dates of the event', async () => {
+    const { startDate, ...withoutStartDate } = data
+    const requestedAt = '2025-10-06T16:41:59.497Z'
+    const retentionDates = {
+      startDate: undefined,
+      endDate: '2027-12-31',
+      retentionUntil: undefined,
+      requestedAt
+    }
+
+    await generateAndUploadPdf(withoutStartDate, mockLogger, { requestedAt })
+
+    expect(mockFindUploadedPdfFn).toHaveBeenCalledWith(
+      'FPTT123456789-2.pdf',
+      'FPTT123456789',
+      2,
+      retentionDates
+    )
+    expect(mockUploadPdfFn).toHaveBeenCalledWith(
+      '/tmp/defra-pdf/FPTT123456789-2.pdf',
+      'FPTT123456789-2.pdf',
+      'FPTT123456789',
+      2,
+      retentionDates,
+      mockLogger,
+      expect.anything()
+    )
+  })
+
+  test('should not look for an uploaded PDF when event ids are part of the key', async () => {
+    configMap['idempotency.includeEventId'] = true
+
+    await generateAndUploadPdf(data, mockLogger, { eventId: 'event-1' })
+
+    expect(mockFindUploadedPdfFn).not.toHaveBeenCalled()
+    expect(mockGeneratePdfFn).toHaveBeenCalled()
+  })
+
+  test('should put a skipped PDF on legal hold when asked to', async () => {
+    configMap['aws.s3.objectLock.enabled'] = true
+    mockIdempotencyStore.get.mockResolvedValueOnce(stored)
+
+    await generateAndUploadPdf({ ...data, legalHold: true }, mockLogger)
+
+    expect(mockSetPdfLegalHoldFn).toHaveBeenCalledWith(stored, true, mockLogger)
+  })
+
+  test('should leave legal holds alone without Object Lock', async () => {
+    mockIdempotencyStore.get.mockResolvedValueOnce(stored)
+
+    await generateAndUploadPdf({ ...data, legalHold: true }, mockLogger)
+
+    expect(mockSetPdfLegalHoldFn).not.toHaveBeenCalled()
+  })
+
+  test('should regenerate a PDF when forced, auditing the regeneration', async () => {
+    mockIdempotencyStore.get.mockResolvedValue(stored)
+
+    await expect(
+      generateAndUploadPdf({ ...data, force: true }, mockLogger)
+    ).resolves.toEqual({ generated: true, ...stored })
+
+    expect(mockIdempotencyStore.get).not.toHaveBeenCalled()
+    expect(mockGeneratePdfFn).toHaveBeenCalled()
+    expect(mockAuditEventFn).toHaveBeenCalledWith(
+      AuditEvent.PDF_REGENERATED,
+      expect.objectContaining({ key: stored.key, checksum: 'test-checksum' })
+    )
+  })
+
+  test('should audit and publish a generation failure before rethrowing it', async () => {
+    mockGeneratePdfFn.mockRejectedValueOnce(new Error('Navigation timeout'))
+
+    await expect(generateAndUploadPdf(data, mockLogger)).rejects.toThrow(
+      'Navigation timeout'
+    )
+
+    expect(mockAuditEventFn).toHaveBeenCalledWith(
+      AuditEvent.PDF_GENERATION_FAILED,
+      expect.objectContaining({
+        stage: 'generation',
+        reason: 'Navigation timeout'
+      }),
+      'failure'
+    )
+    expect(mockPublishPdfOutcomeEventFn).toHaveBeenCalledWith('failed', {
+      agreementNumber: 'FPTT123456789',
+      version: 2,
+      correlationId: 'test-correlation-id',
+      stage: 'generation',
+      reason: 'Navigation timeout'
+    })
+    expect(mockUploadPdfFn).not.toHaveBeenCalled()
+  })
+
+  test('should keep the original error when the failed event cannot be published', async () => {
+    mockGeneratePdfFn.mockRejectedValueOnce(new Error('Navigation timeout'))
+    mockPublishPdfOutcomeEventFn.mockRejectedValueOnce(
+      new Error('SNS unavailable')
+    )
+
+    await expect(generateAndUploadPdf(data, mockLogger)).rejects.toThrow(
+      'Navigation timeout'
+    )
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'SNS unavailable' }),
+      'Failed to publish PDF failed event for agreement FPTT123456789-2'
+    )
+  })
+
+  test('should verify the signature before uploading a signed PDF', async () => {
+    configMap['pdfSigning.enabled'] = true
+    mockVerifyPdfSignatureFileFn.mockResolvedValueOnce({
+      level: 'B-B',
+      signedBy: 'Defra'
+    })
+
+    await generateAndUploadPdf(data, mockLogger)
+
+    expect(mockVerifyPdfSignatureFileFn).toHaveBeenCalledWith(
+      '/tmp/defra-pdf/FPTT123456789-2.pdf'
+    )
+    expect(mockUploadPdfFn).toHaveBeenCalled()
+  })
+
+  test('should remove, and not upload, a PDF whose signature does not verify', async () => {
+    configMap['pdfSigning.enabled'] = true
+    mockVerifyPdfSignatureFileFn.mockRejectedValueOnce(
+      new Error('PDF has been modified since it was signed')
+    )
+
+    await expect(generateAndUploadPdf(data, mockLogger)).rejects.toThrow(
+      'PDF has been modified since it was signed'
+    )
+
+    expect(mockRemoveTemporaryFileFn).toHaveBeenCalledWith(
+      '/tmp/defra-pdf/FPTT123456789-2.pdf',
+      mockLogger
+    )
+    expect(mockPublishPdfOutcomeEventFn).toHaveBeenCalledWith(
+      'failed',
+      expect.objectContaining({ stage: 'signing' })
+    )
+    expect(mockUploadPdfFn).not.toHaveBeenCalled()
+  })
+
+  test('should publish an upload failure and rethrow it, so the message is retried', async () => {
+    mockUploadPdfFn.mockRejectedValueOnce(new Error('S3 unavailable'))
+
+    await expect(generateAndUploadPdf(data, mockLogger)).rejects.toThrow(
+      'S3 unavailable'
+    )
+
+    expect(mockPublishPdfOutcomeEventFn).toHaveBeenCalledWith('failed', {
+      agreementNumber: 'FPTT123456789',
+      version: 2,
+      correlationId: 'test-correlation-id',
+      stage: 'upload',
+      reason: 'S3 unavailable'
+    })
+    expect(mockIdempotencyStore.set).not.toHaveBeenCalled()
+  })
+
+  test('should not publish a transient failure that will be retried', async () => {
+    mockGeneratePdfFn.mockRejectedValueOnce(new Error('Navigation timeout'))
+    mockUploadPdfFn.mockRejectedValueOnce(new Error('S3 unavailable'))
+    const options = { lastAttempt: false }
+
+    await expect(
+      generateAndUploadPdf(data, mockLogger, options)
+    ).rejects.toThrow('Navigation timeout')
+    await expect(
+      generateAndUploadPdf(data, mockLogger, options)
+    ).rejects.toThrow('S3 unavailable')
+
+    expect(mockAuditEventFn).toHaveBeenCalledWith(
+      AuditEvent.PDF_GENERATION_FAILED,
+      expect.objectContaining({ stage: 'generation' }),
+      'failure'
+    )
+    expect(mockPublishPdfOutcomeEventFn).not.toHaveBeenCalled()
+  })
+
+  test('should publish a permanent failure even when the message would be retried', async () => {
+    mockGeneratePdfFn.mockRejectedValueOnce(
+      Boom.forbidden('Blocked navigation to https://evil.example.net')
+    )
+
+    await expect(
+      generateAndUploadPdf(data, mockLogger, { lastAttempt: false })
+    ).rejects.toThrow('Blocked navigation')
+
+    expect(mockPublishPdfOutcomeEventFn).toHaveBeenCalledWith(
+      'failed',
+      expect.objectContaining({ stage: 'generation' })
+    )
+  })
+})
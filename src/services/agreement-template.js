@@ -0,0 +1,107 @@
+import fs from 'node:fs/promises'
+import { createRequire } from 'node:module'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import Boom from '@hapi/boom'
+import nunjucks from 'nunjucks'
+import { format, parseISO } from 'date-fns'
+
+const TEMPLATES_FOLDER = fileURLToPath(new URL('../templates', import.meta.url))
+const AGREEMENT_TEMPLATES_FOLDER = path.join(TEMPLATES_FOLDER, 'agreements')
+
+// govuk-frontend/dist, so its macros are found as "govuk/components/..."
+const GOVUK_FRONTEND_FOLDER = path.join(
+  path.dirname(
+    createRequire(import.meta.url).resolve('govuk-frontend/package.json')
+  ),
+  'dist'
+)
+
+const ASSET_TYPES = {
+  '.woff2': 'font/woff2',
+  '.woff': 'font/woff',
+  '.svg': 'image/svg+xml'
+}
+
+const currencyFormat = new Intl.NumberFormat('en-GB', {
+  style: 'currency',
+  currency: 'GBP'
+})
+
+const env = new nunjucks.Environment(
+  new nunjucks.FileSystemLoader([TEMPLATES_FOLDER, GOVUK_FRONTEND_FOLDER]),
+  { autoescape: true }
+)
+env.addFilter('govukDate', (value) =>
+  value
+    ? format(value instanceof Date ? value : parseISO(value), 'd MMMM yyyy')
+    : ''
+)
+env.addFilter('currency', (value) =>
+  value === undefined || value === null ? '' : currencyFormat.format(value)
+)
+
+let govukStyles = null
+
+/**
+ * The GOV.UK Frontend stylesheet with its fonts and images inlined as data URIs, so the page
+ * renders the same with no network
+ * @returns {Promise<string>}
+ */
+const getGovukStyles = async () => {
+  if (!govukStyles) {
+    const govukFolder = path.join(GOVUK_FRONTEND_FOLDER, 'govuk')
+    const css = await fs.readFile(
+      path.join(govukFolder, 'govuk-frontend.min.css'),
+      'utf8'
+    )
+    const assetUrls = [...new Set(css.match(/\/assets\/[\w./-]+/g))]
+    const dataUris = await Promise.all(
+      assetUrls.map(async (assetUrl) => {
+        const asset = await fs.readFile(path.join(govukFolder, assetUrl))
+        return `data:${ASSET_TYPES[path.extname(assetUrl)]};base64,${asset.toString('base64')}`
+      })
+    )
+    govukStyles = assetUrls.reduce(
+      (styles, assetUrl, i) =>
+        styles.replaceAll(`url(${assetUrl})`, `url(${dataUris[i]})`),
+      css
+    )
+  }
+  return govukStyles
+}
+
+/**
+ * Check an agreement template is bundled with the service
+ * @param {string} templateId
+ * @returns {Promise<boolean>}
+ */
+const isAgreementTemplate = async (templateId) => {
+  const templates = await fs.readdir(AGREEMENT_TEMPLATES_FOLDER)
+  return templates.includes(`${templateId}.njk`)
+}
+
+/**
+ * Render an agreement's HTML from one of the Nunjucks templates bundled in src/templates/agreements.
+ * Templates are versioned in their id and never changed once released, so an agreement version can
+ * be rendered again as it was first issued.
+ *
+ * The template gets the agreement's fields, with `templateData` as `data`.
+ * @param {{ templateId: string, templateData: object, agreementNumber: string, version: string|number }} agreementData
+ * @returns {Promise<string>} A self-contained HTML document
+ * @throws {Boom.Boom} 422 if there is no template with the id
+ */
+export const renderAgreementHtml = async (agreementData) => {
+  const { templateId, templateData, ...agreement } = agreementData
+  if (!(await isAgreementTemplate(templateId))) {
+    throw Boom.badData(`Unknown agreement template ${templateId}`, {
+      templateId
+    })
+  }
+
+  return env.render(`agreements/${templateId}.njk`, {
+    ...agreement,
+    data: templateData,
+    govukStyles: await getGovukStyles()
+  })
+}
@@ -0,0 +1,94 @@
+import { describe, expect, test } from 'vitest'
+import { renderAgreementHtml } from '#~/services/agreement-template.js'
+
+describe('agreement template', () => {
+  const agreementData = {
+    agreementNumber: 'FPTT123456789',
+    version: 2,
+    sbi: '106284736',
+    frn: '1102658375',
+    endDate: '2028-12-31',
+    templateId: 'farm-payments-agreement-v1',
+    templateData: {
+      agreementName: 'Farm payments agreement',
+      startDate: '2026-01-01',
+      applicant: {
+        businessName: 'Higher Moor Farm',
+        address: ['1 Moor Lane', 'Okehampton', 'EX20 1AA']
+      },
+      actions: [
+        {
+          code: 'CMOR1',
+          description: 'Assess moorland and produce a written record',
+          parcelId: 'SX0679-9238',
+          quantity: 4.53,
+          unit: 'ha'
+        }
+      ],
+      payments: [
+        { description: 'CMOR1', annualAmount: 1060.5 },
+        { description: 'Management payment', annualAmount: 272 }
+      ]
+    }
+  }
+
+  test('should render the agreement from the template', async () => {
+    const html = await renderAgreementHtml(agreementData)
+
+    expect(html).toContain('<title>Agreement FPTT123456789 version 2</title>')
+    expect(html).toContain('Farm payments agreement</h1>')
+    expect(html).toContain('1 Moor Lane<br>Okehampton<br>EX20 1AA')
+    expect(html).toContain('1 January 2026')
+    expect(html).toContain('31 December 2028')
+    expect(html).toContain('SX0679-9238')
+    expect(html).toContain('4.53 ha')
+    expect(html).toContain('£1,060.50')
+    expect(html).toContain('<strong>£1,332.50</strong>')
+  })
+
+  test('should inline the GOV.UK styles and their assets', async () => {
+    const html = await renderAgreementHtml(agreementData)
+
+    expect(html).toContain('.govuk-summary-list')
+    expect(html).toContain('url(data:font/woff2;base64,')
+    expect(html).toContain('url(data:image/svg+xml;base64,')
+    expect(html).not.toMatch(/url\(\/assets/)
+    expect(html).not.toMatch(/<(link|script|img)\b/)
+  })
+
+  test('should escape the agreement data', async () => {
+    const html = await renderAgreementHtml({
+      ...agreementData,
+      templateData: {
+        ...agreementData.templateData,
+        applicant: {
+          businessName: '<script>alert(1)</script>',
+          address: ['<img src="http://evil.test/">']
+        }
+      }
+    })
+
+    expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;')
+    expect(html).toContain('&lt;img src=&quot;http://evil.test/&quot;&gt;')
+    expect(html).not.toContain('<script>alert(1)')
+  })
+
+  test('should leave out sections the data does not have', async () => {
+    const html = await renderAgreementHtml({
+      ...agreementData,
+      templateData: {}
+    })
+
+    expect(html).toContain('Farm payments agreement</h1>')
+    expect(html).not.toContain('<table')
+  })
+
+  test('should reject an unknown template as invalid data', async () => {
+    await expect(
+      renderAgreementHtml({ ...agreementData, templateId: 'unknown-v1' })
+    ).rejects.toMatchObject({
+      message: 'Unknown agreement template unknown-v1',
+      output: { statusCode: 422 }
+    })
+  })
+})
@@ -0,0 +1,393 @@
+import puppeteer from 'puppeteer'
+import { config } from '#~/config.js'
+
+const launchOptions = {
+  headless: true,
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--disable-gpu',
+    '--window-size=1920x1080'
+  ]
+}
+
+/**
+ * A pool of warm Puppeteer browsers.
+ *
+ * Each browser serves up to `pagesPerBrowser` concurrent pages, each in its own
+ * isolated browser context so cookies and storage never leak between agreements.
+ * Browsers are recycled once they have served `maxRendersPerBrowser` renders, when
+ * they disconnect (crash) or when a periodic health check finds them unresponsive.
+ */
+export class BrowserPool {
+  #options
+  #logger
+  #slots = []
+  #waiters = []
+  #nextSlotId = 1
+  #healthCheckTimer = null
+  #draining = false
+
+  /**
+   * @param {{ size: number, pagesPerBrowser: number, maxRendersPerBrowser: number, acquireTimeout: number, healthCheckInterval: number, healthCheckTimeout: number }} options
+   * @param {import('pino').Logger} logger
+   */
+  constructor(options, logger) {
+    this.#options = options
+    this.#logger = logger
+  }
+
+  /**
+   * Launch the configured number of browsers ahead of the first render and start health checks
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.#draining = false
+
+    const launches = []
+    while (this.#slots.length < this.#options.size) {
+      launches.push(this.#createSlot().ready)
+    }
+    await Promise.all(launches)
+
+    if (this.#options.healthCheckInterval > 0 && !this.#healthCheckTimer) {
+      this.#healthCheckTimer = setInterval(
+        () => this.healthCheck(),
+        this.#options.healthCheckInterval
+      )
+      this.#healthCheckTimer.unref()
+    }
+  }
+
+  /**
+   * Lease an isolated page from the pool, waiting for capacity if every browser is busy
+   * @param {import('pino').Logger} [logger] Logger instance for the render using the page
+   * @param {{ signal?: AbortSignal }} [options] Signal to stop waiting for a page when it aborts
+   * @returns {Promise<{ page: import('puppeteer').Page, release: () => Promise<void> }>}
+   */
+  async acquire(logger = this.#logger, { signal } = {}) {
+    if (this.#draining) {
+      throw new Error('Browser pool is shutting down')
+    }
+    signal?.throwIfAborted()
+
+    const slot = this.#reserveSlot() ?? (await this.#waitForSlot(signal))
+
+    try {
+      await slot.ready
+      // A browser being launched cannot be stopped, so give its slot back once it is up
+      signal?.throwIfAborted()
+      const context = await slot.browser.createBrowserContext()
+      const page = await context.newPage()
+
+      let released = false
+      const release = async () => {
+        if (released) {
+          return
+        }
+        released = true
+
+        try {
+          await context.close()
+        } catch (err) {
+          logger.warn(`Failed to close browser context: ${err.message}`)
+        }
+        // Only leases that handed out a page count towards recycling the browser
+        slot.renders++
+        this.#releaseSlot(slot)
+      }
+
+      return { page, release }
+    } catch (err) {
+      if (signal?.aborted && err === signal.reason) {
+        this.#releaseSlot(slot)
+        throw err
+      }
+      logger.error(err, 'Failed to open page from browser pool')
+      slot.unhealthy = true
+      this.#releaseSlot(slot)
+      throw err
+    }
+  }
+
+  /**
+   * Recycle any idle browser that has disconnected or stopped responding
+   * @returns {Promise<void>}
+   */
+  async healthCheck() {
+    const idleSlots = this.#slots.filter(
+      (slot) => slot.browser && slot.activePages === 0
+    )
+
+    await Promise.all(
+      idleSlots.map(async (slot) => {
+        try {
+          if (!slot.browser.connected) {
+            throw new Error('Browser is not connected')
+          }
+          await this.#respondsWithin(
+            slot.browser,
+            this.#options.healthCheckTimeout
+          )
+        } catch (err) {
+          this.#logger.warn(
+            `Browser ${slot.id} failed health check, recycling: ${err.message}`
+          )
+          slot.unhealthy = true
+          if (slot.activePages === 0) {
+            await this.#retireSlot(slot)
+          } else {
+            // Leased while the check ran, so it is retired once that render releases its page
+            this.#removeSlot(slot)
+          }
+        }
+      })
+    )
+  }
+
+  /**
+   * Current utilisation of the pool
+   * @returns {{ size: number, browsers: number, activePages: number, waiting: number }}
+   */
+  getStatus() {
+    return {
+      size: this.#options.size,
+      browsers: this.#slots.filter((slot) => slot.browser?.connected).length,
+      activePages: this.#slots.reduce(
+        (total, slot) => total + slot.activePages,
+        0
+      ),
+      waiting: this.#waiters.length
+    }
+  }
+
+  /**
+   * Stop accepting leases, reject anyone waiting and close every browser
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    this.#draining = true
+
+    if (this.#healthCheckTimer) {
+      clearInterval(this.#healthCheckTimer)
+      this.#healthCheckTimer = null
+    }
+
+    for (const waiter of this.#waiters.splice(0)) {
+      clearTimeout(waiter.timer)
+      waiter.reject(new Error('Browser pool is shutting down'))
+    }
+
+    await Promise.all([...this.#slots].map((slot) => this.#retireSlot(slot)))
+  }
+
+  #createSlot() {
+    const slot = {
+      id: this.#nextSlotId++,
+      browser: null,
+      ready: null,
+      activePages: 0,
+      renders: 0,
+      unhealthy: false
+    }
+
+    this.#logger.info(`Launching Puppeteer browser ${slot.id}`)
+
+    slot.ready = puppeteer.launch(launchOptions).then(
+      (browser) => {
+        slot.browser = browser
+        browser.on('disconnected', () => {
+          this.#logger.info(`Browser ${slot.id} disconnected`)
+          slot.unhealthy = true
+          this.#removeSlot(slot)
+        })
+        return browser
+      },
+      (err) => {
+        this.#removeSlot(slot)
+        throw err
+      }
+    )
+    // Failures are surfaced to whoever awaits the slot, not as unhandled rejections
+    slot.ready.catch(() => {})
+
+    this.#slots.push(slot)
+    return slot
+  }
+
+  #reserveSlot() {
+    const available = this.#slots.find(
+      (slot) =>
+        !slot.unhealthy &&
+        slot.renders + slot.activePages < this.#options.maxRendersPerBrowser &&
+        slot.activePages < this.#options.pagesPerBrowser
+    )
+    const slot =
+      available ??
+      (this.#slots.length < this.#options.size ? this.#createSlot() : null)
+
+    if (slot) {
+      slot.activePages++
+    }
+    return slot
+  }
+
+  /**
+   * Ask a browser for its version, failing if it has not answered in time, as a hung browser
+   * never would
+   * @param {import('puppeteer').Browser} browser
+   * @param {number} timeout Milliseconds the browser has to answer
+   * @returns {Promise<void>}
+   */
+  async #respondsWithin(browser, timeout) {
+    let timer
+    try {
+      await Promise.race([
+        browser.version(),
+        new Promise((_resolve, reject) => {
+          timer = setTimeout(
+            () => reject(new Error(`No response within ${timeout}ms`)),
+            timeout
+          )
+        })
+      ])
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  #waitForSlot(signal) {
+    return new Promise((resolve, reject) => {
+      const stopWaiting = (err) => {
+        clearTimeout(waiter.timer)
+        this.#waiters.splice(this.#waiters.indexOf(waiter), 1)
+        reject(err)
+      }
+      const onAbort = () => stopWaiting(signal.reason)
+      const waiter = {
+        resolve: (slot) => {
+          signal?.removeEventListener('abort', onAbort)
+          resolve(slot)
+        },
+        reject: (err) => {
+          signal?.removeEventListener('abort', onAbort)
+          reject(err)
+        },
+        timer: null
+      }
+      waiter.timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort)
+        stopWaiting(
+          new Error(
+            `Timed out after ${this.#options.acquireTimeout}ms waiting for a browser`
+          )
+        )
+      }, this.#options.acquireTimeout)
+      signal?.addEventListener('abort', onAbort, { once: true })
+      this.#waiters.push(waiter)
+    })
+  }
+
+  #releaseSlot(slot) {
+    slot.activePages--
+
+    if (slot.unhealthy || slot.renders >= this.#options.maxRendersPerBrowser) {
+      slot.unhealthy = true
+      if (slot.activePages === 0) {
+        this.#logger.info(
+          `Recycling browser ${slot.id} after ${slot.renders} renders`
+        )
+        this.#retireSlot(slot)
+      } else {
+        this.#removeSlot(slot)
+      }
+    }
+
+    this.#dispatchWaiters()
+  }
+
+  #dispatchWaiters() {
+    while (this.#waiters.length > 0) {
+      const slot = this.#reserveSlot()
+      if (!slot) {
+        return
+      }
+      const waiter = this.#waiters.shift()
+      clearTimeout(waiter.timer)
+      waiter.resolve(slot)
+    }
+  }
+
+  #removeSlot(slot) {
+    const index = this.#slots.indexOf(slot)
+    if (index !== -1) {
+      this.#slots.splice(index, 1)
+      this.#dispatchWaiters()
+    }
+  }
+
+  async #retireSlot(slot) {
+    this.#removeSlot(slot)
+
+    let browser
+    try {
+      browser = await slot.ready
+    } catch {
+      // The launch failure has already been reported to whoever requested the page
+      return
+    }
+
+    try {
+      if (browser.connected) {
+        await browser.close()
+      }
+    } catch (err) {
+      this.#logger.error(err, 'Error closing browser')
+    }
+  }
+}
+
+let browserPool = null
+
+/**
+ * Shared browser pool for the service, created on first use from config
+ * @param {import('pino').Logger} logger Logger used for pool lifecycle events when the pool is created
+ * @returns {BrowserPool}
+ */
+export const getBrowserPool = (logger) => {
+  browserPool ??= new BrowserPool(config.get('browserPool'), logger)
+  return browserPool
+}
+
+/**
+ * Hapi plugin that warms the browser pool on start and closes every browser on stop
+ * @type {import('@hapi/hapi').Plugin<void>}
+ */
+export const browserPoolPlugin = {
+  plugin: {
+    name: 'browser-pool',
+    version: '1.0.0',
+    /**
+     * @param { import('@hapi/hapi').Server } server
+     * @returns {void}
+     */
+    register: function (server) {
+      server.ext('onPreStart', async () => {
+        server.logger.info('Warming browser pool')
+        try {
+          await getBrowserPool(server.logger).start()
+        } catch (err) {
+          // Browsers are launched lazily on first render if warming fails
+          server.logger.error(err, 'Failed to warm browser pool')
+        }
+      })
+
+      server.ext('onPostStop', async () => {
+        server.logger.info('Draining browser pool')
+        await getBrowserPool(server.logger).drain()
+      })
+    }
+  }
+}
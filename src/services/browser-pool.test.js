@@ -0,0 +1,432 @@
+import { vi } from 'vitest'
+import {
+  BrowserPool,
+  browserPoolPlugin,
+  getBrowserPool
+} from '#~/services/browser-pool.js'
+
+const { mockPuppeteerLaunchFn, mockConfigGetFn } = vi.hoisted(() => ({
+  mockPuppeteerLaunchFn: vi.fn(),
+  mockConfigGetFn: vi.fn((key) =>
+    key === 'browserPool'
+      ? {
+          size: 1,
+          pagesPerBrowser: 1,
+          maxRendersPerBrowser: 50,
+          acquireTimeout: 1000,
+          healthCheckInterval: 0
+        }
+      : undefined
+  )
+}))
+
+vi.mock('puppeteer', () => ({
+  default: {
+    launch: mockPuppeteerLaunchFn
+  }
+}))
+
+vi.mock('#~/config.js', () => ({
+  config: {
+    get: mockConfigGetFn
+  }
+}))
+
+const createMockBrowser = () => {
+  const listeners = {}
+  const browser = {
+    connected: true,
+    on: vi.fn((event, callback) => {
+      listeners[event] = callback
+    }),
+    version: vi.fn().mockResolvedValue('HeadlessChrome/139'),
+    close: vi.fn(async () => {
+      browser.connected = false
+    }),
+    createBrowserContext: vi.fn(async () => ({
+      newPage: vi.fn().mockResolvedValue({ id: 'page' }),
+      close: vi.fn().mockResolvedValue(undefined)
+    })),
+    crash: () => {
+      browser.connected = false
+      listeners.disconnected?.()
+    }
+  }
+  return browser
+}
+
+describe('BrowserPool', () => {
+  let mockLogger
+  let browsers
+  const defaultOptions = {
+    size: 1,
+    pagesPerBrowser: 1,
+    maxRendersPerBrowser: 50,
+    acquireTimeout: 1000,
+    healthCheckInterval: 0,
+    healthCheckTimeout: 50
+  }
+
+  beforeEach(() => {
+    vi.clearAllMocks()
+
+    mockLogger = {
+      info: vi.fn(),
+      warn: vi.fn(),
+      error: vi.fn()
+    }
+
+    browsers = []
+    mockPuppeteerLaunchFn.mockImplementation(async () => {
+      const browser = createMockBrowser()
+      browsers.push(browser)
+      return browser
+    })
+  })
+
+  test('should launch the configured number of browsers on start', async () => {
+    const pool = new BrowserPool({ ...defaultOptions, size: 3 }, mockLogger)
+
+    await pool.start()
+
+    expect(mockPuppeteerLaunchFn).toHaveBeenCalledTimes(3)
+    expect(mockPuppeteerLaunchFn).toHaveBeenCalledWith({
+      headless: true,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--disable-gpu',
+        '--window-size=1920x1080'
+      ]
+    })
+    expect(pool.getStatus()).toEqual({
+      size: 3,
+      browsers: 3,
+      activePages: 0,
+      waiting: 0
+    })
+
+    await pool.drain()
+  })
+
+  test('should lease a page from an isolated browser context and close it on release', async () => {
+    const pool = new BrowserPool(defaultOptions, mockLogger)
+
+    const { page, release } = await pool.acquire()
+
+    expect(page).toEqual({ id: 'page' })
+    expect(browsers[0].createBrowserContext).toHaveBeenCalledTimes(1)
+    expect(pool.getStatus().activePages).toBe(1)
+
+    await release()
+    await release()
+
+    const context = await browsers[0].createBrowserContext.mock.results[0].value
+    expect(context.close).toHaveBeenCalledTimes(1)
+    expect(pool.getStatus().activePages).toBe(0)
+
+    await pool.drain()
+  })
+
+  test('should reuse a warm browser across renders', async () => {
+    const pool = new BrowserPool(defaultOptions, mockLogger)
+
+    for (let i = 0; i < 3; i++) {
+      const { release } = await pool.acquire()
+      await release()
+    }
+
+    expect(mockPuppeteerLaunchFn).toHaveBeenCalledTimes(1)
+    expect(browsers[0].close).not.toHaveBeenCalled()
+
+    await pool.drain()
+  })
+
+  test('should recycle a browser after the maximum number of renders', async () => {
+    const pool = new BrowserPool(
+      { ...defaultOptions, maxRendersPerBrowser: 2 },
+      mockLogger
+    )
+
+    for (let i = 0; i < 3; i++) {
+      const { release } = await pool.acquire()
+      await release()
+    }
+
+    expect(mockPuppeteerLaunchFn).toHaveBeenCalledTimes(2)
+    expect(browsers[0].close).toHaveBeenCalled()
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      'Recycling browser 1 after 2 renders'
+    )
+
+    await pool.drain()
+  })
+
+  test('should wait for a page to be released when the pool is busy', async () => {
+    const pool = new BrowserPool(defaultOptions, mockLogger)
+
+    const first = await pool.acquire()
+    const pending = pool.acquire()
+
+    expect(pool.getStatus().waiting).toBe(1)
+
+    await first.release()
+    const second = await pending
+
+    expect(second.page).toEqual({ id: 'page' })
+    expect(mockPuppeteerLaunchFn).toHaveBeenCalledTimes(1)
+
+    await second.release()
+    await pool.drain()
+  })
+
+  test('should time out when no page becomes available', async () => {
+    const pool = new BrowserPool(
+      { ...defaultOptions, acquireTimeout: 10 },
+      mockLogger
+    )
+
+    const first = await pool.acquire()
+
+    await expect(pool.acquire()).rejects.toThrow(
+      'Timed out after 10ms waiting for a browser'
+    )
+    expect(pool.getStatus().waiting).toBe(0)
+
+    await first.release()
+    await pool.drain()
+  })
+
+  test('should stop waiting for a page when the signal aborts', async () => {
+    const pool = new BrowserPool(defaultOptions, mockLogger)
+    const first = await pool.acquire()
+    const controller = new AbortController()
+
+    const waiting = pool.acquire(mockLogger, { signal: controller.signal })
+    expect(pool.getStatus().waiting).toBe(1)
+    controller.abort(new Error('Timed out after 5ms'))
+
+    await expect(waiting).rejects.toThrow('Timed out after 5ms')
+    expect(pool.getStatus().waiting).toBe(0)
+
+    await first.release()
+    const next = await pool.acquire()
+    expect(next.page).toBeDefined()
+    await next.release()
+    await pool.drain()
+  })
+
+  test('should not lease a page once the signal has aborted', async () => {
+    const pool = new BrowserPool(defaultOptions, mockLogger)
+
+    await expect(
+      pool.acquire(mockLogger, { signal: AbortSignal.abort() })
+    ).rejects.toThrow()
+    expect(pool.getStatus().activePages).toBe(0)
+
+    await pool.drain()
+  })
+
+  test('should not count a lease given up before it had a page as a render', async () => {
+    const pool = new BrowserPool(
+      { ...defaultOptions, maxRendersPerBrowser: 1 },
+      mockLogger
+    )
+    const controller = new AbortController()
+
+    const aborted = pool.acquire(mockLogger, { signal: controller.signal })
+    controller.abort(new Error('Timed out after 5ms'))
+    await expect(aborted).rejects.toThrow('Timed out after 5ms')
+
+    const { release } = await pool.acquire()
+    expect(mockPuppeteerLaunchFn).toHaveBeenCalledTimes(1)
+    expect(browsers[0].close).not.toHaveBeenCalled()
+
+    await release()
+    await pool.drain()
+  })
+
+  test('should serve concurrent pages from the same browser', async () => {
+    const pool = new BrowserPool(
+      { ...defaultOptions, pagesPerBrowser: 2 },
+      mockLogger
+    )
+
+    const leases = await Promise.all([pool.acquire(), pool.acquire()])
+
+    expect(mockPuppeteerLaunchFn).toHaveBeenCalledTimes(1)
+    expect(browsers[0].createBrowserContext).toHaveBeenCalledTimes(2)
+
+    await Promise.all(leases.map((lease) => lease.release()))
+    await pool.drain()
+  })
+
+  test('should replace a browser that crashes', async () => {
+    const pool = new BrowserPool(defaultOptions, mockLogger)
+
+    const { release } = await pool.acquire()
+    browsers[0].crash()
+    await release()
+
+    expect(mockLogger.info).toHaveBeenCalledWith('Browser 1 disconnected')
+
+    const next = await pool.acquire()
+
+    expect(mockPuppeteerLaunchFn).toHaveBeenCalledTimes(2)
+    expect(browsers[0].close).not.toHaveBeenCalled()
+
+    await next.release()
+    await pool.drain()
+  })
+
+  test('should surface browser launch errors and launch again on the next render', async () => {
+    const launchError = new Error('Failed to launch browser')
+    mockPuppeteerLaunchFn.mockRejectedValueOnce(launchError)
+    const pool = new BrowserPool(defaultOptions, mockLogger)
+
+    await expect(pool.acquire(mockLogger)).rejects.toThrow(
+      'Failed to launch browser'
+    )
+    expect(mockLogger.error).toHaveBeenCalledWith(
+      launchError,
+      'Failed to open page from browser pool'
+    )
+
+    const { release } = await pool.acquire()
+    expect(mockPuppeteerLaunchFn).toHaveBeenCalledTimes(2)
+
+    await release()
+    await pool.drain()
+  })
+
+  test('should recycle idle browsers that fail the health check', async () => {
+    const pool = new BrowserPool(defaultOptions, mockLogger)
+    await pool.start()
+    browsers[0].version.mockRejectedValueOnce(new Error('Protocol error'))
+
+    await pool.healthCheck()
+
+    expect(mockLogger.warn).toHaveBeenCalledWith(
+      'Browser 1 failed health check, recycling: Protocol error'
+    )
+    expect(browsers[0].close).toHaveBeenCalled()
+    expect(pool.getStatus().browsers).toBe(0)
+
+    await pool.drain()
+  })
+
+  test('should recycle idle browsers that do not answer the health check in time', async () => {
+    const pool = new BrowserPool(defaultOptions, mockLogger)
+    await pool.start()
+    browsers[0].version.mockReturnValueOnce(new Promise(() => {}))
+
+    await pool.healthCheck()
+
+    expect(mockLogger.warn).toHaveBeenCalledWith(
+      'Browser 1 failed health check, recycling: No response within 50ms'
+    )
+    expect(browsers[0].close).toHaveBeenCalled()
+    expect(pool.getStatus().browsers).toBe(0)
+
+    await pool.drain()
+  })
+
+  test('should not close a browser leased while its health check ran until its page is released', async () => {
+    const pool = new BrowserPool(defaultOptions, mockLogger)
+    await pool.start()
+    let failCheck
+    browsers[0].version.mockReturnValueOnce(
+      new Promise((_resolve, reject) => {
+        failCheck = reject
+      })
+    )
+
+    const checking = pool.healthCheck()
+    const { release } = await pool.acquire()
+    failCheck(new Error('Protocol error'))
+    await checking
+
+    expect(browsers[0].close).not.toHaveBeenCalled()
+
+    await release()
+    expect(browsers[0].close).toHaveBeenCalled()
+    expect(pool.getStatus().browsers).toBe(0)
+
+    await pool.drain()
+  })
+
+  test('should close browsers and refuse new pages once drained', async () => {
+    const pool = new BrowserPool(defaultOptions, mockLogger)
+    await pool.start()
+
+    await pool.drain()
+
+    expect(browsers[0].close).toHaveBeenCalled()
+    await expect(pool.acquire()).rejects.toThrow(
+      'Browser pool is shutting down'
+    )
+  })
+
+  test('should reject waiting renders when drained', async () => {
+    const pool = new BrowserPool(defaultOptions, mockLogger)
+
+    await pool.acquire()
+    const pending = pool.acquire()
+    await pool.drain()
+
+    await expect(pending).rejects.toThrow('Browser pool is shutting down')
+  })
+})
+
+describe('getBrowserPool', () => {
+  test('should return a shared pool built from config', () => {
+    const logger = { info: vi.fn() }
+    const pool = getBrowserPool(logger)
+
+    expect(pool).toBeInstanceOf(BrowserPool)
+    expect(getBrowserPool(logger)).toBe(pool)
+    expect(mockConfigGetFn).toHaveBeenCalledWith('browserPool')
+  })
+})
+
+describe('browserPoolPlugin', () => {
+  test('should warm the pool on start and drain it on stop', async () => {
+    const server = {
+      ext: vi.fn(),
+      logger: { info: vi.fn(), error: vi.fn() }
+    }
+    mockPuppeteerLaunchFn.mockResolvedValue(createMockBrowser())
+
+    browserPoolPlugin.plugin.register(server)
+
+    const extensions = Object.fromEntries(server.ext.mock.calls)
+    await extensions.onPreStart()
+    expect(server.logger.info).toHaveBeenCalledWith('Warming browser pool')
+    expect(getBrowserPool().getStatus().browsers).toBe(1)
+
+    await extensions.onPostStop()
+    expect(server.logger.info).toHaveBeenCalledWith('Draining browser pool')
+    expect(getBrowserPool().getStatus().browsers).toBe(0)
+  })
+
+  test('should log when warming the pool fails', async () => {
+    const server = {
+      ext: vi.fn(),
+      logger: { info: vi.fn(), error: vi.fn() }
+    }
+    const launchError = new Error('Failed to launch browser')
+    mockPuppeteerLaunchFn.mockRejectedValueOnce(launchError)
+
+    browserPoolPlugin.plugin.register(server)
+
+    const extensions = Object.fromEntries(server.ext.mock.calls)
+    await extensions.onPreStart()
+
+    expect(server.logger.error).toHaveBeenCalledWith(
+      launchError,
+      'Failed to warm browser pool'
+    )
+  })
+})
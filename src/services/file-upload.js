@@ -1,63 +1,76 @@
-import { PutObjectCommand, S3Client } from '@aws-sdk/client-s3'
 import fs from 'node:fs/promises'
-import { addMonths, differenceInYears, startOfMonth } from 'date-fns'
 import { config } from '#~/config.js'
 import { removeTemporaryFile } from '#~/common/helpers/file-cleanup.js'
+import { sha256File, sha256Stream } from '#~/common/helpers/file-checksum.js'
 import { auditEvent, AuditEvent } from '#~/common/helpers/audit-event.js'
-
-const s3Client = new S3Client(
-  process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test'
-    ? {
-        region: config.get('aws.region'),
-        endpoint: config.get('aws.s3.endpoint'),
-        credentials: {
-          accessKeyId: config.get('aws.accessKeyId'),
-          secretAccessKey: config.get('aws.secretAccessKey')
-        },
-        forcePathStyle: true
-      }
-    : // Production will automatically use the default credentials
-      {}
-)
+import {
+  buildRetentionMetadata,
+  calculateRetention
+} from '#~/services/retention-policy.js'
+import { buildUserMetadata } from '#~/services/s3-object-metadata.js'
+import { getStorage } from '#~/services/storage.js'
 
 /**
- * Upload PDF to S3 Bucket
+ * Upload PDF to the storage chosen by `storage.driver`, streaming it from disk so memory use does
+ * not grow with its size.
+ *
+ * The store checks the PDF against its SHA-256 and rejects the upload if the bytes it received
+ * differ. Multipart S3 objects only get a checksum of their parts' checksums, so the SHA-256 of the
+ * whole file is also kept in the `sha256` metadata and `checksum-sha256` tag.
  * @param {string} filePath File path of the PDF file
  * @param {string} key S3 Key for the PDF file
  * @param {Logger} logger Logger instance
- * @returns {Promise<{success: boolean, bucket: *, key, etag, location: string}>}
+ * @param {{ checksum?: string, objectLock?: import('#~/services/storage.js').ObjectLock, metadata?: Record<string, string>, tags?: Record<string, string> }} [options]
+ * Base64 SHA-256 of the PDF as generated, hashed from the file if not given, the Object Lock to
+ * store it with, and user metadata and object tags to add to it
+ * @returns {Promise<{success: boolean, bucket: *, key, etag, location: string, size: number, checksum: string}>}
  */
-async function upload(filePath, key, logger) {
+async function upload(
+  filePath,
+  key,
+  logger,
+  { checksum, objectLock, metadata = {}, tags = {} } = {}
+) {
   try {
     logger.info(`Starting PDF upload to S3. key: ${key}, filepath: ${filePath}`)
 
-    const fileContent = await fs.readFile(filePath)
+    const { size } = await fs.stat(filePath)
     const bucket = config.get('aws.s3.bucket')
 
     if (!bucket) {
       throw new Error('S3 bucket name is not configured')
     }
 
-    const uploadParams = {
-      Bucket: bucket,
-      Key: key,
-      Body: fileContent,
-      ContentType: 'application/pdf',
-      ServerSideEncryption: 'AES256'
-    }
-
-    const result = await s3Client.send(new PutObjectCommand(uploadParams))
+    const storage = getStorage()
+    const sha256 = checksum ?? (await sha256File(filePath))
+    const result = await storage.put(
+      bucket,
+      key,
+      filePath,
+      {
+        contentType: 'application/pdf',
+        size,
+        checksum: sha256,
+        metadata: buildUserMetadata({ sha256, ...metadata }, logger),
+        tags: { ...tags, 'checksum-sha256': sha256 },
+        objectLock
+      },
+      logger
+    )
+    const location = storage.location(bucket, key)
 
     logger.info(
-      `PDF successfully uploaded to S3. key: ${key}, etag: ${result.ETag}, location: s3://${bucket}/${key}`
+      `PDF successfully uploaded to S3. key: ${key}, etag: ${result.etag}, location: ${location}`
     )
 
     return {
       success: true,
       bucket,
       key,
-      etag: result.ETag,
-      location: `s3://${bucket}/${key}`
+      etag: result.etag,
+      location,
+      size,
+      checksum: sha256
     }
   } catch (error) {
     logger.error(error, `Error uploading PDF ${filePath} to S3`)
@@ -66,33 +79,118 @@ async function upload(filePath, key, logger) {
 }
 
 /**
- * Calculate retention period prefix based on agreement end date
- * The start date is always the first day of the next month from now
- * @param {Date|string} endDate Agreement end date
- * @returns {string} S3 prefix for the retention period
+ * Object Lock that stops an agreement PDF being deleted or overwritten until its retention ends,
+ * whichever prefix it is stored under
+ * @param {import('#~/services/retention-policy.js').Retention} retention How long the PDF is kept
+ * @param {boolean} [legalHold] Also put a legal hold on the PDF, which stays until it is lifted
+ * @returns {import('#~/services/storage.js').ObjectLock|undefined} Nothing if Object Lock is not enabled
  */
-function calculateRetentionPeriod(endDate) {
-  // Agreement start date is always the first day of next month
-  const startDate = startOfMonth(addMonths(new Date(), 1))
-
-  // Calculate years from start date to end date
-  const yearsFromStartToEnd = differenceInYears(new Date(endDate), startDate)
-
-  // Get base retention years from config
-  const baseYears = config.get('aws.s3.retentionBaseYears')
-  const totalYears = yearsFromStartToEnd + baseYears
-
-  // Get thresholds from config
-  const baseThreshold = config.get('aws.s3.baseTermThreshold')
-  const extendedThreshold = config.get('aws.s3.extendedTermThreshold')
-
-  // Return the appropriate S3 prefix based on retention thresholds
-  if (totalYears <= baseThreshold) {
-    return config.get('aws.s3.baseTermPrefix')
-  } else if (totalYears <= extendedThreshold) {
-    return config.get('aws.s3.extendedTermPrefix')
-  } else {
-    return config.get('aws.s3.maximumTermPrefix')
+function buildObjectLock(retention, legalHold) {
+  if (!config.get('aws.s3.objectLock.enabled')) {
+    return undefined
+  }
+
+  return {
+    mode: config.get('aws.s3.objectLock.mode'),
+    retainUntil: retention.retainUntil,
+    legalHold: legalHold || config.get('aws.s3.objectLock.legalHold')
+  }
+}
+
+/**
+ * Put a legal hold on an uploaded agreement PDF, or lift it. A PDF on legal hold cannot be
+ * deleted, even once its retention has ended.
+ * @param {{ bucket: string, key: string }} pdfLocation Where the PDF is stored
+ * @param {boolean} legalHold Whether the PDF should be on legal hold
+ * @param {Logger} logger Logger instance
+ * @returns {Promise<void>}
+ */
+export async function setPdfLegalHold({ bucket, key }, legalHold, logger) {
+  const storage = getStorage()
+  await storage.setLegalHold(bucket, key, legalHold)
+  logger.info(
+    `${legalHold ? 'Put' : 'Lifted'} legal hold on PDF ${storage.location(bucket, key)}`
+  )
+}
+
+/**
+ * Build the S3 key for an agreement PDF, grouped under its retention period prefix
+ * @param {string} filename filename for the PDF file
+ * @param {string} agreementNumber Farming agreement document number
+ * @param {string} version Farming agreement document version
+ * @param {import('#~/services/retention-policy.js').Retention} retention How long the PDF is kept
+ * @returns {string}
+ */
+function buildKey(filename, agreementNumber, version, retention) {
+  return [retention.prefix, agreementNumber, version, filename]
+    .filter(Boolean)
+    .join('/')
+}
+
+/**
+ * Where an agreement PDF is, or will be, stored in S3
+ * @param {string} filename filename for the PDF file
+ * @param {string} agreementNumber Farming agreement document number
+ * @param {string} version Farming agreement document version
+ * @param {import('#~/services/retention-policy.js').RetentionDates} dates Agreement dates the retention is worked out from
+ * @returns {{bucket: string, key: string, location: string, retentionPrefix: string}}
+ */
+export function getPdfLocation(filename, agreementNumber, version, dates) {
+  const bucket = config.get('aws.s3.bucket')
+  const retention = calculateRetention(dates)
+  const key = buildKey(filename, agreementNumber, version, retention)
+
+  return {
+    bucket,
+    key,
+    location: getStorage().location(bucket, key),
+    retentionPrefix: retention.prefix
+  }
+}
+
+/**
+ * Look up an agreement PDF that has already been uploaded to S3
+ * @param {string} filename filename for the PDF file
+ * @param {string} agreementNumber Farming agreement document number
+ * @param {string} version Farming agreement document version
+ * @param {import('#~/services/retention-policy.js').RetentionDates} dates Agreement dates the retention is worked out from
+ * @returns {Promise<{bucket: string, key: string, location: string, size: number, checksum?: string, retentionPrefix: string}|null>} The stored object, or null if it does not exist
+ */
+export async function findUploadedPdf(
+  filename,
+  agreementNumber,
+  version,
+  dates
+) {
+  const pdfLocation = getPdfLocation(filename, agreementNumber, version, dates)
+
+  const stored = await getStorage().head(pdfLocation.bucket, pdfLocation.key)
+
+  return (
+    stored && {
+      ...pdfLocation,
+      size: stored.size,
+      // Multipart objects only have a checksum of their parts in ChecksumSHA256
+      checksum: stored.metadata.sha256 ?? stored.checksum
+    }
+  )
+}
+
+/**
+ * Read an uploaded PDF back from S3 and check its SHA-256 is the one it was generated with
+ * @param {{ bucket: string, key: string }} pdfLocation Where the PDF is stored
+ * @param {string} [expectedChecksum] Base64 SHA-256 of the PDF as generated, from the object's `sha256` metadata if not given
+ * @returns {Promise<{verified: boolean, expectedChecksum?: string, checksum: string}>}
+ */
+export async function verifyUploadedPdf({ bucket, key }, expectedChecksum) {
+  const stored = await getStorage().get(bucket, key)
+  const expected = expectedChecksum ?? stored.metadata.sha256
+  const checksum = await sha256Stream(stored.body)
+
+  return {
+    verified: Boolean(expected) && checksum === expected,
+    expectedChecksum: expected,
+    checksum
   }
 }
 
@@ -102,40 +200,84 @@ function calculateRetentionPeriod(endDate) {
  * @param {string} filename filename for the PDF file
  * @param {string} agreementNumber Farming agreement document number
  * @param {string} version Farming agreement document version
- * @param {Date|string} endDate Agreement end date
+ * @param {import('#~/services/retention-policy.js').RetentionDates} dates Agreement dates the retention is worked out from
  * @param {Logger} logger Logger instance
- * @param {{ correlationId?: string, accounts?: { sbi?: string, frn?: string, crn?: string } }} [options] Correlation ID and known account identifiers to include in the audit record
- * @returns {Promise<{success: boolean, bucket: *, key: *, etag: *, location: string}>}
+ * @param {{ correlationId?: string, accounts?: { sbi?: string, frn?: string, crn?: string }, checksum?: string, legalHold?: boolean }} [options] Correlation ID and known account identifiers to include in the audit record and the S3 object tags and metadata, the base64 SHA-256 of the PDF as generated, and whether to put the PDF on legal hold
+ * @returns {Promise<{success: boolean, bucket: *, key: *, etag: *, location: string, size: number, checksum: string, retentionPrefix: string, retainUntil: string, legalHold?: boolean}>}
  */
 export async function uploadPdf(
   pdfPath,
   filename,
   agreementNumber,
   version,
-  endDate,
+  dates,
   logger,
-  { correlationId, accounts = {} } = {}
+  { correlationId, accounts = {}, checksum, legalHold = false } = {}
 ) {
   let uploadResult
+  let key
 
   try {
-    const prefix = calculateRetentionPeriod(endDate)
-    const key = [prefix, agreementNumber, version, filename]
-      .filter(Boolean)
-      .join('/')
+    const retention = calculateRetention(dates)
+    key = buildKey(filename, agreementNumber, version, retention)
+    const objectLock = buildObjectLock(retention, legalHold)
+    // Lifecycle rules, S3 Inventory and Athena can select on these without parsing the key
+    const identifiers = {
+      'agreement-number': agreementNumber,
+      version,
+      sbi: accounts.sbi,
+      frn: accounts.frn,
+      'correlation-id': correlationId,
+      'service-version': config.get('serviceVersion') || 'dev'
+    }
 
-    uploadResult = await upload(pdfPath, key, logger)
+    uploadResult = {
+      ...(await upload(pdfPath, key, logger, {
+        checksum,
+        objectLock,
+        metadata: { ...identifiers, ...buildRetentionMetadata(retention) },
+        tags: {
+          ...identifiers,
+          'retention-class': retention.prefix,
+          'retain-until': retention.retainUntil.toISOString()
+        }
+      })),
+      retentionPrefix: retention.prefix,
+      retainUntil: retention.retainUntil.toISOString(),
+      ...(objectLock && { legalHold: objectLock.legalHold })
+    }
     auditEvent(AuditEvent.PDF_UPLOADED_TO_S3, {
       agreementNumber,
       version,
       key: uploadResult.key,
       bucket: uploadResult.bucket,
       location: uploadResult.location,
+      checksumAlgorithm: 'SHA256',
+      checksum: uploadResult.checksum,
+      retainUntil: uploadResult.retainUntil,
+      ...(objectLock && {
+        objectLockMode: objectLock.mode,
+        legalHold: uploadResult.legalHold
+      }),
       correlationId,
       identifiers: accounts
     })
   } catch (err) {
     logger.error(err, `Error in PDF ${filename} generation and upload process`)
+    auditEvent(
+      AuditEvent.PDF_UPLOAD_FAILED,
+      {
+        agreementNumber,
+        version,
+        key,
+        bucket: config.get('aws.s3.bucket'),
+        reason: err.message,
+        correlationId,
+        identifiers: accounts
+      },
+      'failure'
+    )
+    throw err
   } finally {
     // Always cleanup the local PDF file
     await removeTemporaryFile(pdfPath, logger)
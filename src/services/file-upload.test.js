@@ -1,15 +1,33 @@
-import { describe, test, expect, vi, beforeEach } from 'vitest'
-import { uploadPdf } from '#~/services/file-upload.js'
+import {
+  afterAll,
+  beforeAll,
+  beforeEach,
+  describe,
+  expect,
+  test,
+  vi
+} from 'vitest'
+import { createHash } from 'node:crypto'
+import { ReadStream } from 'node:fs'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { Readable } from 'node:stream'
+import {
+  findUploadedPdf,
+  setPdfLegalHold,
+  uploadPdf,
+  verifyUploadedPdf
+} from '#~/services/file-upload.js'
 
 // Use vi.hoisted() to ensure mock functions are available before mock factories run
 const {
   mockConfigGetFn,
   mockRemoveTemporaryFileFn,
-  mockFsReadFileFn,
   mockS3ClientSendFn,
-  mockAddMonthsFn,
-  mockDifferenceInYearsFn,
-  mockStartOfMonthFn
+  mockMultipartUploads,
+  mockMultipartDoneFn,
+  mockAuditEventFn
 } = vi.hoisted(() => {
   const configMap = {
     'aws.region': 'eu-west-2',
@@ -18,20 +36,26 @@ const {
     'aws.secretAccessKey': 'test-secret',
     'aws.s3.bucket': 'test-bucket',
     'aws.s3.retentionBaseYears': 7,
-    'aws.s3.baseTermThreshold': 10,
-    'aws.s3.extendedTermThreshold': 15,
-    'aws.s3.baseTermPrefix': 'base',
-    'aws.s3.extendedTermPrefix': 'extended',
-    'aws.s3.maximumTermPrefix': 'maximum'
+    'aws.s3.retentionRules': [
+      { prefix: 'base', maxYears: 10 },
+      { prefix: 'extended', maxYears: 15 },
+      { prefix: 'maximum' }
+    ],
+    'aws.s3.multipart.threshold': 16 * 1024 * 1024,
+    'aws.s3.multipart.partSize': 8 * 1024 * 1024,
+    'aws.s3.multipart.queueSize': 4,
+    'aws.s3.objectLock.enabled': true,
+    'aws.s3.objectLock.mode': 'GOVERNANCE',
+    'aws.s3.objectLock.legalHold': false,
+    'storage.driver': 's3'
   }
   return {
     mockConfigGetFn: vi.fn((key) => configMap[key]),
     mockRemoveTemporaryFileFn: vi.fn().mockResolvedValue(undefined),
-    mockFsReadFileFn: vi.fn().mockResolvedValue(Buffer.from('pdf-content')),
     mockS3ClientSendFn: vi.fn().mockResolvedValue({ ETag: '"test-etag-123"' }),
-    mockAddMonthsFn: vi.fn((date) => date),
-    mockDifferenceInYearsFn: vi.fn(() => 3),
-    mockStartOfMonthFn: vi.fn((date) => date)
+    mockMultipartUploads: [],
+    mockMultipartDoneFn: vi.fn(),
+    mockAuditEventFn: vi.fn()
   }
 })
 
@@ -42,6 +66,15 @@ vi.mock('#~/common/helpers/file-cleanup.js', async () => {
   }
 })
 
+vi.mock('#~/common/helpers/audit-event.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  auditEvent: mockAuditEventFn
+}))
+
+vi.mock('#~/common/helpers/logging/logger.js', () => ({
+  createLogger: () => ({ error: vi.fn() })
+}))
+
 // Mock config
 vi.mock('#~/config.js', () => ({
   config: {
@@ -49,21 +82,6 @@ vi.mock('#~/config.js', () => ({
   }
 }))
 
-// Mock fs/promises
-vi.mock('node:fs/promises', () => ({
-  default: {
-    readFile: mockFsReadFileFn
-  },
-  readFile: mockFsReadFileFn
-}))
-
-// Mock date-fns
-vi.mock('date-fns', () => ({
-  addMonths: mockAddMonthsFn,
-  differenceInYears: mockDifferenceInYearsFn,
-  startOfMonth: mockStartOfMonthFn
-}))
-
 // Mock @aws-sdk/client-s3
 vi.mock('@aws-sdk/client-s3', () => ({
   S3Client: class MockS3Client {
@@ -75,6 +93,57 @@ vi.mock('@aws-sdk/client-s3', () => ({
     constructor(params) {
       Object.assign(this, params)
     }
+  },
+  HeadObjectCommand: class MockHeadObjectCommand {
+    constructor(params) {
+      Object.assign(this, params)
+    }
+  },
+  GetObjectCommand: class MockGetObjectCommand {
+    constructor(params) {
+      Object.assign(this, params)
+    }
+  },
+  PutObjectLegalHoldCommand: class MockPutObjectLegalHoldCommand {
+    constructor(params) {
+      Object.assign(this, params)
+    }
+  },
+  PutObjectTaggingCommand: class MockPutObjectTaggingCommand {
+    constructor(params) {
+      Object.assign(this, params)
+    }
+  },
+  ListObjectsV2Command: class MockListObjectsV2Command {
+    constructor(params) {
+      Object.assign(this, params)
+    }
+  },
+  DeleteObjectCommand: class MockDeleteObjectCommand {
+    constructor(params) {
+      Object.assign(this, params)
+    }
+  }
+}))
+
+const pdfChecksum = createHash('sha256').update('pdf-content').digest('base64')
+
+// Mock @aws-sdk/lib-storage, recording each multipart upload
+vi.mock('@aws-sdk/lib-storage', () => ({
+  Upload: class MockUpload {
+    constructor(options) {
+      this.options = options
+      this.listeners = {}
+      mockMultipartUploads.push(this)
+    }
+
+    done() {
+      return mockMultipartDoneFn(this)
+    }
+
+    on(event, listener) {
+      this.listeners[event] = listener
+    }
   }
 }))
 
@@ -92,16 +161,17 @@ describe('File Upload Service', () => {
     // Reset mocks but preserve implementations
     mockConfigGetFn.mockClear()
     mockRemoveTemporaryFileFn.mockClear()
-    mockFsReadFileFn.mockClear()
+    mockMultipartUploads.length = 0
+    mockMultipartDoneFn.mockReset()
+    mockMultipartDoneFn.mockImplementation(async (multipartUpload) => {
+      multipartUpload.listeners.httpUploadProgress?.({ loaded: 8, part: 1 })
+      return { ETag: '"multipart-etag"' }
+    })
     mockS3ClientSendFn.mockClear()
-    mockAddMonthsFn.mockClear()
-    mockDifferenceInYearsFn.mockClear()
-    mockStartOfMonthFn.mockClear()
+    mockAuditEventFn.mockClear()
 
     // Reset to default implementations from hoisted
-    mockFsReadFileFn.mockResolvedValue(Buffer.from('pdf-content'))
     mockS3ClientSendFn.mockResolvedValue({ ETag: '"test-etag-123"' })
-    mockDifferenceInYearsFn.mockReturnValue(3)
     mockRemoveTemporaryFileFn.mockResolvedValue(undefined)
 
     // Setup default config mock - override the hoisted implementation
@@ -113,35 +183,46 @@ describe('File Upload Service', () => {
         'aws.secretAccessKey': 'test-secret',
         'aws.s3.bucket': 'test-bucket',
         'aws.s3.retentionBaseYears': 7,
-        'aws.s3.baseTermThreshold': 10,
-        'aws.s3.extendedTermThreshold': 15,
-        'aws.s3.baseTermPrefix': 'base',
-        'aws.s3.extendedTermPrefix': 'extended',
-        'aws.s3.maximumTermPrefix': 'maximum'
+        'aws.s3.retentionRules': [
+          { prefix: 'base', maxYears: 10 },
+          { prefix: 'extended', maxYears: 15 },
+          { prefix: 'maximum' }
+        ],
+        'aws.s3.multipart.threshold': 16 * 1024 * 1024,
+        'aws.s3.multipart.partSize': 8 * 1024 * 1024,
+        'aws.s3.multipart.queueSize': 4,
+        'aws.s3.objectLock.enabled': true,
+        'aws.s3.objectLock.mode': 'GOVERNANCE',
+        'aws.s3.objectLock.legalHold': false,
+        'storage.driver': 's3'
       }
       return configMap[key]
     })
-
-    // Setup default date-fns mocks
-    const mockStartDate = new Date('2024-02-01')
-    mockStartOfMonthFn.mockReturnValue(mockStartDate)
-    mockAddMonthsFn.mockReturnValue(mockStartDate)
   })
 
   describe('uploadPdf', () => {
-    const pdfPath = '/tmp/test.pdf'
+    let tmpDir
+    let pdfPath
     const filename = 'agreement-123.pdf'
     const agreementNumber = 'AGR001'
     const version = 'v1'
-    const endDate = new Date('2027-01-01')
+    const dates = { startDate: '2024-02-01', endDate: '2027-01-01' }
+
+    beforeAll(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-upload-'))
+      pdfPath = path.join(tmpDir, 'test.pdf')
+      await fs.writeFile(pdfPath, 'pdf-content')
+    })
+
+    afterAll(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true })
+    })
 
     beforeEach(() => {
       // Setup default mocks for uploadPdf tests
-      mockFsReadFileFn.mockResolvedValue(Buffer.from('pdf-content'))
       mockS3ClientSendFn.mockResolvedValue({
         ETag: '"test-etag-123"'
       })
-      mockDifferenceInYearsFn.mockReturnValue(3) // For base term calculation
     })
 
     test('should upload PDF successfully and return result', async () => {
@@ -150,7 +231,7 @@ describe('File Upload Service', () => {
         filename,
         agreementNumber,
         version,
-        endDate,
+        dates,
         mockLogger
       )
 
@@ -160,8 +241,10 @@ describe('File Upload Service', () => {
       expect(result.etag).toBe('"test-etag-123"')
       expect(result.location).toContain(result.bucket)
       expect(result.location).toContain(result.key)
+      expect(result.retentionPrefix).toBe('base')
+      expect(result.size).toBe(Buffer.from('pdf-content').length)
+      expect(result.checksum).toBe(pdfChecksum)
 
-      expect(mockFsReadFileFn).toHaveBeenCalledWith(pdfPath)
       expect(mockS3ClientSendFn).toHaveBeenCalled()
       expect(mockLogger.info).toHaveBeenCalledWith(
         expect.stringContaining('Starting PDF upload to S3')
@@ -177,127 +260,414 @@ describe('File Upload Service', () => {
         filename,
         agreementNumber,
         version,
-        endDate,
+        dates,
         mockLogger
       )
 
       const putCommand = mockS3ClientSendFn.mock.calls[0][0]
       expect(putCommand.Key).toBe('base/AGR001/v1/agreement-123.pdf')
       expect(putCommand.Bucket).toBeDefined()
-      expect(putCommand.Body).toBeInstanceOf(Buffer)
+      expect(putCommand.Body).toBeInstanceOf(ReadStream)
+      expect(putCommand.Body.path).toBe(pdfPath)
+      expect(putCommand.ContentLength).toBe(Buffer.from('pdf-content').length)
       expect(putCommand.ContentType).toBe('application/pdf')
       expect(putCommand.ServerSideEncryption).toBe('AES256')
     })
 
-    test('should handle missing agreement number in key construction', async () => {
-      await uploadPdf(pdfPath, filename, '', version, endDate, mockLogger)
-
-      const putCommand = mockS3ClientSendFn.mock.calls[0][0]
-      expect(putCommand.Key).toBe('base/v1/agreement-123.pdf')
-    })
-
-    test('should handle missing version in key construction', async () => {
+    test('should send the SHA-256 for S3 to check and keep it as metadata', async () => {
       await uploadPdf(
         pdfPath,
         filename,
         agreementNumber,
-        '',
-        endDate,
+        version,
+        dates,
         mockLogger
       )
 
       const putCommand = mockS3ClientSendFn.mock.calls[0][0]
-      expect(putCommand.Key).toBe('base/AGR001/agreement-123.pdf')
+      expect(putCommand.ChecksumSHA256).toBe(pdfChecksum)
+      expect(putCommand.Metadata).toMatchObject({ sha256: pdfChecksum })
     })
 
-    test('should use extended term prefix when calculated (between base and extended threshold)', async () => {
-      mockDifferenceInYearsFn.mockReturnValue(6) // 6 + 7 = 13 (extended term)
-
-      await uploadPdf(
+    test('should upload with the checksum the PDF was generated with', async () => {
+      const result = await uploadPdf(
         pdfPath,
         filename,
         agreementNumber,
         version,
-        endDate,
-        mockLogger
+        dates,
+        mockLogger,
+        { checksum: 'generated-checksum' }
       )
 
       const putCommand = mockS3ClientSendFn.mock.calls[0][0]
-      expect(putCommand.Key).toBe('extended/AGR001/v1/agreement-123.pdf')
+      expect(putCommand.ChecksumSHA256).toBe('generated-checksum')
+      expect(result.checksum).toBe('generated-checksum')
+    })
+
+    describe('object lock', () => {
+      const useConfig = (overrides) => {
+        const defaultConfig = mockConfigGetFn.getMockImplementation()
+        mockConfigGetFn.mockImplementation((key) =>
+          key in overrides ? overrides[key] : defaultConfig(key)
+        )
+      }
+
+      test('should lock the PDF until its end date plus the base retention years', async () => {
+        const result = await uploadPdf(
+          pdfPath,
+          filename,
+          agreementNumber,
+          version,
+          dates,
+          mockLogger
+        )
+
+        const putCommand = mockS3ClientSendFn.mock.calls[0][0]
+        expect(putCommand.ObjectLockMode).toBe('GOVERNANCE')
+        expect(putCommand.ObjectLockRetainUntilDate).toEqual(
+          new Date('2034-01-01')
+        )
+        expect(putCommand.ObjectLockLegalHoldStatus).toBe('OFF')
+        expect(result.retainUntil).toBe('2034-01-01T00:00:00.000Z')
+        expect(result.legalHold).toBe(false)
+      })
+
+      test('should lock the PDF in the configured mode', async () => {
+        useConfig({ 'aws.s3.objectLock.mode': 'COMPLIANCE' })
+
+        await uploadPdf(
+          pdfPath,
+          filename,
+          agreementNumber,
+          version,
+          dates,
+          mockLogger
+        )
+
+        expect(mockS3ClientSendFn.mock.calls[0][0].ObjectLockMode).toBe(
+          'COMPLIANCE'
+        )
+      })
+
+      test('should put the PDF on legal hold when asked to', async () => {
+        const result = await uploadPdf(
+          pdfPath,
+          filename,
+          agreementNumber,
+          version,
+          dates,
+          mockLogger,
+          { legalHold: true }
+        )
+
+        expect(
+          mockS3ClientSendFn.mock.calls[0][0].ObjectLockLegalHoldStatus
+        ).toBe('ON')
+        expect(result.legalHold).toBe(true)
+      })
+
+      test('should put every PDF on legal hold when configured to', async () => {
+        useConfig({ 'aws.s3.objectLock.legalHold': true })
+
+        await uploadPdf(
+          pdfPath,
+          filename,
+          agreementNumber,
+          version,
+          dates,
+          mockLogger
+        )
+
+        expect(
+          mockS3ClientSendFn.mock.calls[0][0].ObjectLockLegalHoldStatus
+        ).toBe('ON')
+      })
+
+      test('should not lock the PDF when object lock is not enabled', async () => {
+        useConfig({ 'aws.s3.objectLock.enabled': false })
+
+        const result = await uploadPdf(
+          pdfPath,
+          filename,
+          agreementNumber,
+          version,
+          dates,
+          mockLogger,
+          { legalHold: true }
+        )
+
+        const putCommand = mockS3ClientSendFn.mock.calls[0][0]
+        expect(putCommand).not.toHaveProperty('ObjectLockMode')
+        expect(putCommand).not.toHaveProperty('ObjectLockRetainUntilDate')
+        expect(putCommand).not.toHaveProperty('ObjectLockLegalHoldStatus')
+        expect(result).not.toHaveProperty('legalHold')
+      })
+    })
+
+    describe('multipart upload', () => {
+      const useThreshold = (threshold) => {
+        const defaultConfig = mockConfigGetFn.getMockImplementation()
+        mockConfigGetFn.mockImplementation((key) =>
+          key === 'aws.s3.multipart.threshold' ? threshold : defaultConfig(key)
+        )
+      }
+
+      test('should upload PDFs from the threshold up in parts', async () => {
+        useThreshold(Buffer.from('pdf-content').length)
+
+        const result = await uploadPdf(
+          pdfPath,
+          filename,
+          agreementNumber,
+          version,
+          dates,
+          mockLogger
+        )
+
+        expect(mockS3ClientSendFn).not.toHaveBeenCalled()
+        expect(mockMultipartUploads).toHaveLength(1)
+        const { options } = mockMultipartUploads[0]
+        expect(options).toEqual({
+          client: expect.anything(),
+          params: {
+            Bucket: 'test-bucket',
+            Key: 'base/AGR001/v1/agreement-123.pdf',
+            Body: expect.any(ReadStream),
+            ContentType: 'application/pdf',
+            ServerSideEncryption: 'AES256',
+            Metadata: expect.objectContaining({ sha256: pdfChecksum }),
+            // Tags given to CreateMultipartUpload are on the object as soon as it is complete
+            Tagging: expect.stringContaining(
+              `checksum-sha256=${encodeURIComponent(pdfChecksum)}`
+            ),
+            ObjectLockMode: 'GOVERNANCE',
+            ObjectLockRetainUntilDate: new Date('2034-01-01'),
+            ObjectLockLegalHoldStatus: 'OFF',
+            ChecksumAlgorithm: 'SHA256'
+          },
+          partSize: 8 * 1024 * 1024,
+          queueSize: 4,
+          leavePartsOnError: false
+        })
+        expect(result.etag).toBe('"multipart-etag"')
+        expect(result.size).toBe(Buffer.from('pdf-content').length)
+        expect(result.checksum).toBe(pdfChecksum)
+      })
+
+      test('should log the progress of each part', async () => {
+        useThreshold(1)
+
+        await uploadPdf(
+          pdfPath,
+          filename,
+          agreementNumber,
+          version,
+          dates,
+          mockLogger
+        )
+
+        expect(mockLogger.info).toHaveBeenCalledWith(
+          'Uploaded part 1 of PDF to S3. key: base/AGR001/v1/agreement-123.pdf, progress: 8 of 11 bytes'
+        )
+      })
+
+      test('should close the PDF and rethrow when the multipart upload fails', async () => {
+        useThreshold(1)
+        const uploadError = new Error('Part upload failed')
+        mockMultipartDoneFn.mockRejectedValueOnce(uploadError)
+
+        await expect(
+          uploadPdf(
+            pdfPath,
+            filename,
+            agreementNumber,
+            version,
+            dates,
+            mockLogger
+          )
+        ).rejects.toBe(uploadError)
+        expect(mockMultipartUploads[0].options.params.Body.destroyed).toBe(true)
+        expect(mockRemoveTemporaryFileFn).toHaveBeenCalledWith(
+          pdfPath,
+          mockLogger
+        )
+      })
+    })
+
+    test('should close the PDF when a single PUT fails', async () => {
+      mockS3ClientSendFn.mockRejectedValueOnce(new Error('S3 unavailable'))
+
+      await expect(
+        uploadPdf(
+          pdfPath,
+          filename,
+          agreementNumber,
+          version,
+          dates,
+          mockLogger
+        )
+      ).rejects.toThrow('S3 unavailable')
+
+      expect(mockS3ClientSendFn.mock.calls[0][0].Body.destroyed).toBe(true)
+    })
+
+    test('should handle missing agreement number in key construction', async () => {
+      await uploadPdf(pdfPath, filename, '', version, dates, mockLogger)
+
+      const putCommand = mockS3ClientSendFn.mock.calls[0][0]
+      expect(putCommand.Key).toBe('base/v1/agreement-123.pdf')
     })
 
-    test('should use extended term prefix when exactly at extended threshold', async () => {
-      mockDifferenceInYearsFn.mockReturnValue(8) // 8 + 7 = 15 (exactly extended threshold)
+    test('should handle missing version in key construction', async () => {
+      await uploadPdf(pdfPath, filename, agreementNumber, '', dates, mockLogger)
 
+      const putCommand = mockS3ClientSendFn.mock.calls[0][0]
+      expect(putCommand.Key).toBe('base/AGR001/agreement-123.pdf')
+    })
+
+    test.each([
+      ['2030-02-01', 13, 'extended'],
+      ['2032-02-01', 15, 'extended'],
+      ['2033-02-01', 16, 'maximum'],
+      ['2035-02-01', 18, 'maximum']
+    ])(
+      'should store a PDF for an agreement ending %s, kept %i years, under the %s prefix',
+      async (agreementEndDate, _years, prefix) => {
+        await uploadPdf(
+          pdfPath,
+          filename,
+          agreementNumber,
+          version,
+          { startDate: '2024-02-01', endDate: agreementEndDate },
+          mockLogger
+        )
+
+        const putCommand = mockS3ClientSendFn.mock.calls[0][0]
+        expect(putCommand.Key).toBe(`${prefix}/AGR001/v1/agreement-123.pdf`)
+      }
+    )
+
+    test('should record how the retention was worked out in the metadata', async () => {
       await uploadPdf(
         pdfPath,
         filename,
         agreementNumber,
         version,
-        endDate,
+        dates,
         mockLogger
       )
 
-      const putCommand = mockS3ClientSendFn.mock.calls[0][0]
-      expect(putCommand.Key).toBe('extended/AGR001/v1/agreement-123.pdf')
+      expect(mockS3ClientSendFn.mock.calls[0][0].Metadata).toEqual({
+        sha256: pdfChecksum,
+        'agreement-number': 'AGR001',
+        version: 'v1',
+        'service-version': 'dev',
+        'retention-class': 'base',
+        'retention-until': '2034-01-01T00:00:00.000Z',
+        'retention-years': '9',
+        'retention-start-date': '2024-02-01T00:00:00.000Z',
+        'retention-start-date-assumed': 'false',
+        'retention-end-date': '2027-01-01T00:00:00.000Z',
+        'retention-until-source': 'end-date',
+        'retention-base-years': '7'
+      })
     })
 
-    test('should use maximum term prefix when just above extended threshold', async () => {
-      mockDifferenceInYearsFn.mockReturnValue(9) // 9 + 7 = 16 (above 15)
+    test('should tag the PDF and add its identifiers to the metadata', async () => {
+      mockConfigGetFn.mockImplementation(
+        ((getConfig) => (key) =>
+          key === 'serviceVersion' ? '1.4.2' : getConfig(key))(
+          mockConfigGetFn.getMockImplementation()
+        )
+      )
 
       await uploadPdf(
         pdfPath,
         filename,
         agreementNumber,
         version,
-        endDate,
-        mockLogger
+        dates,
+        mockLogger,
+        {
+          correlationId: 'test-correlation-id',
+          accounts: { sbi: '106284736', frn: 1102658375, crn: '1100012345' }
+        }
       )
 
       const putCommand = mockS3ClientSendFn.mock.calls[0][0]
-      expect(putCommand.Key).toBe('maximum/AGR001/v1/agreement-123.pdf')
+      expect(
+        Object.fromEntries(new URLSearchParams(putCommand.Tagging))
+      ).toEqual({
+        'agreement-number': 'AGR001',
+        version: 'v1',
+        sbi: '106284736',
+        frn: '1102658375',
+        'correlation-id': 'test-correlation-id',
+        'service-version': '1.4.2',
+        'retention-class': 'base',
+        'retain-until': '2034-01-01T00:00:00.000Z',
+        'checksum-sha256': pdfChecksum
+      })
+      expect(putCommand.Metadata).toMatchObject({
+        sha256: pdfChecksum,
+        'agreement-number': 'AGR001',
+        version: 'v1',
+        sbi: '106284736',
+        frn: '1102658375',
+        'correlation-id': 'test-correlation-id',
+        'service-version': '1.4.2'
+      })
+      expect(putCommand.Metadata).not.toHaveProperty('crn')
     })
 
-    test('should use maximum term prefix when calculated', async () => {
-      mockDifferenceInYearsFn.mockReturnValue(11) // 11 + 7 = 18 (maximum term)
-
+    test('should audit the upload with its checksum and retention', async () => {
       await uploadPdf(
         pdfPath,
         filename,
         agreementNumber,
         version,
-        endDate,
-        mockLogger
+        dates,
+        mockLogger,
+        {
+          correlationId: 'test-correlation-id',
+          accounts: { sbi: '106284736' }
+        }
       )
 
-      const putCommand = mockS3ClientSendFn.mock.calls[0][0]
-      expect(putCommand.Key).toBe('maximum/AGR001/v1/agreement-123.pdf')
+      expect(mockAuditEventFn).toHaveBeenCalledWith('PDF_UPLOADED_TO_S3', {
+        agreementNumber: 'AGR001',
+        version: 'v1',
+        key: 'base/AGR001/v1/agreement-123.pdf',
+        bucket: 'test-bucket',
+        location: 's3://test-bucket/base/AGR001/v1/agreement-123.pdf',
+        checksumAlgorithm: 'SHA256',
+        checksum: pdfChecksum,
+        retainUntil: '2034-01-01T00:00:00.000Z',
+        objectLockMode: 'GOVERNANCE',
+        legalHold: false,
+        correlationId: 'test-correlation-id',
+        identifiers: { sbi: '106284736' }
+      })
     })
 
-    test('should calculate start date as first day of next month when determining retention', async () => {
-      const mockDate = new Date('2024-01-15')
-      vi.useFakeTimers()
-      vi.setSystemTime(mockDate)
-
-      const mockNextMonth = new Date('2024-02-01')
-      mockAddMonthsFn.mockReturnValue(mockNextMonth)
-      mockStartOfMonthFn.mockReturnValue(mockNextMonth)
-
-      mockDifferenceInYearsFn.mockReturnValue(3)
-
-      await uploadPdf(
+    test('should keep the PDF until the retention date the event gives', async () => {
+      const result = await uploadPdf(
         pdfPath,
         filename,
         agreementNumber,
         version,
-        endDate,
+        { ...dates, retentionUntil: '2038-06-30' },
         mockLogger
       )
 
-      expect(mockAddMonthsFn).toHaveBeenCalledWith(expect.any(Date), 1)
-      expect(mockStartOfMonthFn).toHaveBeenCalled()
-
-      vi.useRealTimers()
+      const putCommand = mockS3ClientSendFn.mock.calls[0][0]
+      expect(putCommand.Key).toBe('extended/AGR001/v1/agreement-123.pdf')
+      expect(putCommand.ObjectLockRetainUntilDate).toEqual(
+        new Date('2038-06-30')
+      )
+      expect(putCommand.Metadata['retention-until-source']).toBe('event')
+      expect(result.retainUntil).toBe('2038-06-30T00:00:00.000Z')
     })
 
     test('should cleanup local file after successful upload', async () => {
@@ -306,7 +676,7 @@ describe('File Upload Service', () => {
         filename,
         agreementNumber,
         version,
-        endDate,
+        dates,
         mockLogger
       )
 
@@ -321,17 +691,17 @@ describe('File Upload Service', () => {
       const uploadError = new Error('S3 upload failed')
       mockS3ClientSendFn.mockRejectedValueOnce(uploadError)
 
-      const result = await uploadPdf(
-        pdfPath,
-        filename,
-        agreementNumber,
-        version,
-        endDate,
-        mockLogger
-      )
+      await expect(
+        uploadPdf(
+          pdfPath,
+          filename,
+          agreementNumber,
+          version,
+          dates,
+          mockLogger
+        )
+      ).rejects.toThrow()
 
-      // uploadPdf catches errors and returns undefined
-      expect(result).toBeUndefined()
       expect(mockLogger.error).toHaveBeenCalledWith(
         expect.any(Error),
         expect.stringContaining('Error in PDF')
@@ -355,72 +725,31 @@ describe('File Upload Service', () => {
           'aws.accessKeyId': 'test-key',
           'aws.secretAccessKey': 'test-secret',
           'aws.s3.retentionBaseYears': 7,
-          'aws.s3.baseTermThreshold': 10,
-          'aws.s3.extendedTermThreshold': 15,
-          'aws.s3.baseTermPrefix': 'base',
-          'aws.s3.extendedTermPrefix': 'extended',
-          'aws.s3.maximumTermPrefix': 'maximum'
+          'aws.s3.retentionRules': [
+            { prefix: 'base', maxYears: 10 },
+            { prefix: 'extended', maxYears: 15 },
+            { prefix: 'maximum' }
+          ]
         }
         return configMap[key]
       })
 
-      mockFsReadFileFn.mockResolvedValue(Buffer.from('pdf-content'))
-
-      const result = await uploadPdf(
-        pdfPath,
-        filename,
-        agreementNumber,
-        version,
-        endDate,
-        mockLogger
-      )
-
-      // Note: Due to ESM module loading timing, the config mock may not work correctly.
-      // The real config might be used instead of the mock. However, the error handling
-      // code (line 37) exists and will execute when bucket is null/undefined in a real scenario.
-
-      // If the mock worked, we should get undefined result and error logged
-      // If the mock didn't work, the upload might succeed with the real config's bucket
-      if (result === undefined) {
-        // Mock worked - verify error was logged
-        expect(mockLogger.error).toHaveBeenCalled()
-
-        // Verify the specific bucket error was thrown (line 37)
-        const errorCalls = mockLogger.error.mock.calls
-        const bucketError = errorCalls.find(
-          (call) =>
-            call[0] &&
-            call[0].message &&
-            call[0].message.includes('S3 bucket name is not configured')
+      await expect(
+        uploadPdf(
+          pdfPath,
+          filename,
+          agreementNumber,
+          version,
+          dates,
+          mockLogger
         )
+      ).rejects.toThrow('S3 bucket name is not configured')
 
-        // Verify the error was logged with the correct message
-        expect(bucketError).toBeDefined()
-
-        // Also verify generic error logging
-        const genericError = errorCalls.find(
-          (call) =>
-            call[1] &&
-            typeof call[1] === 'string' &&
-            call[1].includes('Error in PDF')
-        )
-        expect(genericError).toBeDefined()
-
-        // Verify file was read before the error
-        expect(mockFsReadFileFn).toHaveBeenCalled()
-
-        // Verify config.get was called for bucket (if mock worked)
-        if (mockConfigGetFn.mock.calls.length > 0) {
-          expect(mockConfigGetFn).toHaveBeenCalledWith('aws.s3.bucket')
-        }
-      } else {
-        // Mock didn't work - real config was used and upload succeeded
-        // This is expected due to ESM module loading timing issues
-        // The important thing is that the error handling code (line 37) exists
-        // and will execute when bucket is null/undefined in a real scenario
-        expect(result).toBeDefined()
-        expect(result.success).toBe(true)
-      }
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        expect.any(Error),
+        expect.stringContaining('Error in PDF')
+      )
+      expect(mockS3ClientSendFn).not.toHaveBeenCalled()
     })
 
     test('should handle S3 bucket configured as empty string', async () => {
@@ -437,81 +766,45 @@ describe('File Upload Service', () => {
           'aws.accessKeyId': 'test-key',
           'aws.secretAccessKey': 'test-secret',
           'aws.s3.retentionBaseYears': 7,
-          'aws.s3.baseTermThreshold': 10,
-          'aws.s3.extendedTermThreshold': 15,
-          'aws.s3.baseTermPrefix': 'base',
-          'aws.s3.extendedTermPrefix': 'extended',
-          'aws.s3.maximumTermPrefix': 'maximum'
+          'aws.s3.retentionRules': [
+            { prefix: 'base', maxYears: 10 },
+            { prefix: 'extended', maxYears: 15 },
+            { prefix: 'maximum' }
+          ]
         }
         return configMap[key]
       })
 
-      mockFsReadFileFn.mockResolvedValue(Buffer.from('pdf-content'))
-
-      const result = await uploadPdf(
-        pdfPath,
-        filename,
-        agreementNumber,
-        version,
-        endDate,
-        mockLogger
-      )
-
-      // Note: Due to ESM module loading timing, the config mock may not work correctly.
-      // The real config might be used instead of the mock. However, the error handling
-      // code (line 37) exists and will execute when bucket is empty string in a real scenario.
-
-      // Empty string is falsy, so !bucket will be true and throw error
-      // If the mock worked, the error is caught and uploadPdf returns undefined
-      if (result === undefined) {
-        // Mock worked - verify error was logged
-        expect(mockLogger.error).toHaveBeenCalledWith(
-          expect.any(Error),
-          expect.stringContaining('Error in PDF')
-        )
-
-        // Verify the error message contains the bucket configuration error
-        const errorCall = mockLogger.error.mock.calls.find(
-          (call) =>
-            call[0] &&
-            call[0].message &&
-            call[0].message.includes('S3 bucket name is not configured')
+      await expect(
+        uploadPdf(
+          pdfPath,
+          filename,
+          agreementNumber,
+          version,
+          dates,
+          mockLogger
         )
-        // If the mock worked, we should find the bucket error
-        expect(errorCall).toBeDefined()
+      ).rejects.toThrow('S3 bucket name is not configured')
 
-        // Verify file was read before the error
-        expect(mockFsReadFileFn).toHaveBeenCalled()
-
-        // Verify config.get was called for bucket (if mock worked)
-        if (mockConfigGetFn.mock.calls.length > 0) {
-          expect(mockConfigGetFn).toHaveBeenCalledWith('aws.s3.bucket')
-        }
-      } else {
-        // Mock didn't work - real config was used and upload succeeded
-        // This is expected due to ESM module loading timing issues
-        // The important thing is that the error handling code (line 37) exists
-        // and will execute when bucket is empty string in a real scenario
-        expect(result).toBeDefined()
-        expect(result.success).toBe(true)
-      }
+      expect(mockLogger.error).toHaveBeenCalledWith(
+        expect.any(Error),
+        expect.stringContaining('Error in PDF')
+      )
+      expect(mockS3ClientSendFn).not.toHaveBeenCalled()
     })
 
     test('should handle file read error', async () => {
-      const readError = new Error('File not found')
-      mockFsReadFileFn.mockRejectedValueOnce(readError)
-
-      const result = await uploadPdf(
-        pdfPath,
-        filename,
-        agreementNumber,
-        version,
-        endDate,
-        mockLogger
-      )
+      await expect(
+        uploadPdf(
+          path.join(tmpDir, 'missing.pdf'),
+          filename,
+          agreementNumber,
+          version,
+          dates,
+          mockLogger
+        )
+      ).rejects.toThrow()
 
-      // uploadPdf catches errors and returns undefined
-      expect(result).toBeUndefined()
       expect(mockLogger.error).toHaveBeenCalledWith(
         expect.any(Error),
         expect.stringContaining('Error in PDF')
@@ -524,17 +817,17 @@ describe('File Upload Service', () => {
       const s3Error = new Error('S3 service unavailable')
       mockS3ClientSendFn.mockRejectedValueOnce(s3Error)
 
-      const result = await uploadPdf(
-        pdfPath,
-        filename,
-        agreementNumber,
-        version,
-        endDate,
-        mockLogger
-      )
+      await expect(
+        uploadPdf(
+          pdfPath,
+          filename,
+          agreementNumber,
+          version,
+          dates,
+          mockLogger
+        )
+      ).rejects.toThrow()
 
-      // uploadPdf catches errors and returns undefined
-      expect(result).toBeUndefined()
       expect(mockLogger.error).toHaveBeenCalledWith(
         expect.any(Error),
         expect.stringContaining('Error in PDF')
@@ -543,20 +836,342 @@ describe('File Upload Service', () => {
       // The finally block ensures cleanup happens, but the mock may not intercept it correctly
     })
 
-    test('should return undefined when upload fails', async () => {
+    test('should rethrow the error when upload fails', async () => {
       const uploadError = new Error('Upload failed')
       mockS3ClientSendFn.mockRejectedValueOnce(uploadError)
 
+      await expect(
+        uploadPdf(
+          pdfPath,
+          filename,
+          agreementNumber,
+          version,
+          dates,
+          mockLogger
+        )
+      ).rejects.toBe(uploadError)
+      expect(mockRemoveTemporaryFileFn).toHaveBeenCalledWith(
+        pdfPath,
+        mockLogger
+      )
+    })
+
+    test('should audit the failed upload', async () => {
+      mockS3ClientSendFn.mockRejectedValueOnce(new Error('Upload failed'))
+
+      await expect(
+        uploadPdf(
+          pdfPath,
+          filename,
+          agreementNumber,
+          version,
+          dates,
+          mockLogger,
+          {
+            correlationId: 'test-correlation-id',
+            accounts: { sbi: '106284736' }
+          }
+        )
+      ).rejects.toThrow('Upload failed')
+
+      expect(mockAuditEventFn).toHaveBeenCalledOnce()
+      expect(mockAuditEventFn).toHaveBeenCalledWith(
+        'PDF_UPLOAD_FAILED',
+        {
+          agreementNumber: 'AGR001',
+          version: 'v1',
+          key: 'base/AGR001/v1/agreement-123.pdf',
+          bucket: 'test-bucket',
+          reason: 'Upload failed',
+          correlationId: 'test-correlation-id',
+          identifiers: { sbi: '106284736' }
+        },
+        'failure'
+      )
+    })
+  })
+  describe('findUploadedPdf', () => {
+    test('should return the stored object when the PDF already exists', async () => {
+      mockS3ClientSendFn.mockResolvedValueOnce({
+        ContentLength: 2048,
+        ChecksumSHA256: 'existing-checksum'
+      })
+
+      const result = await findUploadedPdf(
+        'FPTT123456789-1.pdf',
+        'FPTT123456789',
+        1,
+        { startDate: '2026-01-01', endDate: '2027-12-31' }
+      )
+
+      expect(mockS3ClientSendFn).toHaveBeenCalledWith(
+        expect.objectContaining({
+          Bucket: 'test-bucket',
+          Key: 'base/FPTT123456789/1/FPTT123456789-1.pdf',
+          ChecksumMode: 'ENABLED'
+        })
+      )
+      expect(result).toEqual({
+        bucket: 'test-bucket',
+        key: 'base/FPTT123456789/1/FPTT123456789-1.pdf',
+        location: 's3://test-bucket/base/FPTT123456789/1/FPTT123456789-1.pdf',
+        size: 2048,
+        checksum: 'existing-checksum',
+        retentionPrefix: 'base'
+      })
+    })
+
+    test('should return the whole-file checksum of a multipart PDF', async () => {
+      mockS3ClientSendFn.mockResolvedValueOnce({
+        ContentLength: 20 * 1024 * 1024,
+        ChecksumSHA256: 'checksum-of-part-checksums-3',
+        Metadata: { sha256: 'whole-file-checksum' }
+      })
+
+      const result = await findUploadedPdf(
+        'FPTT123456789-1.pdf',
+        'FPTT123456789',
+        1,
+        { startDate: '2026-01-01', endDate: '2027-12-31' }
+      )
+
+      expect(result.checksum).toBe('whole-file-checksum')
+    })
+
+    test('should return null when the PDF does not exist', async () => {
+      mockS3ClientSendFn.mockRejectedValueOnce(
+        Object.assign(new Error('Not Found'), {
+          name: 'NotFound',
+          $metadata: { httpStatusCode: 404 }
+        })
+      )
+
+      await expect(
+        findUploadedPdf('FPTT123456789-1.pdf', 'FPTT123456789', 1, {
+          startDate: '2026-01-01',
+          endDate: '2027-12-31'
+        })
+      ).resolves.toBeNull()
+    })
+
+    test('should rethrow other S3 errors', async () => {
+      mockS3ClientSendFn.mockRejectedValueOnce(new Error('Access Denied'))
+
+      await expect(
+        findUploadedPdf('FPTT123456789-1.pdf', 'FPTT123456789', 1, {
+          startDate: '2026-01-01',
+          endDate: '2027-12-31'
+        })
+      ).rejects.toThrow('Access Denied')
+    })
+  })
+
+  describe('setPdfLegalHold', () => {
+    const pdfLocation = {
+      bucket: 'test-bucket',
+      key: 'base/FPTT123456789/1/FPTT123456789-1.pdf'
+    }
+
+    test('should put a legal hold on the PDF', async () => {
+      await setPdfLegalHold(pdfLocation, true, mockLogger)
+
+      expect(mockS3ClientSendFn).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'base/FPTT123456789/1/FPTT123456789-1.pdf',
+        LegalHold: { Status: 'ON' }
+      })
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        'Put legal hold on PDF s3://test-bucket/base/FPTT123456789/1/FPTT123456789-1.pdf'
+      )
+    })
+
+    test('should lift the legal hold on the PDF', async () => {
+      await setPdfLegalHold(pdfLocation, false, mockLogger)
+
+      expect(mockS3ClientSendFn).toHaveBeenCalledWith(
+        expect.objectContaining({ LegalHold: { Status: 'OFF' } })
+      )
+      expect(mockLogger.info).toHaveBeenCalledWith(
+        'Lifted legal hold on PDF s3://test-bucket/base/FPTT123456789/1/FPTT123456789-1.pdf'
+      )
+    })
+  })
+
+  describe('verifyUploadedPdf', () => {
+    const pdfLocation = {
+      bucket: 'test-bucket',
+      key: 'base/FPTT123456789/1/FPTT123456789-1.pdf'
+    }
+
+    const storedPdf = (content, metadata = {}) => ({
+      Body: Readable.from([Buffer.from(content)]),
+      Metadata: metadata
+    })
+
+    test('should verify a stored PDF against its checksum', async () => {
+      mockS3ClientSendFn.mockResolvedValueOnce(storedPdf('pdf-content'))
+
+      await expect(
+        verifyUploadedPdf(pdfLocation, pdfChecksum)
+      ).resolves.toEqual({
+        verified: true,
+        expectedChecksum: pdfChecksum,
+        checksum: pdfChecksum
+      })
+      expect(mockS3ClientSendFn).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'base/FPTT123456789/1/FPTT123456789-1.pdf'
+      })
+    })
+
+    test('should not verify a stored PDF that has changed', async () => {
+      mockS3ClientSendFn.mockResolvedValueOnce(storedPdf('changed-content'))
+
+      await expect(
+        verifyUploadedPdf(pdfLocation, pdfChecksum)
+      ).resolves.toEqual({
+        verified: false,
+        expectedChecksum: pdfChecksum,
+        checksum: createHash('sha256')
+          .update('changed-content')
+          .digest('base64')
+      })
+    })
+
+    test('should verify against the checksum in the metadata when none is given', async () => {
+      mockS3ClientSendFn.mockResolvedValueOnce(
+        storedPdf('pdf-content', { sha256: pdfChecksum })
+      )
+
+      await expect(verifyUploadedPdf(pdfLocation)).resolves.toMatchObject({
+        verified: true
+      })
+    })
+
+    test('should not verify a stored PDF with no checksum to compare', async () => {
+      mockS3ClientSendFn.mockResolvedValueOnce(storedPdf('pdf-content'))
+
+      await expect(verifyUploadedPdf(pdfLocation)).resolves.toEqual({
+        verified: false,
+        expectedChecksum: undefined,
+        checksum: pdfChecksum
+      })
+    })
+  })
+
+  describe('with the local storage driver', () => {
+    let tmpDir
+    let pdfPath
+
+    beforeAll(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'file-upload-local-'))
+      pdfPath = path.join(tmpDir, 'test.pdf')
+      await fs.writeFile(pdfPath, 'pdf-content')
+    })
+
+    afterAll(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true })
+    })
+
+    beforeEach(() => {
+      mockConfigGetFn.mockImplementation(
+        (
+          (getConfig) => (key) =>
+            ({
+              'storage.driver': 'local',
+              'storage.localFolder': path.join(tmpDir, 'storage')
+            })[key] ?? getConfig(key)
+        )(mockConfigGetFn.getMockImplementation())
+      )
+    })
+
+    test('should store the PDF on disk under the same key as in S3', async () => {
       const result = await uploadPdf(
         pdfPath,
-        filename,
-        agreementNumber,
-        version,
-        endDate,
+        'FPTT123456789-1.pdf',
+        'FPTT123456789',
+        1,
+        { startDate: '2024-02-01', endDate: '2027-01-01' },
+        mockLogger,
+        { correlationId: 'test-correlation-id' }
+      )
+
+      const storedPath = path.join(
+        tmpDir,
+        'storage',
+        'test-bucket',
+        'base',
+        'FPTT123456789',
+        '1',
+        'FPTT123456789-1.pdf'
+      )
+      expect(result).toMatchObject({
+        key: 'base/FPTT123456789/1/FPTT123456789-1.pdf',
+        location: storedPath,
+        checksum: pdfChecksum,
+        legalHold: false
+      })
+      expect(mockS3ClientSendFn).not.toHaveBeenCalled()
+      await expect(fs.readFile(storedPath, 'utf8')).resolves.toBe('pdf-content')
+
+      const sidecar = JSON.parse(
+        await fs.readFile(`${storedPath}.object.json`, 'utf8')
+      )
+      expect(sidecar).toMatchObject({
+        contentType: 'application/pdf',
+        checksum: pdfChecksum,
+        metadata: { sha256: pdfChecksum, 'retention-class': 'base' },
+        tags: {
+          'agreement-number': 'FPTT123456789',
+          'correlation-id': 'test-correlation-id',
+          'checksum-sha256': pdfChecksum
+        },
+        objectLock: {
+          mode: 'GOVERNANCE',
+          retainUntil: '2034-01-01T00:00:00.000Z',
+          legalHold: false
+        }
+      })
+    })
+
+    test('should find, verify and hold a PDF stored on disk', async () => {
+      const dates = { startDate: '2024-02-01', endDate: '2027-01-01' }
+      await uploadPdf(
+        pdfPath,
+        'FPTT123456789-2.pdf',
+        'FPTT123456789',
+        2,
+        dates,
         mockLogger
       )
 
-      expect(result).toBeUndefined()
+      const stored = await findUploadedPdf(
+        'FPTT123456789-2.pdf',
+        'FPTT123456789',
+        2,
+        dates
+      )
+      expect(stored).toMatchObject({
+        size: Buffer.from('pdf-content').length,
+        checksum: pdfChecksum
+      })
+      await expect(verifyUploadedPdf(stored)).resolves.toMatchObject({
+        verified: true
+      })
+
+      await setPdfLegalHold(stored, true, mockLogger)
+      const sidecar = JSON.parse(
+        await fs.readFile(`${stored.location}.object.json`, 'utf8')
+      )
+      expect(sidecar.objectLock.legalHold).toBe(true)
+    })
+
+    test('should not find a PDF that has not been stored', async () => {
+      await expect(
+        findUploadedPdf('FPTT123456789-3.pdf', 'FPTT123456789', 3, {
+          endDate: '2027-01-01'
+        })
+      ).resolves.toBeNull()
     })
   })
 })
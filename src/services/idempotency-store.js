@@ -0,0 +1,145 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { config } from '#~/config.js'
+
+/**
+ * @typedef {object} IdempotencyRecord
+ * @property {string} bucket
+ * @property {string} key
+ * @property {string} location
+ * @property {string} retentionPrefix
+ * @property {number} size
+ * @property {string} [checksum]
+ * @property {string} recordedAt ISO timestamp the record was written
+ */
+
+/**
+ * @typedef {object} IdempotencyStore
+ * @property {(key: string) => Promise<IdempotencyRecord|null>} get
+ * @property {(key: string, record: Omit<IdempotencyRecord, 'recordedAt'>) => Promise<void>} set
+ */
+
+/**
+ * Build the idempotency key for an agreement PDF
+ * @param {{ agreementNumber: string, version: string|number, eventId?: string }} params
+ * @returns {string}
+ */
+export const buildIdempotencyKey = ({ agreementNumber, version, eventId }) =>
+  [
+    agreementNumber,
+    version,
+    config.get('idempotency.includeEventId') ? eventId : null
+  ]
+    .filter((part) => part !== null && part !== undefined)
+    .join(':')
+
+const isExpired = (record, ttlSeconds) =>
+  Date.now() - new Date(record.recordedAt).getTime() > ttlSeconds * 1000
+
+/**
+ * In-memory store, suitable for a single instance and for tests
+ * @param {{ ttlSeconds: number }} options
+ * @returns {IdempotencyStore}
+ */
+export const createInMemoryIdempotencyStore = ({ ttlSeconds }) => {
+  const records = new Map()
+
+  return {
+    get: async (key) => {
+      const record = records.get(key)
+      if (record && isExpired(record, ttlSeconds)) {
+        records.delete(key)
+        return null
+      }
+      return record ?? null
+    },
+    set: async (key, record) => {
+      for (const [existingKey, existing] of records) {
+        if (isExpired(existing, ttlSeconds)) {
+          records.delete(existingKey)
+        }
+      }
+      records.set(key, { ...record, recordedAt: new Date().toISOString() })
+    }
+  }
+}
+
+/**
+ * JSON file-backed store that survives restarts, suitable for local development and tests
+ * @param {{ filePath: string, ttlSeconds: number }} options
+ * @returns {IdempotencyStore}
+ */
+export const createFileIdempotencyStore = ({ filePath, ttlSeconds }) => {
+  // Serialise writes so concurrent messages never clobber each other's records
+  let pending = Promise.resolve()
+
+  const readRecords = async () => {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8'))
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return {}
+      }
+      throw err
+    }
+  }
+
+  const writeRecords = async (records) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true, mode: 0o700 })
+    const tmpPath = `${filePath}.${process.pid}.tmp`
+    await fs.writeFile(tmpPath, JSON.stringify(records, null, 2), {
+      mode: 0o600
+    })
+    await fs.rename(tmpPath, filePath)
+  }
+
+  return {
+    get: async (key) => {
+      await pending
+      const record = (await readRecords())[key]
+      return record && !isExpired(record, ttlSeconds) ? record : null
+    },
+    set: (key, record) => {
+      const write = pending.then(async () => {
+        const records = Object.fromEntries(
+          Object.entries(await readRecords()).filter(
+            ([, existing]) => !isExpired(existing, ttlSeconds)
+          )
+        )
+        records[key] = { ...record, recordedAt: new Date().toISOString() }
+        await writeRecords(records)
+      })
+      // A failed write is reported to its caller without blocking later writes
+      pending = write.catch(() => {})
+      return write
+    }
+  }
+}
+
+let idempotencyStore = null
+
+/**
+ * Shared idempotency store for the service, selected by `idempotency.store`
+ * @returns {IdempotencyStore}
+ */
+export const getIdempotencyStore = () => {
+  if (!idempotencyStore) {
+    const ttlSeconds = config.get('idempotency.ttl')
+    idempotencyStore =
+      config.get('idempotency.store') === 'file'
+        ? createFileIdempotencyStore({
+            filePath: config.get('idempotency.filePath'),
+            ttlSeconds
+          })
+        : createInMemoryIdempotencyStore({ ttlSeconds })
+  }
+  return idempotencyStore
+}
+
+/**
+ * Plug in a different store, e.g. one backed by a shared database
+ * @param {IdempotencyStore|null} store The store to use, or null to fall back to config
+ */
+export const setIdempotencyStore = (store) => {
+  idempotencyStore = store
+}
@@ -0,0 +1,165 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import {
+  buildIdempotencyKey,
+  createFileIdempotencyStore,
+  createInMemoryIdempotencyStore,
+  getIdempotencyStore,
+  setIdempotencyStore
+} from '#~/services/idempotency-store.js'
+
+const { mockConfigGetFn, configMap } = vi.hoisted(() => {
+  const configMap = {
+    'idempotency.store': 'memory',
+    'idempotency.includeEventId': false,
+    'idempotency.ttl': 60
+  }
+  return { configMap, mockConfigGetFn: vi.fn((key) => configMap[key]) }
+})
+
+vi.mock('#~/config.js', () => ({
+  config: {
+    get: mockConfigGetFn
+  }
+}))
+
+const record = {
+  bucket: 'test-bucket',
+  key: 'base/FPTT123456789/1/FPTT123456789-1.pdf',
+  location: 's3://test-bucket/base/FPTT123456789/1/FPTT123456789-1.pdf',
+  retentionPrefix: 'base',
+  size: 1024,
+  checksum: 'test-checksum'
+}
+
+describe('idempotency store', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+    configMap['idempotency.includeEventId'] = false
+    setIdempotencyStore(null)
+  })
+
+  describe('buildIdempotencyKey', () => {
+    test('should key on agreement number and version', () => {
+      expect(
+        buildIdempotencyKey({
+          agreementNumber: 'FPTT123456789',
+          version: 1,
+          eventId: 'event-1'
+        })
+      ).toBe('FPTT123456789:1')
+    })
+
+    test('should include the event id when configured to', () => {
+      configMap['idempotency.includeEventId'] = true
+
+      expect(
+        buildIdempotencyKey({
+          agreementNumber: 'FPTT123456789',
+          version: 1,
+          eventId: 'event-1'
+        })
+      ).toBe('FPTT123456789:1:event-1')
+    })
+  })
+
+  describe('createInMemoryIdempotencyStore', () => {
+    test('should return null for an unknown key', async () => {
+      const store = createInMemoryIdempotencyStore({ ttlSeconds: 60 })
+
+      await expect(store.get('FPTT123456789:1')).resolves.toBeNull()
+    })
+
+    test('should return a recorded PDF', async () => {
+      const store = createInMemoryIdempotencyStore({ ttlSeconds: 60 })
+
+      await store.set('FPTT123456789:1', record)
+
+      await expect(store.get('FPTT123456789:1')).resolves.toEqual({
+        ...record,
+        recordedAt: expect.any(String)
+      })
+    })
+
+    test('should forget records once the ttl has passed', async () => {
+      vi.useFakeTimers()
+      const store = createInMemoryIdempotencyStore({ ttlSeconds: 60 })
+
+      await store.set('FPTT123456789:1', record)
+      vi.advanceTimersByTime(61000)
+
+      await expect(store.get('FPTT123456789:1')).resolves.toBeNull()
+    })
+  })
+
+  describe('createFileIdempotencyStore', () => {
+    let tmpDir
+    let filePath
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'idempotency-test-'))
+      filePath = path.join(tmpDir, 'nested', 'records.json')
+    })
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true })
+    })
+
+    test('should return null before anything has been recorded', async () => {
+      const store = createFileIdempotencyStore({ filePath, ttlSeconds: 60 })
+
+      await expect(store.get('FPTT123456789:1')).resolves.toBeNull()
+    })
+
+    test('should persist records across store instances', async () => {
+      await createFileIdempotencyStore({ filePath, ttlSeconds: 60 }).set(
+        'FPTT123456789:1',
+        record
+      )
+
+      const store = createFileIdempotencyStore({ filePath, ttlSeconds: 60 })
+      await expect(store.get('FPTT123456789:1')).resolves.toMatchObject(record)
+    })
+
+    test('should keep every record when writes overlap', async () => {
+      const store = createFileIdempotencyStore({ filePath, ttlSeconds: 60 })
+
+      await Promise.all([
+        store.set('FPTT123456789:1', record),
+        store.set('FPTT123456789:2', record)
+      ])
+
+      const records = JSON.parse(await fs.readFile(filePath, 'utf8'))
+      expect(Object.keys(records)).toEqual([
+        'FPTT123456789:1',
+        'FPTT123456789:2'
+      ])
+    })
+
+    test('should drop expired records', async () => {
+      const store = createFileIdempotencyStore({ filePath, ttlSeconds: 60 })
+      await store.set('FPTT123456789:1', record)
+
+      vi.useFakeTimers({ now: Date.now() + 61000 })
+
+      await expect(store.get('FPTT123456789:1')).resolves.toBeNull()
+    })
+  })
+
+  describe('getIdempotencyStore', () => {
+    test('should reuse the configured store', () => {
+      expect(getIdempotencyStore()).toBe(getIdempotencyStore())
+    })
+
+    test('should use a plugged in store', async () => {
+      const store = { get: vi.fn().mockResolvedValue(record), set: vi.fn() }
+      setIdempotencyStore(store)
+
+      await expect(getIdempotencyStore().get('FPTT123456789:1')).resolves.toBe(
+        record
+      )
+    })
+  })
+})
@@ -0,0 +1,200 @@
+import { createHash, randomUUID } from 'node:crypto'
+import { createReadStream, createWriteStream } from 'node:fs'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { pipeline } from 'node:stream/promises'
+import { sanitiseObjectTags } from '#~/services/s3-object-metadata.js'
+
+// What S3 keeps about an object besides its bytes is written next to it in a JSON file
+const SIDECAR_SUFFIX = '.object.json'
+const PARTIAL_SUFFIX = '.partial'
+
+const isNotFound = (err) => err.code === 'ENOENT'
+
+/**
+ * SHA-256 to check the copy against, and MD5 for an ETag like the one S3 gives a single PUT
+ * @param {string} filePath
+ * @returns {Promise<{ sha256: string, md5: string }>}
+ */
+const hashFile = async (filePath) => {
+  const sha256 = createHash('sha256')
+  const md5 = createHash('md5')
+  for await (const chunk of createReadStream(filePath)) {
+    sha256.update(chunk)
+    md5.update(chunk)
+  }
+  return { sha256: sha256.digest('base64'), md5: md5.digest('hex') }
+}
+
+/**
+ * Store objects in a local folder, so the whole flow from SQS message to stored PDF can be run
+ * without S3. Each bucket is a folder, and each object is a file at its key under it.
+ *
+ * Like S3, a put fails if the stored bytes differ from the checksum given. Object Lock is
+ * recorded but not enforced, so the folder can be cleared between runs.
+ * @param {string} folder Folder the buckets are kept in
+ * @returns {import('#~/services/storage.js').StorageProvider}
+ */
+export function createLocalStorage(folder) {
+  const resolvePath = (bucket, key) => {
+    const bucketFolder = path.resolve(folder, bucket)
+    const filePath = path.resolve(bucketFolder, key)
+    if (!filePath.startsWith(`${bucketFolder}${path.sep}`)) {
+      throw new Error(`Object key ${key} is outside bucket ${bucket}`)
+    }
+    return filePath
+  }
+
+  const readSidecar = async (filePath) => {
+    try {
+      return JSON.parse(
+        await fs.readFile(`${filePath}${SIDECAR_SUFFIX}`, 'utf8')
+      )
+    } catch (err) {
+      if (isNotFound(err)) {
+        return {}
+      }
+      throw err
+    }
+  }
+
+  const writeSidecar = (filePath, sidecar) =>
+    fs.writeFile(
+      `${filePath}${SIDECAR_SUFFIX}`,
+      JSON.stringify(sidecar, null, 2)
+    )
+
+  const updateSidecar = async (filePath, update) => {
+    // Fail as S3 would for an object that does not exist
+    await fs.stat(filePath)
+    const sidecar = await readSidecar(filePath)
+    await writeSidecar(filePath, { ...sidecar, ...update(sidecar) })
+  }
+
+  const describe = async (key, filePath) => {
+    const { size, mtime } = await fs.stat(filePath)
+    const sidecar = await readSidecar(filePath)
+    return {
+      key,
+      size,
+      checksum: sidecar.checksum,
+      metadata: sidecar.metadata ?? {},
+      lastModified: mtime
+    }
+  }
+
+  return {
+    driver: 'local',
+
+    location: (bucket, key) => resolvePath(bucket, key),
+
+    async put(bucket, key, filePath, options) {
+      const { contentType, checksum, metadata, tags, objectLock } = options
+      const target = resolvePath(bucket, key)
+      // Copy to a partial file first, so a failed put never leaves a truncated object at the key
+      const partial = `${target}.${randomUUID()}${PARTIAL_SUFFIX}`
+
+      await fs.mkdir(path.dirname(target), { recursive: true })
+      try {
+        await pipeline(createReadStream(filePath), createWriteStream(partial))
+        const { sha256, md5 } = await hashFile(partial)
+        if (checksum && sha256 !== checksum) {
+          throw new Error(
+            `Checksum of ${key} does not match: expected ${checksum}, stored ${sha256}`
+          )
+        }
+
+        await fs.rename(partial, target)
+        await writeSidecar(target, {
+          contentType,
+          checksum: sha256,
+          metadata: metadata ?? {},
+          tags: sanitiseObjectTags(tags ?? {}),
+          ...(objectLock && {
+            objectLock: {
+              mode: objectLock.mode,
+              retainUntil: objectLock.retainUntil.toISOString(),
+              legalHold: objectLock.legalHold
+            }
+          })
+        })
+        return { etag: `"${md5}"` }
+      } finally {
+        await fs.rm(partial, { force: true })
+      }
+    },
+
+    async head(bucket, key) {
+      try {
+        return await describe(key, resolvePath(bucket, key))
+      } catch (err) {
+        if (isNotFound(err)) {
+          return null
+        }
+        throw err
+      }
+    },
+
+    async get(bucket, key) {
+      const filePath = resolvePath(bucket, key)
+      const object = await describe(key, filePath)
+      return { ...object, body: createReadStream(filePath) }
+    },
+
+    async list(bucket, prefix) {
+      const bucketFolder = path.resolve(folder, bucket)
+      let entries
+      try {
+        entries = await fs.readdir(bucketFolder, { recursive: true })
+      } catch (err) {
+        if (isNotFound(err)) {
+          return []
+        }
+        throw err
+      }
+
+      const objects = []
+      for (const entry of entries) {
+        const key = entry.split(path.sep).join('/')
+        if (
+          !key.startsWith(prefix) ||
+          key.endsWith(SIDECAR_SUFFIX) ||
+          key.endsWith(PARTIAL_SUFFIX)
+        ) {
+          continue
+        }
+        const stats = await fs.stat(path.join(bucketFolder, entry))
+        if (stats.isFile()) {
+          objects.push({ key, size: stats.size, lastModified: stats.mtime })
+        }
+      }
+      // S3 lists keys in order
+      return objects.sort((a, b) => (a.key < b.key ? -1 : 1))
+    },
+
+    async delete(bucket, key) {
+      const filePath = resolvePath(bucket, key)
+      await fs.rm(filePath, { force: true })
+      await fs.rm(`${filePath}${SIDECAR_SUFFIX}`, { force: true })
+    },
+
+    async tag(bucket, key, tags) {
+      await updateSidecar(resolvePath(bucket, key), () => ({
+        tags: sanitiseObjectTags(tags)
+      }))
+    },
+
+    async setLegalHold(bucket, key, legalHold) {
+      await updateSidecar(resolvePath(bucket, key), ({ objectLock }) => ({
+        objectLock: { ...objectLock, legalHold }
+      }))
+    },
+
+    async checkBucket(bucket) {
+      // A bucket folder is created by the first put, so it only needs to be possible to create
+      const bucketFolder = path.resolve(folder, bucket)
+      await fs.mkdir(bucketFolder, { recursive: true })
+      await fs.access(bucketFolder, fs.constants.W_OK)
+    }
+  }
+}
@@ -0,0 +1,242 @@
+import { afterEach, beforeEach, describe, expect, test } from 'vitest'
+import { createHash } from 'node:crypto'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { sha256Stream } from '#~/common/helpers/file-checksum.js'
+import { createLocalStorage } from '#~/services/local-storage.js'
+
+const checksumOf = (content) =>
+  createHash('sha256').update(content).digest('base64')
+
+describe('local storage', () => {
+  const bucket = 'test-bucket'
+  const key = 'base/FPTT123456789/1/FPTT123456789-1.pdf'
+  const logger = { info: () => {} }
+  let tmpDir
+  let sourcePath
+  let storage
+
+  const put = (objectKey = key, options = {}) =>
+    storage.put(
+      bucket,
+      objectKey,
+      sourcePath,
+      {
+        contentType: 'application/pdf',
+        size: 11,
+        checksum: checksumOf('pdf-content'),
+        ...options
+      },
+      logger
+    )
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-storage-'))
+    sourcePath = path.join(tmpDir, 'source.pdf')
+    await fs.writeFile(sourcePath, 'pdf-content')
+    storage = createLocalStorage(path.join(tmpDir, 'storage'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  test('should give the path of an object as its location', () => {
+    expect(storage.location(bucket, key)).toBe(
+      path.join(tmpDir, 'storage', bucket, key)
+    )
+  })
+
+  test('should not allow keys outside the bucket', () => {
+    expect(() => storage.location(bucket, '../other-bucket/file.pdf')).toThrow(
+      'Object key ../other-bucket/file.pdf is outside bucket test-bucket'
+    )
+  })
+
+  describe('put', () => {
+    test('should copy the file to its key with an ETag like S3 gives', async () => {
+      const result = await put()
+
+      expect(result).toEqual({
+        etag: `"${createHash('md5').update('pdf-content').digest('hex')}"`
+      })
+      await expect(
+        fs.readFile(storage.location(bucket, key), 'utf8')
+      ).resolves.toBe('pdf-content')
+    })
+
+    test('should keep the metadata, tags and Object Lock beside the file', async () => {
+      await put(key, {
+        metadata: { sha256: checksumOf('pdf-content') },
+        tags: { 'correlation-id': 'req#1', frn: undefined },
+        objectLock: {
+          mode: 'GOVERNANCE',
+          retainUntil: new Date('2034-01-01'),
+          legalHold: false
+        }
+      })
+
+      const sidecar = JSON.parse(
+        await fs.readFile(
+          `${storage.location(bucket, key)}.object.json`,
+          'utf8'
+        )
+      )
+      expect(sidecar).toEqual({
+        contentType: 'application/pdf',
+        checksum: checksumOf('pdf-content'),
+        metadata: { sha256: checksumOf('pdf-content') },
+        tags: { 'correlation-id': 'req_1' },
+        objectLock: {
+          mode: 'GOVERNANCE',
+          retainUntil: '2034-01-01T00:00:00.000Z',
+          legalHold: false
+        }
+      })
+    })
+
+    test('should reject a file that does not match its checksum and store nothing', async () => {
+      await expect(
+        put(key, { checksum: checksumOf('other-content') })
+      ).rejects.toThrow(
+        `Checksum of ${key} does not match: expected ${checksumOf('other-content')}, stored ${checksumOf('pdf-content')}`
+      )
+
+      await expect(storage.head(bucket, key)).resolves.toBeNull()
+      await expect(
+        fs.readdir(path.dirname(storage.location(bucket, key)))
+      ).resolves.toEqual([])
+    })
+  })
+
+  describe('head', () => {
+    test('should describe a stored object', async () => {
+      await put(key, { metadata: { sha256: 'whole-file-checksum' } })
+
+      await expect(storage.head(bucket, key)).resolves.toEqual({
+        key,
+        size: 11,
+        checksum: checksumOf('pdf-content'),
+        metadata: { sha256: 'whole-file-checksum' },
+        lastModified: expect.any(Date)
+      })
+    })
+
+    test('should return null for an object that does not exist', async () => {
+      await expect(storage.head(bucket, key)).resolves.toBeNull()
+    })
+  })
+
+  test('should read back a stored object', async () => {
+    await put()
+
+    const object = await storage.get(bucket, key)
+
+    expect(object).toMatchObject({ key, size: 11, metadata: {} })
+    await expect(sha256Stream(object.body)).resolves.toBe(
+      checksumOf('pdf-content')
+    )
+  })
+
+  describe('list', () => {
+    test('should list the objects under a prefix in key order', async () => {
+      await put('extended/FPTT2/1/FPTT2-1.pdf')
+      await put('base/FPTT3/1/FPTT3-1.pdf')
+      await put('base/FPTT1/1/FPTT1-1.pdf')
+
+      const objects = await storage.list(bucket, 'base/')
+
+      expect(objects.map((object) => object.key)).toEqual([
+        'base/FPTT1/1/FPTT1-1.pdf',
+        'base/FPTT3/1/FPTT3-1.pdf'
+      ])
+      expect(objects[0]).toEqual({
+        key: 'base/FPTT1/1/FPTT1-1.pdf',
+        size: 11,
+        lastModified: expect.any(Date)
+      })
+    })
+
+    test('should list nothing for a bucket with no objects', async () => {
+      await expect(storage.list(bucket, '')).resolves.toEqual([])
+    })
+  })
+
+  test('should delete an object and what is kept beside it', async () => {
+    await put()
+
+    await storage.delete(bucket, key)
+
+    await expect(storage.head(bucket, key)).resolves.toBeNull()
+    await expect(storage.list(bucket, '')).resolves.toEqual([])
+    await expect(
+      fs.readdir(path.dirname(storage.location(bucket, key)))
+    ).resolves.toEqual([])
+  })
+
+  describe('tag', () => {
+    test('should replace the tags of an object', async () => {
+      await put(key, { tags: { sbi: '106284736' } })
+
+      await storage.tag(bucket, key, { 'retention-class': 'extended' })
+
+      const sidecar = JSON.parse(
+        await fs.readFile(
+          `${storage.location(bucket, key)}.object.json`,
+          'utf8'
+        )
+      )
+      expect(sidecar.tags).toEqual({ 'retention-class': 'extended' })
+      expect(sidecar.checksum).toBe(checksumOf('pdf-content'))
+    })
+
+    test('should fail for an object that does not exist', async () => {
+      await expect(
+        storage.tag(bucket, key, { sbi: '106284736' })
+      ).rejects.toMatchObject({ code: 'ENOENT' })
+    })
+  })
+
+  test('should put a legal hold on an object and lift it', async () => {
+    await put(key, {
+      objectLock: {
+        mode: 'GOVERNANCE',
+        retainUntil: new Date('2034-01-01'),
+        legalHold: false
+      }
+    })
+    const readObjectLock = async () =>
+      JSON.parse(
+        await fs.readFile(
+          `${storage.location(bucket, key)}.object.json`,
+          'utf8'
+        )
+      ).objectLock
+
+    await storage.setLegalHold(bucket, key, true)
+    await expect(readObjectLock()).resolves.toEqual({
+      mode: 'GOVERNANCE',
+      retainUntil: '2034-01-01T00:00:00.000Z',
+      legalHold: true
+    })
+
+    await storage.setLegalHold(bucket, key, false)
+    await expect(readObjectLock()).resolves.toMatchObject({ legalHold: false })
+  })
+
+  test('should check a bucket folder can be written to', async () => {
+    await storage.checkBucket(bucket)
+
+    const stats = await fs.stat(path.join(tmpDir, 'storage', bucket))
+    expect(stats.isDirectory()).toBe(true)
+  })
+
+  test('should fail the check when the bucket folder cannot be created', async () => {
+    await fs.writeFile(path.join(tmpDir, 'storage'), 'not a folder')
+
+    await expect(storage.checkBucket(bucket)).rejects.toMatchObject({
+      code: 'ENOTDIR'
+    })
+  })
+})
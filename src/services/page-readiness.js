@@ -0,0 +1,65 @@
+/**
+ * The stages of rendering an agreement PDF that have their own timeout
+ * @readonly
+ * @enum {string}
+ */
+export const RenderStage = Object.freeze({
+  NAVIGATION: 'navigation',
+  READINESS: 'readiness',
+  PRINT: 'print'
+})
+
+const STAGE_DESCRIPTIONS = {
+  [RenderStage.NAVIGATION]: 'the agreement page to load',
+  [RenderStage.READINESS]: 'the agreement page to be ready to print',
+  [RenderStage.PRINT]: 'Chromium to print the PDF'
+}
+
+/**
+ * Run a rendering stage, turning Puppeteer's timeout into an error that says which stage timed out
+ * @template T
+ * @param {RenderStage} stage The stage being run
+ * @param {number} timeout The timeout given to Puppeteer for the stage, in milliseconds
+ * @param {() => Promise<T>} action Runs the stage with that timeout
+ * @returns {Promise<T>}
+ * @throws {Error} With `stage` set, when the stage times out
+ */
+export const runRenderStage = async (stage, timeout, action) => {
+  try {
+    return await action()
+  } catch (err) {
+    if (err.name !== 'TimeoutError') {
+      throw err
+    }
+    const timeoutError = new Error(
+      `Timed out after ${timeout}ms waiting for ${STAGE_DESCRIPTIONS[stage]}`,
+      { cause: err }
+    )
+    timeoutError.stage = stage
+    throw timeoutError
+  }
+}
+
+/**
+ * Wait until the agreement page says it is ready to print, then for its web fonts to load
+ * @param {import('puppeteer').Page} page The page showing the agreement
+ * @param {{ readiness: 'fonts'|'selector'|'flag', readySelector: string, timeout: number }} options
+ * @returns {Promise<void>}
+ */
+export const waitForPageReady = async (
+  page,
+  { readiness, readySelector, timeout }
+) => {
+  if (readiness === 'selector') {
+    await page.waitForSelector(readySelector, { timeout })
+  } else if (readiness === 'flag') {
+    await page.waitForFunction(() => globalThis.__PDF_READY__ === true, {
+      timeout
+    })
+  }
+
+  await page.waitForFunction(
+    () => globalThis.document.fonts.status === 'loaded',
+    { timeout }
+  )
+}
@@ -0,0 +1,132 @@
+import { describe, expect, test, vi } from 'vitest'
+import {
+  RenderStage,
+  runRenderStage,
+  waitForPageReady
+} from '#~/services/page-readiness.js'
+
+describe('page readiness', () => {
+  describe('runRenderStage', () => {
+    test('should return the result of the stage', async () => {
+      await expect(
+        runRenderStage(RenderStage.PRINT, 1000, async () => 'printed')
+      ).resolves.toBe('printed')
+    })
+
+    test('should say which stage timed out', async () => {
+      const timeoutError = new Error('Navigation timeout of 1000 ms exceeded')
+      timeoutError.name = 'TimeoutError'
+
+      const error = await runRenderStage(
+        RenderStage.NAVIGATION,
+        1000,
+        async () => {
+          throw timeoutError
+        }
+      ).catch((err) => err)
+
+      expect(error.message).toBe(
+        'Timed out after 1000ms waiting for the agreement page to load'
+      )
+      expect(error.stage).toBe('navigation')
+      expect(error.cause).toBe(timeoutError)
+    })
+
+    test('should rethrow other errors unchanged', async () => {
+      const navigationError = new Error('net::ERR_NAME_NOT_RESOLVED')
+
+      await expect(
+        runRenderStage(RenderStage.NAVIGATION, 1000, async () => {
+          throw navigationError
+        })
+      ).rejects.toBe(navigationError)
+    })
+
+    test('should freeze the render stages', () => {
+      expect(Object.isFrozen(RenderStage)).toBe(true)
+    })
+  })
+
+  describe('waitForPageReady', () => {
+    const createPage = () => ({
+      waitForSelector: vi.fn().mockResolvedValue({}),
+      waitForFunction: vi.fn().mockResolvedValue({})
+    })
+
+    test('should wait for the web fonts to load', async () => {
+      const page = createPage()
+
+      await waitForPageReady(page, {
+        readiness: 'fonts',
+        readySelector: '[data-pdf-ready]',
+        timeout: 2000
+      })
+
+      expect(page.waitForSelector).not.toHaveBeenCalled()
+      expect(page.waitForFunction).toHaveBeenCalledOnce()
+      const [fontsLoaded, options] = page.waitForFunction.mock.calls[0]
+      expect(options).toEqual({ timeout: 2000 })
+
+      vi.stubGlobal('document', { fonts: { status: 'loading' } })
+      expect(fontsLoaded()).toBe(false)
+      vi.stubGlobal('document', { fonts: { status: 'loaded' } })
+      expect(fontsLoaded()).toBe(true)
+      vi.unstubAllGlobals()
+    })
+
+    test('should wait for the ready selector and then the fonts', async () => {
+      const page = createPage()
+
+      await waitForPageReady(page, {
+        readiness: 'selector',
+        readySelector: '[data-pdf-ready]',
+        timeout: 2000
+      })
+
+      expect(page.waitForSelector).toHaveBeenCalledWith('[data-pdf-ready]', {
+        timeout: 2000
+      })
+      expect(page.waitForFunction).toHaveBeenCalledOnce()
+      expect(page.waitForSelector.mock.invocationCallOrder[0]).toBeLessThan(
+        page.waitForFunction.mock.invocationCallOrder[0]
+      )
+    })
+
+    test('should wait for the ready flag and then the fonts', async () => {
+      const page = createPage()
+
+      await waitForPageReady(page, {
+        readiness: 'flag',
+        readySelector: '[data-pdf-ready]',
+        timeout: 2000
+      })
+
+      expect(page.waitForSelector).not.toHaveBeenCalled()
+      expect(page.waitForFunction).toHaveBeenCalledTimes(2)
+      const [flagSet, options] = page.waitForFunction.mock.calls[0]
+      expect(options).toEqual({ timeout: 2000 })
+
+      vi.stubGlobal('__PDF_READY__', undefined)
+      expect(flagSet()).toBe(false)
+      vi.stubGlobal('__PDF_READY__', true)
+      expect(flagSet()).toBe(true)
+      vi.unstubAllGlobals()
+    })
+
+    test('should pass on a readiness timeout', async () => {
+      const page = createPage()
+      const timeoutError = new Error('Waiting for selector failed')
+      timeoutError.name = 'TimeoutError'
+      page.waitForSelector.mockRejectedValue(timeoutError)
+
+      await expect(
+        waitForPageReady(page, {
+          readiness: 'selector',
+          readySelector: '[data-pdf-ready]',
+          timeout: 2000
+        })
+      ).rejects.toBe(timeoutError)
+      expect(page.waitForFunction).not.toHaveBeenCalled()
+    })
+  })
+})
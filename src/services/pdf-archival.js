@@ -0,0 +1,180 @@
+import fs from 'node:fs/promises'
+import { randomBytes } from 'node:crypto'
+import { PDFDict, PDFHexString, PDFName, PDFNumber, PDFString } from 'pdf-lib'
+
+const SRGB_ICC_PROFILE = new URL(
+  '../assets/icc/sRGB_IEC61966_2_1.icc',
+  import.meta.url
+)
+const SRGB_OUTPUT_CONDITION = 'sRGB IEC61966-2.1'
+
+// Actions that reach outside the document or run code, which PDF/A forbids
+const FORBIDDEN_ACTIONS = new Set([
+  'Launch',
+  'GoToR',
+  'GoToE',
+  'ImportData',
+  'JavaScript',
+  'SubmitForm',
+  'ResetForm',
+  'Sound',
+  'Movie',
+  'Hide',
+  'Rendition',
+  'Trans',
+  'SetOCGState',
+  'GoTo3DView'
+])
+const FORBIDDEN_ANNOTATIONS = new Set(['Sound', 'Movie', 'Screen', '3D'])
+const FONT_FILE_KEYS = ['FontFile', 'FontFile2', 'FontFile3']
+// Annotation flag that makes an annotation print, required by PDF/A
+const PRINT_FLAG = 4
+
+const name = (dict, key) => dict.lookup(PDFName.of(key))?.decodeText?.()
+
+/**
+ * Throw unless every font in the document is embedded, as PDF/A cannot reference system fonts
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ */
+const assertFontsEmbedded = (pdfDoc) => {
+  for (const [ref, object] of pdfDoc.context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFDict) || name(object, 'Type') !== 'Font') {
+      continue
+    }
+
+    const subtype = name(object, 'Subtype')
+    // Type 0 fonts are embedded through their descendant font, Type 3 fonts are drawn with PDF operators
+    if (subtype === 'Type0' || subtype === 'Type3') {
+      continue
+    }
+
+    const descriptor = object.lookup(PDFName.of('FontDescriptor'))
+    const embedded =
+      descriptor instanceof PDFDict &&
+      FONT_FILE_KEYS.some((key) => descriptor.has(PDFName.of(key)))
+
+    if (!embedded) {
+      const baseFont = name(object, 'BaseFont') ?? ref.toString()
+      throw new Error(
+        `PDF/A-2b conversion failed: font ${baseFont} is not embedded`
+      )
+    }
+  }
+}
+
+/**
+ * Remove actions, annotations and references to external content that PDF/A forbids
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ */
+const removeExternalReferences = (pdfDoc) => {
+  const { catalog, context } = pdfDoc
+
+  catalog.delete(PDFName.of('AA'))
+  const openAction = catalog.lookup(PDFName.of('OpenAction'))
+  if (
+    openAction instanceof PDFDict &&
+    FORBIDDEN_ACTIONS.has(name(openAction, 'S'))
+  ) {
+    catalog.delete(PDFName.of('OpenAction'))
+  }
+
+  const names = catalog.lookup(PDFName.of('Names'))
+  if (names instanceof PDFDict) {
+    names.delete(PDFName.of('JavaScript'))
+    names.delete(PDFName.of('EmbeddedFiles'))
+  }
+
+  for (const page of pdfDoc.getPages()) {
+    page.node.delete(PDFName.of('AA'))
+
+    const annots = page.node.Annots()
+    if (!annots) {
+      continue
+    }
+
+    const kept = annots.asArray().filter((annotRef) => {
+      const annot = context.lookup(annotRef)
+      if (!(annot instanceof PDFDict)) {
+        return false
+      }
+
+      const action = annot.lookup(PDFName.of('A'))
+      const actionType =
+        action instanceof PDFDict ? name(action, 'S') : undefined
+
+      return (
+        !FORBIDDEN_ANNOTATIONS.has(name(annot, 'Subtype')) &&
+        !FORBIDDEN_ACTIONS.has(actionType)
+      )
+    })
+
+    for (const annotRef of kept) {
+      const annot = context.lookup(annotRef)
+      annot.delete(PDFName.of('AA'))
+      annot.set(PDFName.of('F'), PDFNumber.of(PRINT_FLAG))
+    }
+    page.node.set(PDFName.of('Annots'), context.obj(kept))
+  }
+
+  // Reference XObjects pull their content from another file
+  for (const [, object] of context.enumerateIndirectObjects()) {
+    const dict = object instanceof PDFDict ? object : object.dict
+    if (dict instanceof PDFDict && name(dict, 'Subtype') === 'Form') {
+      dict.delete(PDFName.of('Ref'))
+      dict.delete(PDFName.of('OPI'))
+    }
+  }
+}
+
+/**
+ * Embed the sRGB ICC profile as the document output intent
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ */
+const addOutputIntent = async (pdfDoc) => {
+  const { context } = pdfDoc
+  const iccProfile = await fs.readFile(SRGB_ICC_PROFILE)
+
+  const outputIntent = context.obj({
+    Type: 'OutputIntent',
+    S: 'GTS_PDFA1',
+    OutputConditionIdentifier: PDFString.of(SRGB_OUTPUT_CONDITION),
+    Info: PDFString.of(SRGB_OUTPUT_CONDITION),
+    RegistryName: PDFString.of('http://www.color.org'),
+    DestOutputProfile: context.register(
+      context.flateStream(iccProfile, { N: 3 })
+    )
+  })
+
+  pdfDoc.catalog.set(
+    PDFName.of('OutputIntents'),
+    context.obj([context.register(outputIntent)])
+  )
+}
+
+/**
+ * PDF/A requires a file identifier in the trailer
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ */
+const addFileIdentifier = (pdfDoc) => {
+  const id = randomBytes(16).toString('hex')
+  pdfDoc.context.trailerInfo.ID = pdfDoc.context.obj([
+    PDFHexString.of(id),
+    PDFHexString.of(id)
+  ])
+}
+
+/**
+ * Convert a PDF rendered by Chromium into PDF/A-2b: fonts are checked to be embedded, an sRGB
+ * output intent and file identifier are added, and external references are removed.
+ *
+ * The XMP metadata declaring conformance is written by `setXmpMetadata` with `pdfA: true`.
+ * @param {import('pdf-lib').PDFDocument} pdfDoc The document to convert, updated in place
+ * @returns {Promise<void>}
+ * @throws {Error} When the PDF cannot be made archival, e.g. it uses a font that is not embedded
+ */
+export const convertToPdfA = async (pdfDoc) => {
+  assertFontsEmbedded(pdfDoc)
+  removeExternalReferences(pdfDoc)
+  await addOutputIntent(pdfDoc)
+  addFileIdentifier(pdfDoc)
+}
@@ -0,0 +1,127 @@
+import { describe, expect, test } from 'vitest'
+import { PDFDict, PDFDocument, PDFName, StandardFonts } from 'pdf-lib'
+import { convertToPdfA } from '#~/services/pdf-archival.js'
+
+const createPdf = async (build = () => {}) => {
+  const pdfDoc = await PDFDocument.create()
+  const page = pdfDoc.addPage()
+  page.drawRectangle({ x: 10, y: 10, width: 50, height: 50 })
+  await build(pdfDoc, page)
+  return pdfDoc.save()
+}
+
+const addLink = (pdfDoc, page, action) => {
+  const { context } = pdfDoc
+  const annot = context.register(
+    context.obj({
+      Type: 'Annot',
+      Subtype: 'Link',
+      Rect: [0, 0, 10, 10],
+      A: action
+    })
+  )
+  page.node.addAnnot(annot)
+}
+
+const convert = async (pdfBytes) => {
+  const pdfDoc = await PDFDocument.load(pdfBytes)
+  await convertToPdfA(pdfDoc)
+  return PDFDocument.load(await pdfDoc.save())
+}
+
+describe('convertToPdfA', () => {
+  test('should add an sRGB output intent', async () => {
+    const pdfDoc = await convert(await createPdf())
+
+    const [outputIntent] = pdfDoc.catalog
+      .lookup(PDFName.of('OutputIntents'))
+      .asArray()
+      .map((ref) => pdfDoc.context.lookup(ref))
+    expect(outputIntent.lookup(PDFName.of('S')).decodeText()).toBe('GTS_PDFA1')
+    expect(
+      outputIntent.lookup(PDFName.of('OutputConditionIdentifier')).decodeText()
+    ).toBe('sRGB IEC61966-2.1')
+    expect(
+      outputIntent
+        .lookup(PDFName.of('DestOutputProfile'))
+        .dict.lookup(PDFName.of('N'))
+        .asNumber()
+    ).toBe(3)
+  })
+
+  test('should add a file identifier to the trailer', async () => {
+    const pdfDoc = await convert(await createPdf())
+
+    expect(pdfDoc.context.trailerInfo.ID.size()).toBe(2)
+  })
+
+  test('should reject fonts that are not embedded', async () => {
+    const pdfBytes = await createPdf(async (pdfDoc, page) => {
+      const font = await pdfDoc.embedFont(StandardFonts.Helvetica)
+      page.drawText('Agreement', { font })
+    })
+
+    await expect(convert(pdfBytes)).rejects.toThrow(
+      'PDF/A-2b conversion failed: font Helvetica is not embedded'
+    )
+  })
+
+  test('should accept fonts with an embedded font program', async () => {
+    const pdfBytes = await createPdf((pdfDoc) => {
+      const { context } = pdfDoc
+      context.register(
+        context.obj({
+          Type: 'Font',
+          Subtype: 'TrueType',
+          BaseFont: 'ABCDEF+NotoSans',
+          FontDescriptor: context.register(
+            context.obj({
+              Type: 'FontDescriptor',
+              FontFile2: context.register(context.stream('font-program'))
+            })
+          )
+        })
+      )
+    })
+
+    await expect(convert(pdfBytes)).resolves.toBeInstanceOf(PDFDocument)
+  })
+
+  test('should remove external references and make annotations printable', async () => {
+    const pdfBytes = await createPdf((pdfDoc, page) => {
+      const { context, catalog } = pdfDoc
+      addLink(pdfDoc, page, { S: 'URI', URI: 'https://www.gov.uk' })
+      addLink(pdfDoc, page, { S: 'Launch', F: 'calc.exe' })
+      addLink(pdfDoc, page, { S: 'GoToR', F: 'other.pdf', D: [0, 'Fit'] })
+      catalog.set(
+        PDFName.of('OpenAction'),
+        context.obj({ S: 'JavaScript', JS: 'app.alert(1)' })
+      )
+      catalog.set(
+        PDFName.of('Names'),
+        context.obj({ JavaScript: context.obj({ Names: [] }) })
+      )
+      page.node.set(PDFName.of('AA'), context.obj({}))
+    })
+
+    const pdfDoc = await convert(pdfBytes)
+    const [page] = pdfDoc.getPages()
+
+    const annots = page.node
+      .Annots()
+      .asArray()
+      .map((ref) => pdfDoc.context.lookup(ref))
+    expect(annots).toHaveLength(1)
+    expect(
+      annots[0].lookup(PDFName.of('A')).lookup(PDFName.of('S')).decodeText()
+    ).toBe('URI')
+    expect(annots[0].lookup(PDFName.of('F')).asNumber()).toBe(4)
+    expect(pdfDoc.catalog.has(PDFName.of('OpenAction'))).toBe(false)
+    expect(
+      pdfDoc.catalog
+        .lookup(PDFName.of('Names'), PDFDict)
+        .has(PDFName.of('JavaScript'))
+    ).toBe(false)
+    expect(page.node.has(PDFName.of('AA'))).toBe(false)
+  })
+})
@@ -1,39 +1,20 @@
-import puppeteer from 'puppeteer'
 import path from 'node:path'
 import fs from 'node:fs/promises'
-import * as Jwt from '@hapi/jwt'
 import { config } from '#~/config.js'
 import { removeTemporaryFile } from '#~/common/helpers/file-cleanup.js'
-
-let browserClosed = false
-
-async function createBrowser(logger) {
-  logger.info('Launching Puppeteer browser')
-
-  const browser = await puppeteer.launch({
-    headless: true,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-accelerated-2d-canvas',
-      '--disable-gpu',
-      '--window-size=1920x1080'
-    ]
-  })
-
-  browser.on('targetcreated', () => {
-    logger.info('Browser connected')
-    browserClosed = false
-  })
-
-  browser.on('disconnected', () => {
-    logger.info('Browser disconnected')
-    browserClosed = true
-  })
-
-  return browser
-}
+import { sha256File } from '#~/common/helpers/file-checksum.js'
+import { getBrowserPool } from '#~/services/browser-pool.js'
+import { createAgreementPageToken } from '#~/services/agreement-page-token.js'
+import { renderAgreementHtml } from '#~/services/agreement-template.js'
+import { buildPdfOptions } from '#~/services/pdf-layout.js'
+import {
+  RenderStage,
+  runRenderStage,
+  waitForPageReady
+} from '#~/services/page-readiness.js'
+import { postProcessPdf } from '#~/services/pdf-post-processing.js'
+import { watchRenderDiagnostics } from '#~/services/render-diagnostics.js'
+import { guardPageRequests } from '#~/services/request-guard.js'
 
 /**
  * Ensures the temporary directory exists with secure permissions
@@ -50,24 +31,113 @@ async function ensureSecureTmpDir(tmpFolder, logger) {
   }
 }
 
+// Form submission code - runs in browser context
+const formSubmissionCode = () => {
+  const form = globalThis.document.createElement('form')
+  form.method = 'GET'
+  form.action = globalThis.location.href
+
+  const input = globalThis.document.createElement('input')
+  input.type = 'hidden'
+  input.name = 'action'
+  input.value = 'view-agreement'
+
+  form.appendChild(input)
+  globalThis.document.body.appendChild(form)
+  form.submit()
+}
+
+/**
+ * Load the agreement's page from the agreements frontend
+ * @param {import('puppeteer').Page} page The page to render the agreement in
+ * @param {object} agreementData The agreement data, with the agreementUrl to load
+ * @param {number} navigationTimeout Time in milliseconds to wait for each navigation
+ * @param {object} logger Logger instance
+ * @returns {Promise<void>}
+ */
+async function loadAgreementPage(
+  page,
+  agreementData,
+  navigationTimeout,
+  logger
+) {
+  logger.info(`Navigating to agreement URL ${agreementData.agreementUrl}`)
+
+  await runRenderStage(RenderStage.NAVIGATION, navigationTimeout, () =>
+    page.goto(agreementData.agreementUrl, {
+      waitUntil: 'domcontentloaded',
+      timeout: navigationTimeout
+    })
+  )
+
+  await runRenderStage(RenderStage.NAVIGATION, navigationTimeout, () =>
+    Promise.all([
+      page.waitForNavigation({
+        waitUntil: 'load',
+        timeout: navigationTimeout
+      }),
+      page.evaluate(formSubmissionCode)
+    ])
+  )
+}
+
+/**
+ * Load the agreement's HTML rendered from a bundled template, which inlines everything it needs
+ * so the PDF does not depend on the agreements frontend or anything else being up
+ * @param {import('puppeteer').Page} page The page to render the agreement in
+ * @param {object} agreementData The agreement data, with the templateId and templateData to render
+ * @param {number} navigationTimeout Time in milliseconds to wait for the content to load
+ * @param {object} logger Logger instance
+ * @returns {Promise<void>}
+ */
+async function loadAgreementTemplate(
+  page,
+  agreementData,
+  navigationTimeout,
+  logger
+) {
+  const html = await renderAgreementHtml(agreementData)
+
+  logger.info(
+    `Rendering agreement ${agreementData.agreementNumber}-${agreementData.version} from template ${agreementData.templateId}`
+  )
+
+  await runRenderStage(RenderStage.NAVIGATION, navigationTimeout, () =>
+    page.setContent(html, { waitUntil: 'load', timeout: navigationTimeout })
+  )
+}
+
 /**
  *
  * @param {string} agreementData The agreement data necessary to generate the PDF
  * @param {string} filename The filename to store the generated PDF
  * @param logger The logger instance
- * @returns {Promise<string>} output path of the file
+ * @param {{ eventType?: string }} [options] The type of the event that requested the PDF, to pick its page layout
+ * @returns {Promise<{outputPath: string, checksum: string}>} output path of the file, and the base64 SHA-256 of
+ * its final bytes so the copy stored in S3 can be checked against what was generated
  */
-export async function generatePdf(agreementData, filename, logger) {
-  let browser = null
+export async function generatePdf(
+  agreementData,
+  filename,
+  logger,
+  { eventType } = {}
+) {
+  let lease = null
+  let diagnostics = null
+  let requestGuard = null
   const tmpFolder = config.get('tmpPdfFolder')
   const outputPath = path.resolve(tmpFolder, filename)
+  const navigationTimeout = config.get('pdfRendering.navigationTimeout')
+  const readinessTimeout = config.get('pdfRendering.readinessTimeout')
+  const printTimeout = config.get('pdfRendering.printTimeout')
 
   try {
     // Ensure the temporary directory exists with secure permissions
     await ensureSecureTmpDir(tmpFolder, logger)
 
-    browser = await createBrowser(logger)
-    const page = await browser.newPage()
+    lease = await getBrowserPool(logger).acquire(logger)
+    const { page } = lease
+    diagnostics = watchRenderDiagnostics(page)
 
     await page.setViewport({
       width: 1920,
@@ -75,76 +145,82 @@ export async function generatePdf(agreementData, filename, logger) {
       deviceScaleFactor: 1
     })
 
-    const source = 'entra'
-    const jwtSecret = config.get('jwtSecret')
-    const encryptedAuth = Jwt.token.generate({ source }, jwtSecret)
-
-    logger.info(`Navigating to agreement URL ${agreementData.agreementUrl}`)
-
-    await page.goto(agreementData.agreementUrl, {
-      waitUntil: 'domcontentloaded'
-    })
-
-    await page.setExtraHTTPHeaders({
-      'x-encrypted-auth': encryptedAuth
-    })
-
-    // Form submission code - runs in browser context
-    const formSubmissionCode = () => {
-      const form = globalThis.document.createElement('form')
-      form.method = 'GET'
-      form.action = globalThis.location.href
-
-      const input = globalThis.document.createElement('input')
-      input.type = 'hidden'
-      input.name = 'action'
-      input.value = 'view-agreement'
+    // Pages rendered from a template make no requests. Other pages send the auth header
+    // with allow-listed requests only, rather than with every request
+    requestGuard = await guardPageRequests(
+      page,
+      agreementData.templateId
+        ? { offline: true, agreementData, logger }
+        : {
+            headers: {
+              'x-encrypted-auth': await createAgreementPageToken(agreementData)
+            },
+            agreementData,
+            logger
+          }
+    )
 
-      form.appendChild(input)
-      globalThis.document.body.appendChild(form)
-      form.submit()
+    if (agreementData.templateId) {
+      await loadAgreementTemplate(
+        page,
+        agreementData,
+        navigationTimeout,
+        logger
+      )
+    } else {
+      await loadAgreementPage(page, agreementData, navigationTimeout, logger)
     }
 
-    await page.evaluate(formSubmissionCode)
-
-    await page.waitForNavigation({ waitUntil: 'networkidle0' })
+    // Wait for the page to say it is ready rather than for the network to go quiet,
+    // which pages that poll never do
+    await runRenderStage(RenderStage.READINESS, readinessTimeout, () =>
+      waitForPageReady(page, {
+        // Templates are static, so only their fonts need to load
+        readiness: agreementData.templateId
+          ? 'fonts'
+          : config.get('pdfRendering.readiness'),
+        readySelector: config.get('pdfRendering.readySelector'),
+        timeout: readinessTimeout
+      })
+    )
 
     logger.info({ outputPath }, 'Generating PDF')
 
-    await page.pdf({
-      path: outputPath,
-      format: 'A4',
-      printBackground: true,
-      margin: {
-        top: '20px',
-        right: '20px',
-        bottom: '20px',
-        left: '20px'
-      }
-    })
+    await runRenderStage(RenderStage.PRINT, printTimeout, () =>
+      page.pdf({
+        path: outputPath,
+        ...buildPdfOptions(agreementData, { eventType }),
+        timeout: printTimeout
+      })
+    )
 
     await fs.access(outputPath)
+    await postProcessPdf(outputPath, agreementData, logger)
 
+    // Hashed after post-processing, which rewrites the file
+    const checksum = await sha256File(outputPath)
     const { size } = await fs.stat(outputPath)
     logger.info(
+      { outputPath, checksum },
       `PDF ${filename} generated successfully and saved to ${outputPath} (${(size / (1024 * 1024)).toFixed(2)} MB)`
     )
 
-    return outputPath
-  } catch (err) {
+    return { outputPath, checksum }
+  } catch (renderErr) {
+    // A page the guard will not load fails the same way on every retry
+    const err = requestGuard?.blockedNavigationError(renderErr) ?? renderErr
     logger.error(err, `Error generating PDF ${filename}`)
 
+    await diagnostics?.save({ err, outputPath, agreementData, logger })
+
     // Clean up the PDF file if it was created
     await removeTemporaryFile(outputPath, logger)
 
     throw err
   } finally {
-    if (browser && !browserClosed) {
-      try {
-        await browser.close()
-      } catch (error) {
-        logger.error(error, `Error closing browser`)
-      }
-    }
+    // Hand the page back so the pool can reuse or recycle its browser
+    diagnostics?.stop()
+    requestGuard?.stop()
+    await lease?.release()
   }
 }
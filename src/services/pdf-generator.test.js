@@ -1,24 +1,32 @@
 import { vi } from 'vitest'
+import Boom from '@hapi/boom'
 import { generatePdf } from '#~/services/pdf-generator.js'
 
 // Use vi.hoisted() to ensure mock functions are available before mock factories run
 const {
   mockConfigGetFn,
   mockRemoveTemporaryFileFn,
-  mockPuppeteerLaunchFn,
-  mockBrowserOnFn,
-  mockNewPageFn,
+  mockAcquireFn,
+  mockReleaseFn,
   mockPageSetViewportFn,
   mockPageGotoFn,
   mockPageSetExtraHTTPHeadersFn,
   mockPageEvaluateFn,
   mockPageWaitForNavigationFn,
   mockPagePdfFn,
-  mockBrowserCloseFn,
   mockFsAccessFn,
   mockFsMkdirFn,
   mockFsStatFn,
-  mockJwtTokenGenerateFn
+  mockPostProcessPdfFn,
+  mockBuildPdfOptionsFn,
+  mockWaitForPageReadyFn,
+  mockDiagnostics,
+  mockGuardPageRequestsFn,
+  mockRequestGuard,
+  mockCreateAgreementPageTokenFn,
+  mockRenderAgreementHtmlFn,
+  mockPageSetContentFn,
+  mockSha256FileFn
 } = vi.hoisted(() => {
   const configMap = {
     tmpPdfFolder: '/tmp/pdfs',
@@ -27,20 +35,30 @@ const {
   return {
     mockConfigGetFn: vi.fn((key) => configMap[key]),
     mockRemoveTemporaryFileFn: vi.fn().mockResolvedValue(undefined),
-    mockPuppeteerLaunchFn: vi.fn(),
-    mockBrowserOnFn: vi.fn(),
-    mockNewPageFn: vi.fn(),
+    mockAcquireFn: vi.fn(),
+    mockReleaseFn: vi.fn(),
     mockPageSetViewportFn: vi.fn(),
     mockPageGotoFn: vi.fn(),
     mockPageSetExtraHTTPHeadersFn: vi.fn(),
     mockPageEvaluateFn: vi.fn(),
     mockPageWaitForNavigationFn: vi.fn(),
     mockPagePdfFn: vi.fn(),
-    mockBrowserCloseFn: vi.fn(),
     mockFsAccessFn: vi.fn(),
     mockFsMkdirFn: vi.fn(),
     mockFsStatFn: vi.fn().mockResolvedValue({ size: 1024 * 1024 }),
-    mockJwtTokenGenerateFn: vi.fn()
+    mockPostProcessPdfFn: vi.fn(),
+    mockBuildPdfOptionsFn: vi.fn(),
+    mockWaitForPageReadyFn: vi.fn(),
+    mockDiagnostics: { stop: vi.fn(), save: vi.fn() },
+    mockGuardPageRequestsFn: vi.fn(),
+    mockRequestGuard: {
+      stop: vi.fn(),
+      blockedNavigationError: vi.fn((err) => err)
+    },
+    mockCreateAgreementPageTokenFn: vi.fn(),
+    mockRenderAgreementHtmlFn: vi.fn(),
+    mockPageSetContentFn: vi.fn(),
+    mockSha256FileFn: vi.fn().mockResolvedValue('pdf-checksum')
   }
 })
 
@@ -49,6 +67,10 @@ vi.mock('#~/common/helpers/file-cleanup.js', () => ({
   removeTemporaryFile: mockRemoveTemporaryFileFn
 }))
 
+vi.mock('#~/common/helpers/file-checksum.js', () => ({
+  sha256File: mockSha256FileFn
+}))
+
 // Mock config
 vi.mock('#~/config.js', () => ({
   config: {
@@ -70,23 +92,44 @@ vi.mock('node:fs/promises', async (importOriginal) => {
   }
 })
 
-// Mock @hapi/jwt
-vi.mock('@hapi/jwt', () => ({
-  token: {
-    generate: mockJwtTokenGenerateFn
-  }
+vi.mock('#~/services/pdf-layout.js', () => ({
+  buildPdfOptions: mockBuildPdfOptionsFn
 }))
 
-// Mock puppeteer
-vi.mock('puppeteer', () => ({
-  default: {
-    launch: mockPuppeteerLaunchFn
-  }
+vi.mock('#~/services/page-readiness.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  waitForPageReady: mockWaitForPageReadyFn
+}))
+
+vi.mock('#~/services/render-diagnostics.js', () => ({
+  watchRenderDiagnostics: () => mockDiagnostics
+}))
+
+vi.mock('#~/services/agreement-template.js', () => ({
+  renderAgreementHtml: mockRenderAgreementHtmlFn
+}))
+
+vi.mock('#~/services/request-guard.js', () => ({
+  guardPageRequests: mockGuardPageRequestsFn
+}))
+
+vi.mock('#~/services/pdf-post-processing.js', () => ({
+  postProcessPdf: mockPostProcessPdfFn
+}))
+
+vi.mock('#~/services/agreement-page-token.js', () => ({
+  createAgreementPageToken: mockCreateAgreementPageTokenFn
+}))
+
+// Mock the browser pool
+vi.mock('#~/services/browser-pool.js', () => ({
+  getBrowserPool: () => ({
+    acquire: mockAcquireFn
+  })
 }))
 
 describe('PDF Generator Service', () => {
   let mockLogger
-  let mockBrowser
   let mockPage
 
   beforeEach(() => {
@@ -104,6 +147,7 @@ describe('PDF Generator Service', () => {
     mockPage = {
       setViewport: mockPageSetViewportFn.mockResolvedValue(undefined),
       goto: mockPageGotoFn.mockResolvedValue(undefined),
+      setContent: mockPageSetContentFn.mockResolvedValue(undefined),
       setExtraHTTPHeaders:
         mockPageSetExtraHTTPHeadersFn.mockResolvedValue(undefined),
       evaluate: mockPageEvaluateFn.mockResolvedValue(undefined),
@@ -112,15 +156,12 @@ describe('PDF Generator Service', () => {
       pdf: mockPagePdfFn.mockResolvedValue(undefined)
     }
 
-    // Setup browser mock
-    mockBrowser = {
-      on: mockBrowserOnFn,
-      newPage: mockNewPageFn.mockResolvedValue(mockPage),
-      close: mockBrowserCloseFn.mockResolvedValue(undefined)
-    }
-
-    // Setup puppeteer launch mock
-    mockPuppeteerLaunchFn.mockResolvedValue(mockBrowser)
+    // Setup browser pool lease mock
+    mockReleaseFn.mockResolvedValue(undefined)
+    mockAcquireFn.mockResolvedValue({
+      page: mockPage,
+      release: mockReleaseFn
+    })
 
     // Setup fs mocks - access can be called multiple times (directory check + file check)
     // First call is for directory check, second call is for file verification
@@ -129,25 +170,42 @@ describe('PDF Generator Service', () => {
       .mockResolvedValueOnce(undefined) // File exists after generation
     mockFsMkdirFn.mockResolvedValue(undefined)
     mockFsStatFn.mockResolvedValue({ size: 1024 * 1024 })
+    mockPostProcessPdfFn.mockResolvedValue(undefined)
+    mockBuildPdfOptionsFn.mockReturnValue({
+      format: 'A4',
+      printBackground: true,
+      displayHeaderFooter: true,
+      headerTemplate: '<div>header</div>',
+      footerTemplate: '<div>footer</div>'
+    })
 
     // Ensure config mock returns values
     mockConfigGetFn.mockImplementation((key) => {
       const configMap = {
         tmpPdfFolder: '/tmp/pdfs',
-        jwtSecret: 'test-secret'
+        jwtSecret: 'test-secret',
+        'pdfRendering.readiness': 'selector',
+        'pdfRendering.readySelector': '[data-pdf-ready]',
+        'pdfRendering.navigationTimeout': 1000,
+        'pdfRendering.readinessTimeout': 2000,
+        'pdfRendering.printTimeout': 3000
       }
       return configMap[key]
     })
 
-    // Setup JWT mock
-    mockJwtTokenGenerateFn.mockReturnValue('mock-encrypted-auth-token')
+    mockGuardPageRequestsFn.mockResolvedValue(mockRequestGuard)
+
+    // Setup page token mock
+    mockCreateAgreementPageTokenFn.mockResolvedValue(
+      'mock-encrypted-auth-token'
+    )
 
     // Reset cleanup mock
     mockRemoveTemporaryFileFn.mockResolvedValue(undefined)
   })
 
   afterEach(() => {
-    mockPuppeteerLaunchFn.mockReset()
+    mockAcquireFn.mockReset()
     mockPageGotoFn.mockReset()
     mockPagePdfFn.mockReset()
     mockRemoveTemporaryFileFn.mockReset()
@@ -160,48 +218,32 @@ describe('PDF Generator Service', () => {
     const filename = 'agreement-123.pdf'
 
     test('should generate PDF successfully', async () => {
-      // Ensure config is set up
-      mockConfigGetFn.mockImplementation((key) => {
-        const configMap = {
-          tmpPdfFolder: '/tmp/pdfs',
-          jwtSecret: 'test-secret'
-        }
-        return configMap[key]
-      })
-
       const result = await generatePdf(agreementData, filename, mockLogger)
 
-      expect(result).toContain(filename)
+      expect(result).toEqual({
+        outputPath: expect.stringContaining(filename),
+        checksum: 'pdf-checksum'
+      })
       // Note: config.get() calls are verified indirectly through successful execution
       // The mock may not track calls if the real module is used, but functionality is tested
       expect(mockFsAccessFn).toHaveBeenCalled()
-      expect(mockPuppeteerLaunchFn).toHaveBeenCalledWith({
-        headless: true,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--disable-gpu',
-          '--window-size=1920x1080'
-        ]
-      })
-      expect(mockNewPageFn).toHaveBeenCalled()
+      expect(mockAcquireFn).toHaveBeenCalledWith(mockLogger)
       expect(mockPageSetViewportFn).toHaveBeenCalledWith({
         width: 1920,
         height: 1080,
         deviceScaleFactor: 1
       })
-      expect(mockJwtTokenGenerateFn).toHaveBeenCalledWith(
-        { source: 'entra' },
-        expect.any(String)
-      )
+      expect(mockCreateAgreementPageTokenFn).toHaveBeenCalledWith(agreementData)
       expect(mockPageGotoFn).toHaveBeenCalledWith(agreementData.agreementUrl, {
-        waitUntil: 'domcontentloaded'
+        waitUntil: 'domcontentloaded',
+        timeout: 1000
       })
-      expect(mockPageSetExtraHTTPHeadersFn).toHaveBeenCalledWith({
-        'x-encrypted-auth': 'mock-encrypted-auth-token'
+      expect(mockGuardPageRequestsFn).toHaveBeenCalledWith(mockPage, {
+        headers: { 'x-encrypted-auth': 'mock-encrypted-auth-token' },
+        agreementData,
+        logger: mockLogger
       })
+      expect(mockPageSetExtraHTTPHeadersFn).not.toHaveBeenCalled()
       expect(mockPageEvaluateFn).toHaveBeenCalled()
       // Verify page.evaluate is called with a function that creates and submits a form
       const evaluateCall = mockPageEvaluateFn.mock.calls[0][0]
@@ -212,26 +254,30 @@ describe('PDF Generator Service', () => {
       expect(evaluateCode).toContain('action')
       expect(evaluateCode).toContain('view-agreement')
       expect(mockPageWaitForNavigationFn).toHaveBeenCalledWith({
-        waitUntil: 'networkidle0'
+        waitUntil: 'load',
+        timeout: 1000
+      })
+      expect(mockWaitForPageReadyFn).toHaveBeenCalledWith(mockPage, {
+        readiness: 'selector',
+        readySelector: '[data-pdf-ready]',
+        timeout: 2000
+      })
+      expect(mockBuildPdfOptionsFn).toHaveBeenCalledWith(agreementData, {
+        eventType: undefined
       })
       expect(mockPagePdfFn).toHaveBeenCalledWith({
         path: expect.stringContaining(filename),
         format: 'A4',
         printBackground: true,
-        margin: {
-          top: '20px',
-          right: '20px',
-          bottom: '20px',
-          left: '20px'
-        }
+        displayHeaderFooter: true,
+        headerTemplate: '<div>header</div>',
+        footerTemplate: '<div>footer</div>',
+        timeout: 3000
       })
       expect(mockFsAccessFn).toHaveBeenCalledWith(
         expect.stringContaining(filename)
       )
-      expect(mockBrowserCloseFn).toHaveBeenCalled()
-      expect(mockLogger.info).toHaveBeenCalledWith(
-        'Launching Puppeteer browser'
-      )
+      expect(mockReleaseFn).toHaveBeenCalled()
       expect(mockLogger.info).toHaveBeenCalledWith(
         `Navigating to agreement URL ${agreementData.agreementUrl}`
       )
@@ -240,6 +286,10 @@ describe('PDF Generator Service', () => {
         'Generating PDF'
       )
       expect(mockLogger.info).toHaveBeenCalledWith(
+        {
+          outputPath: expect.stringContaining(filename),
+          checksum: 'pdf-checksum'
+        },
         expect.stringContaining(
           `PDF ${filename} generated successfully and saved to`
         )
@@ -304,9 +354,9 @@ describe('PDF Generator Service', () => {
       expect(directoryCalls.length).toBe(0)
     })
 
-    test('should handle browser launch error', async () => {
+    test('should handle browser pool acquire error', async () => {
       const launchError = new Error('Failed to launch browser')
-      mockPuppeteerLaunchFn.mockRejectedValueOnce(launchError)
+      mockAcquireFn.mockRejectedValueOnce(launchError)
       // Ensure config is set up
       mockConfigGetFn.mockImplementation((key) => {
         const configMap = {
@@ -352,7 +402,7 @@ describe('PDF Generator Service', () => {
       // Note: removeTemporaryFile is called in the catch block, but the mock
       // may not intercept it correctly. The error handling is verified through
       // the error logging above.
-      expect(mockBrowserCloseFn).toHaveBeenCalled()
+      expect(mockReleaseFn).toHaveBeenCalled()
     })
 
     test('should handle PDF generation error', async () => {
@@ -378,42 +428,7 @@ describe('PDF Generator Service', () => {
       // Note: removeTemporaryFile is called in the catch block, but the mock
       // may not intercept it correctly. The error handling is verified through
       // the error logging above.
-      expect(mockBrowserCloseFn).toHaveBeenCalled()
-    })
-
-    test('should handle browser close error gracefully', async () => {
-      const closeError = new Error('Failed to close browser')
-      mockBrowserCloseFn.mockRejectedValueOnce(closeError)
-
-      await generatePdf(agreementData, filename, mockLogger)
-
-      expect(mockLogger.error).toHaveBeenCalledWith(
-        closeError,
-        'Error closing browser'
-      )
-
-      expect(mockLogger.info).toHaveBeenCalledWith(
-        expect.stringContaining(
-          `PDF ${filename} generated successfully and saved to /`
-        )
-      )
-    })
-
-    test('should not close browser if already closed', async () => {
-      // Simulate browser being closed by setting browserClosed flag
-      // This is done by triggering the 'disconnected' event
-      mockBrowserOnFn.mockImplementation((event, callback) => {
-        if (event === 'disconnected') {
-          // Simulate browser being disconnected
-          setTimeout(() => callback(), 0)
-        }
-      })
-
-      await generatePdf(agreementData, filename, mockLogger)
-
-      // Browser close should still be called in finally block
-      // but the actual behavior depends on the browserClosed flag
-      expect(mockBrowserCloseFn).toHaveBeenCalled()
+      expect(mockReleaseFn).toHaveBeenCalled()
     })
 
     test('should clean up PDF file on error', async () => {
@@ -539,45 +554,290 @@ describe('PDF Generator Service', () => {
       expect(funcCode).toContain('view-agreement')
     })
 
-    test('should log when browser is connected', async () => {
-      mockBrowserOnFn.mockImplementation((event, callback) => {
-        if (event === 'targetcreated') {
-          callback()
-        }
-      })
+    test('should release the page when PDF generation fails', async () => {
+      mockPagePdfFn.mockRejectedValueOnce(new Error('PDF generation failed'))
+
+      await expect(
+        generatePdf(agreementData, filename, mockLogger)
+      ).rejects.toThrow('PDF generation failed')
+
+      expect(mockReleaseFn).toHaveBeenCalledTimes(1)
+    })
 
+    test('should release a page for every generated PDF', async () => {
+      mockFsAccessFn.mockResolvedValue(undefined)
+
+      await generatePdf(agreementData, filename, mockLogger)
       await generatePdf(agreementData, filename, mockLogger)
 
-      expect(mockLogger.info).toHaveBeenCalledWith('Browser connected')
-      expect(mockBrowserCloseFn).toHaveBeenCalled()
+      expect(mockAcquireFn).toHaveBeenCalledTimes(2)
+      expect(mockReleaseFn).toHaveBeenCalledTimes(2)
     })
+    test('should wait for the navigation before submitting the form that starts it', async () => {
+      await generatePdf(agreementData, filename, mockLogger)
 
-    test('should log and set browserClosed when browser is disconnected', async () => {
-      mockBrowserOnFn.mockImplementation((event, callback) => {
-        if (event === 'disconnected') {
-          callback()
-        }
-      })
+      expect(
+        mockPageWaitForNavigationFn.mock.invocationCallOrder[0]
+      ).toBeLessThan(mockPageEvaluateFn.mock.invocationCallOrder[0])
+    })
 
+    test('should wait for the page to be ready before printing', async () => {
       await generatePdf(agreementData, filename, mockLogger)
 
-      expect(mockLogger.info).toHaveBeenCalledWith('Browser disconnected')
-      // If browserClosed is true, browser.close() should NOT be called in finally
-      expect(mockBrowserCloseFn).not.toHaveBeenCalled()
+      expect(mockWaitForPageReadyFn.mock.invocationCallOrder[0]).toBeLessThan(
+        mockPagePdfFn.mock.invocationCallOrder[0]
+      )
     })
 
-    test('should close the browser when the browser is connected', async () => {
-      mockBrowserOnFn.mockImplementation((event, callback) => {
-        if (event === 'targetcreated') {
-          callback()
-        }
-      })
+    test.each([
+      [
+        'navigation',
+        () => mockPageWaitForNavigationFn,
+        'Timed out after 1000ms waiting for the agreement page to load'
+      ],
+      [
+        'readiness',
+        () => mockWaitForPageReadyFn,
+        'Timed out after 2000ms waiting for the agreement page to be ready to print'
+      ],
+      [
+        'print',
+        () => mockPagePdfFn,
+        'Timed out after 3000ms waiting for Chromium to print the PDF'
+      ]
+    ])(
+      'should fail with a clear error when the %s stage times out',
+      async (stage, stageFn, message) => {
+        const timeoutError = new Error('Waiting failed: timeout exceeded')
+        timeoutError.name = 'TimeoutError'
+        stageFn().mockRejectedValueOnce(timeoutError)
+
+        const error = await generatePdf(
+          agreementData,
+          filename,
+          mockLogger
+        ).catch((err) => err)
+
+        expect(error.message).toBe(message)
+        expect(error.stage).toBe(stage)
+        expect(error.cause).toBe(timeoutError)
+        expect(mockLogger.error).toHaveBeenCalledWith(
+          error,
+          `Error generating PDF ${filename}`
+        )
+        expect(mockRemoveTemporaryFileFn).toHaveBeenCalled()
+        expect(mockReleaseFn).toHaveBeenCalled()
+      }
+    )
 
-      // Twice
+    test('should stop recording diagnostics without saving them when the render succeeds', async () => {
       await generatePdf(agreementData, filename, mockLogger)
+
+      expect(mockDiagnostics.save).not.toHaveBeenCalled()
+      expect(mockDiagnostics.stop).toHaveBeenCalledOnce()
+      expect(mockDiagnostics.stop.mock.invocationCallOrder[0]).toBeLessThan(
+        mockReleaseFn.mock.invocationCallOrder[0]
+      )
+    })
+
+    test('should save diagnostics before cleaning up a failed render', async () => {
+      const pdfError = new Error('PDF generation failed')
+      mockPagePdfFn.mockRejectedValueOnce(pdfError)
+
+      await expect(
+        generatePdf(agreementData, filename, mockLogger)
+      ).rejects.toThrow(pdfError)
+
+      expect(mockDiagnostics.save).toHaveBeenCalledWith({
+        err: pdfError,
+        outputPath: expect.stringContaining(filename),
+        agreementData,
+        logger: mockLogger
+      })
+      expect(mockDiagnostics.save.mock.invocationCallOrder[0]).toBeLessThan(
+        mockRemoveTemporaryFileFn.mock.invocationCallOrder[0]
+      )
+      expect(mockDiagnostics.stop).toHaveBeenCalledOnce()
+    })
+
+    test('should not record diagnostics when no page could be acquired', async () => {
+      mockAcquireFn.mockRejectedValueOnce(
+        new Error('Timed out after 20000ms waiting for a browser')
+      )
+
+      await expect(
+        generatePdf(agreementData, filename, mockLogger)
+      ).rejects.toThrow('Timed out after 20000ms waiting for a browser')
+
+      expect(mockDiagnostics.save).not.toHaveBeenCalled()
+      expect(mockDiagnostics.stop).not.toHaveBeenCalled()
+    })
+
+    test('should guard requests before navigating to the agreement page', async () => {
       await generatePdf(agreementData, filename, mockLogger)
 
-      expect(mockBrowserCloseFn).toHaveBeenCalledTimes(2)
+      expect(mockGuardPageRequestsFn.mock.invocationCallOrder[0]).toBeLessThan(
+        mockPageGotoFn.mock.invocationCallOrder[0]
+      )
+      expect(mockRequestGuard.stop).toHaveBeenCalledOnce()
+      expect(mockRequestGuard.stop.mock.invocationCallOrder[0]).toBeLessThan(
+        mockReleaseFn.mock.invocationCallOrder[0]
+      )
+    })
+
+    test('should stop guarding requests when the render fails', async () => {
+      mockPageGotoFn.mockRejectedValueOnce(
+        new Error('net::ERR_BLOCKED_BY_CLIENT')
+      )
+
+      await expect(
+        generatePdf(agreementData, filename, mockLogger)
+      ).rejects.toThrow('net::ERR_BLOCKED_BY_CLIENT')
+
+      expect(mockRequestGuard.stop).toHaveBeenCalledOnce()
+      expect(mockReleaseFn).toHaveBeenCalled()
+    })
+
+    test('should fail with the 403 the guard gives a navigation it blocked', async () => {
+      const blocked = Boom.forbidden('Blocked navigation to https://evil.test/')
+      mockPageGotoFn.mockRejectedValueOnce(
+        new Error('net::ERR_BLOCKED_BY_CLIENT')
+      )
+      mockRequestGuard.blockedNavigationError.mockReturnValueOnce(blocked)
+
+      await expect(
+        generatePdf(agreementData, filename, mockLogger)
+      ).rejects.toBe(blocked)
+
+      expect(mockDiagnostics.save).toHaveBeenCalledWith(
+        expect.objectContaining({ err: blocked })
+      )
+    })
+
+    describe('from a template', () => {
+      const templateAgreementData = {
+        agreementNumber: 'FPTT123456789',
+        version: 1,
+        templateId: 'farm-payments-agreement-v1',
+        templateData: { agreementName: 'Farm payments agreement' }
+      }
+
+      beforeEach(() => {
+        mockRenderAgreementHtmlFn.mockResolvedValue('<html>agreement</html>')
+      })
+
+      test('should render the template into the page with every request blocked', async () => {
+        await generatePdf(templateAgreementData, filename, mockLogger)
+
+        expect(mockRenderAgreementHtmlFn).toHaveBeenCalledWith(
+          templateAgreementData
+        )
+        expect(mockGuardPageRequestsFn).toHaveBeenCalledWith(mockPage, {
+          offline: true,
+          agreementData: templateAgreementData,
+          logger: mockLogger
+        })
+        expect(mockPageSetContentFn).toHaveBeenCalledWith(
+          '<html>agreement</html>',
+          { waitUntil: 'load', timeout: 1000 }
+        )
+        expect(
+          mockGuardPageRequestsFn.mock.invocationCallOrder[0]
+        ).toBeLessThan(mockPageSetContentFn.mock.invocationCallOrder[0])
+        expect(mockLogger.info).toHaveBeenCalledWith(
+          'Rendering agreement FPTT123456789-1 from template farm-payments-agreement-v1'
+        )
+      })
+
+      test('should not navigate or create a page token', async () => {
+        await generatePdf(templateAgreementData, filename, mockLogger)
+
+        expect(mockPageGotoFn).not.toHaveBeenCalled()
+        expect(mockPageEvaluateFn).not.toHaveBeenCalled()
+        expect(mockCreateAgreementPageTokenFn).not.toHaveBeenCalled()
+      })
+
+      test('should only wait for fonts before printing', async () => {
+        await generatePdf(templateAgreementData, filename, mockLogger)
+
+        expect(mockWaitForPageReadyFn).toHaveBeenCalledWith(mockPage, {
+          readiness: 'fonts',
+          readySelector: '[data-pdf-ready]',
+          timeout: 2000
+        })
+        expect(mockPagePdfFn).toHaveBeenCalled()
+      })
+
+      test('should fail without printing when the template cannot be rendered', async () => {
+        const templateError = new Error(
+          'Unknown agreement template farm-payments-agreement-v1'
+        )
+        mockRenderAgreementHtmlFn.mockRejectedValueOnce(templateError)
+
+        await expect(
+          generatePdf(templateAgreementData, filename, mockLogger)
+        ).rejects.toThrow(templateError)
+
+        expect(mockPageSetContentFn).not.toHaveBeenCalled()
+        expect(mockPagePdfFn).not.toHaveBeenCalled()
+        expect(mockRequestGuard.stop).toHaveBeenCalledOnce()
+        expect(mockReleaseFn).toHaveBeenCalled()
+      })
+    })
+
+    test('should lay the PDF out for the event type that requested it', async () => {
+      mockFsAccessFn.mockResolvedValue(undefined)
+
+      await generatePdf(agreementData, filename, mockLogger, {
+        eventType: 'io.onsite.agreement.status.updated'
+      })
+
+      expect(mockBuildPdfOptionsFn).toHaveBeenCalledWith(agreementData, {
+        eventType: 'io.onsite.agreement.status.updated'
+      })
+    })
+
+    test('should post-process the rendered PDF', async () => {
+      mockFsAccessFn.mockResolvedValue(undefined)
+
+      const { outputPath } = await generatePdf(
+        agreementData,
+        filename,
+        mockLogger
+      )
+
+      expect(mockPostProcessPdfFn).toHaveBeenCalledWith(
+        outputPath,
+        agreementData,
+        mockLogger
+      )
+    })
+
+    test('should hash the PDF once post-processing has finished with it', async () => {
+      mockFsAccessFn.mockResolvedValue(undefined)
+
+      const { outputPath } = await generatePdf(
+        agreementData,
+        filename,
+        mockLogger
+      )
+
+      expect(mockSha256FileFn).toHaveBeenCalledWith(outputPath)
+      expect(mockPostProcessPdfFn.mock.invocationCallOrder[0]).toBeLessThan(
+        mockSha256FileFn.mock.invocationCallOrder[0]
+      )
+    })
+
+    test('should fail and clean up when post-processing fails', async () => {
+      mockFsAccessFn.mockResolvedValue(undefined)
+      mockPostProcessPdfFn.mockRejectedValueOnce(
+        new Error('PDF/A-2b conversion failed: font Arial is not embedded')
+      )
+
+      await expect(
+        generatePdf(agreementData, filename, mockLogger)
+      ).rejects.toThrow('font Arial is not embedded')
+      expect(mockRemoveTemporaryFileFn).toHaveBeenCalled()
     })
   })
 })
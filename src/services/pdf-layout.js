@@ -0,0 +1,71 @@
+import { format } from 'date-fns'
+import { config } from '#~/config.js'
+
+const escapeHtml = (value) =>
+  String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+
+/**
+ * Chromium renders header and footer templates outside the page, so they get none of its
+ * styles and default to a zero font size
+ * @param {{ left: string, right: string }} margin The page margins to line the text up with
+ * @param {string[]} parts The text at the left and right of the header or footer
+ * @returns {string}
+ */
+const marginTemplate = (margin, parts) =>
+  [
+    `<div style="display: flex; justify-content: space-between; width: 100%; box-sizing: border-box; padding: 0 ${margin.right} 0 ${margin.left}; font-family: Arial, sans-serif; font-size: 9px; color: #0b0c0c;">`,
+    ...parts.map((part) => `<span>${part}</span>`),
+    '</div>'
+  ].join('')
+
+/**
+ * The configured page layout, with any overrides for the event type applied
+ * @param {string} [eventType] The type of the event that requested the PDF
+ * @returns {{ format: string, landscape: boolean, scale: number, margin: { top: string, right: string, bottom: string, left: string } }}
+ */
+export const getPdfLayout = (eventType) => {
+  const overrides =
+    config
+      .get('pdfLayout.eventTypes')
+      .find((override) => override.eventType === eventType) ?? {}
+
+  return {
+    format: overrides.format ?? config.get('pdfLayout.format'),
+    landscape: overrides.landscape ?? config.get('pdfLayout.landscape'),
+    scale: overrides.scale ?? config.get('pdfLayout.scale'),
+    margin: { ...config.get('pdfLayout.margin'), ...overrides.margin }
+  }
+}
+
+/**
+ * Build the `page.pdf` options for an agreement. Every page carries the agreement number and
+ * version in its header, and its page number and the generation date in its footer, so paper
+ * copies can be put back together.
+ * @param {object} agreementData The agreement data the PDF is rendered for
+ * @param {{ eventType?: string, generatedAt?: Date }} [options] The event type whose layout to use and when the PDF is generated
+ * @returns {import('puppeteer').PDFOptions}
+ */
+export const buildPdfOptions = (
+  agreementData,
+  { eventType, generatedAt = new Date() } = {}
+) => {
+  const layout = getPdfLayout(eventType)
+  const { agreementNumber, version } = agreementData
+
+  return {
+    ...layout,
+    printBackground: true,
+    displayHeaderFooter: true,
+    headerTemplate: marginTemplate(layout.margin, [
+      `Agreement ${escapeHtml(agreementNumber)} version ${escapeHtml(version)}`
+    ]),
+    footerTemplate: marginTemplate(layout.margin, [
+      `Generated on ${format(generatedAt, 'd MMMM yyyy')}`,
+      'Page <span class="pageNumber"></span> of <span class="totalPages"></span>'
+    ])
+  }
+}
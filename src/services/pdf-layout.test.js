@@ -0,0 +1,123 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest'
+import { buildPdfOptions, getPdfLayout } from '#~/services/pdf-layout.js'
+
+const { configMap } = vi.hoisted(() => ({ configMap: {} }))
+
+vi.mock('#~/config.js', () => ({
+  config: { get: (key) => configMap[key] }
+}))
+
+describe('PDF layout', () => {
+  const agreementData = { agreementNumber: 'FPTT123456789', version: 2 }
+
+  beforeEach(() => {
+    Object.assign(configMap, {
+      'pdfLayout.format': 'A4',
+      'pdfLayout.landscape': false,
+      'pdfLayout.scale': 1,
+      'pdfLayout.margin': {
+        top: '60px',
+        right: '20px',
+        bottom: '60px',
+        left: '20px'
+      },
+      'pdfLayout.eventTypes': [
+        {
+          eventType: 'io.onsite.agreement.status.updated',
+          format: 'A3',
+          landscape: true,
+          margin: { top: '80px' }
+        }
+      ]
+    })
+  })
+
+  describe('getPdfLayout', () => {
+    test('should use the configured layout', () => {
+      expect(getPdfLayout()).toEqual({
+        format: 'A4',
+        landscape: false,
+        scale: 1,
+        margin: { top: '60px', right: '20px', bottom: '60px', left: '20px' }
+      })
+    })
+
+    test('should apply the overrides for the event type', () => {
+      expect(getPdfLayout('io.onsite.agreement.status.updated')).toEqual({
+        format: 'A3',
+        landscape: true,
+        scale: 1,
+        margin: { top: '80px', right: '20px', bottom: '60px', left: '20px' }
+      })
+    })
+
+    test('should use the configured layout for event types without overrides', () => {
+      expect(getPdfLayout('io.onsite.agreement.other').format).toBe('A4')
+    })
+  })
+
+  describe('buildPdfOptions', () => {
+    const generatedAt = new Date('2026-03-04T12:00:00Z')
+
+    test('should print with a header and footer', () => {
+      expect(buildPdfOptions(agreementData, { generatedAt })).toEqual(
+        expect.objectContaining({
+          format: 'A4',
+          landscape: false,
+          scale: 1,
+          printBackground: true,
+          displayHeaderFooter: true
+        })
+      )
+    })
+
+    test('should put the agreement number and version in the header', () => {
+      const { headerTemplate } = buildPdfOptions(agreementData, { generatedAt })
+
+      expect(headerTemplate).toContain(
+        '<span>Agreement FPTT123456789 version 2</span>'
+      )
+    })
+
+    test('should put the page number and generation date in the footer', () => {
+      const { footerTemplate } = buildPdfOptions(agreementData, { generatedAt })
+
+      expect(footerTemplate).toContain('<span>Generated on 4 March 2026</span>')
+      expect(footerTemplate).toContain(
+        'Page <span class="pageNumber"></span> of <span class="totalPages"></span>'
+      )
+    })
+
+    test('should give the templates a visible font size and line them up with the margins', () => {
+      const { headerTemplate, footerTemplate } = buildPdfOptions(
+        agreementData,
+        { generatedAt }
+      )
+
+      for (const template of [headerTemplate, footerTemplate]) {
+        expect(template).toContain('font-size: 9px;')
+        expect(template).toContain('padding: 0 20px 0 20px;')
+      }
+    })
+
+    test('should use the layout for the event type', () => {
+      const options = buildPdfOptions(agreementData, {
+        eventType: 'io.onsite.agreement.status.updated',
+        generatedAt
+      })
+
+      expect(options.format).toBe('A3')
+      expect(options.landscape).toBe(true)
+      expect(options.margin.top).toBe('80px')
+    })
+
+    test('should escape agreement data in the templates', () => {
+      const { headerTemplate } = buildPdfOptions(
+        { agreementNumber: '<script>', version: 1 },
+        { generatedAt }
+      )
+
+      expect(headerTemplate).toContain('Agreement &lt;script&gt; version 1')
+    })
+  })
+})
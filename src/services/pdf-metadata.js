@@ -0,0 +1,166 @@
+import { PDFName } from 'pdf-lib'
+import { config } from '#~/config.js'
+
+const AGREEMENT_NAMESPACE =
+  'https://defra.gov.uk/ns/farming-grants-agreement/1.0/'
+const AGREEMENT_PREFIX = 'agreement'
+
+// Custom XMP properties, in the order they are written
+const AGREEMENT_PROPERTIES = {
+  agreementNumber: 'Agreement document number',
+  version: 'Agreement document version',
+  sbi: 'Single Business Identifier of the business the agreement is with',
+  frn: 'Firm Reference Number of the business the agreement is with',
+  correlationId: 'Correlation ID of the request that generated the document',
+  generatedAt: 'Date and time the document was generated',
+  serviceVersion: 'Version of the service that generated the document'
+}
+
+const escapeXml = (value) =>
+  String(value)
+    .replaceAll('&', '&amp;')
+    .replaceAll('<', '&lt;')
+    .replaceAll('>', '&gt;')
+    .replaceAll('"', '&quot;')
+
+const element = (tag, value) =>
+  value === undefined || value === null || value === ''
+    ? null
+    : `<${tag}>${escapeXml(value)}</${tag}>`
+
+const langAlt = (tag, value) =>
+  value
+    ? `<${tag}><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt></${tag}>`
+    : null
+
+/**
+ * PDF/A only allows custom XMP properties that are described by an extension schema
+ * @returns {string[]}
+ */
+const agreementExtensionSchema = () => [
+  '<pdfaExtension:schemas><rdf:Bag><rdf:li rdf:parseType="Resource">',
+  '<pdfaSchema:schema>Farming grants agreement</pdfaSchema:schema>',
+  `<pdfaSchema:namespaceURI>${AGREEMENT_NAMESPACE}</pdfaSchema:namespaceURI>`,
+  `<pdfaSchema:prefix>${AGREEMENT_PREFIX}</pdfaSchema:prefix>`,
+  '<pdfaSchema:property><rdf:Seq>',
+  ...Object.entries(AGREEMENT_PROPERTIES).map(
+    ([property, description]) =>
+      `<rdf:li rdf:parseType="Resource"><pdfaProperty:name>${property}</pdfaProperty:name><pdfaProperty:valueType>Text</pdfaProperty:valueType><pdfaProperty:category>external</pdfaProperty:category><pdfaProperty:description>${description}</pdfaProperty:description></rdf:li>`
+  ),
+  '</rdf:Seq></pdfaSchema:property>',
+  '</rdf:li></rdf:Bag></pdfaExtension:schemas>'
+]
+
+/**
+ * Stamp the agreement into the document information dictionary
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ * @param {object} agreementData - The event data passed into generateAndUploadPdf
+ * @param {Date} generatedAt - When the document was generated
+ * @returns {Record<string, string|number>} The custom XMP properties for the agreement
+ */
+export const setAgreementMetadata = (pdfDoc, agreementData, generatedAt) => {
+  const { agreementNumber, version, sbi, frn, correlationId } = agreementData
+
+  pdfDoc.setTitle(
+    `Farming grant agreement ${agreementNumber} version ${version}`
+  )
+  pdfDoc.setSubject(`Farming grant agreement ${agreementNumber}`)
+  pdfDoc.setAuthor('DEFRA')
+  pdfDoc.setKeywords(
+    [
+      'farming-grant-agreement',
+      agreementNumber,
+      `version:${version}`,
+      sbi && `sbi:${sbi}`,
+      frn && `frn:${frn}`
+    ].filter(Boolean)
+  )
+
+  return {
+    agreementNumber,
+    version,
+    sbi,
+    frn,
+    correlationId,
+    generatedAt: generatedAt.toISOString(),
+    serviceVersion: config.get('serviceVersion') || 'dev'
+  }
+}
+
+/**
+ * Build the XMP packet, mirroring the document information dictionary as PDF/A requires
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ * @param {{ properties: Record<string, string|number>, pdfA: boolean, createdAt: Date, modifiedAt: Date }} options
+ * @returns {string}
+ */
+const buildXmpMetadata = (
+  pdfDoc,
+  { properties, pdfA, createdAt, modifiedAt }
+) =>
+  [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '<rdf:Description rdf:about=""',
+    ' xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"',
+    ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+    ' xmlns:pdf="http://ns.adobe.com/pdf/1.3/"',
+    ` xmlns:${AGREEMENT_PREFIX}="${AGREEMENT_NAMESPACE}"`,
+    ' xmlns:pdfaExtension="http://www.aiim.org/pdfa/ns/extension/"',
+    ' xmlns:pdfaSchema="http://www.aiim.org/pdfa/ns/schema#"',
+    ' xmlns:pdfaProperty="http://www.aiim.org/pdfa/ns/property#">',
+    pdfA && '<pdfaid:part>2</pdfaid:part>',
+    pdfA && '<pdfaid:conformance>B</pdfaid:conformance>',
+    '<dc:format>application/pdf</dc:format>',
+    langAlt('dc:title', pdfDoc.getTitle()),
+    langAlt('dc:description', pdfDoc.getSubject()),
+    pdfDoc.getAuthor() &&
+      `<dc:creator><rdf:Seq><rdf:li>${escapeXml(pdfDoc.getAuthor())}</rdf:li></rdf:Seq></dc:creator>`,
+    element('pdf:Keywords', pdfDoc.getKeywords()),
+    element('pdf:Producer', pdfDoc.getProducer()),
+    element('xmp:CreatorTool', pdfDoc.getCreator()),
+    element('xmp:CreateDate', createdAt.toISOString()),
+    element('xmp:ModifyDate', modifiedAt.toISOString()),
+    element('xmp:MetadataDate', modifiedAt.toISOString()),
+    ...Object.keys(AGREEMENT_PROPERTIES).map((property) =>
+      element(`${AGREEMENT_PREFIX}:${property}`, properties[property])
+    ),
+    ...(pdfA ? agreementExtensionSchema() : []),
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>'
+  ]
+    .filter(Boolean)
+    .join('\n')
+
+/**
+ * Write the XMP metadata stream, declaring PDF/A-2b conformance when the document has been converted.
+ * PDF/A does not allow the metadata stream to be compressed, so it never is.
+ * @param {import('pdf-lib').PDFDocument} pdfDoc
+ * @param {{ properties: Record<string, string|number>, pdfA?: boolean, modifiedAt: Date }} options
+ */
+export const setXmpMetadata = (
+  pdfDoc,
+  { properties, pdfA = false, modifiedAt }
+) => {
+  const createdAt = pdfDoc.getCreationDate() ?? modifiedAt
+  // Keep the information dictionary in step with the XMP packet
+  pdfDoc.setCreationDate(createdAt)
+  pdfDoc.setModificationDate(modifiedAt)
+
+  const xmp = buildXmpMetadata(pdfDoc, {
+    properties,
+    pdfA,
+    createdAt,
+    modifiedAt
+  })
+
+  const { context } = pdfDoc
+  const metadata = context.stream(Buffer.from(xmp, 'utf8'), {
+    Type: 'Metadata',
+    Subtype: 'XML'
+  })
+  pdfDoc.catalog.set(PDFName.of('Metadata'), context.register(metadata))
+}
@@ -0,0 +1,186 @@
+import { describe, expect, test, vi } from 'vitest'
+import { PDFDocument, PDFName, PDFRawStream } from 'pdf-lib'
+import {
+  setAgreementMetadata,
+  setXmpMetadata
+} from '#~/services/pdf-metadata.js'
+
+const { configMap } = vi.hoisted(() => ({
+  configMap: { serviceVersion: '1.2.3' }
+}))
+
+vi.mock('#~/config.js', () => ({
+  config: { get: (key) => configMap[key] }
+}))
+
+const agreementData = {
+  agreementNumber: 'FPTT123456789',
+  version: 2,
+  sbi: '106284736',
+  frn: '1102658375',
+  correlationId: 'test-correlation-id & more'
+}
+const generatedAt = new Date('2026-01-02T03:04:05.000Z')
+
+const createPdfDoc = async () => {
+  const pdfDoc = await PDFDocument.create({ updateMetadata: false })
+  pdfDoc.setCreator('Chromium')
+  pdfDoc.setProducer('Skia/PDF')
+  pdfDoc.addPage()
+  return pdfDoc
+}
+
+const readXmp = (pdfDoc) =>
+  Buffer.from(
+    pdfDoc.catalog.lookup(PDFName.of('Metadata')).getContents()
+  ).toString('utf8')
+
+describe('PDF metadata', () => {
+  describe('setAgreementMetadata', () => {
+    test('should stamp the agreement into the document information', async () => {
+      const pdfDoc = await createPdfDoc()
+
+      setAgreementMetadata(pdfDoc, agreementData, generatedAt)
+
+      expect(pdfDoc.getTitle()).toBe(
+        'Farming grant agreement FPTT123456789 version 2'
+      )
+      expect(pdfDoc.getSubject()).toBe('Farming grant agreement FPTT123456789')
+      expect(pdfDoc.getAuthor()).toBe('DEFRA')
+      expect(pdfDoc.getKeywords()).toBe(
+        'farming-grant-agreement FPTT123456789 version:2 sbi:106284736 frn:1102658375'
+      )
+    })
+
+    test('should return the custom properties for the agreement', async () => {
+      const pdfDoc = await createPdfDoc()
+
+      expect(setAgreementMetadata(pdfDoc, agreementData, generatedAt)).toEqual({
+        ...agreementData,
+        generatedAt: '2026-01-02T03:04:05.000Z',
+        serviceVersion: '1.2.3'
+      })
+    })
+
+    test('should leave out account identifiers the event did not carry', async () => {
+      const pdfDoc = await createPdfDoc()
+
+      setAgreementMetadata(
+        pdfDoc,
+        { agreementNumber: 'FPTT123456789', version: 1 },
+        generatedAt
+      )
+
+      expect(pdfDoc.getKeywords()).toBe(
+        'farming-grant-agreement FPTT123456789 version:1'
+      )
+    })
+
+    test('should fall back to dev when the service version is unknown', async () => {
+      configMap.serviceVersion = null
+      const pdfDoc = await createPdfDoc()
+
+      expect(
+        setAgreementMetadata(pdfDoc, agreementData, generatedAt).serviceVersion
+      ).toBe('dev')
+      configMap.serviceVersion = '1.2.3'
+    })
+  })
+
+  describe('setXmpMetadata', () => {
+    const writeMetadata = async (options = {}) => {
+      const pdfDoc = await createPdfDoc()
+      const properties = setAgreementMetadata(
+        pdfDoc,
+        agreementData,
+        generatedAt
+      )
+      setXmpMetadata(pdfDoc, {
+        properties,
+        modifiedAt: generatedAt,
+        ...options
+      })
+      return PDFDocument.load(await pdfDoc.save(), { updateMetadata: false })
+    }
+
+    test('should write an uncompressed XMP metadata stream', async () => {
+      const pdfDoc = await writeMetadata()
+
+      const metadata = pdfDoc.catalog.lookup(PDFName.of('Metadata'))
+      expect(metadata).toBeInstanceOf(PDFRawStream)
+      expect(metadata.dict.has(PDFName.of('Filter'))).toBe(false)
+      expect(metadata.dict.lookup(PDFName.of('Subtype')).decodeText()).toBe(
+        'XML'
+      )
+    })
+
+    test('should mirror the document information in the XMP packet', async () => {
+      const xmp = readXmp(await writeMetadata())
+
+      expect(xmp).toContain(
+        '<dc:title><rdf:Alt><rdf:li xml:lang="x-default">Farming grant agreement FPTT123456789 version 2</rdf:li></rdf:Alt></dc:title>'
+      )
+      expect(xmp).toContain(
+        '<dc:creator><rdf:Seq><rdf:li>DEFRA</rdf:li></rdf:Seq></dc:creator>'
+      )
+      expect(xmp).toContain(
+        '<pdf:Keywords>farming-grant-agreement FPTT123456789 version:2 sbi:106284736 frn:1102658375</pdf:Keywords>'
+      )
+      expect(xmp).toContain('<pdf:Producer>Skia/PDF</pdf:Producer>')
+      expect(xmp).toContain('<xmp:CreatorTool>Chromium</xmp:CreatorTool>')
+      expect(xmp).toContain(
+        '<xmp:ModifyDate>2026-01-02T03:04:05.000Z</xmp:ModifyDate>'
+      )
+    })
+
+    test('should write the agreement as custom XMP properties', async () => {
+      const xmp = readXmp(await writeMetadata())
+
+      expect(xmp).toContain(
+        'xmlns:agreement="https://defra.gov.uk/ns/farming-grants-agreement/1.0/"'
+      )
+      expect(xmp).toContain(
+        '<agreement:agreementNumber>FPTT123456789</agreement:agreementNumber>'
+      )
+      expect(xmp).toContain('<agreement:version>2</agreement:version>')
+      expect(xmp).toContain('<agreement:sbi>106284736</agreement:sbi>')
+      expect(xmp).toContain('<agreement:frn>1102658375</agreement:frn>')
+      expect(xmp).toContain(
+        '<agreement:correlationId>test-correlation-id &amp; more</agreement:correlationId>'
+      )
+      expect(xmp).toContain(
+        '<agreement:generatedAt>2026-01-02T03:04:05.000Z</agreement:generatedAt>'
+      )
+      expect(xmp).toContain(
+        '<agreement:serviceVersion>1.2.3</agreement:serviceVersion>'
+      )
+    })
+
+    test('should only declare PDF/A-2b conformance for converted documents', async () => {
+      const xmp = readXmp(await writeMetadata())
+
+      expect(xmp).not.toContain('pdfaid:part>')
+      expect(xmp).not.toContain('<pdfaExtension:schemas>')
+    })
+
+    test('should declare PDF/A-2b conformance and describe the custom properties', async () => {
+      const xmp = readXmp(await writeMetadata({ pdfA: true }))
+
+      expect(xmp).toContain('<pdfaid:part>2</pdfaid:part>')
+      expect(xmp).toContain('<pdfaid:conformance>B</pdfaid:conformance>')
+      expect(xmp).toContain('<pdfaSchema:prefix>agreement</pdfaSchema:prefix>')
+      expect(xmp).toContain(
+        '<pdfaProperty:name>agreementNumber</pdfaProperty:name>'
+      )
+    })
+
+    test('should keep the document information dates in step with the XMP packet', async () => {
+      const pdfDoc = await writeMetadata()
+
+      expect(pdfDoc.getModificationDate()).toEqual(generatedAt)
+      expect(readXmp(pdfDoc)).toContain(
+        `<xmp:CreateDate>${pdfDoc.getCreationDate().toISOString()}</xmp:CreateDate>`
+      )
+    })
+  })
+})
@@ -0,0 +1,54 @@
+import fs from 'node:fs/promises'
+import { PDFDocument } from 'pdf-lib'
+import { config } from '#~/config.js'
+import { convertToPdfA } from '#~/services/pdf-archival.js'
+import {
+  setAgreementMetadata,
+  setXmpMetadata
+} from '#~/services/pdf-metadata.js'
+import { signPdf } from '#~/services/pdf-signing.js'
+import { calculateRetention } from '#~/services/retention-policy.js'
+
+/**
+ * Post-process a PDF rendered by Chromium in place: stamp the agreement metadata into it,
+ * convert it to PDF/A-2b when its retention class needs an archival format, and sign it last
+ * when signing is enabled
+ * @param {string} outputPath - Path to the rendered PDF
+ * @param {object} agreementData - The agreement data the PDF was rendered for
+ * @param {object} logger - Logger instance
+ * @returns {Promise<void>}
+ */
+export async function postProcessPdf(outputPath, agreementData, logger) {
+  const generatedAt = new Date()
+  const retentionClass = calculateRetention(agreementData).prefix
+  const pdfA = config
+    .get('pdfArchival.retentionClasses')
+    .includes(retentionClass)
+
+  const pdfDoc = await PDFDocument.load(await fs.readFile(outputPath), {
+    updateMetadata: false
+  })
+
+  const properties = setAgreementMetadata(pdfDoc, agreementData, generatedAt)
+  if (pdfA) {
+    await convertToPdfA(pdfDoc)
+  }
+  setXmpMetadata(pdfDoc, { properties, pdfA, modifiedAt: generatedAt })
+
+  const signed = config.get('pdfSigning.enabled')
+  await fs.writeFile(
+    outputPath,
+    signed ? await signPdf(pdfDoc, generatedAt) : await pdfDoc.save()
+  )
+
+  logger.info(
+    pdfA
+      ? `Embedded agreement metadata in PDF ${outputPath} and converted it to PDF/A-2b for ${retentionClass} retention`
+      : `Embedded agreement metadata in PDF ${outputPath}`
+  )
+  if (signed) {
+    logger.info(
+      `Signed PDF ${outputPath} with a PAdES-${config.get('pdfSigning.level')} signature`
+    )
+  }
+}
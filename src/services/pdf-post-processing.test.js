@@ -0,0 +1,138 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { PDFDocument, PDFName } from 'pdf-lib'
+import { postProcessPdf } from '#~/services/pdf-post-processing.js'
+
+const { mockCalculateRetentionFn, mockSignPdfFn, configMap } = vi.hoisted(
+  () => ({
+    mockCalculateRetentionFn: vi.fn(),
+    mockSignPdfFn: vi.fn(),
+    configMap: {
+      serviceVersion: '1.2.3',
+      'pdfArchival.retentionClasses': ['maximum'],
+      'pdfSigning.enabled': false,
+      'pdfSigning.level': 'B-T'
+    }
+  })
+)
+
+vi.mock('#~/config.js', () => ({
+  config: { get: (key) => configMap[key] }
+}))
+
+vi.mock('#~/services/pdf-signing.js', () => ({
+  signPdf: mockSignPdfFn
+}))
+
+vi.mock('#~/services/retention-policy.js', () => ({
+  calculateRetention: mockCalculateRetentionFn
+}))
+
+describe('postProcessPdf', () => {
+  let tmpDir
+  let outputPath
+  let mockLogger
+
+  const agreementData = {
+    agreementNumber: 'FPTT123456789',
+    version: 1,
+    endDate: '2045-01-01',
+    correlationId: 'test-correlation-id'
+  }
+
+  const readPdf = async () =>
+    PDFDocument.load(await fs.readFile(outputPath), { updateMetadata: false })
+
+  const readXmp = (pdfDoc) =>
+    Buffer.from(
+      pdfDoc.catalog.lookup(PDFName.of('Metadata')).getContents()
+    ).toString('utf8')
+
+  beforeEach(async () => {
+    vi.clearAllMocks()
+    mockLogger = { info: vi.fn() }
+    mockCalculateRetentionFn.mockReturnValue({ prefix: 'base' })
+
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-post-processing-'))
+    outputPath = path.join(tmpDir, 'FPTT123456789-1.pdf')
+
+    const pdfDoc = await PDFDocument.create()
+    pdfDoc.addPage()
+    await fs.writeFile(outputPath, await pdfDoc.save())
+  })
+
+  afterEach(async () => {
+    configMap['pdfSigning.enabled'] = false
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  test('should embed the agreement metadata', async () => {
+    await postProcessPdf(outputPath, agreementData, mockLogger)
+
+    const pdfDoc = await readPdf()
+    expect(pdfDoc.getTitle()).toBe(
+      'Farming grant agreement FPTT123456789 version 1'
+    )
+    expect(pdfDoc.getAuthor()).toBe('DEFRA')
+    expect(readXmp(pdfDoc)).toContain(
+      '<agreement:correlationId>test-correlation-id</agreement:correlationId>'
+    )
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      `Embedded agreement metadata in PDF ${outputPath}`
+    )
+  })
+
+  test('should not convert PDFs outside the archival retention classes', async () => {
+    await postProcessPdf(outputPath, agreementData, mockLogger)
+
+    const pdfDoc = await readPdf()
+    expect(mockCalculateRetentionFn).toHaveBeenCalledWith(agreementData)
+    expect(pdfDoc.catalog.has(PDFName.of('OutputIntents'))).toBe(false)
+    expect(readXmp(pdfDoc)).not.toContain('pdfaid:part')
+  })
+
+  test('should convert PDFs in an archival retention class to PDF/A-2b', async () => {
+    mockCalculateRetentionFn.mockReturnValue({ prefix: 'maximum' })
+
+    await postProcessPdf(outputPath, agreementData, mockLogger)
+
+    const pdfDoc = await readPdf()
+    expect(pdfDoc.catalog.has(PDFName.of('OutputIntents'))).toBe(true)
+    expect(readXmp(pdfDoc)).toContain('<pdfaid:part>2</pdfaid:part>')
+    expect(readXmp(pdfDoc)).toContain(
+      '<agreement:agreementNumber>FPTT123456789</agreement:agreementNumber>'
+    )
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      `Embedded agreement metadata in PDF ${outputPath} and converted it to PDF/A-2b for maximum retention`
+    )
+  })
+
+  test('should not sign the PDF when signing is disabled', async () => {
+    await postProcessPdf(outputPath, agreementData, mockLogger)
+
+    expect(mockSignPdfFn).not.toHaveBeenCalled()
+  })
+
+  test('should sign the PDF after embedding the metadata when signing is enabled', async () => {
+    configMap['pdfSigning.enabled'] = true
+    mockSignPdfFn.mockImplementation(async (pdfDoc) =>
+      Buffer.from(await pdfDoc.save())
+    )
+
+    await postProcessPdf(outputPath, agreementData, mockLogger)
+
+    const [pdfDoc, signingTime] = mockSignPdfFn.mock.calls[0]
+    expect(pdfDoc.getTitle()).toBe(
+      'Farming grant agreement FPTT123456789 version 1'
+    )
+    expect(signingTime).toBeInstanceOf(Date)
+    expect((await readPdf()).getTitle()).toBe(
+      'Farming grant agreement FPTT123456789 version 1'
+    )
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      `Signed PDF ${outputPath} with a PAdES-B-T signature`
+    )
+  })
+})
@@ -0,0 +1,459 @@
+import fs from 'node:fs/promises'
+import { createHash, randomBytes } from 'node:crypto'
+import forge from 'node-forge'
+import { SignPdf } from '@signpdf/signpdf'
+import { pdflibAddPlaceholder } from '@signpdf/placeholder-pdf-lib'
+import { Signer, SUBFILTER_ETSI_CADES_DETACHED } from '@signpdf/utils'
+import { config } from '#~/config.js'
+
+const { asn1, pki } = forge
+
+const OID = {
+  data: '1.2.840.113549.1.7.1',
+  signedData: '1.2.840.113549.1.7.2',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  sha256WithRSAEncryption: '1.2.840.113549.1.1.11',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+  timeStampToken: '1.2.840.113549.1.9.16.2.14'
+}
+
+/**
+ * Signs on behalf of the service. The default reads a PKCS#12 file, but anything that can
+ * produce an RSA signature, such as a KMS key, can be plugged in with `setPdfSigner`.
+ * @typedef {object} PdfSigner
+ * @property {() => Promise<Buffer[]>} getCertificateChain DER certificates, the signing certificate first
+ * @property {(data: Buffer) => Promise<Buffer>} sign RSASSA-PKCS1-v1_5 SHA-256 signature of the data
+ */
+
+/**
+ * @typedef {object} PdfSignatureDetails
+ * @property {'B-B'|'B-T'} level PAdES baseline level of the signature
+ * @property {string} signedBy Common name of the signing certificate
+ * @property {Date} [timestampedAt] When the timestamp authority saw the signature, for B-T signatures
+ */
+
+const toBinary = (buffer) => Buffer.from(buffer).toString('binary')
+const toBuffer = (binary) => Buffer.from(binary, 'binary')
+const sha256 = (data) => createHash('sha256').update(data).digest()
+
+const universal = (type, value, constructed = Array.isArray(value)) =>
+  asn1.create(asn1.Class.UNIVERSAL, type, constructed, value)
+const contextSpecific = (tag, value) =>
+  asn1.create(asn1.Class.CONTEXT_SPECIFIC, tag, true, value)
+const sequence = (...values) => universal(asn1.Type.SEQUENCE, values)
+const set = (...values) => universal(asn1.Type.SET, values)
+const oid = (id) => universal(asn1.Type.OID, asn1.oidToDer(id).getBytes())
+const integer = (n) =>
+  universal(asn1.Type.INTEGER, asn1.integerToDer(n).getBytes())
+const octetString = (buffer) =>
+  universal(asn1.Type.OCTETSTRING, toBinary(buffer))
+const algorithm = (id) => sequence(oid(id), universal(asn1.Type.NULL, ''))
+const attribute = (id, value) => sequence(oid(id), set(value))
+
+const isTagged = (node, tag) =>
+  node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === tag
+const findAttribute = (attributes, id) =>
+  attributes?.value.find((attr) => asn1.derToOid(attr.value[0].value) === id)
+    ?.value[1].value[0]
+
+/**
+ * Read the signing certificate chain and private key from a PKCS#12 file
+ * @param {{ p12: Buffer, passphrase: string }} options
+ * @returns {PdfSigner}
+ */
+export const createP12Signer = ({ p12, passphrase }) => {
+  const store = forge.pkcs12.pkcs12FromAsn1(
+    asn1.fromDer(toBinary(p12)),
+    passphrase
+  )
+  const [keyBag] = [
+    ...(store.getBags({ bagType: pki.oids.pkcs8ShroudedKeyBag })[
+      pki.oids.pkcs8ShroudedKeyBag
+    ] ?? []),
+    ...(store.getBags({ bagType: pki.oids.keyBag })[pki.oids.keyBag] ?? [])
+  ]
+  if (!keyBag?.key) {
+    throw new Error('PDF signing PKCS#12 file does not contain a private key')
+  }
+
+  const { key } = keyBag
+  const { [pki.oids.certBag]: certBags = [] } = store.getBags({
+    bagType: pki.oids.certBag
+  })
+  const certificates = certBags.map((bag) => bag.cert)
+  const signingCertificate = certificates.find((cert) =>
+    cert.publicKey.n?.equals(key.n)
+  )
+  if (!signingCertificate) {
+    throw new Error(
+      'PDF signing PKCS#12 file does not contain a certificate for its private key'
+    )
+  }
+
+  const chain = [
+    signingCertificate,
+    ...certificates.filter((cert) => cert !== signingCertificate)
+  ].map((cert) => toBuffer(asn1.toDer(pki.certificateToAsn1(cert)).getBytes()))
+
+  return {
+    getCertificateChain: async () => chain,
+    sign: async (data) => {
+      const md = forge.md.sha256.create()
+      md.update(toBinary(data))
+      return toBuffer(key.sign(md))
+    }
+  }
+}
+
+/**
+ * Read the message imprint and time from a timestamp token
+ * @param {object} token The timestamp token as an ASN.1 ContentInfo
+ * @returns {{ imprint: Buffer, timestampedAt: Date }}
+ */
+const readTimestamp = (token) => {
+  const signedData = token.value[1].value[0]
+  const encapsulatedContent = signedData.value[2].value[1].value[0]
+  const tstInfo = asn1.fromDer(encapsulatedContent.value)
+  const [, , messageImprint, , genTime] = tstInfo.value
+
+  return {
+    imprint: toBuffer(messageImprint.value[1].value),
+    timestampedAt: asn1.generalizedTimeToDate(genTime.value)
+  }
+}
+
+/**
+ * Ask an RFC 3161 timestamp authority to timestamp a signature value
+ * @param {Buffer} signature The signature value to timestamp
+ * @param {{ url: string, timeout: number }} options
+ * @returns {Promise<object>} The timestamp token as an ASN.1 ContentInfo
+ */
+const requestTimestamp = async (signature, { url, timeout }) => {
+  const imprint = sha256(signature)
+  // Keep the nonce positive so it encodes as the same INTEGER the authority echoes back
+  const nonce = randomBytes(8)
+  nonce[0] &= 0x7f
+
+  const request = sequence(
+    integer(1),
+    sequence(algorithm(OID.sha256), octetString(imprint)),
+    universal(asn1.Type.INTEGER, toBinary(nonce)),
+    universal(asn1.Type.BOOLEAN, String.fromCharCode(0xff))
+  )
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/timestamp-query' },
+    body: toBuffer(asn1.toDer(request).getBytes()),
+    signal: AbortSignal.timeout(timeout)
+  })
+  if (!response.ok) {
+    throw new Error(
+      `Timestamp authority ${url} responded with HTTP ${response.status}`
+    )
+  }
+
+  const [statusInfo, token] = asn1.fromDer(
+    toBinary(Buffer.from(await response.arrayBuffer()))
+  ).value
+  // 0 is granted and 1 is granted with modifications
+  const status = asn1.derToInteger(statusInfo.value[0].value)
+  if (status > 1 || !token) {
+    throw new Error(
+      `Timestamp authority ${url} rejected the request with status ${status}`
+    )
+  }
+
+  if (!readTimestamp(token).imprint.equals(imprint)) {
+    throw new Error(
+      `Timestamp authority ${url} timestamped a different signature`
+    )
+  }
+
+  return token
+}
+
+/**
+ * Builds the CAdES detached signature that PAdES embeds in the PDF
+ */
+class PadesSigner extends Signer {
+  /**
+   * @param {PdfSigner} signer Signs the CMS signed attributes
+   * @param {{ url: string, timeout: number }|null} timestampAuthority Where to timestamp B-T signatures
+   */
+  constructor(signer, timestampAuthority) {
+    super()
+    this.signer = signer
+    this.timestampAuthority = timestampAuthority
+  }
+
+  /**
+   * @param {Buffer} pdfBuffer The PDF bytes covered by the signature's byte range
+   * @returns {Promise<Buffer>} DER encoded CMS SignedData
+   */
+  async sign(pdfBuffer) {
+    const chain = await this.signer.getCertificateChain()
+    const certificates = chain.map((der) => asn1.fromDer(toBinary(der)))
+    const signingCertificate = pki.certificateFromAsn1(certificates[0])
+
+    // PAdES binds the signing certificate into the signed attributes and carries the
+    // signing time in the signature dictionary instead of a signing-time attribute
+    const signedAttributes = [
+      attribute(OID.contentType, oid(OID.data)),
+      attribute(OID.messageDigest, octetString(sha256(pdfBuffer))),
+      attribute(
+        OID.signingCertificateV2,
+        sequence(sequence(sequence(octetString(sha256(chain[0])))))
+      )
+    ]
+    const signature = await this.signer.sign(
+      toBuffer(asn1.toDer(set(...signedAttributes)).getBytes())
+    )
+
+    const unsignedAttributes = this.timestampAuthority
+      ? [
+          contextSpecific(1, [
+            attribute(
+              OID.timeStampToken,
+              await requestTimestamp(signature, this.timestampAuthority)
+            )
+          ])
+        ]
+      : []
+
+    const signerInfo = sequence(
+      integer(1),
+      sequence(
+        pki.distinguishedNameToAsn1(signingCertificate.issuer),
+        universal(
+          asn1.Type.INTEGER,
+          forge.util.hexToBytes(signingCertificate.serialNumber)
+        )
+      ),
+      algorithm(OID.sha256),
+      contextSpecific(0, signedAttributes),
+      algorithm(OID.sha256WithRSAEncryption),
+      octetString(signature),
+      ...unsignedAttributes
+    )
+
+    const contentInfo = sequence(
+      oid(OID.signedData),
+      contextSpecific(0, [
+        sequence(
+          integer(1),
+          set(algorithm(OID.sha256)),
+          sequence(oid(OID.data)),
+          contextSpecific(0, certificates),
+          set(signerInfo)
+        )
+      ])
+    )
+
+    return toBuffer(asn1.toDer(contentInfo).getBytes())
+  }
+}
+
+let pdfSigner = null
+
+/**
+ * Shared signer for the service, read from `pdfSigning.p12Path` unless one has been plugged in
+ * @returns {Promise<PdfSigner>}
+ */
+export const getPdfSigner = async () => {
+  if (!pdfSigner) {
+    const p12Path = config.get('pdfSigning.p12Path')
+    if (!p12Path) {
+      throw new Error(
+        'PDF signing is enabled but no PKCS#12 file is configured (PDF_SIGNING_P12_PATH)'
+      )
+    }
+    pdfSigner = createP12Signer({
+      p12: await fs.readFile(p12Path),
+      passphrase: config.get('pdfSigning.p12Passphrase')
+    })
+  }
+  return pdfSigner
+}
+
+/**
+ * Plug in a different signer, e.g. one backed by a KMS key
+ * @param {PdfSigner|null} signer The signer to use, or null to fall back to config
+ */
+export const setPdfSigner = (signer) => {
+  pdfSigner = signer
+}
+
+/**
+ * Sign a PDF with a PAdES signature at the configured baseline level. This must be the last
+ * change made to the document, as any later change breaks the signature.
+ * @param {import('pdf-lib').PDFDocument} pdfDoc The document to sign
+ * @param {Date} signingTime When the document was signed
+ * @returns {Promise<Buffer>} The signed PDF
+ */
+export const signPdf = async (pdfDoc, signingTime) => {
+  const level = config.get('pdfSigning.level')
+  const timestampUrl = config.get('pdfSigning.timestampUrl')
+  if (level === 'B-T' && !timestampUrl) {
+    throw new Error(
+      'PAdES B-T signing needs a timestamp authority (PDF_SIGNING_TIMESTAMP_URL)'
+    )
+  }
+
+  const signer = new PadesSigner(
+    await getPdfSigner(),
+    level === 'B-T'
+      ? {
+          url: timestampUrl,
+          timeout: config.get('pdfSigning.timestampTimeout')
+        }
+      : null
+  )
+
+  pdflibAddPlaceholder({
+    pdfDoc,
+    name: config.get('pdfSigning.name'),
+    reason: config.get('pdfSigning.reason'),
+    location: config.get('pdfSigning.location'),
+    contactInfo: config.get('pdfSigning.contactInfo'),
+    signingTime,
+    signatureLength: config.get('pdfSigning.signatureLength'),
+    subFilter: SUBFILTER_ETSI_CADES_DETACHED
+  })
+
+  // The byte range placeholder has to stay readable, so nothing goes into object streams
+  const pdfBytes = await pdfDoc.save({ useObjectStreams: false })
+  return new SignPdf().sign(Buffer.from(pdfBytes), signer, signingTime)
+}
+
+const verificationFailed = (reason) =>
+  new Error(`PDF signature verification failed: ${reason}`)
+
+/**
+ * Check the last signature in a PDF covers the whole file and was made by the certificate
+ * it carries. Timestamps are matched to the signature but the authority is not validated.
+ * @param {Buffer} pdfBuffer The signed PDF
+ * @returns {PdfSignatureDetails}
+ * @throws {Error} When the PDF is unsigned or has been changed since it was signed
+ */
+export const verifyPdfSignature = (pdfBuffer) => {
+  const byteRanges = [
+    ...pdfBuffer
+      .toString('latin1')
+      .matchAll(/\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g)
+  ]
+  if (byteRanges.length === 0) {
+    throw verificationFailed('the PDF is not signed')
+  }
+
+  const [start, firstLength, secondStart, secondLength] = byteRanges
+    .at(-1)
+    .slice(1)
+    .map(Number)
+  const contents = pdfBuffer.subarray(start + firstLength, secondStart)
+  if (
+    start !== 0 ||
+    secondStart + secondLength !== pdfBuffer.length ||
+    !/^<[\da-f]+>$/i.test(contents.toString('latin1'))
+  ) {
+    throw verificationFailed('the signature does not cover the whole PDF')
+  }
+
+  let signerInfo
+  let certificates
+  try {
+    // The signature is padded with zeros to fill its placeholder
+    const contentInfo = asn1.fromDer(
+      toBinary(Buffer.from(contents.subarray(1, -1).toString(), 'hex')),
+      { parseAllBytes: false }
+    )
+    const signedData = contentInfo.value[1].value[0]
+    signerInfo = signedData.value.at(-1).value[0]
+    certificates = signedData.value
+      .find((node) => isTagged(node, 0))
+      .value.map((cert) => pki.certificateFromAsn1(cert))
+  } catch {
+    throw verificationFailed('the signature could not be read')
+  }
+
+  const signedAttributes = signerInfo.value.find((node) => isTagged(node, 0))
+  const unsignedAttributes = signerInfo.value.find((node) => isTagged(node, 1))
+  const signature = signerInfo.value.find(
+    (node) => node.type === asn1.Type.OCTETSTRING
+  ).value
+  const serialNumber = forge.util.bytesToHex(signerInfo.value[1].value[1].value)
+  const certificate = certificates.find(
+    (cert) => cert.serialNumber === serialNumber
+  )
+  if (!certificate) {
+    throw verificationFailed('the signing certificate is missing')
+  }
+
+  const signedBytes = Buffer.concat([
+    pdfBuffer.subarray(0, firstLength),
+    pdfBuffer.subarray(secondStart)
+  ])
+  const messageDigest = findAttribute(signedAttributes, OID.messageDigest)
+  if (
+    !messageDigest ||
+    !toBuffer(messageDigest.value).equals(sha256(signedBytes))
+  ) {
+    throw verificationFailed('the PDF has been changed since it was signed')
+  }
+
+  const md = forge.md.sha256.create()
+  md.update(asn1.toDer(set(...signedAttributes.value)).getBytes())
+  let signatureValid
+  try {
+    signatureValid = certificate.publicKey.verify(
+      md.digest().bytes(),
+      signature
+    )
+  } catch {
+    signatureValid = false
+  }
+  if (!signatureValid) {
+    throw verificationFailed('the signature does not match the certificate')
+  }
+
+  const signingCertificate = findAttribute(
+    signedAttributes,
+    OID.signingCertificateV2
+  )
+  const certificateDer = asn1.toDer(pki.certificateToAsn1(certificate))
+  if (
+    !signingCertificate ||
+    !toBuffer(signingCertificate.value[0].value[0].value[0].value).equals(
+      sha256(toBuffer(certificateDer.getBytes()))
+    )
+  ) {
+    throw verificationFailed('the signing certificate is not bound to it')
+  }
+
+  const details = {
+    level: 'B-B',
+    signedBy: certificate.subject.getField('CN')?.value
+  }
+
+  const timestampToken = findAttribute(unsignedAttributes, OID.timeStampToken)
+  if (timestampToken) {
+    const { imprint, timestampedAt } = readTimestamp(timestampToken)
+    if (!imprint.equals(sha256(toBuffer(signature)))) {
+      throw verificationFailed('the timestamp is for a different signature')
+    }
+    return { ...details, level: 'B-T', timestampedAt }
+  }
+
+  return details
+}
+
+/**
+ * Verify the signature of a PDF on disk
+ * @param {string} pdfPath Path to the signed PDF
+ * @returns {Promise<PdfSignatureDetails>}
+ * @throws {Error} When the PDF is unsigned or has been changed since it was signed
+ */
+export const verifyPdfSignatureFile = async (pdfPath) =>
+  verifyPdfSignature(await fs.readFile(pdfPath))
@@ -0,0 +1,362 @@
+import {
+  afterAll,
+  afterEach,
+  beforeAll,
+  describe,
+  expect,
+  test,
+  vi
+} from 'vitest'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { createHash, generateKeyPairSync } from 'node:crypto'
+import forge from 'node-forge'
+import { PDFDocument } from 'pdf-lib'
+import {
+  createP12Signer,
+  getPdfSigner,
+  setPdfSigner,
+  signPdf,
+  verifyPdfSignature,
+  verifyPdfSignatureFile
+} from '#~/services/pdf-signing.js'
+
+const { configMap } = vi.hoisted(() => ({
+  configMap: {
+    'pdfSigning.level': 'B-B',
+    'pdfSigning.p12Path': null,
+    'pdfSigning.p12Passphrase': 'test-passphrase',
+    'pdfSigning.timestampUrl': null,
+    'pdfSigning.timestampTimeout': 1000,
+    'pdfSigning.signatureLength': 16384,
+    'pdfSigning.name': 'DEFRA',
+    'pdfSigning.reason': 'Farming grant agreement issued by DEFRA',
+    'pdfSigning.location': 'United Kingdom',
+    'pdfSigning.contactInfo': ''
+  }
+}))
+
+vi.mock('#~/config.js', () => ({
+  config: { get: (key) => configMap[key] }
+}))
+
+const { asn1, pki } = forge
+
+/**
+ * Generate a self-signed certificate and wrap it in a PKCS#12 file
+ * @returns {Buffer}
+ */
+const createSelfSignedP12 = () => {
+  // Node generates the RSA key far faster than forge can
+  const { privateKey } = generateKeyPairSync('rsa', { modulusLength: 2048 })
+  const key = pki.privateKeyFromPem(
+    privateKey.export({ type: 'pkcs1', format: 'pem' })
+  )
+
+  const cert = pki.createCertificate()
+  cert.publicKey = pki.setRsaPublicKey(key.n, key.e)
+  cert.serialNumber = '01a2b3c4'
+  cert.validity.notBefore = new Date()
+  cert.validity.notAfter = new Date(Date.now() + 24 * 60 * 60 * 1000)
+  const attrs = [{ name: 'commonName', value: 'Test Agreement Signer' }]
+  cert.setSubject(attrs)
+  cert.setIssuer(attrs)
+  cert.sign(key, forge.md.sha256.create())
+
+  const p12 = forge.pkcs12.toPkcs12Asn1(key, [cert], 'test-passphrase', {
+    algorithm: '3des'
+  })
+  return Buffer.from(asn1.toDer(p12).getBytes(), 'binary')
+}
+
+const createPdfDoc = async () => {
+  const pdfDoc = await PDFDocument.create()
+  pdfDoc.addPage().drawText('Farming grant agreement')
+  return pdfDoc
+}
+
+const create = (type, value) =>
+  asn1.create(asn1.Class.UNIVERSAL, type, Array.isArray(value), value)
+const sequence = (...values) => create(asn1.Type.SEQUENCE, values)
+const oid = (id) => create(asn1.Type.OID, asn1.oidToDer(id).getBytes())
+const integer = (n) =>
+  create(asn1.Type.INTEGER, asn1.integerToDer(n).getBytes())
+
+/**
+ * Answer a timestamp request the way an RFC 3161 authority would, without signing the token
+ * @param {Buffer} body The timestamp request
+ * @param {{ imprint?: Buffer }} [options] Override the imprint the authority echoes back
+ * @returns {Response}
+ */
+const timestampResponse = (body, { imprint } = {}) => {
+  const [, messageImprint] = asn1.fromDer(
+    Buffer.from(body).toString('binary')
+  ).value
+  const tstInfo = sequence(
+    integer(1),
+    oid('1.2.3.4'),
+    imprint
+      ? sequence(
+          messageImprint.value[0],
+          create(asn1.Type.OCTETSTRING, imprint.toString('binary'))
+        )
+      : messageImprint,
+    integer(1),
+    create(
+      asn1.Type.GENERALIZEDTIME,
+      asn1.dateToGeneralizedTime(new Date('2026-01-02T03:04:05Z'))
+    )
+  )
+  const token = sequence(
+    oid('1.2.840.113549.1.7.2'),
+    asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+      sequence(
+        integer(3),
+        create(asn1.Type.SET, []),
+        sequence(
+          oid('1.2.840.113549.1.9.16.1.4'),
+          asn1.create(asn1.Class.CONTEXT_SPECIFIC, 0, true, [
+            create(asn1.Type.OCTETSTRING, asn1.toDer(tstInfo).getBytes())
+          ])
+        ),
+        create(asn1.Type.SET, [])
+      )
+    ])
+  )
+  const response = sequence(sequence(integer(0)), token)
+
+  return new Response(Buffer.from(asn1.toDer(response).getBytes(), 'binary'))
+}
+
+describe('PDF signing', () => {
+  let tmpDir
+  let p12
+
+  beforeAll(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pdf-signing-'))
+    p12 = createSelfSignedP12()
+    configMap['pdfSigning.p12Path'] = path.join(tmpDir, 'signer.p12')
+    await fs.writeFile(configMap['pdfSigning.p12Path'], p12)
+  })
+
+  afterAll(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  afterEach(() => {
+    configMap['pdfSigning.level'] = 'B-B'
+    configMap['pdfSigning.timestampUrl'] = null
+    setPdfSigner(null)
+    vi.restoreAllMocks()
+  })
+
+  describe('createP12Signer', () => {
+    test('should read the signing certificate from the PKCS#12 file', async () => {
+      const signer = createP12Signer({ p12, passphrase: 'test-passphrase' })
+
+      const [der] = await signer.getCertificateChain()
+      const cert = pki.certificateFromAsn1(asn1.fromDer(der.toString('binary')))
+      expect(cert.subject.getField('CN').value).toBe('Test Agreement Signer')
+    })
+
+    test('should sign data with the private key', async () => {
+      const signer = createP12Signer({ p12, passphrase: 'test-passphrase' })
+      const [der] = await signer.getCertificateChain()
+      const cert = pki.certificateFromAsn1(asn1.fromDer(der.toString('binary')))
+
+      const signature = await signer.sign(Buffer.from('signed attributes'))
+
+      const md = forge.md.sha256.create()
+      md.update('signed attributes')
+      expect(
+        cert.publicKey.verify(md.digest().bytes(), signature.toString('binary'))
+      ).toBe(true)
+    })
+
+    test('should reject the wrong passphrase', () => {
+      expect(() => createP12Signer({ p12, passphrase: 'wrong' })).toThrow()
+    })
+  })
+
+  describe('getPdfSigner', () => {
+    test('should fail when no PKCS#12 file is configured', async () => {
+      const p12Path = configMap['pdfSigning.p12Path']
+      configMap['pdfSigning.p12Path'] = null
+
+      await expect(getPdfSigner()).rejects.toThrow(
+        'PDF signing is enabled but no PKCS#12 file is configured (PDF_SIGNING_P12_PATH)'
+      )
+      configMap['pdfSigning.p12Path'] = p12Path
+    })
+
+    test('should use a signer that has been plugged in', async () => {
+      const signer = { getCertificateChain: vi.fn(), sign: vi.fn() }
+      setPdfSigner(signer)
+
+      await expect(getPdfSigner()).resolves.toBe(signer)
+    })
+  })
+
+  describe('signPdf', () => {
+    test('should add a PAdES-B-B signature that verifies', async () => {
+      const signed = await signPdf(await createPdfDoc(), new Date())
+
+      expect(signed.toString('latin1')).toContain(
+        '/SubFilter /ETSI.CAdES.detached'
+      )
+      expect(verifyPdfSignature(signed)).toEqual({
+        level: 'B-B',
+        signedBy: 'Test Agreement Signer'
+      })
+    })
+
+    test('should sign with a plugged in signer', async () => {
+      const p12Signer = createP12Signer({ p12, passphrase: 'test-passphrase' })
+      const signer = {
+        getCertificateChain: vi.fn(p12Signer.getCertificateChain),
+        sign: vi.fn(p12Signer.sign)
+      }
+      setPdfSigner(signer)
+
+      const signed = await signPdf(await createPdfDoc(), new Date())
+
+      expect(signer.sign).toHaveBeenCalledOnce()
+      expect(verifyPdfSignature(signed).signedBy).toBe('Test Agreement Signer')
+    })
+
+    test('should add a timestamp from the timestamp authority for PAdES-B-T', async () => {
+      configMap['pdfSigning.level'] = 'B-T'
+      configMap['pdfSigning.timestampUrl'] = 'https://tsa.example.com'
+      const fetchSpy = vi
+        .spyOn(globalThis, 'fetch')
+        .mockImplementation(async (url, { body }) => timestampResponse(body))
+
+      const signed = await signPdf(await createPdfDoc(), new Date())
+
+      expect(fetchSpy).toHaveBeenCalledWith(
+        'https://tsa.example.com',
+        expect.objectContaining({
+          method: 'POST',
+          headers: { 'Content-Type': 'application/timestamp-query' }
+        })
+      )
+      expect(verifyPdfSignature(signed)).toEqual({
+        level: 'B-T',
+        signedBy: 'Test Agreement Signer',
+        timestampedAt: new Date('2026-01-02T03:04:05Z')
+      })
+    })
+
+    test('should fail PAdES-B-T signing without a timestamp authority', async () => {
+      configMap['pdfSigning.level'] = 'B-T'
+
+      await expect(signPdf(await createPdfDoc(), new Date())).rejects.toThrow(
+        'PAdES B-T signing needs a timestamp authority (PDF_SIGNING_TIMESTAMP_URL)'
+      )
+    })
+
+    test('should fail when the timestamp authority returns an error', async () => {
+      configMap['pdfSigning.level'] = 'B-T'
+      configMap['pdfSigning.timestampUrl'] = 'https://tsa.example.com'
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue(
+        new Response('', { status: 503 })
+      )
+
+      await expect(signPdf(await createPdfDoc(), new Date())).rejects.toThrow(
+        'Timestamp authority https://tsa.example.com responded with HTTP 503'
+      )
+    })
+
+    test('should fail when the timestamp authority rejects the request', async () => {
+      configMap['pdfSigning.level'] = 'B-T'
+      configMap['pdfSigning.timestampUrl'] = 'https://tsa.example.com'
+      vi.spyOn(globalThis, 'fetch').mockResolvedValue(
+        new Response(
+          Buffer.from(
+            asn1.toDer(sequence(sequence(integer(2)))).getBytes(),
+            'binary'
+          )
+        )
+      )
+
+      await expect(signPdf(await createPdfDoc(), new Date())).rejects.toThrow(
+        'Timestamp authority https://tsa.example.com rejected the request with status 2'
+      )
+    })
+
+    test('should fail when the timestamp is for a different signature', async () => {
+      configMap['pdfSigning.level'] = 'B-T'
+      configMap['pdfSigning.timestampUrl'] = 'https://tsa.example.com'
+      vi.spyOn(globalThis, 'fetch').mockImplementation(async (url, { body }) =>
+        timestampResponse(body, {
+          imprint: createHash('sha256').update('other').digest()
+        })
+      )
+
+      await expect(signPdf(await createPdfDoc(), new Date())).rejects.toThrow(
+        'Timestamp authority https://tsa.example.com timestamped a different signature'
+      )
+    })
+  })
+
+  describe('verifyPdfSignature', () => {
+    test('should reject an unsigned PDF', async () => {
+      const pdfBytes = Buffer.from(await (await createPdfDoc()).save())
+
+      expect(() => verifyPdfSignature(pdfBytes)).toThrow(
+        'PDF signature verification failed: the PDF is not signed'
+      )
+    })
+
+    test('should reject a PDF changed after signing', async () => {
+      const signed = await signPdf(await createPdfDoc(), new Date())
+      const tampered = Buffer.from(
+        signed.toString('latin1').replace('/Producer', '/Pxoducer'),
+        'latin1'
+      )
+
+      expect(() => verifyPdfSignature(tampered)).toThrow(
+        'PDF signature verification failed: the PDF has been changed since it was signed'
+      )
+    })
+
+    test('should reject a PDF with content appended after signing', async () => {
+      const signed = await signPdf(await createPdfDoc(), new Date())
+
+      expect(() =>
+        verifyPdfSignature(Buffer.concat([signed, Buffer.from('\n%%EOF\n')]))
+      ).toThrow(
+        'PDF signature verification failed: the signature does not cover the whole PDF'
+      )
+    })
+
+    test('should reject a signature that does not match the certificate', async () => {
+      const p12Signer = createP12Signer({ p12, passphrase: 'test-passphrase' })
+      setPdfSigner({
+        getCertificateChain: p12Signer.getCertificateChain,
+        sign: async (data) =>
+          p12Signer.sign(Buffer.concat([data, Buffer.from('x')]))
+      })
+
+      const signed = await signPdf(await createPdfDoc(), new Date())
+
+      expect(() => verifyPdfSignature(signed)).toThrow(
+        'PDF signature verification failed: the signature does not match the certificate'
+      )
+    })
+
+    test('should verify a signed PDF on disk', async () => {
+      const pdfPath = path.join(tmpDir, 'signed.pdf')
+      await fs.writeFile(
+        pdfPath,
+        await signPdf(await createPdfDoc(), new Date())
+      )
+
+      await expect(verifyPdfSignatureFile(pdfPath)).resolves.toEqual({
+        level: 'B-B',
+        signedBy: 'Test Agreement Signer'
+      })
+    })
+  })
+})
@@ -0,0 +1,216 @@
+import { GetTopicAttributesCommand } from '@aws-sdk/client-sns'
+import { GetQueueAttributesCommand, SQSClient } from '@aws-sdk/client-sqs'
+import { randomUUID } from 'node:crypto'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { config } from '#~/config.js'
+import { snsClient } from '#~/common/helpers/sns-client.js'
+import { getBrowserPool } from '#~/services/browser-pool.js'
+import { getStorage } from '#~/services/storage.js'
+
+/**
+ * @typedef {object} ComponentStatus
+ * @property {'up'|'down'|'disabled'} status Whether the dependency can be used, or is not used
+ *   by this instance
+ * @property {string} [checkedAt] ISO timestamp the check ran, earlier than now while it is cached
+ * @property {number} [durationMs] How long the check took
+ * @property {string} [error] Why the dependency is down
+ * Along with any details the check reported about the dependency
+ */
+
+/**
+ * A dependency check, resolving with details to report about the dependency or rejecting if it
+ * cannot be used. Checks should stop work when the signal aborts at their timeout.
+ * @typedef {(signal: AbortSignal) => Promise<object|void>} DependencyCheck
+ */
+
+let sqsClient
+
+const getSqsClient = () => {
+  sqsClient ??= new SQSClient({
+    region: config.get('aws.region'),
+    endpoint: config.get('aws.sqs.endpoint')
+  })
+  return sqsClient
+}
+
+/**
+ * What the service needs to generate and store agreement PDFs, checked by `/health/ready`
+ * @type {Record<string, DependencyCheck>}
+ */
+export const dependencyChecks = {
+  storage: async (signal) => {
+    const storage = getStorage()
+    const bucket = config.get('aws.s3.bucket')
+    await storage.checkBucket(bucket, signal)
+    return { driver: storage.driver, bucket }
+  },
+
+  sqs: async (signal) => {
+    const { Attributes = {} } = await getSqsClient().send(
+      new GetQueueAttributesCommand({
+        QueueUrl: config.get('aws.sqs.queueUrl'),
+        AttributeNames: [
+          'ApproximateNumberOfMessages',
+          'ApproximateNumberOfMessagesNotVisible'
+        ]
+      }),
+      { abortSignal: signal }
+    )
+    return {
+      messages: Number(Attributes.ApproximateNumberOfMessages ?? 0),
+      messagesInFlight: Number(
+        Attributes.ApproximateNumberOfMessagesNotVisible ?? 0
+      )
+    }
+  },
+
+  sns: async (signal) => {
+    const topics = {
+      audit: config.get('aws.sns.topic.audit.arn'),
+      pdfOutcome: config.get('aws.sns.topic.pdfOutcome.arn')
+    }
+    await Promise.all(
+      Object.values(topics).map((arn) =>
+        snsClient.send(new GetTopicAttributesCommand({ TopicArn: arn }), {
+          abortSignal: signal
+        })
+      )
+    )
+    return { topics: Object.keys(topics) }
+  },
+
+  browser: async (signal) => {
+    const pool = getBrowserPool()
+    // Browsers are launched lazily if warming failed, so prove one can be before reporting up
+    if (pool.getStatus().browsers === 0) {
+      const { release } = await pool.acquire(undefined, { signal })
+      await release()
+    }
+    return pool.getStatus()
+  },
+
+  tmp: async () => {
+    const folder = config.get('tmpPdfFolder')
+    const probe = path.join(folder, `.ready-${randomUUID()}`)
+    await fs.mkdir(folder, { recursive: true, mode: 0o700 })
+    try {
+      await fs.writeFile(probe, 'ready', { mode: 0o600 })
+    } finally {
+      await fs.rm(probe, { force: true })
+    }
+    return { folder }
+  },
+
+  disk: async () => {
+    const folder = config.get('tmpPdfFolder')
+    await fs.mkdir(folder, { recursive: true, mode: 0o700 })
+    const { bavail, bsize } = await fs.statfs(folder)
+    const freeBytes = bavail * bsize
+    const minFreeBytes = config.get('readiness.minFreeDiskSpace')
+    if (freeBytes < minFreeBytes) {
+      throw new Error(
+        `${freeBytes} bytes free in ${folder}, below the ${minFreeBytes} bytes needed`
+      )
+    }
+    return { freeBytes }
+  }
+}
+
+/**
+ * Run a check, reporting it down if it rejects or has not finished by the timeout
+ * @param {DependencyCheck} check
+ * @param {number} timeout Milliseconds the check has
+ * @returns {Promise<ComponentStatus>}
+ */
+const runCheck = async (check, timeout) => {
+  const checkedAt = new Date()
+  const signal = AbortSignal.timeout(timeout)
+  const timedOut = new Promise((_resolve, reject) => {
+    signal.addEventListener(
+      'abort',
+      () => reject(new Error(`Timed out after ${timeout}ms`)),
+      { once: true }
+    )
+  })
+
+  let result
+  try {
+    result = {
+      status: 'up',
+      ...(await Promise.race([check(signal), timedOut]))
+    }
+  } catch (err) {
+    result = { status: 'down', error: err.message }
+  }
+  return {
+    ...result,
+    checkedAt: checkedAt.toISOString(),
+    durationMs: Date.now() - checkedAt.getTime()
+  }
+}
+
+/**
+ * Readiness of the service's dependencies. Every check runs at once, each with its own timeout,
+ * and its result is reused for `cacheTtl` milliseconds after it finishes, whether it was up or down, so frequent
+ * probes do not call AWS on every request. Checks of dependencies the instance does not use are
+ * passed as `disabled`, and reported without being run.
+ * @param {object} options
+ * @param {Record<string, DependencyCheck>} options.checks
+ * @param {number} options.timeout Milliseconds each check has
+ * @param {number} options.cacheTtl Milliseconds a result is reused for
+ * @returns {(options?: { disabled?: string[] }) => Promise<{ ready: boolean, components: Record<string, ComponentStatus> }>}
+ */
+export const createReadinessCheck = ({ checks, timeout, cacheTtl }) => {
+  // Holds the promise rather than the result, so requests while a check runs share it
+  const cache = new Map()
+
+  const runCached = (name) => {
+    const cached = cache.get(name)
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.result
+    }
+
+    const entry = {
+      result: runCheck(checks[name], timeout),
+      expiresAt: Infinity
+    }
+    entry.result.then(() => {
+      entry.expiresAt = Date.now() + cacheTtl
+    })
+    cache.set(name, entry)
+    return entry.result
+  }
+
+  return async ({ disabled = [] } = {}) => {
+    const names = Object.keys(checks)
+    const statuses = await Promise.all(
+      names.map((name) =>
+        disabled.includes(name) ? { status: 'disabled' } : runCached(name)
+      )
+    )
+    const components = Object.fromEntries(
+      names.map((name, index) => [name, statuses[index]])
+    )
+    return {
+      ready: statuses.every(({ status }) => status !== 'down'),
+      components
+    }
+  }
+}
+
+let readinessCheck
+
+/**
+ * Check every dependency of the service, with the timeout and caching set in config
+ * @param {{ disabled?: string[] }} [options] Dependencies this instance does not use, which are not checked
+ * @returns {Promise<{ ready: boolean, components: Record<string, ComponentStatus> }>}
+ */
+export const checkReadiness = (options) => {
+  readinessCheck ??= createReadinessCheck({
+    checks: dependencyChecks,
+    timeout: config.get('readiness.checkTimeout'),
+    cacheTtl: config.get('readiness.cacheTtl')
+  })
+  return readinessCheck(options)
+}
@@ -0,0 +1,355 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import {
+  createReadinessCheck,
+  dependencyChecks
+} from '#~/services/readiness.js'
+
+const {
+  configMap,
+  mockSnsSendFn,
+  mockSqsSendFn,
+  mockBrowserPool,
+  mockStorage
+} = vi.hoisted(() => ({
+  configMap: {},
+  mockSnsSendFn: vi.fn(),
+  mockSqsSendFn: vi.fn(),
+  mockBrowserPool: { getStatus: vi.fn(), acquire: vi.fn() },
+  mockStorage: { driver: 's3', checkBucket: vi.fn() }
+}))
+
+vi.mock('#~/config.js', () => ({
+  config: { get: (key) => configMap[key] }
+}))
+
+vi.mock('#~/common/helpers/sns-client.js', () => ({
+  snsClient: { send: mockSnsSendFn }
+}))
+
+// Each command records its type with its input, so tests can tell them apart
+const command = vi.hoisted(
+  () => (type) =>
+    class {
+      constructor(params) {
+        Object.assign(this, { type, ...params })
+      }
+    }
+)
+
+vi.mock('@aws-sdk/client-sns', () => ({
+  GetTopicAttributesCommand: command('GetTopicAttributes')
+}))
+
+vi.mock('@aws-sdk/client-sqs', () => ({
+  SQSClient: class MockSQSClient {
+    send(...args) {
+      return mockSqsSendFn(...args)
+    }
+  },
+  GetQueueAttributesCommand: command('GetQueueAttributes')
+}))
+
+vi.mock('#~/services/browser-pool.js', () => ({
+  getBrowserPool: () => mockBrowserPool
+}))
+
+vi.mock('#~/services/storage.js', () => ({
+  getStorage: () => mockStorage
+}))
+
+describe('readiness', () => {
+  describe('createReadinessCheck', () => {
+    const checkWith = (checks, cacheTtl = 60000) =>
+      createReadinessCheck({ checks, timeout: 50, cacheTtl })
+
+    test('should be ready when every check passes, with what each reported', async () => {
+      const checkReadiness = checkWith({
+        storage: async () => ({ driver: 's3' }),
+        tmp: async () => {}
+      })
+
+      await expect(checkReadiness()).resolves.toEqual({
+        ready: true,
+        components: {
+          storage: {
+            status: 'up',
+            driver: 's3',
+            checkedAt: expect.any(String),
+            durationMs: expect.any(Number)
+          },
+          tmp: {
+            status: 'up',
+            checkedAt: expect.any(String),
+            durationMs: expect.any(Number)
+          }
+        }
+      })
+    })
+
+    test('should not be ready when a check fails, reporting why', async () => {
+      const checkReadiness = checkWith({
+        storage: async () => ({ driver: 's3' }),
+        sqs: async () => {
+          throw new Error('Access Denied')
+        }
+      })
+
+      const { ready, components } = await checkReadiness()
+
+      expect(ready).toBe(false)
+      expect(components.storage.status).toBe('up')
+      expect(components.sqs).toMatchObject({
+        status: 'down',
+        error: 'Access Denied'
+      })
+    })
+
+    test('should report a check that does not finish in time as down and abort it', async () => {
+      let checkSignal
+      const checkReadiness = checkWith({
+        sns: (signal) => {
+          checkSignal = signal
+          return new Promise(() => {})
+        }
+      })
+
+      const { ready, components } = await checkReadiness()
+
+      expect(ready).toBe(false)
+      expect(components.sns).toMatchObject({
+        status: 'down',
+        error: 'Timed out after 50ms'
+      })
+      expect(components.sns.durationMs).toBeGreaterThanOrEqual(45)
+      expect(checkSignal.aborted).toBe(true)
+    })
+
+    test('should report disabled checks without running them', async () => {
+      const sqs = vi.fn()
+      const checkReadiness = checkWith({
+        storage: async () => ({ driver: 's3' }),
+        sqs
+      })
+
+      const { ready, components } = await checkReadiness({ disabled: ['sqs'] })
+
+      expect(ready).toBe(true)
+      expect(components.sqs).toEqual({ status: 'disabled' })
+      expect(components.storage.status).toBe('up')
+      expect(sqs).not.toHaveBeenCalled()
+    })
+
+    test('should reuse results until they expire', async () => {
+      const check = vi.fn().mockResolvedValue({})
+      const cached = checkWith({ storage: check })
+      const uncached = checkWith({ storage: check }, 0)
+
+      const first = await cached()
+      const second = await cached()
+      expect(second).toEqual(first)
+      expect(check).toHaveBeenCalledTimes(1)
+
+      await uncached()
+      await new Promise((resolve) => setTimeout(resolve, 5))
+      await uncached()
+      expect(check).toHaveBeenCalledTimes(3)
+    })
+
+    test('should reuse a failed result too', async () => {
+      const check = vi.fn().mockRejectedValue(new Error('Access Denied'))
+      const checkReadiness = checkWith({ storage: check })
+
+      await checkReadiness()
+      await checkReadiness()
+
+      expect(check).toHaveBeenCalledTimes(1)
+    })
+
+    test('should share a check that is still running', async () => {
+      const check = vi.fn(
+        () => new Promise((resolve) => setTimeout(() => resolve({}), 10))
+      )
+      const checkReadiness = checkWith({ storage: check })
+
+      await Promise.all([checkReadiness(), checkReadiness()])
+
+      expect(check).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('dependency checks', () => {
+    const signal = new AbortController().signal
+    let tmpDir
+
+    beforeEach(async () => {
+      vi.clearAllMocks()
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'readiness-'))
+      Object.assign(configMap, {
+        'aws.region': 'eu-west-2',
+        'aws.sqs.endpoint': 'http://localhost:4566',
+        'aws.sqs.queueUrl':
+          'http://localhost:4566/000000000000/create_agreement_pdf_fifo.fifo',
+        'aws.s3.bucket': 'test-bucket',
+        'aws.sns.topic.audit.arn': 'arn:aws:sns:eu-west-2:000000000000:audit',
+        'aws.sns.topic.pdfOutcome.arn':
+          'arn:aws:sns:eu-west-2:000000000000:pdf-outcome.fifo',
+        tmpPdfFolder: path.join(tmpDir, 'defra-pdf'),
+        'readiness.minFreeDiskSpace': 1
+      })
+    })
+
+    afterEach(async () => {
+      await fs.rm(tmpDir, { recursive: true, force: true })
+    })
+
+    test('storage should check the bucket through the storage driver', async () => {
+      mockStorage.checkBucket.mockResolvedValueOnce()
+
+      await expect(dependencyChecks.storage(signal)).resolves.toEqual({
+        driver: 's3',
+        bucket: 'test-bucket'
+      })
+      expect(mockStorage.checkBucket).toHaveBeenCalledWith(
+        'test-bucket',
+        signal
+      )
+    })
+
+    test('sqs should read the queue attributes', async () => {
+      mockSqsSendFn.mockResolvedValueOnce({
+        Attributes: {
+          ApproximateNumberOfMessages: '3',
+          ApproximateNumberOfMessagesNotVisible: '1'
+        }
+      })
+
+      await expect(dependencyChecks.sqs(signal)).resolves.toEqual({
+        messages: 3,
+        messagesInFlight: 1
+      })
+      expect(mockSqsSendFn).toHaveBeenCalledWith(
+        {
+          type: 'GetQueueAttributes',
+          QueueUrl:
+            'http://localhost:4566/000000000000/create_agreement_pdf_fifo.fifo',
+          AttributeNames: [
+            'ApproximateNumberOfMessages',
+            'ApproximateNumberOfMessagesNotVisible'
+          ]
+        },
+        { abortSignal: signal }
+      )
+    })
+
+    test('sns should read the attributes of every topic published to', async () => {
+      mockSnsSendFn.mockResolvedValue({})
+
+      await expect(dependencyChecks.sns(signal)).resolves.toEqual({
+        topics: ['audit', 'pdfOutcome']
+      })
+      expect(mockSnsSendFn.mock.calls).toEqual([
+        [
+          {
+            type: 'GetTopicAttributes',
+            TopicArn: 'arn:aws:sns:eu-west-2:000000000000:audit'
+          },
+          { abortSignal: signal }
+        ],
+        [
+          {
+            type: 'GetTopicAttributes',
+            TopicArn: 'arn:aws:sns:eu-west-2:000000000000:pdf-outcome.fifo'
+          },
+          { abortSignal: signal }
+        ]
+      ])
+    })
+
+    test('sns should fail if a topic cannot be read', async () => {
+      mockSnsSendFn
+        .mockResolvedValueOnce({})
+        .mockRejectedValueOnce(new Error('Topic does not exist'))
+
+      await expect(dependencyChecks.sns(signal)).rejects.toThrow(
+        'Topic does not exist'
+      )
+    })
+
+    describe('browser', () => {
+      const status = (browsers) => ({
+        size: 2,
+        browsers,
+        activePages: 0,
+        waiting: 0
+      })
+
+      test('should report the pool status while it has browsers', async () => {
+        mockBrowserPool.getStatus.mockReturnValue(status(2))
+
+        await expect(dependencyChecks.browser(signal)).resolves.toEqual(
+          status(2)
+        )
+        expect(mockBrowserPool.acquire).not.toHaveBeenCalled()
+      })
+
+      test('should launch a browser when the pool has none', async () => {
+        const release = vi.fn()
+        mockBrowserPool.getStatus
+          .mockReturnValueOnce(status(0))
+          .mockReturnValueOnce(status(1))
+        mockBrowserPool.acquire.mockResolvedValueOnce({ page: {}, release })
+
+        await expect(dependencyChecks.browser(signal)).resolves.toEqual(
+          status(1)
+        )
+        expect(mockBrowserPool.acquire).toHaveBeenCalledWith(undefined, {
+          signal
+        })
+        expect(release).toHaveBeenCalled()
+      })
+
+      test('should fail when a browser cannot be launched', async () => {
+        mockBrowserPool.getStatus.mockReturnValue(status(0))
+        mockBrowserPool.acquire.mockRejectedValueOnce(
+          new Error('Failed to launch the browser process')
+        )
+
+        await expect(dependencyChecks.browser(signal)).rejects.toThrow(
+          'Failed to launch the browser process'
+        )
+      })
+    })
+
+    test('tmp should write to the PDF folder and leave nothing behind', async () => {
+      const folder = path.join(tmpDir, 'defra-pdf')
+
+      await expect(dependencyChecks.tmp(signal)).resolves.toEqual({ folder })
+      await expect(fs.readdir(folder)).resolves.toEqual([])
+    })
+
+    test('tmp should fail when the PDF folder cannot be written to', async () => {
+      await fs.writeFile(path.join(tmpDir, 'defra-pdf'), 'not a folder')
+
+      await expect(dependencyChecks.tmp(signal)).rejects.toMatchObject({
+        code: 'EEXIST'
+      })
+    })
+
+    test('disk should report the free space in the PDF folder', async () => {
+      await expect(dependencyChecks.disk(signal)).resolves.toEqual({
+        freeBytes: expect.any(Number)
+      })
+    })
+
+    test('disk should fail when there is less free space than needed', async () => {
+      configMap['readiness.minFreeDiskSpace'] = Number.MAX_SAFE_INTEGER
+
+      await expect(dependencyChecks.disk(signal)).rejects.toThrow(
+        /^\d+ bytes free in .+defra-pdf, below the \d+ bytes needed$/
+      )
+    })
+  })
+})
@@ -0,0 +1,269 @@
+import { createHash, randomUUID } from 'node:crypto'
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { config } from '#~/config.js'
+import { getStorage } from '#~/services/storage.js'
+
+// Keep a page that logs or polls in a loop from filling memory
+const MAX_ENTRIES = 200
+
+/**
+ * @typedef {object} RenderDiagnostics
+ * @property {() => void} stop Stop recording, before the page goes back to the pool
+ * @property {(failure: { err: Error, outputPath: string, agreementData: object, logger: object }) => Promise<string|null>} save
+ *   Capture the page and store the bundle, returning where it was stored. Never throws, so the render error is kept.
+ */
+
+const push = (entries, entry) => {
+  entries.push(entry)
+  if (entries.length > MAX_ENTRIES) {
+    entries.shift()
+  }
+}
+
+const redactHeaders = (headers) => {
+  const redacted = new Set(
+    config
+      .get('renderDiagnostics.redactedHeaders')
+      .map((header) => header.toLowerCase())
+  )
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [
+      name,
+      redacted.has(name.toLowerCase()) ? '[REDACTED]' : value
+    ])
+  )
+}
+
+const withTimeout = (promise, timeout, description) => {
+  let timer
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () =>
+          reject(
+            new Error(`Timed out after ${timeout}ms capturing ${description}`)
+          ),
+        timeout
+      )
+    })
+  ]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Capture one part of the bundle, recording why it is missing if it cannot be captured
+ * @param {Record<string, string>} captureErrors Errors keyed by the part that failed
+ * @param {string} part The part being captured
+ * @param {() => Promise<*>} capture Captures the part
+ * @returns {Promise<*>} The part, or null if it could not be captured
+ */
+const captureSafely = async (captureErrors, part, capture) => {
+  try {
+    return await withTimeout(
+      capture(),
+      config.get('renderDiagnostics.captureTimeout'),
+      part
+    )
+  } catch (err) {
+    captureErrors[part] = err.message
+    return null
+  }
+}
+
+const writeBundle = async (folder, files) => {
+  await fs.mkdir(folder, { recursive: true, mode: 0o700 })
+  await Promise.all(
+    files.map(({ name, body }) =>
+      fs.writeFile(path.join(folder, name), body, { mode: 0o600 })
+    )
+  )
+}
+
+/**
+ * Store the files of a bundle in the PDF bucket, through the storage driver, or a local folder
+ * @param {string} bundleKey Where the bundle goes, relative to the store
+ * @param {{ name: string, body: Buffer|string, contentType: string }[]} files
+ * @param {object} logger Logger instance
+ * @returns {Promise<string>} The location of the bundle
+ */
+const storeBundle = async (bundleKey, files, logger) => {
+  if (config.get('renderDiagnostics.store') !== 's3') {
+    const folder = path.join(
+      config.get('renderDiagnostics.localFolder'),
+      bundleKey
+    )
+    await writeBundle(folder, files)
+    return folder
+  }
+
+  const storage = getStorage()
+  const bucket = config.get('aws.s3.bucket')
+  const prefix = `${config.get('renderDiagnostics.s3Prefix')}/${bundleKey}`
+  // The storage driver stores files, so the bundle is written out to store it
+  const folder = path.join(
+    config.get('tmpPdfFolder'),
+    `diagnostics-${randomUUID()}`
+  )
+  try {
+    await writeBundle(folder, files)
+    await Promise.all(
+      files.map(({ name, body, contentType }) =>
+        storage.put(
+          bucket,
+          `${prefix}/${name}`,
+          path.join(folder, name),
+          {
+            contentType,
+            size: Buffer.byteLength(body),
+            checksum: createHash('sha256').update(body).digest('base64')
+          },
+          logger
+        )
+      )
+    )
+  } finally {
+    await fs.rm(folder, { recursive: true, force: true })
+  }
+  return storage.location(bucket, `${prefix}/`)
+}
+
+/**
+ * Start recording what a page does while it renders an agreement, so a failed render can be
+ * debugged from a bundle of its screenshot, HTML, console messages, failed requests and the
+ * HTTP status of the agreement page
+ * @param {import('puppeteer').Page} page The page rendering the agreement
+ * @returns {RenderDiagnostics}
+ */
+export const watchRenderDiagnostics = (page) => {
+  const consoleMessages = []
+  const failedRequests = []
+  let agreementPage = null
+
+  const onConsole = (message) => {
+    push(consoleMessages, {
+      type: message.type(),
+      text: message.text(),
+      location: message.location()?.url
+    })
+  }
+
+  const onRequestFailed = (request) => {
+    push(failedRequests, {
+      url: request.url(),
+      method: request.method(),
+      resourceType: request.resourceType(),
+      error: request.failure()?.errorText,
+      requestHeaders: redactHeaders(request.headers())
+    })
+  }
+
+  const onResponse = (response) => {
+    const request = response.request()
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+      agreementPage = { url: response.url(), status: response.status() }
+    }
+    if (response.status() >= 400) {
+      push(failedRequests, {
+        url: response.url(),
+        method: request.method(),
+        resourceType: request.resourceType(),
+        status: response.status(),
+        requestHeaders: redactHeaders(request.headers()),
+        responseHeaders: redactHeaders(response.headers())
+      })
+    }
+  }
+
+  page.on('console', onConsole)
+  page.on('requestfailed', onRequestFailed)
+  page.on('response', onResponse)
+
+  return {
+    stop: () => {
+      page.off('console', onConsole)
+      page.off('requestfailed', onRequestFailed)
+      page.off('response', onResponse)
+    },
+
+    save: async ({ err, outputPath, agreementData, logger }) => {
+      if (config.get('renderDiagnostics.store') === 'none') {
+        return null
+      }
+
+      const { agreementNumber, version, correlationId } = agreementData
+      const capturedAt = new Date().toISOString()
+
+      try {
+        const captureErrors = {}
+        const screenshot = await captureSafely(
+          captureErrors,
+          'screenshot',
+          () => page.screenshot({ fullPage: true, type: 'png' })
+        )
+        const html = await captureSafely(captureErrors, 'html', () =>
+          page.content()
+        )
+        // The PDF is deleted once the render fails, so keep whatever was printed
+        const partialPdf = await fs.readFile(outputPath).catch(() => null)
+
+        const summary = {
+          agreementNumber,
+          version,
+          correlationId,
+          capturedAt,
+          error: { message: err.message, stage: err.stage },
+          agreementUrl: agreementData.agreementUrl,
+          finalUrl: page.url(),
+          agreementPage,
+          consoleMessages,
+          failedRequests,
+          captureErrors
+        }
+
+        const files = [
+          {
+            name: 'diagnostics.json',
+            body: JSON.stringify(summary, null, 2),
+            contentType: 'application/json'
+          },
+          screenshot && {
+            name: 'screenshot.png',
+            body: Buffer.from(screenshot),
+            contentType: 'image/png'
+          },
+          html !== null && {
+            name: 'page.html',
+            body: html,
+            contentType: 'text/html'
+          },
+          partialPdf && {
+            name: 'partial.pdf',
+            body: partialPdf,
+            contentType: 'application/pdf'
+          }
+        ].filter(Boolean)
+
+        const location = await storeBundle(
+          [
+            agreementNumber,
+            version,
+            correlationId ?? 'no-correlation-id',
+            capturedAt.replaceAll(':', '-')
+          ].join('/'),
+          files,
+          logger
+        )
+        logger.info(
+          `Stored render diagnostics for agreement ${agreementNumber}-${version} at ${location}`
+        )
+        return location
+      } catch (saveErr) {
+        logger.warn(
+          `Failed to store render diagnostics for agreement ${agreementNumber}-${version}: ${saveErr.message}`
+        )
+        return null
+      }
+    }
+  }
+}
@@ -0,0 +1,331 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import { EventEmitter } from 'node:events'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { watchRenderDiagnostics } from '#~/services/render-diagnostics.js'
+
+const { mockStorage, configMap } = vi.hoisted(() => ({
+  mockStorage: {
+    location: (bucket, key) => `s3://${bucket}/${key}`,
+    put: vi.fn()
+  },
+  configMap: {}
+}))
+
+vi.mock('#~/config.js', () => ({
+  config: { get: (key) => configMap[key] }
+}))
+
+vi.mock('#~/services/storage.js', () => ({
+  getStorage: () => mockStorage
+}))
+
+const mainFrame = {}
+
+const createPage = () => {
+  const page = new EventEmitter()
+  page.screenshot = vi.fn().mockResolvedValue(Buffer.from('png-bytes'))
+  page.content = vi.fn().mockResolvedValue('<html><body></body></html>')
+  page.url = vi.fn(() => 'https://example.com/agreement/FPTT123456789')
+  page.mainFrame = () => mainFrame
+  return page
+}
+
+const createRequest = ({
+  url = 'https://example.com/agreement/FPTT123456789',
+  navigation = false,
+  headers = {}
+} = {}) => ({
+  url: () => url,
+  method: () => 'GET',
+  resourceType: () => (navigation ? 'document' : 'script'),
+  isNavigationRequest: () => navigation,
+  frame: () => mainFrame,
+  headers: () => headers,
+  failure: () => ({ errorText: 'net::ERR_CONNECTION_REFUSED' })
+})
+
+const createResponse = (request, status, headers = {}) => ({
+  url: request.url,
+  status: () => status,
+  request: () => request,
+  headers: () => headers
+})
+
+describe('render diagnostics', () => {
+  let tmpDir
+  let mockLogger
+  let page
+
+  const agreementData = {
+    agreementNumber: 'FPTT123456789',
+    version: 1,
+    correlationId: 'test-correlation-id',
+    agreementUrl: 'https://example.com/agreement/FPTT123456789'
+  }
+
+  const renderError = Object.assign(
+    new Error('Timed out after 1000ms waiting for the agreement page to load'),
+    { stage: 'navigation' }
+  )
+
+  const save = (diagnostics, outputPath = path.join(tmpDir, 'missing.pdf')) =>
+    diagnostics.save({
+      err: renderError,
+      outputPath,
+      agreementData,
+      logger: mockLogger
+    })
+
+  const readBundle = async (location) =>
+    JSON.parse(await fs.readFile(path.join(location, 'diagnostics.json')))
+
+  beforeEach(async () => {
+    vi.clearAllMocks()
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'render-diagnostics-'))
+    Object.assign(configMap, {
+      'renderDiagnostics.store': 'local',
+      'renderDiagnostics.s3Prefix': 'diagnostics',
+      'renderDiagnostics.localFolder': tmpDir,
+      'renderDiagnostics.captureTimeout': 1000,
+      'renderDiagnostics.redactedHeaders': [
+        'Authorization',
+        'x-encrypted-auth'
+      ],
+      'aws.s3.bucket': 'test-bucket',
+      tmpPdfFolder: path.join(tmpDir, 'defra-pdf')
+    })
+    mockLogger = { info: vi.fn(), warn: vi.fn() }
+    mockStorage.put.mockResolvedValue({})
+    page = createPage()
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  test('should record console messages', async () => {
+    const diagnostics = watchRenderDiagnostics(page)
+    page.emit('console', {
+      type: () => 'error',
+      text: () => 'Uncaught TypeError: x is undefined',
+      location: () => ({ url: 'https://example.com/app.js' })
+    })
+
+    const bundle = await readBundle(await save(diagnostics))
+
+    expect(bundle.consoleMessages).toEqual([
+      {
+        type: 'error',
+        text: 'Uncaught TypeError: x is undefined',
+        location: 'https://example.com/app.js'
+      }
+    ])
+  })
+
+  test('should record failed requests with sensitive headers redacted', async () => {
+    const diagnostics = watchRenderDiagnostics(page)
+    page.emit(
+      'requestfailed',
+      createRequest({
+        url: 'https://example.com/app.js',
+        headers: {
+          authorization: 'Bearer secret',
+          'x-encrypted-auth': 'token',
+          accept: '*/*'
+        }
+      })
+    )
+
+    const bundle = await readBundle(await save(diagnostics))
+
+    expect(bundle.failedRequests).toEqual([
+      {
+        url: 'https://example.com/app.js',
+        method: 'GET',
+        resourceType: 'script',
+        error: 'net::ERR_CONNECTION_REFUSED',
+        requestHeaders: {
+          authorization: '[REDACTED]',
+          'x-encrypted-auth': '[REDACTED]',
+          accept: '*/*'
+        }
+      }
+    ])
+  })
+
+  test('should record the HTTP status of the agreement page and error responses', async () => {
+    const diagnostics = watchRenderDiagnostics(page)
+    const request = createRequest({
+      navigation: true,
+      headers: { 'x-encrypted-auth': 'token' }
+    })
+    page.emit(
+      'response',
+      createResponse(request, 502, { 'set-cookie': 'session=1' })
+    )
+
+    const bundle = await readBundle(await save(diagnostics))
+
+    expect(bundle.agreementPage).toEqual({
+      url: 'https://example.com/agreement/FPTT123456789',
+      status: 502
+    })
+    expect(bundle.failedRequests).toEqual([
+      expect.objectContaining({
+        status: 502,
+        requestHeaders: { 'x-encrypted-auth': '[REDACTED]' },
+        responseHeaders: { 'set-cookie': 'session=1' }
+      })
+    ])
+  })
+
+  test('should only keep the most recent entries', async () => {
+    const diagnostics = watchRenderDiagnostics(page)
+    for (let i = 0; i < 250; i++) {
+      page.emit('console', {
+        type: () => 'log',
+        text: () => `poll ${i}`,
+        location: () => ({})
+      })
+    }
+
+    const bundle = await readBundle(await save(diagnostics))
+
+    expect(bundle.consoleMessages).toHaveLength(200)
+    expect(bundle.consoleMessages.at(-1).text).toBe('poll 249')
+  })
+
+  test('should store the bundle in a local folder keyed by agreement', async () => {
+    const outputPath = path.join(tmpDir, 'FPTT123456789-1.pdf')
+    await fs.writeFile(outputPath, 'partial-pdf')
+    const diagnostics = watchRenderDiagnostics(page)
+
+    const location = await save(diagnostics, outputPath)
+
+    expect(location).toMatch(
+      new RegExp(
+        `^${tmpDir}/FPTT123456789/1/test-correlation-id/\\d{4}-\\d{2}-\\d{2}T[\\d-]+\\.\\d{3}Z$`
+      )
+    )
+    expect((await fs.readdir(location)).sort()).toEqual([
+      'diagnostics.json',
+      'page.html',
+      'partial.pdf',
+      'screenshot.png'
+    ])
+    expect(
+      await fs.readFile(path.join(location, 'screenshot.png'), 'utf8')
+    ).toBe('png-bytes')
+    expect(page.screenshot).toHaveBeenCalledWith({
+      fullPage: true,
+      type: 'png'
+    })
+    expect(await readBundle(location)).toEqual(
+      expect.objectContaining({
+        agreementNumber: 'FPTT123456789',
+        version: 1,
+        correlationId: 'test-correlation-id',
+        error: {
+          message:
+            'Timed out after 1000ms waiting for the agreement page to load',
+          stage: 'navigation'
+        },
+        agreementUrl: 'https://example.com/agreement/FPTT123456789',
+        finalUrl: 'https://example.com/agreement/FPTT123456789',
+        captureErrors: {}
+      })
+    )
+    expect(mockLogger.info).toHaveBeenCalledWith(
+      `Stored render diagnostics for agreement FPTT123456789-1 at ${location}`
+    )
+  })
+
+  test('should store the bundle under its own prefix through the storage driver', async () => {
+    configMap['renderDiagnostics.store'] = 's3'
+    const stored = {}
+    mockStorage.put.mockImplementation(
+      async (_bucket, key, filePath, options) => {
+        stored[path.basename(key)] = await fs.readFile(filePath, 'utf8')
+        expect(options.size).toBe(Buffer.byteLength(stored[path.basename(key)]))
+        return {}
+      }
+    )
+    const diagnostics = watchRenderDiagnostics(page)
+
+    const location = await save(diagnostics)
+
+    expect(location).toMatch(
+      /^s3:\/\/test-bucket\/diagnostics\/FPTT123456789\/1\/test-correlation-id\/[^/]+\/$/
+    )
+    expect(Object.keys(stored).sort()).toEqual([
+      'diagnostics.json',
+      'page.html',
+      'screenshot.png'
+    ])
+    expect(stored['page.html']).toBe('<html><body></body></html>')
+    for (const [bucket, key, , options, logger] of mockStorage.put.mock.calls) {
+      expect(bucket).toBe('test-bucket')
+      expect(`s3://test-bucket/${key}`).toContain(location)
+      expect(options).toEqual({
+        contentType: expect.any(String),
+        size: expect.any(Number),
+        checksum: expect.stringMatching(/^[A-Za-z0-9+/]{43}=$/)
+      })
+      expect(logger).toBe(mockLogger)
+    }
+    // The files written out to store are removed once stored
+    await expect(fs.readdir(path.join(tmpDir, 'defra-pdf'))).resolves.toEqual(
+      []
+    )
+  })
+
+  test('should not capture anything when the store is none', async () => {
+    configMap['renderDiagnostics.store'] = 'none'
+    const diagnostics = watchRenderDiagnostics(page)
+
+    await expect(save(diagnostics)).resolves.toBeNull()
+
+    expect(page.screenshot).not.toHaveBeenCalled()
+    expect(mockStorage.put).not.toHaveBeenCalled()
+  })
+
+  test('should store what it can when the page cannot be captured', async () => {
+    configMap['renderDiagnostics.captureTimeout'] = 10
+    page.screenshot.mockRejectedValue(new Error('Target closed'))
+    page.content.mockReturnValue(new Promise(() => {}))
+    const diagnostics = watchRenderDiagnostics(page)
+
+    const location = await save(diagnostics)
+
+    expect(await fs.readdir(location)).toEqual(['diagnostics.json'])
+    expect((await readBundle(location)).captureErrors).toEqual({
+      screenshot: 'Target closed',
+      html: 'Timed out after 10ms capturing html'
+    })
+  })
+
+  test('should log rather than throw when the bundle cannot be stored', async () => {
+    configMap['renderDiagnostics.store'] = 's3'
+    mockStorage.put.mockRejectedValue(new Error('Access Denied'))
+    const diagnostics = watchRenderDiagnostics(page)
+
+    await expect(save(diagnostics)).resolves.toBeNull()
+
+    expect(mockLogger.warn).toHaveBeenCalledWith(
+      'Failed to store render diagnostics for agreement FPTT123456789-1: Access Denied'
+    )
+  })
+
+  test('should stop listening to the page when stopped', () => {
+    const diagnostics = watchRenderDiagnostics(page)
+    expect(page.listenerCount('console')).toBe(1)
+
+    diagnostics.stop()
+
+    expect(page.listenerCount('console')).toBe(0)
+    expect(page.listenerCount('requestfailed')).toBe(0)
+    expect(page.listenerCount('response')).toBe(0)
+  })
+})
@@ -0,0 +1,189 @@
+import Boom from '@hapi/boom'
+import dns from 'node:dns/promises'
+import net from 'node:net'
+import { config } from '#~/config.js'
+import { isHostAllowed } from '#~/common/helpers/url-allow-list.js'
+
+/**
+ * Why the renderer refused a request
+ * @readonly
+ * @enum {string}
+ */
+export const BlockReason = Object.freeze({
+  SCHEME: 'scheme-not-allowed',
+  HOST: 'host-not-allowed',
+  PRIVATE_ADDRESS: 'private-address',
+  UNRESOLVABLE: 'unresolvable-host',
+  OFFLINE: 'offline-render'
+})
+
+// Schemes that never leave the browser, so are neither checked nor sent credentials
+const IN_PAGE_PROTOCOLS = new Set(['data:', 'blob:', 'about:'])
+const NETWORK_PROTOCOLS = new Set(['http:', 'https:'])
+
+// Loopback, private, link-local (including cloud metadata), carrier-grade NAT and reserved ranges
+const privateAddresses = new net.BlockList()
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+]) {
+  privateAddresses.addSubnet(network, prefix, 'ipv4')
+}
+for (const [network, prefix] of [
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+]) {
+  privateAddresses.addSubnet(network, prefix, 'ipv6')
+}
+
+/**
+ * Check if an IP address is loopback, private, link-local or otherwise not on the public internet
+ * @param {string} address An IPv4 or IPv6 address
+ * @returns {boolean}
+ */
+export const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 addresses reach the IPv4 host they embed
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)
+  if (mapped) {
+    return privateAddresses.check(mapped[1], 'ipv4')
+  }
+  const family = net.isIP(address)
+  return family === 0 || privateAddresses.check(address, `ipv${family}`)
+}
+
+/**
+ * Check a URL the renderer is about to request
+ * @param {string} url
+ * @returns {Promise<BlockReason|null>} Why the request must be blocked, or null if it may go ahead
+ */
+export const checkRequestUrl = async (url) => {
+  const { protocol, hostname } = new URL(url)
+  if (!NETWORK_PROTOCOLS.has(protocol)) {
+    return BlockReason.SCHEME
+  }
+  if (!isHostAllowed(hostname)) {
+    return BlockReason.HOST
+  }
+  if (config.get('pdfRendering.allowPrivateAddresses')) {
+    return null
+  }
+
+  // Chromium resolves the host again, so this does not stop a host that changes its answer
+  // between the two lookups, only one that points at an internal service outright
+  const host = hostname.replace(/^\[(.*)\]$/, '$1')
+  let addresses
+  try {
+    addresses = net.isIP(host)
+      ? [{ address: host }]
+      : await dns.lookup(host, { all: true, verbatim: true })
+  } catch {
+    return BlockReason.UNRESOLVABLE
+  }
+  return addresses.some(({ address }) => isPrivateAddress(address))
+    ? BlockReason.PRIVATE_ADDRESS
+    : null
+}
+
+/**
+ * @typedef {object} RequestGuard
+ * @property {() => void} stop Stop guarding, before the page goes back to the pool
+ * @property {(err: Error) => Error} blockedNavigationError The error a render failed with, as a
+ *   403 when the guard blocked the page's own navigation or one of its redirects, which would be
+ *   blocked again on every retry
+ */
+
+/**
+ * Intercept every request the page makes, including each hop of a redirect, blocking those that
+ * are not to an allow-listed host over HTTP(S) or that resolve to a private address. Only
+ * requests that go ahead are sent the auth headers, so they never reach another origin.
+ * An offline guard blocks every network request, for pages rendered from a template.
+ * @param {import('puppeteer').Page} page The page rendering the agreement
+ * @param {{ headers?: Record<string, string>, offline?: boolean, agreementData: object, logger: object }} options
+ *   The auth headers for allow-listed requests, and the agreement being rendered for logging
+ * @returns {Promise<RequestGuard>}
+ */
+export const guardPageRequests = async (
+  page,
+  { headers = {}, offline = false, agreementData, logger }
+) => {
+  const { agreementNumber, version, correlationId } = agreementData
+  let blockedNavigation = null
+
+  const handleRequest = async (request) => {
+    const url = request.url()
+    if (IN_PAGE_PROTOCOLS.has(new URL(url).protocol)) {
+      await request.continue()
+      return
+    }
+
+    const reason = offline ? BlockReason.OFFLINE : await checkRequestUrl(url)
+    if (!reason) {
+      await request.continue({ headers: { ...request.headers(), ...headers } })
+      return
+    }
+
+    logger.warn(
+      {
+        event: {
+          kind: 'alert',
+          category: ['network', 'intrusion_detection'],
+          type: ['denied'],
+          outcome: 'failure',
+          reason
+        },
+        url: { full: url },
+        agreementNumber,
+        version,
+        correlationId,
+        resourceType: request.resourceType(),
+        redirectedFrom: request.redirectChain().at(-1)?.url()
+      },
+      `Blocked request to ${url} while rendering agreement ${agreementNumber}-${version}: ${reason}`
+    )
+    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+      blockedNavigation ??= { url, reason }
+    }
+    await request.abort('blockedbyclient')
+  }
+
+  // A request left unresolved would hang the render, so one that cannot be checked is blocked
+  const onRequest = async (request) => {
+    try {
+      await handleRequest(request)
+    } catch (err) {
+      logger.warn(
+        err,
+        `Blocking request to ${request.url()} that could not be checked`
+      )
+      await request.abort('blockedbyclient').catch(() => {})
+    }
+  }
+
+  await page.setRequestInterception(true)
+  page.on('request', onRequest)
+
+  return {
+    stop: () => {
+      page.off('request', onRequest)
+    },
+    blockedNavigationError: (err) =>
+      blockedNavigation
+        ? Boom.forbidden(
+            `Blocked navigation to ${blockedNavigation.url} while rendering agreement ${agreementNumber}-${version}: ${blockedNavigation.reason}`,
+            blockedNavigation
+          )
+        : err
+  }
+}
@@ -0,0 +1,324 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest'
+import { EventEmitter } from 'node:events'
+import { isPermanentFailure } from '#~/common/helpers/sqs-failure-handler.js'
+import {
+  BlockReason,
+  checkRequestUrl,
+  guardPageRequests,
+  isPrivateAddress
+} from '#~/services/request-guard.js'
+
+const { mockLookupFn, configMap } = vi.hoisted(() => ({
+  mockLookupFn: vi.fn(),
+  configMap: {}
+}))
+
+vi.mock('#~/config.js', () => ({
+  config: { get: (key) => configMap[key] }
+}))
+
+vi.mock('node:dns/promises', () => ({
+  default: { lookup: mockLookupFn }
+}))
+
+const mainFrame = { name: 'main' }
+
+const createRequest = (
+  url,
+  { redirectedFrom, navigation = false, frame = mainFrame } = {}
+) => ({
+  url: () => url,
+  headers: () => ({ accept: 'text/html' }),
+  resourceType: () => 'document',
+  redirectChain: () => (redirectedFrom ? [{ url: () => redirectedFrom }] : []),
+  isNavigationRequest: () => navigation,
+  frame: () => frame,
+  continue: vi.fn().mockResolvedValue(undefined),
+  abort: vi.fn().mockResolvedValue(undefined)
+})
+
+describe('request guard', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+    Object.assign(configMap, {
+      allowedDomains: ['example.com'],
+      'pdfRendering.allowPrivateAddresses': false
+    })
+    mockLookupFn.mockResolvedValue([{ address: '93.184.215.14', family: 4 }])
+  })
+
+  describe('isPrivateAddress', () => {
+    test.each([
+      '127.0.0.1',
+      '10.1.2.3',
+      '172.31.255.255',
+      '192.168.0.1',
+      '169.254.169.254',
+      '100.64.0.1',
+      '0.0.0.0',
+      '::1',
+      '::',
+      'fd00:ec2::254',
+      'fe80::1',
+      '::ffff:127.0.0.1',
+      '::ffff:169.254.169.254'
+    ])('should treat %s as private', (address) => {
+      expect(isPrivateAddress(address)).toBe(true)
+    })
+
+    test.each(['93.184.215.14', '172.32.0.1', '2606:2800:21f:cb07::1'])(
+      'should treat %s as public',
+      (address) => {
+        expect(isPrivateAddress(address)).toBe(false)
+      }
+    )
+  })
+
+  describe('checkRequestUrl', () => {
+    test('should allow an allow-listed host that resolves to a public address', async () => {
+      await expect(
+        checkRequestUrl('https://example.com/agreement/123')
+      ).resolves.toBeNull()
+      expect(mockLookupFn).toHaveBeenCalledWith('example.com', {
+        all: true,
+        verbatim: true
+      })
+    })
+
+    test.each(['file:///etc/passwd', 'ftp://example.com/', 'ws://example.com'])(
+      'should block the %s scheme',
+      async (url) => {
+        await expect(checkRequestUrl(url)).resolves.toBe(BlockReason.SCHEME)
+      }
+    )
+
+    test.each([
+      'https://evil.test/',
+      'https://example.com.evil.test/',
+      'https://sub.example.com/'
+    ])('should block %s, which is not allow-listed', async (url) => {
+      await expect(checkRequestUrl(url)).resolves.toBe(BlockReason.HOST)
+      expect(mockLookupFn).not.toHaveBeenCalled()
+    })
+
+    test('should block an allow-listed host with any private address', async () => {
+      mockLookupFn.mockResolvedValue([
+        { address: '93.184.215.14', family: 4 },
+        { address: '169.254.169.254', family: 4 }
+      ])
+
+      await expect(checkRequestUrl('https://example.com/')).resolves.toBe(
+        BlockReason.PRIVATE_ADDRESS
+      )
+    })
+
+    test('should block an allow-listed private IP literal without a lookup', async () => {
+      configMap.allowedDomains = ['127.0.0.1', '[::1]']
+
+      await expect(checkRequestUrl('http://127.0.0.1:3000/')).resolves.toBe(
+        BlockReason.PRIVATE_ADDRESS
+      )
+      await expect(checkRequestUrl('http://[::1]:3000/')).resolves.toBe(
+        BlockReason.PRIVATE_ADDRESS
+      )
+      expect(mockLookupFn).not.toHaveBeenCalled()
+    })
+
+    test('should block a host that cannot be resolved', async () => {
+      mockLookupFn.mockRejectedValue(new Error('getaddrinfo ENOTFOUND'))
+
+      await expect(checkRequestUrl('https://example.com/')).resolves.toBe(
+        BlockReason.UNRESOLVABLE
+      )
+    })
+
+    test('should allow private addresses when configured to', async () => {
+      configMap.allowedDomains = ['localhost']
+      configMap['pdfRendering.allowPrivateAddresses'] = true
+
+      await expect(
+        checkRequestUrl('http://localhost:3555/agreement/123')
+      ).resolves.toBeNull()
+      expect(mockLookupFn).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('guardPageRequests', () => {
+    const agreementData = {
+      agreementNumber: 'FPTT123456789',
+      version: 1,
+      correlationId: 'test-correlation-id'
+    }
+    const headers = { 'x-encrypted-auth': 'token' }
+    let page
+    let logger
+
+    const guard = () =>
+      guardPageRequests(page, { headers, agreementData, logger })
+
+    const handle = async (request) => {
+      page.emit('request', request)
+      await vi.waitFor(() => {
+        const handled =
+          request.continue.mock.calls.length + request.abort.mock.calls.length
+        expect(handled).toBe(1)
+      })
+    }
+
+    beforeEach(() => {
+      page = new EventEmitter()
+      page.setRequestInterception = vi.fn().mockResolvedValue(undefined)
+      page.mainFrame = () => mainFrame
+      logger = { warn: vi.fn() }
+    })
+
+    test('should turn on request interception', async () => {
+      await guard()
+
+      expect(page.setRequestInterception).toHaveBeenCalledWith(true)
+      expect(page.listenerCount('request')).toBe(1)
+    })
+
+    test('should send the auth headers with allow-listed requests', async () => {
+      await guard()
+      const request = createRequest('https://example.com/agreement/123')
+
+      await handle(request)
+
+      expect(request.continue).toHaveBeenCalledWith({
+        headers: { accept: 'text/html', 'x-encrypted-auth': 'token' }
+      })
+      expect(logger.warn).not.toHaveBeenCalled()
+    })
+
+    test('should let in-page requests through without the auth headers', async () => {
+      await guard()
+      const request = createRequest('data:image/png;base64,iVBORw0KGgo=')
+
+      await handle(request)
+
+      expect(request.continue).toHaveBeenCalledWith()
+      expect(mockLookupFn).not.toHaveBeenCalled()
+    })
+
+    test('should block a redirect off the allow list and log it as a security event', async () => {
+      await guard()
+      const request = createRequest(
+        'http://169.254.169.254/latest/meta-data/',
+        { redirectedFrom: 'https://example.com/agreement/123' }
+      )
+
+      await handle(request)
+
+      expect(request.abort).toHaveBeenCalledWith('blockedbyclient')
+      expect(request.continue).not.toHaveBeenCalled()
+      expect(logger.warn).toHaveBeenCalledWith(
+        {
+          event: {
+            kind: 'alert',
+            category: ['network', 'intrusion_detection'],
+            type: ['denied'],
+            outcome: 'failure',
+            reason: BlockReason.HOST
+          },
+          url: { full: 'http://169.254.169.254/latest/meta-data/' },
+          agreementNumber: 'FPTT123456789',
+          version: 1,
+          correlationId: 'test-correlation-id',
+          resourceType: 'document',
+          redirectedFrom: 'https://example.com/agreement/123'
+        },
+        'Blocked request to http://169.254.169.254/latest/meta-data/ while rendering agreement FPTT123456789-1: host-not-allowed'
+      )
+    })
+
+    test('should block every network request when offline', async () => {
+      await guardPageRequests(page, { offline: true, agreementData, logger })
+      const request = createRequest('https://example.com/agreement/123')
+
+      await handle(request)
+
+      expect(request.abort).toHaveBeenCalledWith('blockedbyclient')
+      expect(mockLookupFn).not.toHaveBeenCalled()
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.objectContaining({
+          event: expect.objectContaining({ reason: BlockReason.OFFLINE })
+        }),
+        'Blocked request to https://example.com/agreement/123 while rendering agreement FPTT123456789-1: offline-render'
+      )
+    })
+
+    test('should let in-page requests through when offline', async () => {
+      await guardPageRequests(page, { offline: true, agreementData, logger })
+      const request = createRequest('data:font/woff2;base64,d09GMgABAAAAAA==')
+
+      await handle(request)
+
+      expect(request.continue).toHaveBeenCalledWith()
+    })
+
+    test('should block a request that cannot be checked', async () => {
+      await guard()
+      const request = createRequest('https://example.com/agreement/123')
+      request.headers = () => {
+        throw new Error('Target closed')
+      }
+
+      await handle(request)
+
+      expect(request.abort).toHaveBeenCalledWith('blockedbyclient')
+      expect(logger.warn).toHaveBeenCalledWith(
+        expect.any(Error),
+        'Blocking request to https://example.com/agreement/123 that could not be checked'
+      )
+    })
+
+    test('should fail the render with a 403 when it blocks a redirect of the page', async () => {
+      const requestGuard = await guard()
+      await handle(
+        createRequest('http://169.254.169.254/latest/meta-data/', {
+          redirectedFrom: 'https://example.com/agreement/123',
+          navigation: true
+        })
+      )
+
+      const err = requestGuard.blockedNavigationError(
+        new Error('net::ERR_BLOCKED_BY_CLIENT')
+      )
+
+      expect(err).toMatchObject({
+        isBoom: true,
+        output: { statusCode: 403 },
+        message:
+          'Blocked navigation to http://169.254.169.254/latest/meta-data/ while rendering agreement FPTT123456789-1: host-not-allowed',
+        data: {
+          url: 'http://169.254.169.254/latest/meta-data/',
+          reason: BlockReason.HOST
+        }
+      })
+      expect(isPermanentFailure(err)).toBe(true)
+    })
+
+    test('should leave the error alone when it only blocked what the page loads', async () => {
+      const requestGuard = await guard()
+      await handle(createRequest('https://evil.test/tracker.js'))
+      await handle(
+        createRequest('https://evil.test/frame', {
+          navigation: true,
+          frame: { name: 'child' }
+        })
+      )
+      const renderErr = new Error('Timed out waiting for the page')
+
+      expect(requestGuard.blockedNavigationError(renderErr)).toBe(renderErr)
+    })
+
+    test('should stop listening to the page when stopped', async () => {
+      const requestGuard = await guard()
+
+      requestGuard.stop()
+
+      expect(page.listenerCount('request')).toBe(0)
+    })
+  })
+})
@@ -0,0 +1,90 @@
+import { addMonths, addYears, differenceInYears, startOfMonth } from 'date-fns'
+import { config } from '#~/config.js'
+
+/**
+ * @typedef {object} RetentionDates
+ * @property {Date|string} endDate Agreement end date
+ * @property {Date|string} [startDate] Agreement start date
+ * @property {Date|string} [retentionUntil] Date to keep the PDF until, instead of the end date plus the base retention years
+ * @property {Date|string} [requestedAt] When the event asking for the PDF was raised, so a start date assumed from it is
+ *   the same for every delivery of the event
+ */
+
+/**
+ * @typedef {object} Retention
+ * @property {string} prefix S3 key prefix of the retention class
+ * @property {Date} retainUntil Date the PDF must be kept until
+ * @property {number} years Whole years from the agreement start date until the PDF can be deleted
+ * @property {Date} startDate Agreement start date the retention period is counted from
+ * @property {boolean} startDateAssumed Whether the start date was not given, so assumed to be the first of the month
+ *   after the PDF was requested
+ * @property {Date} endDate Agreement end date
+ * @property {number|null} baseYears Years added to the end date, or null when the event gave `retentionUntil`
+ */
+
+/**
+ * Work out how long an agreement PDF is kept and which retention class it is stored under.
+ *
+ * The PDF is kept until `retentionUntil` when the event gives it, otherwise until the end date plus
+ * `aws.s3.retentionBaseYears`. Its retention class is the first of `aws.s3.retentionRules` whose
+ * maxYears covers the period from the start date until then. Events without a start date are for
+ * agreements that start on the first of the month after they were raised, so the retention class,
+ * and with it the PDF's key, stays the same when the event is redelivered.
+ * @param {RetentionDates} dates
+ * @param {Date} [now] When the PDF is generated, for PDFs not requested by an event
+ * @returns {Retention}
+ */
+export function calculateRetention(
+  { startDate, endDate, retentionUntil, requestedAt },
+  now = new Date()
+) {
+  const start = startDate
+    ? new Date(startDate)
+    : startOfMonth(addMonths(requestedAt ? new Date(requestedAt) : now, 1))
+  const end = new Date(endDate)
+  const baseYears = retentionUntil
+    ? null
+    : config.get('aws.s3.retentionBaseYears')
+  const retainUntil = retentionUntil
+    ? new Date(retentionUntil)
+    : addYears(end, baseYears)
+  const years = differenceInYears(retainUntil, start)
+
+  const rules = config.get('aws.s3.retentionRules')
+  const { prefix } =
+    rules.find(({ maxYears }) => maxYears !== undefined && years <= maxYears) ??
+    rules.at(-1)
+
+  return {
+    prefix,
+    retainUntil,
+    years,
+    startDate: start,
+    startDateAssumed: !startDate,
+    endDate: end,
+    baseYears
+  }
+}
+
+/**
+ * S3 user metadata recording how an agreement PDF's retention was worked out, so it can be
+ * checked later without the event that asked for the PDF
+ * @param {Retention} retention
+ * @returns {Record<string, string>}
+ */
+export function buildRetentionMetadata(retention) {
+  return {
+    'retention-class': retention.prefix,
+    'retention-until': retention.retainUntil.toISOString(),
+    'retention-years': String(retention.years),
+    'retention-start-date': retention.startDate.toISOString(),
+    'retention-start-date-assumed': String(retention.startDateAssumed),
+    'retention-end-date': retention.endDate.toISOString(),
+    ...(retention.baseYears === null
+      ? { 'retention-until-source': 'event' }
+      : {
+          'retention-until-source': 'end-date',
+          'retention-base-years': String(retention.baseYears)
+        })
+  }
+}
@@ -0,0 +1,161 @@
+import { afterEach, beforeEach, describe, expect, test, vi } from 'vitest'
+import {
+  buildRetentionMetadata,
+  calculateRetention
+} from '#~/services/retention-policy.js'
+
+const { configMap } = vi.hoisted(() => ({ configMap: {} }))
+
+vi.mock('#~/config.js', () => ({
+  config: { get: (key) => configMap[key] }
+}))
+
+describe('retention policy', () => {
+  beforeEach(() => {
+    Object.assign(configMap, {
+      'aws.s3.retentionBaseYears': 7,
+      'aws.s3.retentionRules': [
+        { prefix: 'base', maxYears: 10 },
+        { prefix: 'extended', maxYears: 15 },
+        { prefix: 'maximum' }
+      ]
+    })
+  })
+
+  describe('calculateRetention', () => {
+    test('should keep a PDF until the end date plus the base retention years', () => {
+      expect(
+        calculateRetention({ startDate: '2024-02-01', endDate: '2027-01-01' })
+      ).toEqual({
+        prefix: 'base',
+        retainUntil: new Date('2034-01-01'),
+        years: 9,
+        startDate: new Date('2024-02-01'),
+        startDateAssumed: false,
+        endDate: new Date('2027-01-01'),
+        baseYears: 7
+      })
+    })
+
+    test.each([
+      ['2027-02-01', 10, 'base'],
+      ['2027-02-02', 10, 'base'],
+      ['2028-02-01', 11, 'extended'],
+      ['2032-02-01', 15, 'extended'],
+      ['2033-02-01', 16, 'maximum'],
+      ['2060-02-01', 43, 'maximum']
+    ])(
+      'should class a PDF for an agreement ending %s, kept %i years, as %s',
+      (endDate, years, prefix) => {
+        expect(
+          calculateRetention({ startDate: '2024-02-01', endDate })
+        ).toMatchObject({ years, prefix })
+      }
+    )
+
+    test('should keep a PDF until the retention date given instead', () => {
+      expect(
+        calculateRetention({
+          startDate: '2024-02-01',
+          endDate: '2027-01-01',
+          retentionUntil: '2045-01-31'
+        })
+      ).toMatchObject({
+        prefix: 'maximum',
+        retainUntil: new Date('2045-01-31'),
+        years: 20,
+        baseYears: null
+      })
+    })
+
+    test('should class the PDF the same however long ago it was generated', () => {
+      const dates = { startDate: '2015-03-01', endDate: '2020-02-29' }
+
+      expect(calculateRetention(dates, new Date('2015-02-10')).prefix).toBe(
+        'extended'
+      )
+      expect(calculateRetention(dates, new Date('2026-10-19')).prefix).toBe(
+        'extended'
+      )
+    })
+
+    test('should use the rules from config', () => {
+      configMap['aws.s3.retentionRules'] = [
+        { prefix: 'short', maxYears: 8 },
+        { prefix: 'long' }
+      ]
+
+      expect(
+        calculateRetention({ startDate: '2024-02-01', endDate: '2027-01-01' })
+          .prefix
+      ).toBe('long')
+    })
+
+    describe('without a start date', () => {
+      beforeEach(() => {
+        vi.useFakeTimers()
+        vi.setSystemTime(new Date('2024-01-15'))
+      })
+
+      afterEach(() => {
+        vi.useRealTimers()
+      })
+
+      test('should assume the agreement starts on the first of next month', () => {
+        expect(calculateRetention({ endDate: '2027-01-01' })).toMatchObject({
+          startDate: new Date('2024-02-01'),
+          startDateAssumed: true,
+          years: 9
+        })
+      })
+
+      test('should count from when the event was raised, however much later it is delivered', () => {
+        const dates = {
+          endDate: '2027-01-01',
+          requestedAt: '2023-12-31T23:59:00.000Z'
+        }
+
+        expect(calculateRetention(dates)).toEqual(
+          calculateRetention(dates, new Date('2024-06-01'))
+        )
+        expect(calculateRetention(dates)).toMatchObject({
+          startDate: new Date('2024-01-01'),
+          startDateAssumed: true,
+          years: 10
+        })
+      })
+    })
+  })
+
+  describe('buildRetentionMetadata', () => {
+    test('should record the inputs of a retention worked out from the end date', () => {
+      expect(
+        buildRetentionMetadata(
+          calculateRetention({ startDate: '2024-02-01', endDate: '2027-01-01' })
+        )
+      ).toEqual({
+        'retention-class': 'base',
+        'retention-until': '2034-01-01T00:00:00.000Z',
+        'retention-years': '9',
+        'retention-start-date': '2024-02-01T00:00:00.000Z',
+        'retention-start-date-assumed': 'false',
+        'retention-end-date': '2027-01-01T00:00:00.000Z',
+        'retention-until-source': 'end-date',
+        'retention-base-years': '7'
+      })
+    })
+
+    test('should record a retention date given by the event', () => {
+      const metadata = buildRetentionMetadata(
+        calculateRetention({
+          startDate: '2024-02-01',
+          endDate: '2027-01-01',
+          retentionUntil: '2045-01-31'
+        })
+      )
+
+      expect(metadata['retention-until-source']).toBe('event')
+      expect(metadata).not.toHaveProperty('retention-base-years')
+    })
+  })
+})
@@ -0,0 +1,119 @@
+// S3 object tag limits, see https://docs.aws.amazon.com/AmazonS3/latest/userguide/object-tagging.html
+const MAX_TAGS = 10
+const MAX_TAG_KEY_LENGTH = 128
+const MAX_TAG_VALUE_LENGTH = 256
+const TAG_DISALLOWED_CHARACTERS = /[^\p{L}\p{N} +\-=._:/@]/gu
+
+// User metadata is sent as x-amz-meta-* headers, at most 2 KB of keys and values between them
+const MAX_METADATA_BYTES = 2048
+const METADATA_KEY_DISALLOWED_CHARACTERS = /[^a-z\d-]/g
+const METADATA_VALUE_DISALLOWED_CHARACTERS = /[^\x20-\x7e]/g
+
+const isPresent = (value) =>
+  value !== undefined && value !== null && String(value) !== ''
+
+// Cut by code point so a surrogate pair is never split in two
+const truncate = (value, length) => Array.from(value).slice(0, length).join('')
+
+/**
+ * Tag key or value with the characters S3 does not allow replaced by underscores, cut to length
+ * @param {string|number} value
+ * @param {number} maxLength
+ * @returns {string}
+ */
+const sanitiseTag = (value, maxLength) =>
+  truncate(
+    String(value).trim().replace(TAG_DISALLOWED_CHARACTERS, '_'),
+    maxLength
+  )
+
+/**
+ * S3 object tags, with characters S3 does not allow replaced and keys and values cut to length.
+ * Fields without a value are left out, as a tag with no value tells a lifecycle rule or Athena
+ * query nothing.
+ * @param {Record<string, string|number|undefined>} fields Tag keys and values
+ * @returns {Record<string, string>}
+ */
+export function sanitiseObjectTags(fields) {
+  const tags = Object.entries(fields)
+    .filter(([, value]) => isPresent(value))
+    .map(([key, value]) => [
+      sanitiseTag(key, MAX_TAG_KEY_LENGTH),
+      sanitiseTag(value, MAX_TAG_VALUE_LENGTH)
+    ])
+
+  if (tags.length > MAX_TAGS) {
+    throw new Error(
+      `S3 objects can have at most ${MAX_TAGS} tags, but ${tags.length} were given`
+    )
+  }
+
+  return Object.fromEntries(tags)
+}
+
+/**
+ * S3 object tags for the `Tagging` parameter of PutObject and CreateMultipartUpload, URL-encoded
+ * as S3 expects
+ * @param {Record<string, string|number|undefined>} fields Tag keys and values
+ * @returns {string|undefined} The tag set, or undefined when there are no tags
+ */
+export function buildObjectTagging(fields) {
+  const tags = Object.entries(sanitiseObjectTags(fields))
+
+  if (tags.length === 0) {
+    return undefined
+  }
+
+  return tags
+    .map(
+      ([key, value]) =>
+        `${encodeURIComponent(key)}=${encodeURIComponent(value)}`
+    )
+    .join('&')
+}
+
+/**
+ * S3 user metadata that can be sent as HTTP headers: lower-case keys of letters, digits and
+ * hyphens, and printable ASCII values. Non-ASCII characters in values are replaced with `?`.
+ *
+ * Fields are kept in the order given until the 2 KB limit is reached and the rest are dropped,
+ * so put the fields that must be kept first.
+ * @param {Record<string, string|number|boolean|undefined>} fields Metadata keys and values
+ * @param {Logger} [logger] Logger instance, to warn about fields dropped for being over the limit
+ * @returns {Record<string, string>}
+ */
+export function buildUserMetadata(fields, logger) {
+  const metadata = {}
+  const dropped = []
+  let bytes = 0
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (!isPresent(value)) {
+      continue
+    }
+
+    const metadataKey = key
+      .toLowerCase()
+      .replace(METADATA_KEY_DISALLOWED_CHARACTERS, '-')
+    const metadataValue = String(value)
+      .trim()
+      .replace(METADATA_VALUE_DISALLOWED_CHARACTERS, '?')
+    const size = metadataKey.length + metadataValue.length
+
+    if (bytes + size > MAX_METADATA_BYTES) {
+      dropped.push(metadataKey)
+      continue
+    }
+
+    metadata[metadataKey] = metadataValue
+    bytes += size
+  }
+
+  if (dropped.length > 0) {
+    logger?.warn(
+      `Left S3 metadata ${dropped.join(', ')} off as it is over the ${MAX_METADATA_BYTES} byte limit`
+    )
+  }
+
+  return metadata
+}
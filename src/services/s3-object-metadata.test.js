@@ -0,0 +1,128 @@
+import { describe, expect, test, vi } from 'vitest'
+import {
+  buildObjectTagging,
+  buildUserMetadata
+} from '#~/services/s3-object-metadata.js'
+
+const parseTagging = (tagging) =>
+  Object.fromEntries(new URLSearchParams(tagging))
+
+describe('S3 object metadata', () => {
+  describe('buildObjectTagging', () => {
+    test('should URL-encode the tags', () => {
+      expect(
+        buildObjectTagging({
+          'agreement-number': 'FPTT123456789',
+          version: 2,
+          'checksum-sha256': 'ab+c/d=='
+        })
+      ).toBe(
+        'agreement-number=FPTT123456789&version=2&checksum-sha256=ab%2Bc%2Fd%3D%3D'
+      )
+    })
+
+    test('should leave out fields without a value', () => {
+      expect(
+        parseTagging(
+          buildObjectTagging({
+            sbi: '106284736',
+            frn: undefined,
+            'correlation-id': null,
+            'service-version': ''
+          })
+        )
+      ).toEqual({ sbi: '106284736' })
+    })
+
+    test('should return undefined when there are no tags', () => {
+      expect(buildObjectTagging({ sbi: undefined })).toBeUndefined()
+    })
+
+    test('should replace characters S3 does not allow in tags', () => {
+      expect(
+        parseTagging(
+          buildObjectTagging({
+            'correlation id!': ' req#1 (retry) café:2026/10@eu ',
+            'retain-until': '2034-01-01T00:00:00.000Z'
+          })
+        )
+      ).toEqual({
+        'correlation id_': 'req_1 _retry_ café:2026/10@eu',
+        'retain-until': '2034-01-01T00:00:00.000Z'
+      })
+    })
+
+    test('should cut keys to 128 and values to 256 characters', () => {
+      const [[key, value]] = Object.entries(
+        parseTagging(buildObjectTagging({ ['k'.repeat(200)]: 'é'.repeat(300) }))
+      )
+
+      expect(key).toHaveLength(128)
+      expect(value).toHaveLength(256)
+    })
+
+    test('should not allow more than 10 tags', () => {
+      const fields = Object.fromEntries(
+        Array.from({ length: 11 }, (_, i) => [`tag-${i}`, 'value'])
+      )
+
+      expect(() => buildObjectTagging(fields)).toThrow(
+        'S3 objects can have at most 10 tags, but 11 were given'
+      )
+    })
+  })
+
+  describe('buildUserMetadata', () => {
+    test('should give every value as a string under a lower-case key', () => {
+      expect(
+        buildUserMetadata({
+          sha256: 'ab+c/d==',
+          'Agreement Number': 'FPTT123456789',
+          version: 2,
+          legalHold: false,
+          frn: undefined
+        })
+      ).toEqual({
+        sha256: 'ab+c/d==',
+        'agreement-number': 'FPTT123456789',
+        version: '2',
+        legalhold: 'false'
+      })
+    })
+
+    test('should replace characters that cannot be sent in a header', () => {
+      expect(buildUserMetadata({ 'correlation-id': ' café\nreq ' })).toEqual({
+        'correlation-id': 'caf??req'
+      })
+    })
+
+    test('should drop the fields that go over 2 KB and warn about them', () => {
+      const logger = { warn: vi.fn() }
+
+      const metadata = buildUserMetadata(
+        {
+          sha256: 'checksum',
+          'correlation-id': 'x'.repeat(2030),
+          'service-version': '1.4.2'
+        },
+        logger
+      )
+
+      expect(metadata).toEqual({
+        sha256: 'checksum',
+        'service-version': '1.4.2'
+      })
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Left S3 metadata correlation-id off as it is over the 2048 byte limit'
+      )
+    })
+
+    test('should not warn when every field fits', () => {
+      const logger = { warn: vi.fn() }
+
+      buildUserMetadata({ sha256: 'checksum' }, logger)
+
+      expect(logger.warn).not.toHaveBeenCalled()
+    })
+  })
+})
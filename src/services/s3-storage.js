@@ -0,0 +1,215 @@
+import {
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadBucketCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  PutObjectLegalHoldCommand,
+  PutObjectTaggingCommand,
+  S3Client
+} from '@aws-sdk/client-s3'
+import { Upload } from '@aws-sdk/lib-storage'
+import { createReadStream } from 'node:fs'
+import { config } from '#~/config.js'
+import {
+  buildObjectTagging,
+  sanitiseObjectTags
+} from '#~/services/s3-object-metadata.js'
+
+const s3Client = new S3Client(
+  process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test'
+    ? {
+        region: config.get('aws.region'),
+        endpoint: config.get('aws.s3.endpoint'),
+        credentials: {
+          accessKeyId: config.get('aws.accessKeyId'),
+          secretAccessKey: config.get('aws.secretAccessKey')
+        },
+        forcePathStyle: true
+      }
+    : // Production will automatically use the default credentials
+      {}
+)
+
+const isNotFound = (err) =>
+  err.name === 'NotFound' ||
+  err.name === 'NoSuchKey' ||
+  err.$metadata?.httpStatusCode === 404
+
+/**
+ * Upload a file to S3 in parts, several at a time. If any part fails the multipart upload is
+ * aborted, so S3 does not keep (and bill for) the parts already uploaded.
+ * @param {import('@aws-sdk/client-s3').PutObjectCommandInput} params The object to upload, with the file as a stream
+ * @param {number} size Size of the file in bytes
+ * @param {Logger} logger Logger instance
+ * @returns {Promise<{ ETag?: string }>}
+ */
+async function uploadInParts(params, size, logger) {
+  const multipartUpload = new Upload({
+    client: s3Client,
+    // S3 checks each part against its own SHA-256, and the object gets a checksum of those
+    params: { ...params, ChecksumAlgorithm: 'SHA256' },
+    partSize: config.get('aws.s3.multipart.partSize'),
+    queueSize: config.get('aws.s3.multipart.queueSize'),
+    leavePartsOnError: false
+  })
+
+  multipartUpload.on('httpUploadProgress', ({ loaded, part }) => {
+    logger.info(
+      `Uploaded part ${part} of PDF to S3. key: ${params.Key}, progress: ${loaded} of ${size} bytes`
+    )
+  })
+
+  return multipartUpload.done()
+}
+
+/**
+ * Store objects in S3, streaming files from disk so memory use does not grow with their size.
+ * Files from `aws.s3.multipart.threshold` up are uploaded in parts.
+ *
+ * A single PUT sends the SHA-256 for S3 to check the object against, and S3 rejects the upload
+ * if the bytes it received differ. Multipart objects only get a checksum of their parts' checksums.
+ * @returns {import('#~/services/storage.js').StorageProvider}
+ */
+export function createS3Storage() {
+  return {
+    driver: 's3',
+
+    location: (bucket, key) => `s3://${bucket}/${key}`,
+
+    async put(bucket, key, filePath, options, logger) {
+      const { contentType, size, checksum, metadata, tags, objectLock } =
+        options
+      const body = createReadStream(filePath)
+      const params = {
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        ServerSideEncryption: 'AES256',
+        Metadata: metadata,
+        // Tags given to CreateMultipartUpload are on the object as soon as it is complete
+        Tagging: tags && buildObjectTagging(tags),
+        ...(objectLock && {
+          ObjectLockMode: objectLock.mode,
+          ObjectLockRetainUntilDate: objectLock.retainUntil,
+          ObjectLockLegalHoldStatus: objectLock.legalHold ? 'ON' : 'OFF'
+        })
+      }
+
+      try {
+        const result =
+          size >= config.get('aws.s3.multipart.threshold')
+            ? await uploadInParts(params, size, logger)
+            : await s3Client.send(
+                // S3 needs the length up front to accept a streamed body
+                new PutObjectCommand({
+                  ...params,
+                  ContentLength: size,
+                  ChecksumSHA256: checksum
+                })
+              )
+        return { etag: result.ETag }
+      } finally {
+        // A failed upload may not have read the stream to the end, leaving the file open
+        body.destroy()
+      }
+    },
+
+    async head(bucket, key) {
+      try {
+        const result = await s3Client.send(
+          new HeadObjectCommand({
+            Bucket: bucket,
+            Key: key,
+            ChecksumMode: 'ENABLED'
+          })
+        )
+        return {
+          key,
+          size: result.ContentLength,
+          checksum: result.ChecksumSHA256,
+          metadata: result.Metadata ?? {},
+          lastModified: result.LastModified
+        }
+      } catch (err) {
+        if (isNotFound(err)) {
+          return null
+        }
+        throw err
+      }
+    },
+
+    async get(bucket, key) {
+      const result = await s3Client.send(
+        new GetObjectCommand({ Bucket: bucket, Key: key })
+      )
+      return {
+        key,
+        size: result.ContentLength,
+        checksum: result.ChecksumSHA256,
+        metadata: result.Metadata ?? {},
+        lastModified: result.LastModified,
+        body: result.Body
+      }
+    },
+
+    async list(bucket, prefix) {
+      const objects = []
+      let ContinuationToken
+      do {
+        const result = await s3Client.send(
+          new ListObjectsV2Command({
+            Bucket: bucket,
+            Prefix: prefix,
+            ContinuationToken
+          })
+        )
+        for (const object of result.Contents ?? []) {
+          objects.push({
+            key: object.Key,
+            size: object.Size,
+            lastModified: object.LastModified
+          })
+        }
+        ContinuationToken = result.NextContinuationToken
+      } while (ContinuationToken)
+      return objects
+    },
+
+    async delete(bucket, key) {
+      await s3Client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }))
+    },
+
+    async tag(bucket, key, tags) {
+      await s3Client.send(
+        new PutObjectTaggingCommand({
+          Bucket: bucket,
+          Key: key,
+          Tagging: {
+            TagSet: Object.entries(sanitiseObjectTags(tags)).map(
+              ([Key, Value]) => ({ Key, Value })
+            )
+          }
+        })
+      )
+    },
+
+    async setLegalHold(bucket, key, legalHold) {
+      await s3Client.send(
+        new PutObjectLegalHoldCommand({
+          Bucket: bucket,
+          Key: key,
+          LegalHold: { Status: legalHold ? 'ON' : 'OFF' }
+        })
+      )
+    },
+
+    async checkBucket(bucket, signal) {
+      await s3Client.send(new HeadBucketCommand({ Bucket: bucket }), {
+        abortSignal: signal
+      })
+    }
+  }
+}
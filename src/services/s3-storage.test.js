@@ -0,0 +1,216 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest'
+import { Readable } from 'node:stream'
+import { createS3Storage } from '#~/services/s3-storage.js'
+
+const { mockS3ClientSendFn } = vi.hoisted(() => ({
+  mockS3ClientSendFn: vi.fn()
+}))
+
+vi.mock('#~/config.js', () => ({
+  config: { get: vi.fn() }
+}))
+
+// Each command records its type with its input, so tests can tell them apart
+vi.mock('@aws-sdk/client-s3', () => {
+  const command = (type) =>
+    class {
+      constructor(params) {
+        Object.assign(this, { type, ...params })
+      }
+    }
+  return {
+    S3Client: class MockS3Client {
+      send(...args) {
+        return mockS3ClientSendFn(...args)
+      }
+    },
+    DeleteObjectCommand: command('DeleteObject'),
+    GetObjectCommand: command('GetObject'),
+    HeadBucketCommand: command('HeadBucket'),
+    HeadObjectCommand: command('HeadObject'),
+    ListObjectsV2Command: command('ListObjectsV2'),
+    PutObjectCommand: command('PutObject'),
+    PutObjectLegalHoldCommand: command('PutObjectLegalHold'),
+    PutObjectTaggingCommand: command('PutObjectTagging')
+  }
+})
+
+vi.mock('@aws-sdk/lib-storage', () => ({ Upload: vi.fn() }))
+
+describe('S3 storage', () => {
+  const bucket = 'test-bucket'
+  const key = 'base/FPTT123456789/1/FPTT123456789-1.pdf'
+  const storage = createS3Storage()
+
+  beforeEach(() => {
+    mockS3ClientSendFn.mockReset()
+  })
+
+  test('should give the S3 URI of an object as its location', () => {
+    expect(storage.location(bucket, key)).toBe(`s3://${bucket}/${key}`)
+  })
+
+  describe('head', () => {
+    test('should describe a stored object', async () => {
+      const lastModified = new Date('2026-10-19T10:00:00Z')
+      mockS3ClientSendFn.mockResolvedValueOnce({
+        ContentLength: 1024,
+        ChecksumSHA256: 'checksum',
+        Metadata: { sha256: 'whole-file-checksum' },
+        LastModified: lastModified
+      })
+
+      await expect(storage.head(bucket, key)).resolves.toEqual({
+        key,
+        size: 1024,
+        checksum: 'checksum',
+        metadata: { sha256: 'whole-file-checksum' },
+        lastModified
+      })
+      expect(mockS3ClientSendFn).toHaveBeenCalledWith({
+        type: 'HeadObject',
+        Bucket: bucket,
+        Key: key,
+        ChecksumMode: 'ENABLED'
+      })
+    })
+
+    test('should return null for an object that does not exist', async () => {
+      mockS3ClientSendFn.mockRejectedValueOnce(
+        Object.assign(new Error('Not Found'), {
+          name: 'NotFound',
+          $metadata: { httpStatusCode: 404 }
+        })
+      )
+
+      await expect(storage.head(bucket, key)).resolves.toBeNull()
+    })
+
+    test('should rethrow other errors', async () => {
+      mockS3ClientSendFn.mockRejectedValueOnce(
+        Object.assign(new Error('Access Denied'), {
+          name: 'AccessDenied',
+          $metadata: { httpStatusCode: 403 }
+        })
+      )
+
+      await expect(storage.head(bucket, key)).rejects.toThrow('Access Denied')
+    })
+  })
+
+  test('should read back a stored object', async () => {
+    const body = Readable.from(['pdf-content'])
+    mockS3ClientSendFn.mockResolvedValueOnce({
+      ContentLength: 11,
+      Metadata: { sha256: 'checksum' },
+      Body: body
+    })
+
+    await expect(storage.get(bucket, key)).resolves.toMatchObject({
+      key,
+      size: 11,
+      metadata: { sha256: 'checksum' },
+      body
+    })
+  })
+
+  test('should list every page of objects under a prefix', async () => {
+    const lastModified = new Date('2026-10-19T10:00:00Z')
+    mockS3ClientSendFn
+      .mockResolvedValueOnce({
+        Contents: [
+          {
+            Key: 'base/FPTT1/1/FPTT1-1.pdf',
+            Size: 10,
+            LastModified: lastModified
+          }
+        ],
+        NextContinuationToken: 'next-page'
+      })
+      .mockResolvedValueOnce({
+        Contents: [
+          {
+            Key: 'base/FPTT2/1/FPTT2-1.pdf',
+            Size: 20,
+            LastModified: lastModified
+          }
+        ]
+      })
+
+    await expect(storage.list(bucket, 'base/')).resolves.toEqual([
+      { key: 'base/FPTT1/1/FPTT1-1.pdf', size: 10, lastModified },
+      { key: 'base/FPTT2/1/FPTT2-1.pdf', size: 20, lastModified }
+    ])
+    expect(mockS3ClientSendFn).toHaveBeenNthCalledWith(2, {
+      type: 'ListObjectsV2',
+      Bucket: bucket,
+      Prefix: 'base/',
+      ContinuationToken: 'next-page'
+    })
+  })
+
+  test('should list nothing for an empty prefix', async () => {
+    mockS3ClientSendFn.mockResolvedValueOnce({ KeyCount: 0 })
+
+    await expect(storage.list(bucket, 'maximum/')).resolves.toEqual([])
+  })
+
+  test('should delete an object', async () => {
+    mockS3ClientSendFn.mockResolvedValueOnce({})
+
+    await storage.delete(bucket, key)
+
+    expect(mockS3ClientSendFn).toHaveBeenCalledWith({
+      type: 'DeleteObject',
+      Bucket: bucket,
+      Key: key
+    })
+  })
+
+  test('should replace the tags of an object, sanitised to S3 limits', async () => {
+    mockS3ClientSendFn.mockResolvedValueOnce({})
+
+    await storage.tag(bucket, key, {
+      'retention-class': 'extended',
+      'correlation-id': 'req#1',
+      frn: undefined
+    })
+
+    expect(mockS3ClientSendFn).toHaveBeenCalledWith({
+      type: 'PutObjectTagging',
+      Bucket: bucket,
+      Key: key,
+      Tagging: {
+        TagSet: [
+          { Key: 'retention-class', Value: 'extended' },
+          { Key: 'correlation-id', Value: 'req_1' }
+        ]
+      }
+    })
+  })
+
+  test('should put a legal hold on an object', async () => {
+    mockS3ClientSendFn.mockResolvedValueOnce({})
+
+    await storage.setLegalHold(bucket, key, true)
+
+    expect(mockS3ClientSendFn).toHaveBeenCalledWith({
+      type: 'PutObjectLegalHold',
+      Bucket: bucket,
+      Key: key,
+      LegalHold: { Status: 'ON' }
+    })
+  })
+
+  test('should check the bucket with HeadBucket, abortable at a timeout', async () => {
+    const signal = new AbortController().signal
+    mockS3ClientSendFn.mockResolvedValueOnce({})
+
+    await storage.checkBucket(bucket, signal)
+
+    expect(mockS3ClientSendFn).toHaveBeenCalledWith(
+      { type: 'HeadBucket', Bucket: bucket },
+      { abortSignal: signal }
+    )
+  })
+})
@@ -0,0 +1,63 @@
+import { config } from '#~/config.js'
+import { createS3Storage } from '#~/services/s3-storage.js'
+import { createLocalStorage } from '#~/services/local-storage.js'
+
+/**
+ * @typedef {object} StoredObject
+ * @property {string} key Key of the object, relative to the bucket
+ * @property {number} size Size in bytes
+ * @property {string} [checksum] Base64 SHA-256 the store checked the object against when it was put
+ * @property {Record<string, string>} metadata User metadata
+ * @property {Date} [lastModified] When the object was last written
+ */
+
+/**
+ * @typedef {object} ObjectLock
+ * @property {'GOVERNANCE'|'COMPLIANCE'} mode Object Lock mode
+ * @property {Date} retainUntil Date the object cannot be deleted or overwritten before
+ * @property {boolean} legalHold Whether the object is on legal hold
+ */
+
+/**
+ * @typedef {object} PutOptions
+ * @property {string} contentType MIME type of the object
+ * @property {number} size Size of the file in bytes
+ * @property {string} checksum Base64 SHA-256 of the file, the put fails if the stored bytes differ
+ * @property {Record<string, string>} [metadata] User metadata, already within S3 limits
+ * @property {Record<string, string|number>} [tags] Object tags, sanitised to S3 limits by the driver
+ * @property {ObjectLock} [objectLock] Object Lock to store the object with
+ */
+
+/**
+ * Where agreement PDFs are stored. Every driver lays objects out by the same keys, so a PDF
+ * is under the same retention prefix whichever one is used.
+ * @typedef {object} StorageProvider
+ * @property {'s3'|'local'} driver Name of the driver
+ * @property {(bucket: string, key: string) => string} location Where an object is, for logs and audit records
+ * @property {(bucket: string, key: string, filePath: string, options: PutOptions, logger: Logger) => Promise<{ etag?: string }>} put
+ *   Store a file, streamed from disk
+ * @property {(bucket: string, key: string) => Promise<StoredObject|null>} head Look up an object, null if it does not exist
+ * @property {(bucket: string, key: string) => Promise<StoredObject & { body: import('node:stream').Readable }>} get Read an object
+ * @property {(bucket: string, prefix: string) => Promise<Omit<StoredObject, 'metadata'|'checksum'>[]>} list Every object whose key starts with the prefix
+ * @property {(bucket: string, key: string) => Promise<void>} delete Delete an object
+ * @property {(bucket: string, key: string, tags: Record<string, string|number>) => Promise<void>} tag Replace the tags of an object
+ * @property {(bucket: string, key: string, legalHold: boolean) => Promise<void>} setLegalHold Put a legal hold on an object, or lift it
+ * @property {(bucket: string, signal?: AbortSignal) => Promise<void>} checkBucket Confirm the bucket can be reached, rejecting if it cannot
+ */
+
+let storage
+
+/**
+ * The storage provider chosen by `storage.driver`, created the first time it is needed
+ * @returns {StorageProvider}
+ */
+export function getStorage() {
+  const driver = config.get('storage.driver')
+  if (storage?.driver !== driver) {
+    storage =
+      driver === 'local'
+        ? createLocalStorage(config.get('storage.localFolder'))
+        : createS3Storage()
+  }
+  return storage
+}
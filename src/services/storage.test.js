@@ -0,0 +1,49 @@
+import { beforeEach, describe, expect, test, vi } from 'vitest'
+import { getStorage } from '#~/services/storage.js'
+
+const { configMap, mockCreateS3Storage, mockCreateLocalStorage } = vi.hoisted(
+  () => ({
+    configMap: {},
+    mockCreateS3Storage: vi.fn(() => ({ driver: 's3' })),
+    mockCreateLocalStorage: vi.fn(() => ({ driver: 'local' }))
+  })
+)
+
+vi.mock('#~/config.js', () => ({
+  config: { get: (key) => configMap[key] }
+}))
+
+vi.mock('#~/services/s3-storage.js', () => ({
+  createS3Storage: mockCreateS3Storage
+}))
+
+vi.mock('#~/services/local-storage.js', () => ({
+  createLocalStorage: mockCreateLocalStorage
+}))
+
+describe('storage', () => {
+  beforeEach(() => {
+    mockCreateS3Storage.mockClear()
+    mockCreateLocalStorage.mockClear()
+    configMap['storage.localFolder'] = '/tmp/defra-pdf-storage'
+  })
+
+  test('should create the driver chosen by config once', () => {
+    configMap['storage.driver'] = 's3'
+
+    const storage = getStorage()
+
+    expect(storage.driver).toBe('s3')
+    expect(getStorage()).toBe(storage)
+    expect(mockCreateS3Storage).toHaveBeenCalledTimes(1)
+  })
+
+  test('should store in the local folder when the driver is local', () => {
+    configMap['storage.driver'] = 'local'
+
+    expect(getStorage().driver).toBe('local')
+    expect(mockCreateLocalStorage).toHaveBeenCalledWith(
+      '/tmp/defra-pdf-storage'
+    )
+  })
+})